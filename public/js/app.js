@@ -0,0 +1,214 @@
+// public/js/app.js
+// Scripts globales del sitio (cargado en layouts/main.hbs con el nonce de la CSP).
+/* eslint-env browser */
+
+/** Token CSRF de la página (layouts/main.hbs) para los fetch que modifican */
+function csrfToken() {
+  return document.querySelector('meta[name="csrf-token"]')?.content || '';
+}
+
+// ---------------------------------------------------------------------------
+// Favoritos (partials/wishlist-button.hbs): agregar/quitar por AJAX.
+// El server responde JSON a X-Requested-With (ver wishlist.controller.js);
+// si algo falla se hace el submit normal (POST + redirect).
+// ---------------------------------------------------------------------------
+document.addEventListener('submit', async (event) => {
+  const form = event.target.closest('form[data-wishlist]');
+  if (!form || !window.fetch) return;
+  event.preventDefault();
+
+  const button = form.querySelector('button');
+  button.disabled = true;
+  try {
+    const res = await fetch(form.action, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'X-Requested-With': 'XMLHttpRequest',
+        'X-CSRF-Token': csrfToken(),
+      },
+      body: new URLSearchParams(new FormData(form)),
+      credentials: 'same-origin',
+    });
+    if (res.status === 401) {
+      window.location.href = '/login';
+      return;
+    }
+    const data = await res.json();
+    if (!res.ok || !data.ok) throw new Error(data.message || 'No se pudo actualizar favoritos.');
+
+    const saved = !!data.inWishlist;
+    form.action = saved ? form.dataset.removeUrl : form.dataset.addUrl;
+    button.setAttribute('aria-pressed', String(saved));
+    button.title = saved ? 'Quitar de favoritos' : 'Guardar en favoritos';
+    form.querySelector('[data-wishlist-icon]').textContent = saved ? '♥' : '♡';
+    form.querySelector('[data-wishlist-label]').textContent = saved ? 'En favoritos' : 'Guardar';
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      form.submit(); // respuesta no JSON: flujo HTML normal
+      return;
+    }
+    window.alert(err.message);
+  } finally {
+    button.disabled = false;
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Buscador del navbar (partials/navbar.hbs): sugerencias mientras se tipea.
+// Consulta GET /api/search/suggest con debounce y cancela el pedido anterior;
+// Enter sigue haciendo el submit normal al catálogo (GET /?q=).
+// ---------------------------------------------------------------------------
+(() => {
+  const form = document.querySelector('form[data-search-suggest]');
+  if (!form || !window.fetch) return;
+
+  const input = form.querySelector('[data-search-input]');
+  const menu = form.querySelector('[data-search-results]');
+  const DEBOUNCE_MS = 250;
+  const MIN_LENGTH = 2;
+  const price = new Intl.NumberFormat('es-AR', { style: 'currency', currency: 'ARS' });
+
+  let timer = null;
+  let controller = null;
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function close() {
+    menu.classList.remove('show');
+    input.setAttribute('aria-expanded', 'false');
+  }
+
+  function open() {
+    menu.classList.add('show');
+    input.setAttribute('aria-expanded', 'true');
+  }
+
+  function header(text) {
+    return el('h6', 'dropdown-header', text);
+  }
+
+  function productItem(p) {
+    const a = el('a', 'dropdown-item d-flex align-items-center gap-2 py-2');
+    a.href = p.url;
+    a.setAttribute('role', 'option');
+
+    if (p.imageUrl) {
+      const img = el('img', 'rounded flex-shrink-0 object-fit-cover');
+      img.src = p.imageUrl;
+      img.alt = '';
+      img.width = 40;
+      img.height = 40;
+      a.append(img);
+    } else {
+      const placeholder = el('span', 'rounded bg-light flex-shrink-0 d-inline-block');
+      placeholder.style.cssText = 'width: 40px; height: 40px;';
+      a.append(placeholder);
+    }
+
+    const info = el('span', 'd-flex flex-column text-truncate');
+    info.append(el('span', 'text-truncate', p.title));
+    const prices = el('small', 'text-muted');
+    if (p.promoPrice != null) {
+      prices.append(el('span', 'text-success fw-semibold me-1', price.format(p.promoPrice)));
+      prices.append(el('s', '', price.format(p.price)));
+    } else {
+      prices.append(el('span', '', price.format(p.price)));
+    }
+    if (!p.inStock) prices.append(el('span', 'badge text-bg-secondary ms-1', 'Sin stock'));
+    info.append(prices);
+    a.append(info);
+    return a;
+  }
+
+  function linkItem(url, text, icon) {
+    const a = el('a', 'dropdown-item');
+    a.href = url;
+    a.setAttribute('role', 'option');
+    a.append(el('i', `bi ${icon} me-2 text-muted`), document.createTextNode(text));
+    return a;
+  }
+
+  function render(data) {
+    menu.replaceChildren();
+    if (data.products.length) {
+      menu.append(header('Productos'), ...data.products.map(productItem));
+    }
+    if (data.categories.length) {
+      menu.append(
+        header('Categorías'),
+        ...data.categories.map((c) => linkItem(c.url, c.name, 'bi-tag')),
+      );
+    }
+    if (data.queries.length) {
+      menu.append(
+        header('Búsquedas populares'),
+        ...data.queries.map((q) => linkItem(q.url, q.query, 'bi-search')),
+      );
+    }
+    if (!menu.childElementCount) {
+      menu.append(
+        el('span', 'dropdown-item-text text-muted small', 'Sin sugerencias. Enter para buscar.'),
+      );
+    }
+    open();
+  }
+
+  async function load(q) {
+    controller?.abort();
+    controller = new AbortController();
+    try {
+      const res = await fetch(`/api/search/suggest?q=${encodeURIComponent(q)}`, {
+        headers: { Accept: 'application/json' },
+        credentials: 'same-origin',
+        signal: controller.signal,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      if (input.value.trim() === q) render(data);
+    } catch (err) {
+      if (err.name !== 'AbortError') close();
+    }
+  }
+
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    const q = input.value.trim();
+    if (q.length < MIN_LENGTH) {
+      controller?.abort();
+      close();
+      return;
+    }
+    timer = setTimeout(() => load(q), DEBOUNCE_MS);
+  });
+
+  // Flechas para recorrer las sugerencias; Escape cierra
+  form.addEventListener('keydown', (event) => {
+    const items = [...menu.querySelectorAll('a.dropdown-item')];
+    const index = items.indexOf(document.activeElement);
+    if (event.key === 'Escape') {
+      close();
+      input.focus();
+    } else if (event.key === 'ArrowDown' && items.length) {
+      event.preventDefault();
+      if (!menu.classList.contains('show')) open();
+      items[Math.min(index + 1, items.length - 1)].focus();
+    } else if (event.key === 'ArrowUp' && index >= 0) {
+      event.preventDefault();
+      if (index === 0) input.focus();
+      else items[index - 1].focus();
+    }
+  });
+
+  document.addEventListener('click', (event) => {
+    if (!form.contains(event.target)) close();
+  });
+  input.addEventListener('focus', () => {
+    if (menu.childElementCount && input.value.trim().length >= MIN_LENGTH) open();
+  });
+})();
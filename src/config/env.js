@@ -22,16 +22,24 @@ export const config = Object.freeze({
   port: Number(process.env.PORT) || 3000,
   mongoUri: process.env.MONGO_URI,
   sessionSecret: process.env.SESSION_SECRET,
+  sessionTtlMs: 1000 * 60 * 60 * 24 * 7, // 7 días (cookie, store y models/UserSession.js)
 
   // Extras opcionales (pueden venir vacías ahora; se usan en otros módulos)
   mpPublicKey: process.env.MP_PUBLIC_KEY || '',
   mpAccessToken: process.env.MP_ACCESS_TOKEN || '',
+  mpWebhookSecret: process.env.MP_WEBHOOK_SECRET || '',
   baseUrl: process.env.BASE_URL || `http://localhost:${Number(process.env.PORT) || 3000}`,
   cloudinary: {
     cloudName: process.env.CLOUDINARY_CLOUD_NAME || '',
     apiKey: process.env.CLOUDINARY_API_KEY || '',
     apiSecret: process.env.CLOUDINARY_API_SECRET || '',
   },
+  jobs: {
+    // JOBS_ENABLED=false desactiva los jobs en esta instancia (ej. workers web extra)
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    orderSweepIntervalMs: Number(process.env.ORDER_SWEEP_INTERVAL_MS) || 60 * 1000,
+    orderAbandonAfterMs: Number(process.env.ORDER_ABANDON_AFTER_MS) || 30 * 60 * 1000,
+  },
   smtp: {
     host: process.env.SMTP_HOST || '',
     port: Number(process.env.SMTP_PORT) || 587,
@@ -39,4 +47,47 @@ export const config = Object.freeze({
     pass: process.env.SMTP_PASS || '',
     defaultFrom: process.env.DEFAULT_FROM || 'Ecommerce <no-reply@demo.test>',
   },
+  mail: {
+    // smtp | file | console. Sin SMTP_HOST el default es console (desarrollo).
+    transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+    fileDir: process.env.MAIL_FILE_DIR || 'tmp/mails', // transport "file": un .eml por envío
+  },
+  notifications: {
+    // Outbox de emails de pedidos (jobs/email-outbox.job.js)
+    outboxIntervalMs: Number(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 15 * 1000,
+    maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS) || 6,
+    // Destinatarios de "nuevo pedido pagado" (CSV). Vacío → todos los admins activos
+    adminEmails: (process.env.ADMIN_NOTIFY_EMAILS || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+    // Avisos de wishlist (promo / reposición), jobs/wishlist-alerts.job.js
+    wishlistAlertIntervalMs: Number(process.env.WISHLIST_ALERT_INTERVAL_MS) || 10 * 60 * 1000,
+    // "Avisame cuando haya stock": altas por IP y por email dentro de la ventana
+    stockAlertWindowMs: Number(process.env.STOCK_ALERT_WINDOW_MS) || 60 * 60 * 1000,
+    stockAlertMaxPerIp: Number(process.env.STOCK_ALERT_MAX_PER_IP) || 20,
+    stockAlertMaxPerEmail: Number(process.env.STOCK_ALERT_MAX_PER_EMAIL) || 5,
+  },
+  auth: {
+    passwordResetTtlMs: Number(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000, // 1 h
+    // Pedidos de recupero por IP y por email dentro de la ventana (store en Mongo)
+    passwordResetWindowMs: Number(process.env.PASSWORD_RESET_WINDOW_MS) || 60 * 60 * 1000,
+    passwordResetMaxPerIp: Number(process.env.PASSWORD_RESET_MAX_PER_IP) || 10,
+    passwordResetMaxPerEmail: Number(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3,
+    emailVerifyTtlMs: Number(process.env.EMAIL_VERIFY_TTL_MS) || 24 * 60 * 60 * 1000, // 24 h
+    // Reenvío del email de verificación: espera mínima entre envíos y tope diario
+    emailVerifyCooldownMs: Number(process.env.EMAIL_VERIFY_COOLDOWN_MS) || 60 * 1000,
+    emailVerifyMaxPerDay: Number(process.env.EMAIL_VERIFY_MAX_PER_DAY) || 5,
+    // Login: intentos fallidos por IP y por email dentro de la ventana (store en Mongo)
+    loginWindowMs: Number(process.env.LOGIN_WINDOW_MS) || 15 * 60 * 1000,
+    loginMaxPerIp: Number(process.env.LOGIN_MAX_PER_IP) || 20,
+    loginMaxPerEmail: Number(process.env.LOGIN_MAX_PER_EMAIL) || 5,
+    // Bloqueo temporal de la cuenta tras N fallos seguidos (un admin puede desbloquearla)
+    loginLockThreshold: Number(process.env.LOGIN_LOCK_THRESHOLD) || 5,
+    loginLockMs: Number(process.env.LOGIN_LOCK_MS) || 15 * 60 * 1000,
+    // 2FA (TOTP): nombre que muestra la app autenticadora y clave para cifrar los secretos.
+    // Sin TWO_FACTOR_KEY se deriva de SESSION_SECRET (rotarlo invalida los 2FA activos).
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Ecommerce',
+    twoFactorKey: process.env.TWO_FACTOR_KEY || '',
+  },
 });
@@ -8,6 +8,8 @@
 //   • Agregar dirección (POST /account/profile/addresses)
 //   • Marcar dirección preferida (POST /account/profile/addresses/:id/default)
 //   • Eliminar dirección (POST /account/profile/addresses/:id/delete)
+//   • Historial de pedidos (GET /account/orders, GET /account/orders/:id)
+//   • Reintentar pago (POST /account/orders/:id/retry)
 //
 // Notas de integración
 // - Todas las rutas deben estar protegidas con requireAuth (sesión activa).
@@ -16,13 +18,43 @@
 // - El modelo User expone helpers: addAddress(data), setDefaultAddress(addrId).
 // -----------------------------------------------------------------------------
 
+import mongoose from 'mongoose';
 import { User } from '../models/index.js';
+import Order, { ORDER_STATUS_LABELS } from '../models/Order.js';
+import { postCheckout } from './order.controller.js';
+import { restoreCartFromOrder } from './cart.controller.js';
+
+const ORDERS_PAGE_SIZE = 10;
+
+// Estados desde los que el comprador puede volver a intentar el pago
+export const RETRYABLE_STATUSES = Object.freeze(['created', 'rejected']);
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Utils internos
 // ─────────────────────────────────────────────────────────────────────────────
 const trim = (v) => String(v ?? '').trim();
 
+/** Orden del usuario logueado (null si no existe o es de otro usuario) */
+async function findOwnOrder(req, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Order.findOne({ _id: id, userId: req.user.id }).lean();
+}
+
+/** Contexto de la vista de detalle (timeline sin notas internas del sistema) */
+function orderDetailView(order) {
+  const history = [...(order.statusHistory || [])].reverse().map((h) => ({
+    to: h.to,
+    at: h.at,
+    note: h.source === 'admin' ? h.note : '',
+  }));
+  return {
+    title: `Pedido #${String(order._id).slice(-8).toUpperCase()}`,
+    order,
+    history,
+    canRetry: RETRYABLE_STATUSES.includes(order.status),
+  };
+}
+
 async function findUserDoc(req) {
   if (!req.user?.id) return null;
   return User.findById(req.user.id);
@@ -133,3 +165,104 @@ export async function deleteAddress(req, res, next) {
     next(err);
   }
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /account/orders?status=&page=
+// Historial de pedidos del usuario (más recientes primero), paginado.
+// -----------------------------------------------------------------------------
+export async function listMyOrders(req, res, next) {
+  try {
+    const status = Object.hasOwn(ORDER_STATUS_LABELS, req.query?.status) ? req.query.status : '';
+    const pageNum = Math.max(parseInt(req.query?.page, 10) || 1, 1);
+
+    const q = { userId: req.user.id };
+    // "Pagado" incluye las órdenes "approved" (estado legado)
+    if (status) q.status = status === 'paid' ? { $in: ['paid', 'approved'] } : status;
+
+    const [orders, total] = await Promise.all([
+      Order.find(q, { items: 1, total: 1, status: 1, createdAt: 1 })
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * ORDERS_PAGE_SIZE)
+        .limit(ORDERS_PAGE_SIZE)
+        .lean(),
+      Order.countDocuments(q),
+    ]);
+
+    return res.render('account/orders', {
+      title: 'Mis pedidos',
+      orders: orders.map((o) => ({
+        ...o,
+        ref: String(o._id).slice(-8).toUpperCase(),
+        itemsCount: (o.items || []).reduce((acc, i) => acc + (Number(i.qty) || 0), 0),
+        canRetry: RETRYABLE_STATUSES.includes(o.status),
+      })),
+      filters: { status },
+      statusOptions: Object.entries(ORDER_STATUS_LABELS)
+        .filter(([value]) => value !== 'approved')
+        .map(([value, label]) => ({ value, label })),
+      pagination: {
+        page: pageNum,
+        pages: Math.max(Math.ceil(total / ORDERS_PAGE_SIZE), 1),
+        total,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// GET /account/orders/:id
+// Detalle: ítems, totales, envío, IDs de pago y timeline. Solo pedidos propios
+// (un pedido ajeno responde 404, igual que uno inexistente).
+// -----------------------------------------------------------------------------
+export async function showMyOrder(req, res, next) {
+  try {
+    const order = await findOwnOrder(req, req.params.id);
+    if (!order) return res.status(404).render('shared/404');
+    return res.render('account/order-detail', orderDetailView(order));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// POST /account/orders/:id/retry
+// Suma las líneas de la orden al carrito (sin pisar lo que ya tenía) y delega en
+// postCheckout con el mismo envío: si nada cambió, postCheckout reutiliza la orden
+// "created" (cartHash); si era "rejected", crea una orden nueva. Si algún producto ya no
+// está disponible, se muestra el aviso para revisar el carrito antes de pagar; si el
+// carrito tenía otros productos, se lleva al carrito para que el comprador confirme.
+// -----------------------------------------------------------------------------
+export async function retryOrderPayment(req, res, next) {
+  try {
+    const order = await findOwnOrder(req, req.params.id);
+    if (!order) return res.status(404).render('shared/404');
+    if (!RETRYABLE_STATUSES.includes(order.status)) {
+      return res.redirect(`/account/orders/${order._id}`);
+    }
+
+    const { complete, merged } = await restoreCartFromOrder(req, order);
+    if (!complete) {
+      return res.status(409).render('account/order-detail', {
+        ...orderDetailView(order),
+        errors: {
+          _global:
+            'Algunos productos (o el cupón) ya no están disponibles como en este pedido. ' +
+            'Actualizamos tu carrito: revisalo antes de pagar.',
+        },
+      });
+    }
+
+    // No cobrar de más sin confirmar: el checkout incluiría lo que ya estaba en el carrito
+    if (merged) return res.redirect('/cart?notice=order_merged');
+
+    req.body = {
+      shippingMethod: order.shipping?.code || '',
+      addressId: order.shippingAddressId ? String(order.shippingAddressId) : '',
+    };
+    return postCheckout(req, res, next);
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,19 +1,67 @@
 // src/controllers/admin.controller.js
 // -----------------------------------------------------------------------------
-// Gestión de usuarios para el panel Admin (solo rol "admin").
-// Acciones: listar, crear, editar nombre/rol, activar/desactivar.
+// Gestión de usuarios para el panel Admin (users:read / users:support / users:manage).
+// Acciones: listar, crear, editar nombre/rol, activar/desactivar, marcar email verificado,
+// desbloquear cuentas bloqueadas por intentos fallidos (con los eventos de seguridad),
+// cerrar todas las sesiones de un usuario (también al desactivarlo o cambiarle el rol).
+// Alta, edición, activación y verificación manual quedan en la auditoría.
 // -----------------------------------------------------------------------------
-import { User, USER_ROLES } from '../models/index.js';
+import {
+  User,
+  USER_ROLES,
+  USER_ROLE_LABELS,
+  isLoginLocked,
+  hasPermission,
+} from '../models/index.js';
 import mongoose from 'mongoose';
-import Order from '../models/Order.js';
+import Order, { ORDER_STATUS_LABELS, ORDER_TRANSITIONS, PAID_STATUSES } from '../models/Order.js';
+import { transitionOrder } from '../services/order-status.service.js';
+import { setEmailVerified } from '../services/email-verification.service.js';
+import { unlockAccount, listSecurityEvents } from '../services/login-guard.service.js';
+import { SECURITY_EVENT_LABELS } from '../models/SecurityEvent.js';
+import { countSessionsByUser, endOtherSessions } from '../services/session.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+
+/** Campos de usuario que se registran en la auditoría (nunca credenciales) */
+function pickAuditFields(u) {
+  return {
+    name: u.name,
+    email: u.email,
+    role: u.role,
+    active: u.active,
+    emailVerified: u.emailVerified,
+  };
+}
+
+/** Cierra las sesiones del usuario; si es el propio admin, conserva la actual */
+function endSessionsOf(req, userId) {
+  const keepSid = String(userId) === String(req.userId) ? req.sessionID : null;
+  return endOtherSessions(req.sessionStore, userId, keepSid);
+}
 
 export async function listUsers(req, res, next) {
   try {
-    const users = await User.find().sort({ createdAt: -1 }).lean();
+    const [users, events] = await Promise.all([
+      User.find().sort({ createdAt: -1 }).lean(),
+      listSecurityEvents(),
+    ]);
+    const sessionCounts = await countSessionsByUser(users.map((u) => u._id));
+    const now = new Date();
     return res.render('admin/users', {
       title: 'Usuarios',
-      users,
-      roles: Object.values(USER_ROLES),
+      users: users.map((u) => ({
+        ...u,
+        locked: isLoginLocked(u, now),
+        sessionCount: sessionCounts.get(String(u._id)) || 0,
+      })),
+      roles: Object.values(USER_ROLES).map((value) => ({
+        value,
+        label: USER_ROLE_LABELS[value] || value,
+      })),
+      canManage: hasPermission(req.user, 'users:manage'),
+      canSupport: hasPermission(req.user, 'users:support'),
+      securityEvents: events.map((e) => ({ ...e, label: SECURITY_EVENT_LABELS[e.type] || e.type })),
     });
   } catch (err) {
     next(err);
@@ -23,7 +71,20 @@ export async function listUsers(req, res, next) {
 export async function createUser(req, res, next) {
   try {
     const { name = '', email = '', password = '', role = USER_ROLES.USER } = req.body || {};
-    await User.register({ name: name.trim(), email: email.trim().toLowerCase(), password, role });
+    // Las cuentas creadas por un admin no requieren verificación
+    const user = await User.register({
+      name: name.trim(),
+      email: email.trim().toLowerCase(),
+      password,
+      role,
+      emailVerified: true,
+    });
+    await recordAudit(
+      req,
+      AUDIT_ACTIONS.USER_CREATE,
+      { id: user._id, label: user.email },
+      { after: pickAuditFields(user) },
+    );
     return res.redirect('/admin/users');
   } catch (err) {
     next(err);
@@ -34,7 +95,26 @@ export async function updateUser(req, res, next) {
   try {
     const { id } = req.params;
     const { name = '', role = USER_ROLES.USER } = req.body || {};
-    await User.updateOne({ _id: id }, { $set: { name: name.trim(), role } });
+    if (!mongoose.isValidObjectId(id) || !Object.values(USER_ROLES).includes(role)) {
+      return res.redirect('/admin/users');
+    }
+    const prev = await User.findOneAndUpdate(
+      { _id: id },
+      { $set: { name: name.trim(), role } },
+    ).select('name email role');
+    if (prev) {
+      await recordAudit(
+        req,
+        AUDIT_ACTIONS.USER_UPDATE,
+        { id: prev._id, label: prev.email },
+        { before: { name: prev.name, role: prev.role }, after: { name: name.trim(), role } },
+      );
+    }
+    // Cambio de rol: los permisos nuevos rigen desde el próximo login (y el 2FA si pasa a staff)
+    if (prev && prev.role !== role) {
+      await endSessionsOf(req, id);
+      if (String(id) === String(req.userId)) req.session.user.role = role;
+    }
     return res.redirect('/admin/users');
   } catch (err) {
     next(err);
@@ -48,6 +128,62 @@ export async function toggleActive(req, res, next) {
     if (!u) return res.redirect('/admin/users');
     u.active = !u.active;
     await u.save();
+    await recordAudit(
+      req,
+      AUDIT_ACTIONS.USER_TOGGLE,
+      { id: u._id, label: u.email },
+      { before: { active: !u.active }, after: { active: u.active } },
+    );
+    // Desactivar corta las sesiones abiertas en el momento (no espera al refresh de la sesión)
+    if (!u.active) await endSessionsOf(req, u._id);
+    return res.redirect('/admin/users');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* POST /admin/users/:id/verify  → override manual del estado de verificación */
+export async function setVerification(req, res, next) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.redirect('/admin/users');
+    const verified = String(req.body?.verified) === 'true';
+    const prev = await User.findById(id).select('email emailVerified').lean();
+    if (prev && (await setEmailVerified(id, verified))) {
+      await recordAudit(
+        req,
+        AUDIT_ACTIONS.USER_VERIFY,
+        { id: prev._id, label: prev.email },
+        {
+          before: { emailVerified: prev.emailVerified ?? null },
+          after: { emailVerified: verified },
+        },
+      );
+    }
+    return res.redirect('/admin/users');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* POST /admin/users/:id/unlock  → levanta el bloqueo por intentos fallidos */
+export async function unlockUser(req, res, next) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.redirect('/admin/users');
+    await unlockAccount(id, { actorId: req.userId, ip: req.ip });
+    return res.redirect('/admin/users');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* POST /admin/users/:id/sessions/revoke  → cierra todas las sesiones del usuario */
+export async function revokeSessions(req, res, next) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.redirect('/admin/users');
+    await endSessionsOf(req, id);
     return res.redirect('/admin/users');
   } catch (err) {
     next(err);
@@ -56,7 +192,7 @@ export async function toggleActive(req, res, next) {
 
 // src/controllers/admin.controller.js
 // Controlador del Panel Admin (Dashboard + Pedidos)
-// ESM compatible. Usa Mongoose y middlewares del Módulo 1 (asyncHandler/requireAdmin).
+// ESM compatible. Usa Mongoose y middlewares del Módulo 1 (asyncHandler/requirePermission).
 
 /* Utilidades de fechas (día actual) */
 function getTodayRange() {
@@ -72,9 +208,9 @@ export const renderDashboard = async (req, res, next) => {
   try {
     const [{ start, end }] = [{ ...getTodayRange() }];
 
-    // Ventas totales (solo approved)
+    // Ventas totales (órdenes pagadas: paid/preparing/shipped/delivered y approved legado)
     const salesAgg = await Order.aggregate([
-      { $match: { status: 'approved' } },
+      { $match: { status: { $in: PAID_STATUSES } } },
       { $group: { _id: null, totalSales: { $sum: '$total' }, ordersCount: { $sum: 1 } } },
     ]);
 
@@ -86,9 +222,9 @@ export const renderDashboard = async (req, res, next) => {
       createdAt: { $gte: start, $lte: end },
     });
 
-    // Top 5 productos por cantidad (en items de órdenes aprobadas)
+    // Top 5 productos por cantidad (en items de órdenes pagadas)
     const topProducts = await Order.aggregate([
-      { $match: { status: 'approved' } },
+      { $match: { status: { $in: PAID_STATUSES } } },
       { $unwind: '$items' },
       {
         $group: {
@@ -128,7 +264,7 @@ export const listOrders = async (req, res, next) => {
     const {
       page = 1,
       limit = 20,
-      status, // opcional: approved|pending|rejected|created
+      status, // opcional: cualquier ORDER_STATUS (created|pending|paid|shipped|...)
       from, // opcional: ISO date (YYYY-MM-DD)
       to, // opcional: ISO date (YYYY-MM-DD)
     } = req.query;
@@ -165,6 +301,10 @@ export const listOrders = async (req, res, next) => {
 
     return res.render('admin/orders', {
       filters: { status: status || '', from: from || '', to: to || '' },
+      statusOptions: Object.entries(ORDER_STATUS_LABELS).map(([value, label]) => ({
+        value,
+        label,
+      })),
       items,
       pagination: { page: pageNum, pages, total, limit: pageSize },
     });
@@ -173,6 +313,13 @@ export const listOrders = async (req, res, next) => {
   }
 };
 
+// ?error= del cambio de estado (código de OrderStatusError) → aviso del detalle
+const ORDER_STATUS_ERRORS = Object.freeze({
+  INVALID_STATUS: 'El estado elegido no es válido.',
+  ILLEGAL_TRANSITION: 'Ese cambio de estado no está permitido desde el estado actual.',
+  CONFLICT: 'El pedido cambió mientras se actualizaba. Revisá el estado e intentá de nuevo.',
+});
+
 /* GET /admin/orders/:id  → Detalle */
 export const showOrder = async (req, res, next) => {
   try {
@@ -186,37 +333,50 @@ export const showOrder = async (req, res, next) => {
     if (!order) return res.status(404).render('shared/404');
 
     // order.items contiene: productId, title, price, qty, subtotal (según tu modelo)
-    return res.render('admin/order_detail', { order });
+    const nextStatuses = (ORDER_TRANSITIONS[order.status] || []).map((value) => ({
+      value,
+      label: ORDER_STATUS_LABELS[value] || value,
+    }));
+    // Timeline: más reciente primero
+    const history = [...(order.statusHistory || [])].reverse();
+
+    return res.render('admin/order_detail', {
+      order,
+      nextStatuses,
+      history,
+      notice: req.query?.done === 'status' ? 'Estado actualizado correctamente.' : null,
+      error: ORDER_STATUS_ERRORS[req.query?.error] || null,
+    });
   } catch (err) {
     next(err);
   }
 };
 
-/* POST /admin/orders/:id/status  → Cambio manual de estado (opcional) */
+/* POST /admin/orders/:id/status  → Cambio manual de estado (según ORDER_TRANSITIONS).
+   No hay middleware de flash: el resultado vuelve al detalle como ?done= / ?error= */
 export const updateOrderStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
-
-    const ALLOWED = new Set(['created', 'approved', 'pending', 'rejected']);
-    if (!ALLOWED.has(status)) {
-      req.flash('error', 'Estado inválido.');
-      return res.redirect('/admin/orders');
-    }
+    const { status, note = '' } = req.body;
 
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      req.flash('error', 'Pedido no encontrado.');
-      return res.redirect('/admin/orders');
-    }
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.redirect('/admin/orders');
 
-    const result = await Order.updateOne({ _id: id }, { $set: { status } });
-    if (result.matchedCount === 0) {
-      req.flash('error', 'Pedido no encontrado.');
-    } else {
-      req.flash('success', 'Estado actualizado correctamente.');
+    try {
+      const updated = await transitionOrder(id, status, { source: 'admin', actor: req.user, note });
+      const entry = updated.statusHistory.at(-1);
+      await recordAudit(
+        req,
+        AUDIT_ACTIONS.ORDER_STATUS,
+        { id: updated._id, label: String(updated._id).slice(-8) },
+        { before: { status: entry?.from ?? null }, after: { status: updated.status } },
+      );
+    } catch (err) {
+      if (err?.name !== 'OrderStatusError') throw err;
+      if (err.code === 'ORDER_NOT_FOUND') return res.redirect('/admin/orders');
+      return res.redirect(`/admin/orders/${id}?error=${err.code}`);
     }
 
-    return res.redirect('/admin/orders');
+    return res.redirect(`/admin/orders/${id}?done=status`);
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,438 @@
+// src/controllers/api.controller.js
+// -----------------------------------------------------------------------------
+// API JSON versionada (/api/v1) para clientes externos (app mobile). Rutas en
+// routes/api/v1.js:
+//   GET    /api/v1/session                 -> showSession (usuario + token CSRF)
+//   GET    /api/v1/products                -> listProducts (mismos filtros que listPublic)
+//   GET    /api/v1/products/:id            -> showProduct
+//   GET    /api/v1/categories              -> listCategories
+//   GET    /api/v1/cart                    -> getCart
+//   POST   /api/v1/cart/items              -> addCartItem { productId, variantId?, qty? }
+//   PATCH  /api/v1/cart/items/:productId   -> updateCartItem { qty, variantId? } (0 = quitar)
+//   DELETE /api/v1/cart/items/:productId   -> removeCartItem (?variantId=)
+//   DELETE /api/v1/cart                    -> clearCart
+//   POST   /api/v1/cart/coupon             -> applyCoupon { code }
+//   DELETE /api/v1/cart/coupon             -> removeCoupon
+//   POST   /api/v1/checkout                -> checkout { addressId?, shippingMethod }
+//   GET    /api/v1/orders                  -> listOrders (?status=)
+//   GET    /api/v1/orders/:id              -> showOrder
+//
+// Envelope: { ok: true, data, meta? }. Los errores (ApiError, CartError, CouponError,
+// StockError, ShippingError, 401/403 de auth.js) los serializa errorHandler como
+// { ok: false, error: <code>, message }.
+// Listados con cursor: ?limit= (máx. API_MAX_LIMIT) y ?cursor=meta.nextCursor.
+// Autenticación por la cookie de sesión; los métodos que modifican exigen la
+// cabecera X-CSRF-Token (ver middlewares/csrf.js).
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import Product, { hasVariants, legacyCoverImage, variantLabel } from '../models/Product.js';
+import Category from '../models/Category.js';
+import Order, { ORDER_STATUS_LABELS } from '../models/Order.js';
+import CartService from '../services/cart.service.js';
+import { CouponError, findApplicableCoupon, toCartCoupon } from '../services/coupon.service.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { buildPublicFilter, buildPublicSort, decoratePromoFields } from './product.controller.js';
+import { findSellableProduct, refreshCart } from './cart.controller.js';
+import { startCheckout } from './order.controller.js';
+import { RETRYABLE_STATUSES } from './account.controller.js';
+
+const API_DEFAULT_LIMIT = 20;
+const API_MAX_LIMIT = 50;
+
+const PRODUCT_LIST_FIELDS =
+  'title sku price stock reserved featured promoEnabled promoPct imageUrl categoryId ' +
+  'categoryName createdAt ratingAvg ratingCount variants._id';
+const PRODUCT_DETAIL_FIELDS =
+  'title sku price stock reserved featured promoEnabled promoPct imageUrl images categoryId ' +
+  'categoryName createdAt description techSpecs variantAxes variants ratingAvg ratingCount';
+const ORDER_LIST_FIELDS = 'items total status createdAt';
+
+/**
+ * Error propio de la API (validación de parámetros, recursos inexistentes).
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - NOT_FOUND | INVALID_CURSOR | VARIANT_NOT_FOUND | CART_EMPTY
+   * @param {number} [status=400]
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers internos
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Respuesta exitosa con el envelope de la API */
+function send(res, data, meta = null, status = 200) {
+  return res.status(status).json(meta ? { ok: true, data, meta } : { ok: true, data });
+}
+
+/** ObjectId válido o 404 (un id mal formado no existe) */
+function assertObjectId(id, message = 'No se encontró el recurso.') {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new ApiError(message, 'NOT_FOUND', 404);
+  return id;
+}
+
+/** variantId opcional (null si falta) */
+function optionalVariantId(value) {
+  const id = String(value || '').trim();
+  if (!id) return null;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError('La variante elegida no existe.', 'VARIANT_NOT_FOUND');
+  }
+  return id;
+}
+
+function parseLimit(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return API_DEFAULT_LIMIT;
+  return Math.min(n, API_MAX_LIMIT);
+}
+
+/**
+ * Página de un listado por cursor (ver utils/cursor.js).
+ * @param {import('mongoose').Model} model
+ * @param {Object} filter
+ * @param {Object} opts
+ * @param {Object} opts.sort - debe terminar en _id (salvo relevancia)
+ * @param {string} opts.select
+ * @param {Object} opts.query - req.query (limit, cursor)
+ * @returns {Promise<{ items: Array, meta: { limit: number, hasMore: boolean, nextCursor: string|null } }>}
+ */
+async function findPage(model, filter, { sort, select, query }) {
+  const limit = parseLimit(query?.limit);
+  let where = filter;
+  let skip = 0;
+
+  if (query?.cursor) {
+    const decoded = decodeCursor(query.cursor, sort);
+    if (!decoded) {
+      throw new ApiError('El cursor no es válido para esta consulta.', 'INVALID_CURSOR');
+    }
+    skip = decoded.skip;
+    // $and aparte: el filtro puede traer $text, que debe quedar en el primer nivel
+    if (decoded.filter) where = { ...filter, $and: [...(filter.$and || []), decoded.filter] };
+  }
+
+  const docs = await model
+    .find(where)
+    .select(select)
+    .sort(sort)
+    .skip(skip)
+    .limit(limit + 1)
+    .lean();
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    meta: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, items[items.length - 1], skip + limit) : null,
+    },
+  };
+}
+
+/** Producto para listados (precio con promo y stock disponible ya resueltos) */
+function toApiProduct(doc) {
+  const p = decoratePromoFields(doc);
+  return {
+    id: String(p._id),
+    title: p.title,
+    sku: p.sku,
+    price: p.price,
+    promoPrice: p.promoPrice,
+    promoPct: p.hasPromo ? p.promoPct : null,
+    stock: p.stock,
+    inStock: p.stock > 0,
+    imageUrl: p.imageUrl || null,
+    categoryId: p.categoryId ? String(p.categoryId) : null,
+    categoryName: p.categoryName || null,
+    featured: !!p.featured,
+    ratingAvg: p.ratingAvg || 0,
+    ratingCount: p.ratingCount || 0,
+    hasVariants: hasVariants(doc),
+    url: `/products/${p._id}`,
+  };
+}
+
+/** Producto con galería, ficha técnica y variantes vendibles */
+function toApiProductDetail(doc) {
+  const gallery = doc.images?.length ? doc.images : [legacyCoverImage(doc)].filter(Boolean);
+  return {
+    ...toApiProduct(doc),
+    description: doc.description || '',
+    techSpecs: doc.techSpecs || [],
+    images: gallery.map((img) => ({
+      url: img.url,
+      alt: img.alt || doc.title,
+      isCover: !!img.isCover,
+    })),
+    variantAxes: (doc.variantAxes || []).map((a) => ({ name: a.name, values: a.values })),
+    variants: (doc.variants || []).map((v) => {
+      const sellable = decoratePromoFields({
+        price: v.price ?? doc.price,
+        stock: v.stock,
+        reserved: v.reserved,
+        promoEnabled: doc.promoEnabled,
+        promoPct: doc.promoPct,
+      });
+      return {
+        id: String(v._id),
+        sku: v.sku,
+        label: variantLabel(v),
+        options: Object.fromEntries((v.options || []).map((o) => [o.name, o.value])),
+        price: sellable.price,
+        promoPrice: sellable.promoPrice,
+        stock: sellable.stock,
+        inStock: sellable.stock > 0,
+        imageUrl: v.imageUrl || doc.imageUrl || null,
+      };
+    }),
+  };
+}
+
+/** Resumen de orden para el listado */
+function toApiOrderSummary(o) {
+  return {
+    id: String(o._id),
+    ref: String(o._id).slice(-8).toUpperCase(),
+    status: o.status,
+    statusLabel: ORDER_STATUS_LABELS[o.status] || o.status,
+    itemsCount: (o.items || []).reduce((acc, i) => acc + (Number(i.qty) || 0), 0),
+    total: o.total,
+    createdAt: o.createdAt,
+    canRetry: RETRYABLE_STATUSES.includes(o.status),
+  };
+}
+
+/** Orden completa (timeline sin notas internas, igual que /account/orders/:id) */
+function toApiOrder(o) {
+  return {
+    ...toApiOrderSummary(o),
+    items: (o.items || []).map((i) => ({
+      productId: String(i.productId),
+      variantId: i.variantId ? String(i.variantId) : null,
+      sku: i.sku || null,
+      variantLabel: i.variantLabel || '',
+      title: i.title,
+      price: i.price,
+      qty: i.qty,
+      subtotal: i.subtotal,
+    })),
+    subtotal: o.subtotal,
+    discount: o.discount,
+    shippingFee: o.shippingFee || 0,
+    coupon: o.coupon?.code
+      ? { code: o.coupon.code, discount: o.coupon.discount, freeShipping: !!o.coupon.freeShipping }
+      : null,
+    shipping: o.shipping
+      ? {
+          name: o.shipping.name,
+          kind: o.shipping.kind,
+          eta: o.shipping.eta,
+          fee: o.shipping.fee,
+          pickupAddress: o.shipping.pickupAddress || null,
+          address: o.shipping.address || null,
+        }
+      : null,
+    paymentId: o.mpPaymentId || null,
+    history: [...(o.statusHistory || [])].reverse().map((h) => ({
+      status: h.to,
+      at: h.at,
+      note: h.source === 'admin' ? h.note : '',
+    })),
+  };
+}
+
+/** Carrito con el aviso de ajustes por stock (lo marca recalc) */
+function cartData(cart) {
+  const adjusted = cart.data.items.some((it) => it._adjusted);
+  cart.data.items.forEach((it) => delete it._adjusted);
+  return { data: cart.getSummary(), meta: { adjusted } };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sesión
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/v1/session — usuario logueado (o null) y token CSRF para los métodos que modifican
+export function showSession(req, res) {
+  return send(res, { user: res.locals.user || null, csrfToken: res.locals.csrfToken });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Catálogo
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/v1/products?q=&cat=&min=&max=&featured=&promo=&inStock=&sort=&limit=&cursor=
+export async function listProducts(req, res) {
+  const q = typeof req.query?.q === 'string' ? req.query.q.trim() : '';
+  const { filter } = await buildPublicFilter(req.query, q);
+  const [baseSort, sortKey] = buildPublicSort(req.query, q);
+
+  // Desempate por _id para el cursor (relevancia pagina por offset)
+  const lastDir = Object.values(baseSort).at(-1);
+  const sort = { ...baseSort, _id: typeof lastDir === 'number' ? lastDir : -1 };
+
+  const { items, meta } = await findPage(Product, filter, {
+    sort,
+    select: PRODUCT_LIST_FIELDS,
+    query: req.query,
+  });
+  return send(res, items.map(toApiProduct), { ...meta, q, sort: sortKey });
+}
+
+// GET /api/v1/products/:id
+export async function showProduct(req, res) {
+  const id = assertObjectId(req.params.id, 'Producto no disponible.');
+  const product = await Product.findOne({ _id: id, active: true })
+    .select(PRODUCT_DETAIL_FIELDS)
+    .lean();
+  if (!product) throw new ApiError('Producto no disponible.', 'NOT_FOUND', 404);
+  return send(res, toApiProductDetail(product));
+}
+
+// GET /api/v1/categories
+export async function listCategories(req, res) {
+  const categories = await Category.find({ active: true })
+    .select('name slug')
+    .sort({ name: 1 })
+    .lean();
+  return send(
+    res,
+    categories.map((c) => ({ id: String(c._id), name: c.name, slug: c.slug })),
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Carrito (attachCart en el router; visitantes y usuarios)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/v1/cart — con precios y stock vigentes
+export async function getCart(req, res) {
+  const { data, meta } = cartData(await refreshCart(req));
+  return send(res, data, meta);
+}
+
+// POST /api/v1/cart/items
+export async function addCartItem(req, res) {
+  const productId = assertObjectId(req.body?.productId, 'El producto no existe.');
+  const variantId = optionalVariantId(req.body?.variantId);
+  const qty = Math.trunc(Number(req.body?.qty ?? 1));
+
+  const product = await findSellableProduct(req, productId);
+  if (!product) {
+    throw new ApiError('El producto no existe o no está disponible.', 'NOT_FOUND', 404);
+  }
+
+  const cart = new CartService(req.session);
+  await cart.add(product, qty, variantId); // CartError → errorHandler
+  const { data, meta } = cartData(cart);
+  return send(res, data, meta, 201);
+}
+
+// PATCH /api/v1/cart/items/:productId
+export async function updateCartItem(req, res) {
+  const productId = assertObjectId(req.params.productId, 'El producto no está en el carrito.');
+  const variantId = optionalVariantId(req.body?.variantId);
+  const qty = Math.trunc(Number(req.body?.qty));
+
+  const cart = new CartService(req.session);
+  const fresh = await findSellableProduct(req, productId);
+  await cart.setQty(productId, qty, fresh || undefined, variantId);
+  const { data, meta } = cartData(cart);
+  return send(res, data, meta);
+}
+
+// DELETE /api/v1/cart/items/:productId?variantId=
+export async function removeCartItem(req, res) {
+  const productId = assertObjectId(req.params.productId, 'El producto no está en el carrito.');
+  const cart = new CartService(req.session);
+  await cart.remove(productId, optionalVariantId(req.query?.variantId));
+  const { data, meta } = cartData(cart);
+  return send(res, data, meta);
+}
+
+// DELETE /api/v1/cart
+export async function clearCart(req, res) {
+  const cart = new CartService(req.session);
+  await cart.clear();
+  return send(res, cart.getSummary());
+}
+
+// POST /api/v1/cart/coupon
+export async function applyCoupon(req, res) {
+  const cart = new CartService(req.session);
+  const coupon = await findApplicableCoupon(req.body?.code, { userId: req.userId });
+  const result = await cart.setCoupon(toCartCoupon(coupon));
+  if (!result.applicable) {
+    await cart.removeCoupon();
+    throw new CouponError(result.reason || 'El cupón no aplica a este carrito.', 'NOT_APPLICABLE');
+  }
+  return send(res, cart.getSummary());
+}
+
+// DELETE /api/v1/cart/coupon
+export async function removeCoupon(req, res) {
+  const cart = new CartService(req.session);
+  await cart.removeCoupon();
+  return send(res, cart.getSummary());
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Checkout y pedidos (requireAuth en el router)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// POST /api/v1/checkout — devuelve la URL de pago de Mercado Pago
+export async function checkout(req, res) {
+  const cart = req.session?.cart;
+  if (!cart?.items?.length) throw new ApiError('El carrito está vacío.', 'CART_EMPTY', 409);
+
+  const { order, preference, url } = await startCheckout(req, {
+    addressId: req.body?.addressId,
+    shippingMethod: req.body?.shippingMethod,
+  });
+  return send(
+    res,
+    {
+      orderId: String(order._id),
+      preferenceId: preference.id,
+      url,
+      total: order.total,
+      expiresAt: order.expiresAt,
+    },
+    null,
+    201,
+  );
+}
+
+// GET /api/v1/orders?status=&limit=&cursor=
+export async function listOrders(req, res) {
+  const status = Object.hasOwn(ORDER_STATUS_LABELS, req.query?.status) ? req.query.status : '';
+  const q = { userId: req.user.id };
+  // "Pagado" incluye las órdenes "approved" (estado legado), como en /account/orders
+  if (status) q.status = status === 'paid' ? { $in: ['paid', 'approved'] } : status;
+
+  const { items, meta } = await findPage(Order, q, {
+    sort: { createdAt: -1, _id: -1 },
+    select: ORDER_LIST_FIELDS,
+    query: req.query,
+  });
+  return send(res, items.map(toApiOrderSummary), meta);
+}
+
+// GET /api/v1/orders/:id — solo pedidos propios (uno ajeno responde 404)
+export async function showOrder(req, res) {
+  const id = assertObjectId(req.params.id, 'No se encontró el pedido.');
+  const order = await Order.findOne({ _id: id, userId: req.user.id }).lean();
+  if (!order) throw new ApiError('No se encontró el pedido.', 'NOT_FOUND', 404);
+  return send(res, toApiOrder(order));
+}
@@ -0,0 +1,55 @@
+// src/controllers/audit.controller.js
+// -----------------------------------------------------------------------------
+// Registro de auditoría del panel. Rutas en routes/admin/audit.js (audit:read):
+//   GET /admin/audit             -> listAudit (filtros: action, entity, actor, entityId,
+//                                   from, to; paginado)
+//   GET /admin/audit/export.csv  -> exportAudit (mismos filtros, todas las filas)
+// -----------------------------------------------------------------------------
+
+import { AUDIT_ACTION_LABELS, AUDIT_ENTITY_LABELS } from '../models/AuditLog.js';
+import { buildAuditFilter, listAuditLogs, auditCsvLines } from '../services/audit.service.js';
+
+function toOptions(labels) {
+  return Object.entries(labels).map(([value, label]) => ({ value, label }));
+}
+
+/** Querystring de los filtros activos (paginación y link de export) */
+function filtersQS(values) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(values)) if (value) params.set(key, value);
+  return params.toString();
+}
+
+/** GET /admin/audit */
+export async function listAudit(req, res) {
+  const { filter, values } = buildAuditFilter(req.query);
+  const { items, pagination } = await listAuditLogs(filter, { page: req.query.page });
+  const qs = filtersQS(values);
+  return res.render('admin/audit', {
+    title: 'Auditoría',
+    items,
+    pagination,
+    filters: values,
+    actionOptions: toOptions(AUDIT_ACTION_LABELS),
+    entityOptions: toOptions(AUDIT_ENTITY_LABELS),
+    pageQS: qs ? `${qs}&` : '',
+    exportUrl: `/admin/audit/export.csv${qs ? `?${qs}` : ''}`,
+  });
+}
+
+/** GET /admin/audit/export.csv */
+export async function exportAudit(req, res) {
+  const { filter } = buildAuditFilter(req.query);
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="auditoria-${stamp}.csv"`,
+    'Cache-Control': 'no-store',
+  });
+  // BOM: Excel reconoce UTF-8 (acentos)
+  res.write('\uFEFF');
+  for await (const line of auditCsvLines(filter)) {
+    if (!res.write(line)) await new Promise((resolve) => res.once('drain', resolve));
+  }
+  res.end();
+}
@@ -1,17 +1,53 @@
 // src/controllers/auth.controller.js
 // -----------------------------------------------------------------------------
-// Controlador de Autenticación (registro, login, logout).
+// Controlador de Autenticación (registro, login con segundo paso 2FA, logout, recupero
+// de contraseña, verificación de email).
 // - Sin dependencias de "flash": devuelve errores a la vista por contexto.
 // - Usa el modelo User (hash con bcrypt/bcryptjs, según tu elección).
 // - Administra "returnTo" para redirigir al recurso originalmente solicitado.
 // -----------------------------------------------------------------------------
 
 import { User } from '../models/index.js';
+import { mergeGuestCart } from '../services/cart-store.service.js';
+import {
+  trackUserSession,
+  untrackUserSession,
+  endOtherSessions,
+} from '../services/session.service.js';
+import {
+  requestPasswordReset,
+  findUserByResetToken,
+  resetPassword as consumePasswordReset,
+} from '../services/password-reset.service.js';
+import { sendVerificationEmail, verifyEmail } from '../services/email-verification.service.js';
+import {
+  INVALID_CREDENTIALS_MESSAGE,
+  assertLoginAllowed,
+  assertAccountUnlocked,
+  compareWithDummyHash,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from '../services/login-guard.service.js';
+import { verifySecondFactor } from '../services/two-factor.service.js';
 
-/** Renderiza formulario de login */
+// Segundo paso del login (2FA): vigencia del paso pendiente y códigos incorrectos admitidos
+const TWO_FACTOR_PENDING_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+// Avisos de /login según ?reset=1 / ?verify=1
+const LOGIN_NOTICES = {
+  reset: 'Tu contraseña se actualizó. Ya podés ingresar con la nueva.',
+  verify: 'Te enviamos un email para verificar tu cuenta. Podés ingresar mientras tanto.',
+  verified: 'Tu email quedó verificado. Ya podés ingresar.',
+};
+
+/** Renderiza formulario de login (?reset=1, ?verify=1, ?verified=1 → aviso) */
 export function showLogin(req, res) {
+  const noticeKey = Object.keys(LOGIN_NOTICES).find((k) => req.query?.[k] === '1');
   return res.render('auth/login', {
     title: 'Iniciar sesión',
+    notice: noticeKey ? LOGIN_NOTICES[noticeKey] : null,
+    form: { email: String(req.query?.email || '') },
   });
 }
 
@@ -22,7 +58,10 @@ export function showRegister(req, res) {
   });
 }
 
-/** POST /login — valida credenciales y crea sesión */
+/**
+ * POST /login — valida credenciales y crea sesión.
+ * Fuerza bruta: límite por IP/email y bloqueo temporal de la cuenta (429 + Retry-After).
+ */
 export async function login(req, res, next) {
   try {
     const { email = '', password = '' } = req.body || {};
@@ -41,24 +80,41 @@ export async function login(req, res, next) {
       });
     }
 
+    // Rate limit por IP / email y bloqueo de cuenta (services/login-guard.service.js)
+    const ctx = { ip: req.ip, email: normEmail, userAgent: req.get('User-Agent') || '' };
+    const invalid = () =>
+      res.status(400).render('auth/login', {
+        title: 'Iniciar sesión',
+        errors: { _global: INVALID_CREDENTIALS_MESSAGE },
+        form: { email: normEmail },
+      });
+
     // Buscar usuario con passwordHash (select:false en el schema)
-    const user = await User.findOne({ email: normEmail }).select('+passwordHash');
-    if (!user) {
-      return res.status(400).render('auth/login', {
+    let user;
+    try {
+      await assertLoginAllowed(ctx);
+      user = await User.findOne({ email: normEmail }).select('+passwordHash');
+      if (user) assertAccountUnlocked(user);
+    } catch (err) {
+      if (err?.name !== 'LoginGuardError') throw err;
+      res.set('Retry-After', String(err.retryAfter));
+      return res.status(err.status).render('auth/login', {
         title: 'Iniciar sesión',
-        errors: { email: 'Credenciales inválidas.' },
+        errors: { _global: err.message },
         form: { email: normEmail },
       });
     }
 
-    // Verificar contraseña
+    // Email inexistente o contraseña incorrecta: mismo mensaje (y mismo costo de bcrypt)
+    if (!user) {
+      await compareWithDummyHash(password);
+      await recordLoginFailure({ ...ctx, user: null });
+      return invalid();
+    }
     const ok = await user.checkPassword(password);
     if (!ok) {
-      return res.status(400).render('auth/login', {
-        title: 'Iniciar sesión',
-        errors: { password: 'Credenciales inválidas.' },
-        form: { email: normEmail },
-      });
+      await recordLoginFailure({ ...ctx, user });
+      return invalid();
     }
 
     // Usuario inactivo
@@ -70,19 +126,147 @@ export async function login(req, res, next) {
       });
     }
 
-    // Crear sesión "ligera" (sin passwordHash)
-    req.session.user = user.toJSON(); // aplica transform del schema (oculta hash)
-    req.session.user_refreshed_at = Date.now();
+    // 2FA activo: la sesión se crea recién después del segundo paso (/login/2fa)
+    if (user.twoFactorEnabled) {
+      req.session.pendingTwoFactor = {
+        userId: String(user._id),
+        expiresAt: Date.now() + TWO_FACTOR_PENDING_TTL_MS,
+        attempts: 0,
+      };
+      return res.redirect('/login/2fa');
+    }
 
-    // Redirección amable: volver a donde quería ir
-    const returnTo = req.session.returnTo || '/';
-    delete req.session.returnTo;
-    return res.redirect(returnTo);
+    await recordLoginSuccess({ ...ctx, user });
+    return completeLogin(req, res, user);
   } catch (err) {
     return next(err);
   }
 }
 
+/**
+ * Emite un id de sesión nuevo antes de guardar al usuario (evita session fixation).
+ * De la sesión anterior solo pasan returnTo y el carrito de visitante: el secreto CSRF,
+ * el paso 2FA pendiente y el resto se descartan junto con el id viejo.
+ * @returns {Promise<void>}
+ */
+function regenerateSession(req) {
+  const { returnTo, cart } = req.session;
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+      if (returnTo) req.session.returnTo = returnTo;
+      if (cart) req.session.cart = cart;
+      return resolve();
+    });
+  });
+}
+
+/**
+ * Crea la sesión del usuario ya autenticado y redirige a returnTo.
+ * @param {Object} user - documento de User
+ * @param {Object} [opts]
+ * @param {boolean} [opts.twoFactorVerified] - completó el segundo paso (requirePermission)
+ */
+async function completeLogin(req, res, user, { twoFactorVerified = false } = {}) {
+  // Sesión nueva (id y secreto CSRF nuevos). Si ya había usuario (2FA pedido por
+  // requirePermission), la sesión vieja deja de figurar en /account/sessions.
+  const previous = { userId: req.userId, sid: req.sessionID };
+  await regenerateSession(req);
+  if (previous.userId) await untrackUserSession(previous.userId, previous.sid);
+
+  // Crear sesión "ligera" (sin passwordHash)
+  req.session.user = user.toJSON(); // aplica transform del schema (oculta hash)
+  req.session.user_refreshed_at = Date.now();
+  req.session.twoFactorVerified = twoFactorVerified;
+  await trackUserSession(user._id, req.sessionID, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || '',
+  });
+
+  // Unir el carrito de visitante con el guardado del usuario (otro dispositivo / sesión previa).
+  // Si falla, el login sigue: el carrito se vuelve a cargar en /cart.
+  try {
+    await mergeGuestCart(req, res, user._id);
+  } catch (err) {
+    console.warn('[auth] No se pudo unir el carrito de visitante:', err?.message || err);
+  }
+
+  // Redirección amable: volver a donde quería ir
+  const returnTo = req.session.returnTo || '/';
+  delete req.session.returnTo;
+  return res.redirect(returnTo);
+}
+
+/**
+ * Usuario que está en el segundo paso: login con contraseña reciente (pendingTwoFactor)
+ * o sesión abierta sin 2FA completado (requirePermission la manda acá).
+ */
+function twoFactorUserId(req) {
+  const pending = req.session?.pendingTwoFactor;
+  if (pending?.userId && pending.expiresAt > Date.now()) return pending.userId;
+  if (pending) delete req.session.pendingTwoFactor;
+  if (req.user?.twoFactorEnabled && !req.session.twoFactorVerified) return String(req.userId);
+  return null;
+}
+
+function renderTwoFactor(res, status, error = null) {
+  return res.status(status).render('auth/two-factor', {
+    title: 'Verificación en dos pasos',
+    errors: error ? { code: error } : undefined,
+  });
+}
+
+/** GET /login/2fa — pide el código de la app (o uno de recuperación) */
+export function showTwoFactor(req, res) {
+  if (!twoFactorUserId(req)) return res.redirect('/login');
+  return renderTwoFactor(res, 200);
+}
+
+/** POST /login/2fa — valida el segundo factor y completa el login */
+export async function verifyTwoFactor(req, res) {
+  const userId = twoFactorUserId(req);
+  if (!userId) return res.redirect('/login');
+
+  const user = await User.findById(userId);
+  if (!user || !user.active) {
+    delete req.session.pendingTwoFactor;
+    return res.redirect('/login');
+  }
+
+  const ctx = { ip: req.ip, email: user.email, userAgent: req.get('User-Agent') || '' };
+  try {
+    // Los códigos incorrectos cuentan para el bloqueo de la cuenta, igual que la contraseña
+    assertAccountUnlocked(user);
+    await verifySecondFactor(userId, req.body?.code);
+  } catch (err) {
+    if (err?.name === 'LoginGuardError') {
+      delete req.session.pendingTwoFactor;
+      res.set('Retry-After', String(err.retryAfter));
+      return res.status(err.status).render('auth/login', {
+        title: 'Iniciar sesión',
+        errors: { _global: err.message },
+        form: { email: user.email },
+      });
+    }
+    if (err?.name !== 'TwoFactorError' || err.code !== 'INVALID_CODE') throw err;
+
+    await recordLoginFailure({ ...ctx, user });
+    const pending = req.session.pendingTwoFactor;
+    if (pending && ++pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      delete req.session.pendingTwoFactor;
+      return res.status(400).render('auth/login', {
+        title: 'Iniciar sesión',
+        errors: { _global: 'Demasiados códigos incorrectos. Ingresá de nuevo.' },
+        form: { email: user.email },
+      });
+    }
+    return renderTwoFactor(res, 400, err.message);
+  }
+
+  await recordLoginSuccess({ ...ctx, user });
+  return completeLogin(req, res, user, { twoFactorVerified: true });
+}
+
 /** POST /register — crea usuario nuevo */
 export async function register(req, res, next) {
   try {
@@ -116,29 +300,182 @@ export async function register(req, res, next) {
     }
 
     // Crear usuario con helper del modelo (hashea internamente)
-    await User.register({
+    const user = await User.register({
       name: normName,
       email: normEmail,
       password,
-      // role por defecto "user", active true (ver schema)
+      // role por defecto "user", active true, emailVerified false (ver schema)
     });
 
+    // Si el email no sale, la cuenta queda creada: se puede reenviar desde /verify-email
+    try {
+      await sendVerificationEmail(user._id);
+    } catch (err) {
+      console.warn('[auth] No se pudo enviar el email de verificación:', err?.message || err);
+    }
+
     // Redirigir a login con el email prellenado
-    return res.redirect(`/login?email=${encodeURIComponent(normEmail)}`);
+    return res.redirect(`/login?verify=1&email=${encodeURIComponent(normEmail)}`);
   } catch (err) {
     return next(err);
   }
 }
 
 /** GET /logout — destruye sesión y va a login */
-export function logout(req, res, next) {
+export async function logout(req, res, next) {
   try {
+    await untrackUserSession(req.userId, req.sessionID);
     req.session.destroy(() => {
       // limpiar cookie de sesión:
-      res.clearCookie?.('connect.sid');
+      res.clearCookie?.('sid');
       return res.redirect('/login');
     });
   } catch (err) {
     return next(err);
   }
 }
+
+/** GET /forgot-password — form para pedir el link de recupero */
+export function showForgotPassword(req, res) {
+  return res.render('auth/forgot-password', {
+    title: 'Recuperar contraseña',
+  });
+}
+
+/**
+ * POST /forgot-password — envía el link si la cuenta existe.
+ * La respuesta es siempre la misma para no revelar qué emails están registrados
+ * (salvo el 429 del rate limit, que tampoco depende de que la cuenta exista).
+ */
+export async function forgotPassword(req, res) {
+  const normEmail = String(req.body?.email || '')
+    .trim()
+    .toLowerCase();
+  if (!normEmail) {
+    return res.status(400).render('auth/forgot-password', {
+      title: 'Recuperar contraseña',
+      errors: { email: 'El email es obligatorio.' },
+    });
+  }
+
+  try {
+    await requestPasswordReset(normEmail, { ip: req.ip });
+  } catch (err) {
+    if (err?.name !== 'PasswordResetError' || err.code !== 'RATE_LIMITED') throw err;
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(err.status).render('auth/forgot-password', {
+      title: 'Recuperar contraseña',
+      errors: { email: err.message },
+      form: { email: normEmail },
+    });
+  }
+  return res.render('auth/forgot-password', {
+    title: 'Recuperar contraseña',
+    sent: true,
+    form: { email: normEmail },
+  });
+}
+
+/** GET /reset-password/:token — form de contraseña nueva (si el token sigue vigente) */
+export async function showResetPassword(req, res) {
+  const user = await findUserByResetToken(req.params.token);
+  return res.status(user ? 200 : 400).render('auth/reset-password', {
+    title: 'Nueva contraseña',
+    token: req.params.token,
+    invalid: !user,
+    email: user?.email,
+  });
+}
+
+/**
+ * POST /reset-password/:token — cambia la contraseña, invalida el token y cierra
+ * las demás sesiones del usuario.
+ */
+export async function resetPassword(req, res) {
+  const { password = '', confirm = '' } = req.body || {};
+  const { token } = req.params;
+
+  if (password !== confirm) {
+    return res.status(400).render('auth/reset-password', {
+      title: 'Nueva contraseña',
+      token,
+      errors: { confirm: 'Las contraseñas no coinciden.' },
+    });
+  }
+
+  let user;
+  try {
+    user = await consumePasswordReset(token, password);
+  } catch (err) {
+    if (err?.name !== 'PasswordResetError') throw err;
+    return res.status(400).render('auth/reset-password', {
+      title: 'Nueva contraseña',
+      token,
+      invalid: err.code === 'INVALID_TOKEN',
+      errors: err.code === 'WEAK_PASSWORD' ? { password: err.message } : {},
+    });
+  }
+
+  // Solo se conserva la sesión actual si es del mismo usuario
+  const ownSession = String(req.userId || '') === String(user._id);
+  await endOtherSessions(req.sessionStore, user._id, ownSession ? req.sessionID : null);
+
+  if (ownSession) return res.redirect('/');
+  return res.redirect(`/login?reset=1&email=${encodeURIComponent(user.email)}`);
+}
+
+/** GET /verify-email — estado de la verificación y botón de reenvío */
+export function showVerifyEmail(req, res) {
+  if (req.user?.emailVerified !== false) return res.redirect('/');
+  return res.render('auth/verify-email', {
+    title: 'Verificá tu email',
+    email: req.user.email,
+  });
+}
+
+/** POST /verify-email/resend — reenvía el link (con rate limit por usuario) */
+export async function resendVerification(req, res) {
+  try {
+    await sendVerificationEmail(req.userId);
+  } catch (err) {
+    if (err?.name !== 'EmailVerificationError') throw err;
+    if (err.code === 'ALREADY_VERIFIED') {
+      req.session.user.emailVerified = true;
+      return res.redirect('/');
+    }
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    return res.status(err.status).render('auth/verify-email', {
+      title: 'Verificá tu email',
+      email: req.user.email,
+      errors: { _global: err.message },
+    });
+  }
+
+  return res.render('auth/verify-email', {
+    title: 'Verificá tu email',
+    email: req.user.email,
+    sent: true,
+  });
+}
+
+/** GET /verify-email/:token — link del email */
+export async function confirmEmail(req, res) {
+  let user;
+  try {
+    user = await verifyEmail(req.params.token);
+  } catch (err) {
+    if (err?.name !== 'EmailVerificationError') throw err;
+    return res.status(400).render('auth/verify-email', {
+      title: 'Verificá tu email',
+      email: req.user?.email,
+      invalid: true,
+    });
+  }
+
+  // Si la sesión es del mismo usuario, la actualizamos para no pedirle que vuelva a entrar
+  if (req.session?.user && String(req.userId) === String(user._id)) {
+    req.session.user.emailVerified = true;
+    return res.render('auth/verify-email', { title: 'Email verificado', verified: true });
+  }
+  return res.redirect(`/login?verified=1&email=${encodeURIComponent(user.email)}`);
+}
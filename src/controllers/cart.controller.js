@@ -1,53 +1,126 @@
 // src/controllers/cart.controller.js
 // -----------------------------------------------------------------------------
-// Controlador de Carrito (en sesión).
+// Controlador de Carrito (sesión + respaldo en Mongo, ver cart-store.service.js).
 // Requiere: CartService (servicio de sesión) y Product (solo lectura).
-// Rutas esperadas (protegidas con requireAuth en router):
+// Rutas esperadas (abiertas a visitantes; attachCart en router):
 //   GET    /cart                   -> viewCart
 //   POST   /cart/add/:id           -> addToCart
 //   POST   /cart/qty/:id           -> updateQty
 //   POST   /cart/remove/:id        -> removeItem
 //   POST   /cart/clear             -> clearCart
+//   POST   /cart/coupon            -> applyCoupon
+//   POST   /cart/coupon/remove     -> removeCoupon
+// Además: restoreCartFromOrder (reintento de pago desde /account/orders/:id),
+// findSellableProduct (mover al carrito desde /account/wishlist) y refreshCart (API).
 // -----------------------------------------------------------------------------
 
+import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import CartService from '../services/cart.service.js';
+import { getHeldQtyByUser, stockKey } from '../services/stock.service.js';
+import { CouponError, findApplicableCoupon, toCartCoupon } from '../services/coupon.service.js';
+
+const PRODUCT_FIELDS =
+  'title price stock reserved promoEnabled promoPct imageUrl active categoryId weightKg variants';
+
+/** variantId del form (null si falta o no es un ObjectId) */
+function bodyVariantId(req) {
+  const id = String(req.body?.variantId || '').trim();
+  return id && mongoose.Types.ObjectId.isValid(id) ? id : null;
+}
 
 // Si tienes un asyncHandler global en middlewares/errors.js, úsalo en las rutas.
 // Aquí exportamos funciones async "puras" (los routers las envolverán si hace falta).
 
+/**
+ * Descuenta de `reserved` lo que retiene el propio usuario en su orden "created",
+ * para que su reserva no le recorte el carrito (p. ej. si vuelve de MP sin pagar).
+ * Con variantes descuenta en cada variante y en el total del producto.
+ * @param {object|null} doc - producto lean
+ * @param {Map<string, number>} held - stockKey -> qty retenida por el usuario
+ */
+function withOwnHold(doc, held) {
+  if (!doc) return doc;
+  const id = String(doc._id);
+  let own = held.get(stockKey(id)) || 0;
+  for (const v of doc.variants || []) {
+    const ownVariant = held.get(stockKey(id, v._id)) || 0;
+    if (!ownVariant) continue;
+    v.reserved = Math.max((Number(v.reserved) || 0) - ownVariant, 0);
+    own += ownVariant;
+  }
+  if (own) doc.reserved = Math.max((Number(doc.reserved) || 0) - own, 0);
+  return doc;
+}
+
 /**
  * Crea un Map productId -> productDoc con productos activos encontrados.
  * Útil para refrescar precio/promo/stock antes de renderizar el carrito.
  * @param {string[]} ids
+ * @param {Map<string, number>} [held] - reservas propias del usuario
  * @returns {Promise<Map<string, any>>}
  */
-async function getProductsMap(ids = []) {
+async function getProductsMap(ids = [], held = new Map()) {
   if (!ids.length) return new Map();
   const docs = await Product.find({
     _id: { $in: ids },
     active: true,
   })
-    .select('title price stock promoEnabled promoPct imageUrl active')
+    .select(PRODUCT_FIELDS)
     .lean()
     .exec();
 
   const map = new Map();
-  for (const d of docs) map.set(String(d._id), d);
+  for (const d of docs) map.set(String(d._id), withOwnHold(d, held));
   return map;
 }
 
+/**
+ * Refresca precios/stock del carrito con los productos vigentes y lo guarda.
+ * Lo usan viewCart y la API (GET /api/v1/cart).
+ * @param {object} req
+ * @returns {Promise<CartService>}
+ */
+export async function refreshCart(req) {
+  const cart = new CartService(req.session);
+  const ids = cart.data.items.map((it) => it.productId);
+  const held = await getHeldQtyByUser(req.userId);
+  const productsMap = await getProductsMap(ids, held);
+  cart.recalc({ productsMap });
+  await cart.save();
+  return cart;
+}
+
+// ?notice= → aviso de la vista (redirects de otras pantallas)
+const CART_NOTICES = Object.freeze({
+  coupon_applied: 'Cupón aplicado.',
+  coupon_removed: 'Cupón quitado.',
+  order_merged:
+    'Sumamos los productos del pedido a tu carrito, junto con lo que ya tenías. ' +
+    'Revisalo y pagá desde acá.',
+  cart_changed:
+    'Algunos precios, promociones o stock cambiaron desde que armaste el carrito. ' +
+    'Revisá los importes actualizados y volvé a iniciar el pago.',
+});
+
+// ?error= (código de CouponError, al aplicar el cupón o al revalidarlo en el checkout)
+const COUPON_ERRORS = Object.freeze({
+  NOT_FOUND: 'El cupón no existe o no está activo.',
+  NOT_STARTED: 'El cupón todavía no está vigente.',
+  EXPIRED: 'El cupón está vencido.',
+  USAGE_LIMIT: 'El cupón alcanzó su límite de usos.',
+  USER_LIMIT: 'Ya usaste este cupón el máximo de veces permitido.',
+  NOT_APPLICABLE:
+    'El cupón no aplica a este carrito: revisá el mínimo de compra y los productos alcanzados.',
+});
+
 /**
  * GET /cart
  * Refresca precios/stock con datos vigentes (si existen) y renderiza la vista.
  */
 export async function viewCart(req, res) {
-  const cart = new CartService(req.session);
-
   // Refrescar con productos "frescos"
-  const ids = cart.data.items.map((it) => it.productId);
-  const productsMap = await getProductsMap(ids);
-  cart.recalc({ productsMap });
+  const cart = await refreshCart(req);
 
   // Avisos por ajustes (si hubo clamp por stock o se removieron ítems inactivos)
   const adjusted = cart.data.items.some((it) => it._adjusted);
@@ -66,20 +139,35 @@ export async function viewCart(req, res) {
   return res.render('cart/cart', {
     title: 'Tu carrito',
     cart: cart.getSummary(),
+    notice: CART_NOTICES[req.query?.notice] || null,
+    error: COUPON_ERRORS[req.query?.error] || null,
   });
 }
 
+/**
+ * Producto activo listo para CartService.add (stock sin la reserva propia del usuario).
+ * Lo usan addToCart y "mover al carrito" de la wishlist (wishlist.controller.js).
+ * @param {object} req
+ * @param {string} id
+ * @returns {Promise<object|null>} null si no existe o no está activo
+ */
+export async function findSellableProduct(req, id) {
+  return withOwnHold(
+    await Product.findOne({ _id: id, active: true }).select(PRODUCT_FIELDS).lean().exec(),
+    await getHeldQtyByUser(req.userId),
+  );
+}
+
 /**
  * POST /cart/add/:id
  * Agrega una unidad (o qty indicada) de un producto activo con stock.
+ * Productos con variantes requieren `variantId` en el body (picker del detalle).
  */
 export async function addToCart(req, res) {
   const { id } = req.params;
   const qty = Number.isFinite(Number(req.body?.qty)) ? Math.trunc(Number(req.body.qty)) : 1;
 
-  const product = await Product.findOne({ _id: id, active: true })
-    .select('title price stock promoEnabled promoPct imageUrl active')
-    .exec();
+  const product = await findSellableProduct(req, id);
 
   if (!product) {
     req.flash?.('error', 'El producto no existe o no está disponible.');
@@ -88,11 +176,13 @@ export async function addToCart(req, res) {
 
   const cart = new CartService(req.session);
   try {
-    await cart.add(product, qty > 0 ? qty : 1);
+    await cart.add(product, qty > 0 ? qty : 1, bodyVariantId(req));
     req.flash?.('success', `Se agregó "${product.title}" al carrito.`);
   } catch (err) {
     if (err?.name === 'CartError') {
       req.flash?.('error', err.message);
+      // Sin variante elegida: volver al detalle para usar el picker
+      if (err.code === 'VARIANT_REQUIRED') return res.redirect(`/products/${id}`);
     } else {
       req.flash?.('error', 'No se pudo agregar al carrito.');
     }
@@ -113,12 +203,14 @@ export async function updateQty(req, res) {
 
   // Intentar refrescar con doc vigente (si existe) para capear por stock actual
   const fresh = await Product.findOne({ _id: id, active: true })
-    .select('title price stock promoEnabled promoPct imageUrl active')
+    .select(PRODUCT_FIELDS)
+    .lean()
     .exec()
+    .then(async (doc) => withOwnHold(doc, await getHeldQtyByUser(req.userId)))
     .catch(() => null);
 
   try {
-    await cart.setQty(id, qty, fresh || undefined);
+    await cart.setQty(id, qty, fresh || undefined, bodyVariantId(req));
     // Mensaje según acción
     if (qty < 1) {
       req.flash?.('success', 'Se eliminó el producto del carrito.');
@@ -140,10 +232,10 @@ export async function updateQty(req, res) {
  * POST /cart/remove/:id
  * Elimina una línea del carrito.
  */
-export function removeItem(req, res) {
+export async function removeItem(req, res) {
   const { id } = req.params;
   const cart = new CartService(req.session);
-  cart.remove(id);
+  await cart.remove(id, bodyVariantId(req));
   req.flash?.('success', 'Producto eliminado del carrito.');
   return res.redirect('/cart');
 }
@@ -152,10 +244,107 @@ export function removeItem(req, res) {
  * POST /cart/clear
  * Vacía el carrito por completo.
  */
-export function clearCart(req, res) {
+export async function clearCart(req, res) {
   const cart = new CartService(req.session);
-  cart.clear();
+  await cart.clear();
   req.flash?.('success', 'Carrito vacío.');
   // Tras vaciar, redirigir al catálogo
   return res.redirect('/');
 }
+
+/**
+ * POST /cart/coupon
+ * Valida el código (vigencia, fechas, límites) y lo aplica al carrito.
+ * Si no cumple las condiciones del carrito (mínimo, alcance), no queda aplicado.
+ * El resultado vuelve a /cart como ?notice= / ?error= (no hay middleware de flash).
+ */
+export async function applyCoupon(req, res) {
+  const code = req.body?.code;
+  const cart = new CartService(req.session);
+
+  try {
+    const coupon = await findApplicableCoupon(code, { userId: req.userId });
+    const result = await cart.setCoupon(toCartCoupon(coupon));
+    if (!result.applicable) {
+      await cart.removeCoupon();
+      return res.redirect('/cart?error=NOT_APPLICABLE');
+    }
+  } catch (err) {
+    if (err?.name !== 'CouponError') throw err;
+    return res.redirect(`/cart?error=${err.code}`);
+  }
+
+  return res.redirect('/cart?notice=coupon_applied');
+}
+
+/**
+ * POST /cart/coupon/remove
+ * Quita el cupón del carrito.
+ */
+export async function removeCoupon(req, res) {
+  const cart = new CartService(req.session);
+  await cart.removeCoupon();
+  return res.redirect('/cart?notice=coupon_removed');
+}
+
+/**
+ * Suma al carrito las líneas de una orden (acción "Reintentar pago" de /account/orders).
+ * No pisa el carrito: lo que ya tenía se conserva y cada línea de la orden queda con al
+ * menos su cantidad original. Usa precio y stock vigentes y vuelve a aplicar el cupón
+ * de la orden si sigue válido y el carrito no tenía otro.
+ * @param {object} req
+ * @param {object} order - Order lean (items, coupon)
+ * @returns {Promise<{ complete: boolean, merged: boolean }>} complete: false si alguna línea
+ *   o el cupón no se pudo restaurar; merged: el carrito ya tenía otros productos
+ */
+export async function restoreCartFromOrder(req, order) {
+  const cart = new CartService(req.session);
+  const items = order.items || [];
+  const sameLine = (line, item) =>
+    line.productId === String(item.productId) &&
+    String(line.variantId || '') === String(item.variantId || '');
+  const qtyInCart = (item) => cart.data.items.find((l) => sameLine(l, item))?.qty || 0;
+
+  const merged = cart.data.items.some((line) => !items.some((item) => sameLine(line, item)));
+
+  const ids = [...new Set(items.map((i) => String(i.productId)))];
+  const productsMap = await getProductsMap(ids, await getHeldQtyByUser(req.userId));
+
+  let complete = true;
+  for (const item of items) {
+    const product = productsMap.get(String(item.productId));
+    if (!product) {
+      complete = false;
+      continue;
+    }
+    const missing = item.qty - qtyInCart(item);
+    if (missing <= 0) continue;
+    try {
+      await cart.add(product, missing, item.variantId ? String(item.variantId) : null);
+    } catch (err) {
+      if (err?.name !== 'CartError') throw err;
+      complete = false;
+    }
+  }
+
+  // add() recorta al stock disponible: si alguna línea quedó con menos unidades, avisar
+  if (items.some((item) => qtyInCart(item) < item.qty)) complete = false;
+
+  const currentCode = cart.data.coupon?.code || null;
+  if (order.coupon?.code && currentCode && currentCode !== order.coupon.code) {
+    // El carrito ya tenía otro cupón: se respeta y se pide revisar antes de pagar
+    complete = false;
+  } else if (order.coupon?.code) {
+    try {
+      const coupon = await findApplicableCoupon(order.coupon.code, { userId: req.userId });
+      const result = await cart.setCoupon(toCartCoupon(coupon));
+      if (!result.applicable) throw new CouponError(result.reason, 'NOT_APPLICABLE');
+    } catch (err) {
+      if (err?.name !== 'CouponError') throw err;
+      await cart.removeCoupon();
+      complete = false;
+    }
+  }
+
+  return { complete, merged };
+}
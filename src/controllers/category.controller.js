@@ -1,5 +1,8 @@
 // src/controllers/category.controller.js
+// ABM de categorías (admin). Altas, ediciones, activación y bajas quedan en la auditoría.
 import Category from '../models/Category.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { recordAudit } from '../services/audit.service.js';
 
 function collectCategoryPayload(body) {
   const name = (body?.name || '').trim();
@@ -57,7 +60,13 @@ export async function createCategory(req, res) {
   }
 
   try {
-    await Category.create(data);
+    const cat = await Category.create(data);
+    await recordAudit(
+      req,
+      AUDIT_ACTIONS.CATEGORY_CREATE,
+      { id: cat._id, label: cat.name },
+      { after: cat.toObject() },
+    );
     req.flash?.('success', 'Categoría creada');
     if (returnTo) return res.redirect(returnTo); // <<---
     return res.redirect('/admin/categories');
@@ -110,8 +119,15 @@ export async function updateCategory(req, res) {
     });
   }
 
+  const before = exists.toObject();
   exists.set(data);
   await exists.save();
+  await recordAudit(
+    req,
+    AUDIT_ACTIONS.CATEGORY_UPDATE,
+    { id: exists._id, label: exists.name },
+    { before, after: exists.toObject() },
+  );
   req.flash?.('success', 'Categoría actualizada');
   if (returnTo) return res.redirect(returnTo); // <<---
   res.redirect('/admin/categories');
@@ -127,6 +143,12 @@ export async function toggleActive(req, res) {
   }
   cat.active = !cat.active;
   await cat.save();
+  await recordAudit(
+    req,
+    AUDIT_ACTIONS.CATEGORY_TOGGLE,
+    { id: cat._id, label: cat.name },
+    { before: { active: !cat.active }, after: { active: cat.active } },
+  );
   req.flash?.('success', `Categoría ${cat.active ? 'activada' : 'desactivada'}`);
   res.redirect('/admin/categories');
 }
@@ -140,6 +162,12 @@ export async function deleteCategory(req, res) {
     return res.redirect('/admin/categories');
   }
   await cat.deleteOne();
+  await recordAudit(
+    req,
+    AUDIT_ACTIONS.CATEGORY_DELETE,
+    { id: cat._id, label: cat.name },
+    { before: cat.toObject() },
+  );
   req.flash?.('success', 'Categoría eliminada');
   res.redirect('/admin/categories');
 }
@@ -0,0 +1,152 @@
+// src/controllers/coupon.controller.js
+// -----------------------------------------------------------------------------
+// Admin de cupones: listar, crear y activar/desactivar.
+// Rutas (routes/admin/coupons.js, protegidas con requirePermission('coupons:write')):
+//   GET  /admin/coupons             -> listCoupons
+//   POST /admin/coupons             -> createCoupon
+//   POST /admin/coupons/:id/toggle  -> toggleCoupon
+// -----------------------------------------------------------------------------
+import Coupon, { COUPON_TYPES } from '../models/Coupon.js';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+
+const TYPE_LABELS = {
+  [COUPON_TYPES.PERCENT]: 'Porcentaje',
+  [COUPON_TYPES.FIXED]: 'Monto fijo',
+  [COUPON_TYPES.FREE_SHIPPING]: 'Envío gratis',
+};
+
+/** Número opcional del form: '' → null */
+function optionalNumber(v) {
+  if (v === undefined || v === null || String(v).trim() === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Fecha opcional (YYYY-MM-DD) del form: '' → null; `endOfDay` para vencimientos */
+function optionalDate(v, endOfDay = false) {
+  if (!v) return null;
+  const d = new Date(`${v}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/** Normaliza un campo de form que puede venir como string o array */
+function toArray(v) {
+  if (v === undefined || v === null || v === '') return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+/**
+ * Arma el payload del cupón desde el form. Los productos se indican por SKU
+ * (separados por coma) y se resuelven a IDs.
+ */
+async function collectCouponPayload(body = {}) {
+  const errors = {};
+  const type = Object.values(COUPON_TYPES).includes(body.type) ? body.type : null;
+  if (!type) errors.type = 'Tipo inválido';
+
+  const skus = String(body.skus || '')
+    .split(',')
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+  const products = skus.length ? await Product.find({ sku: { $in: skus } }, '_id sku').lean() : [];
+  const missing = skus.filter((sku) => !products.some((p) => p.sku === sku));
+  if (missing.length) errors.skus = `SKU inexistente: ${missing.join(', ')}`;
+
+  const data = {
+    code: String(body.code || '')
+      .trim()
+      .toUpperCase(),
+    description: String(body.description || '').trim(),
+    type,
+    value: type === COUPON_TYPES.FREE_SHIPPING ? 0 : optionalNumber(body.value) || 0,
+    minSubtotal: optionalNumber(body.minSubtotal) || 0,
+    productIds: products.map((p) => p._id),
+    categoryIds: toArray(body.categoryIds),
+    startsAt: optionalDate(body.startsAt),
+    expiresAt: optionalDate(body.expiresAt, true),
+    maxUses: optionalNumber(body.maxUses),
+    maxUsesPerUser: optionalNumber(body.maxUsesPerUser),
+    active: body.active === 'on' || body.active === true,
+  };
+
+  if (type && type !== COUPON_TYPES.FREE_SHIPPING && !(data.value > 0)) {
+    errors.value = 'El valor debe ser mayor a 0';
+  }
+  return { data, errors };
+}
+
+// Resultado de alta/activación (?done= / ?error=): no hay middleware de flash
+const COUPON_NOTICES = Object.freeze({
+  created: 'Cupón creado.',
+  activated: 'Cupón activado.',
+  deactivated: 'Cupón desactivado.',
+});
+const COUPON_ERRORS = Object.freeze({
+  NOT_FOUND: 'Cupón no encontrado.',
+});
+
+/** Renderiza el listado + form de alta (con errores si los hay) */
+async function renderList(
+  res,
+  { form = {}, errors = null, status = 200, notice = null, error = null } = {},
+) {
+  const [items, categories] = await Promise.all([
+    Coupon.find().sort({ createdAt: -1 }).lean(),
+    Category.find({ active: true }).sort({ name: 1 }).select('name').lean(),
+  ]);
+  return res.status(status).render('admin/coupons', {
+    title: 'Cupones',
+    items: items.map((c) => ({ ...c, typeLabel: TYPE_LABELS[c.type] || c.type })),
+    categories,
+    types: Object.entries(TYPE_LABELS).map(([value, label]) => ({ value, label })),
+    form,
+    errors,
+    notice,
+    error,
+  });
+}
+
+// GET /admin/coupons
+export async function listCoupons(req, res) {
+  return renderList(res, {
+    form: { active: true, type: COUPON_TYPES.PERCENT },
+    notice: COUPON_NOTICES[req.query?.done] || null,
+    error: COUPON_ERRORS[req.query?.error] || null,
+  });
+}
+
+// POST /admin/coupons
+export async function createCoupon(req, res) {
+  const { data, errors } = await collectCouponPayload(req.body);
+  const form = { ...req.body, active: data.active };
+
+  if (Object.keys(errors).length) {
+    return renderList(res, { form, errors, status: 422 });
+  }
+
+  try {
+    await Coupon.create(data);
+  } catch (err) {
+    if (err?.code === 11000) {
+      return renderList(res, { form, errors: { code: 'Código duplicado' }, status: 400 });
+    }
+    if (err?.name === 'ValidationError') {
+      const fieldErrors = {};
+      for (const [k, v] of Object.entries(err.errors)) fieldErrors[k] = v.message;
+      return renderList(res, { form, errors: fieldErrors, status: 422 });
+    }
+    throw err;
+  }
+
+  return res.redirect('/admin/coupons?done=created');
+}
+
+// POST /admin/coupons/:id/toggle
+export async function toggleCoupon(req, res) {
+  const coupon = await Coupon.findById(req.params.id).exec();
+  if (!coupon) return res.redirect('/admin/coupons?error=NOT_FOUND');
+  coupon.active = !coupon.active;
+  await coupon.save();
+  return res.redirect(`/admin/coupons?done=${coupon.active ? 'activated' : 'deactivated'}`);
+}
@@ -6,12 +6,31 @@
 // Soporta:
 // - FORM HTML (POST clásico): 303 Location → MP
 // - FETCH/AJAX (Accept: application/json): JSON { url, init_point, sandbox_init_point, ... }
+// - Webhook server-to-server (POST /webhooks/mp) con firma x-signature.
+// - startCheckout(): el mismo flujo para la API (POST /api/v1/checkout).
 //
 // En dev usa sandbox; en prod usa init_point.
 
 import crypto from 'crypto';
-import Order from '../models/Order.js';
-import { createPreference } from '../services/mp.service.js';
+import mongoose from 'mongoose';
+import Order, { isPaidStatus } from '../models/Order.js';
+import { User } from '../models/index.js';
+import { config } from '../config/env.js';
+import { createPreference, verifyWebhookSignature } from '../services/mp.service.js';
+import { reconcilePayment } from '../services/payment.service.js';
+import { reserveOrderStock, releaseOrderStock } from '../services/stock.service.js';
+import {
+  CouponError,
+  claimCouponUse,
+  findApplicableCoupon,
+  toCartCoupon,
+} from '../services/coupon.service.js';
+import { resolveShippingOption, toOrderShipping } from '../services/shipping.service.js';
+import CartService, { CartError } from '../services/cart.service.js';
+import { clearSavedCart } from '../services/cart-store.service.js';
+import { transitionOrder } from '../services/order-status.service.js';
+import { notifyOrderEvent } from '../services/notification.service.js';
+import { refreshCart } from './cart.controller.js';
 
 /** Detecta si el request espera JSON (fetch/AJAX) */
 function wantsJson(req) {
@@ -20,42 +39,71 @@ function wantsJson(req) {
   return accept.includes('application/json') || xrw === 'xmlhttprequest';
 }
 
-/** Mapea query params de retorno de MP */
+/** Mapea query params de retorno de MP (solo identificadores: el status NO es confiable) */
 function getMpReturnParams(req) {
   const q = req.query || {};
   return {
     paymentId: (q.payment_id ?? q.collection_id)?.toString() || undefined,
-    status: (q.status ?? q.collection_status)?.toString() || undefined,
     preferenceId: q.preference_id?.toString() || undefined,
     externalReference: q.external_reference?.toString() || undefined,
     merchantOrderId: q.merchant_order_id?.toString() || undefined,
   };
 }
 
+/** Líneas del carrito con lo que se cobra (cantidad y precio final unitario) */
+function cartLinesSignature(cart) {
+  return JSON.stringify(
+    (cart?.items || []).map((i) => [i.productId, i.variantId || null, i.qty, i.unitFinalCents]),
+  );
+}
+
 /** Firma estable del carrito + envío para detectar cambios */
 function computeCartHash({ cart, shippingMethod, shippingFee }) {
   const payload = {
     items: (cart.items || []).map((i) => ({
       productId: i.productId || null,
+      variantId: i.variantId || null,
       title: i.title,
       price: Number(i.price) || 0,
       qty: Number(i.qty) || 0,
     })),
+    coupon: cart.coupon?.applicable ? cart.coupon.code : null,
+    couponDiscount: Number(cart.couponDiscount) || 0,
   };
   const json = JSON.stringify({ payload, shippingMethod, shippingFee });
   return crypto.createHash('sha256').update(json).digest('hex');
 }
 
-/** Crea o reutiliza una orden "created" según el cartHash (idempotencia) */
-async function getOrCreateOrderFromCart({ userId, cart, body }) {
-  const shippingMethod = body?.shippingMethod === 'delivery' ? 'delivery' : 'pickup';
-  const shippingFee = shippingMethod === 'delivery' ? 2000 : 0;
+/** Dirección guardada del usuario (null si no se eligió o no le pertenece) */
+async function findUserAddress(userId, addressId) {
+  if (!addressId || !mongoose.Types.ObjectId.isValid(addressId)) return null;
+  const user = await User.findOne(
+    { _id: userId, 'addresses._id': addressId },
+    { 'addresses.$': 1 },
+  ).lean();
+  return user?.addresses?.[0] || null;
+}
+
+/**
+ * Crea o reutiliza una orden "created" según el cartHash (idempotencia).
+ * `shipping` es la opción ya recotizada (shipping.service.js) y se congela en la orden.
+ */
+async function getOrCreateOrderFromCart({ userId, cart, shipping, address }) {
+  const coupon = cart.coupon?.applicable ? cart.coupon : null;
+  const shippingSnapshot = toOrderShipping(shipping, address);
+  const shippingMethod = shipping.kind;
+  const shippingFee = shipping.fee;
+  const shippingAddressId = shippingSnapshot.address ? address._id : null;
 
   const items = (cart.items || []).map((i) => {
-    const price = Number(i.price) || 0;
+    // Precio efectivamente cobrado (con promo si aplica): debe coincidir con lo que cobra MP
+    const price = Number(i.promoPrice ?? i.price) || 0;
     const qty = Number(i.qty) || 0;
     return {
       productId: i.productId,
+      variantId: i.variantId || null,
+      sku: i.variantSku || null,
+      variantLabel: i.variantLabel || '',
       title: i.title,
       price,
       qty,
@@ -70,8 +118,19 @@ async function getOrCreateOrderFromCart({ userId, cart, body }) {
   const baseTotal = Number((cart.total ?? subtotal - discount).toFixed(2));
   const total = Number((baseTotal + shippingFee).toFixed(2));
 
+  // Snapshot del cupón (ya revalidado en postCheckout)
+  const couponSnapshot = coupon
+    ? {
+        couponId: coupon.couponId,
+        code: coupon.code,
+        type: coupon.type,
+        discount: Number(cart.couponDiscount) || 0,
+        freeShipping: !!coupon.freeShipping,
+      }
+    : null;
+
   // 1) Firmar carrito actual
-  const cartHash = computeCartHash({ cart, shippingMethod, shippingFee });
+  const cartHash = computeCartHash({ cart, shippingMethod: shipping.code, shippingFee });
 
   // 2) Buscar "created" más reciente del usuario
   const now = new Date();
@@ -88,20 +147,28 @@ async function getOrCreateOrderFromCart({ userId, cart, body }) {
     open.discount = discount;
     open.shippingFee = shippingFee;
     open.shippingMethod = shippingMethod;
-    open.shippingAddressId = body?.addressId || body?.shippingAddressId || null;
+    open.shippingAddressId = shippingAddressId;
+    open.shipping = shippingSnapshot;
     open.total = total;
     open.items = items;
+    // conservar "claimed" si la orden ya ocupaba un uso del cupón
+    if (couponSnapshot) open.coupon = { ...couponSnapshot, claimed: !!open.coupon?.claimed };
     await open.save();
     return { order: open, shippingMethod, shippingFee, cartHash };
   }
 
-  // 4) Si había una "created" pero cambió el carrito o venció → marcarla
+  // 4) Si había una "created" pero cambió el carrito o venció → marcarla y liberar su stock
   if (open && (isExpired || open.cartHash !== cartHash)) {
     try {
-      open.status = isExpired ? 'expired' : 'abandoned';
-      await open.save();
+      const closedReason = isExpired ? 'payment_window_elapsed' : 'cart_changed';
+      // transitionOrder registra el historial y libera la reserva
+      await transitionOrder(open._id, isExpired ? 'expired' : 'abandoned', {
+        source: 'system',
+        note: closedReason,
+        set: { closedAt: now, closedReason },
+      });
     } catch (e) {
-      // si aún no agregaste esos estados en el schema, simplemente seguí
+      console.error('[checkout] No se pudo cerrar la orden previa:', String(open._id), e?.message);
     }
   }
 
@@ -113,6 +180,7 @@ async function getOrCreateOrderFromCart({ userId, cart, body }) {
     subtotal,
     discount,
     total,
+    coupon: couponSnapshot,
     status: 'created',
     // extras para idempotencia y métricas
     cartHash,
@@ -122,8 +190,10 @@ async function getOrCreateOrderFromCart({ userId, cart, body }) {
     // envío
     shippingMethod,
     shippingFee,
-    shippingAddressId: body?.addressId || body?.shippingAddressId || null,
+    shippingAddressId,
+    shipping: shippingSnapshot,
   });
+  await notifyOrderEvent(order, 'created');
 
   return { order, shippingMethod, shippingFee, cartHash };
 }
@@ -133,12 +203,108 @@ async function updateOrderMpFields(orderId, patch) {
   return Order.findByIdAndUpdate(orderId, patch, { new: true });
 }
 
+/**
+ * Inicia el pago del carrito de la sesión. Núcleo de POST /checkout y de la API
+ * (POST /api/v1/checkout):
+ * - Refresca precios/stock del carrito (CartError CART_CHANGED si algo cambió)
+ * - Revalida el cupón del carrito (vigencia, límites, condiciones)
+ * - Recotiza el envío elegido para la dirección (ShippingError si ya no está disponible)
+ * - REUSA o crea Order (idempotente por cartHash)
+ * - Reserva stock (updates condicionales; StockError si no alcanza)
+ * - Reclama un uso del cupón (CouponError si se agotó)
+ * - Crea Preferencia en MP (external_reference = order._id) y guarda mpPreferenceId
+ *
+ * @param {object} req - con usuario en sesión y carrito no vacío (lo valida quien llama)
+ * @param {object} [opts]
+ * @param {string} [opts.addressId] - dirección guardada del usuario
+ * @param {string} [opts.shippingMethod] - código de la opción de envío cotizada
+ * @returns {Promise<{ order: object, preference: object, shipping: object, url: string }>}
+ *   url: checkout de MP (sandbox en dev, init_point en prod)
+ * @throws {CartError|StockError|CouponError|ShippingError}
+ */
+export async function startCheckout(req, { addressId, shippingMethod } = {}) {
+  const sessionUser = req.session?.user || null;
+  const userId = sessionUser?._id || sessionUser?.id;
+
+  // 0) Precios y stock vigentes: el carrito guardado puede tener días (promo vencida,
+  //    precio nuevo). Si alguna línea cambió, se corta para que el comprador lo revise.
+  const snapshot = cartLinesSignature(req.session.cart);
+  await refreshCart(req);
+  if (cartLinesSignature(req.session.cart) !== snapshot) {
+    throw new CartError(
+      'Cambiaron precios o stock de tu carrito. Revisalo antes de pagar.',
+      'CART_CHANGED',
+    );
+  }
+  let cart = req.session.cart;
+
+  // 0a) Revalidar el cupón: pudo vencer o agotarse desde que se aplicó al carrito, o
+  //    dejar de ser pagable (un descuento que cubre todo el carrito no aplica). Todo
+  //    antes de reservar stock y reclamar el uso del cupón.
+  if (cart.coupon) {
+    const cartService = new CartService(req.session);
+    try {
+      const coupon = await findApplicableCoupon(cart.coupon.code, { userId });
+      const result = await cartService.setCoupon(toCartCoupon(coupon));
+      if (!result.applicable) {
+        throw new CouponError(
+          result.reason || 'El cupón no aplica a este carrito.',
+          'NOT_APPLICABLE',
+        );
+      }
+    } catch (err) {
+      if (err?.name === 'CouponError') await cartService.removeCoupon();
+      throw err;
+    }
+    cart = cartService.data;
+  }
+
+  // 0b) Cotizar el envío en el servidor: la tarifa del form no es confiable
+  const address = await findUserAddress(userId, addressId);
+  const shipping = await resolveShippingOption({ cart, address, methodCode: shippingMethod });
+
+  // 1) Obtener o crear Order idempotente (congela la cotización del envío)
+  const { order } = await getOrCreateOrderFromCart({ userId, cart, shipping, address });
+
+  // 2) Reservar stock hasta order.expiresAt (idempotente si ya estaba reservada).
+  //    Si no alcanza → StockError 409 (sin preferencia de MP).
+  await reserveOrderStock(order);
+
+  // 2b) Ocupar un uso del cupón; si se agotó, devolver la reserva recién tomada
+  try {
+    await claimCouponUse(order);
+  } catch (err) {
+    await releaseOrderStock(order._id, 'coupon_unavailable');
+    await new CartService(req.session).removeCoupon();
+    throw err;
+  }
+
+  // 3) Crear preferencia en MP (external_reference = orderId). El monto cobrado
+  //    debe ser exactamente order.total (se valida al conciliar el pago).
+  const pref = await createPreference(cart, order._id.toString(), {
+    shippingFee: order.shippingFee,
+    shippingTitle: order.shipping?.name,
+    discount: order.coupon?.discount || 0,
+    couponCode: order.coupon?.code,
+  });
+
+  // 4) Persistir mpPreferenceId + externalReference
+  await updateOrderMpFields(order._id, {
+    mpPreferenceId: pref.id,
+    externalReference: String(order._id),
+  });
+
+  // 5) URL de destino (sandbox en dev, init_point en prod)
+  const isProd = process.env.NODE_ENV === 'production';
+  const url = isProd ? pref.init_point : pref.sandbox_init_point || pref.init_point;
+
+  return { order, preference: pref, shipping, url };
+}
+
 /**
  * POST /checkout
  * - Valida sesión y carrito
- * - REUSA o crea Order (idempotente por cartHash)
- * - Crea Preferencia en MP (external_reference = order._id)
- * - Guarda mpPreferenceId
+ * - Inicia el pago (startCheckout)
  * - Responde:
  *   • FORM → 303 Location a MP
  *   • AJAX → JSON { url, init_point, sandbox_init_point, orderId, preferenceId }
@@ -159,25 +325,12 @@ export async function postCheckout(req, res, next) {
         : res.redirect('/cart');
     }
 
-    // 1) Obtener o crear Order idempotente
-    const { order, shippingMethod } = await getOrCreateOrderFromCart({
-      userId,
-      cart,
-      body: req.body,
-    });
-
-    // 2) Crear preferencia en MP (external_reference = orderId)
-    const pref = await createPreference(cart, order._id.toString());
-
-    // 3) Persistir mpPreferenceId + externalReference
-    await updateOrderMpFields(order._id, {
-      mpPreferenceId: pref.id,
-      externalReference: String(order._id),
+    const checkout = await startCheckout(req, {
+      addressId: req.body?.addressId,
+      shippingMethod: req.body?.shippingMethod,
     });
-
-    // 4) URL de destino (sandbox en dev, init_point en prod)
+    const { order, preference: pref, shipping, url } = checkout;
     const isProd = process.env.NODE_ENV === 'production';
-    const url = isProd ? pref.init_point : pref.sandbox_init_point || pref.init_point;
 
     console.log('[checkout][POST] order:', String(order._id));
     console.log('[checkout][POST] preferenceId:', pref?.id);
@@ -185,7 +338,7 @@ export async function postCheckout(req, res, next) {
       '[checkout][POST] method:',
       isAjax ? 'AJAX/JSON' : 'FORM/303',
       'shipping:',
-      shippingMethod,
+      shipping.code,
     );
     console.log('[checkout][POST] redirect to:', url);
 
@@ -216,41 +369,114 @@ export async function postCheckout(req, res, next) {
 </body>
 </html>`);
   } catch (err) {
+    if (['CartError', 'StockError', 'CouponError', 'ShippingError'].includes(err?.name)) {
+      if (wantsJson(req)) return res.status(409).json({ error: err.message, code: err.code });
+      if (err.code === 'CART_CHANGED') return res.redirect('/cart?notice=cart_changed');
+      // Sin middleware de flash: el motivo viaja como ?error=<código> y lo muestra la página
+      if (err.name === 'CouponError') return res.redirect(`/cart?error=${err.code}`);
+      if (err.name === 'ShippingError') return res.redirect(`/checkout?error=${err.code}`);
+      return next(err);
+    }
     console.error('[postCheckout] Error:', err);
     if (wantsJson(req)) return res.status(500).json({ error: 'No se pudo iniciar el checkout' });
     return next(err);
   }
 }
 
-/** GET /checkout/success — marca approved si aplica y limpia carrito */
-export async function getCheckoutSuccess(req, res) {
-  const { paymentId, status, preferenceId, externalReference } = getMpReturnParams(req);
+/**
+ * Resuelve una return URL de MP SIN confiar en el query string:
+ * - Ubica la orden por external_reference / preference_id (solo para identificarla).
+ * - Si viene payment_id, consulta el pago al proveedor (payment.service) y concilia:
+ *   el estado solo cambia si el pago pertenece a la orden y el monto coincide.
+ * - Un `status=approved` tipeado a mano no tiene ningún efecto.
+ * - La orden tiene que ser del usuario en sesión: el external_reference viaja en la URL
+ *   y no alcanza para ver el pedido ni vaciar su carrito (reason 'not_owner').
+ */
+async function resolveCheckoutReturn(req) {
+  const { paymentId, preferenceId, externalReference } = getMpReturnParams(req);
+
+  let order = null;
+  if (externalReference && mongoose.Types.ObjectId.isValid(externalReference)) {
+    order = await Order.findById(externalReference);
+  }
+  if (!order && preferenceId) {
+    order = await Order.findOne({ mpPreferenceId: preferenceId });
+  }
+
+  if (!order) return { order: null, payment: null, reason: 'order_not_found' };
+  if (!req.userId || String(order.userId) !== String(req.userId)) {
+    return { order: null, payment: null, reason: 'not_owner' };
+  }
+  if (!paymentId) return { order, payment: null, reason: 'missing_payment_id' };
+
   try {
-    const order =
-      (externalReference && (await Order.findById(externalReference))) ||
-      (preferenceId && (await Order.findOne({ mpPreferenceId: preferenceId })));
+    const result = await reconcilePayment(paymentId, { orderId: order._id, source: 'return_url' });
+    if (!result.verified) {
+      console.warn('[checkout][return] pago no verificado:', paymentId, result.reason);
+    }
+    return { order: result.order || order, payment: result.payment, reason: result.reason };
+  } catch (err) {
+    console.error('[checkout][return] Error al consultar el pago', paymentId, err?.message || err);
+    return { order, payment: null, reason: 'provider_error' };
+  }
+}
+
+/** Mensaje del retorno sin orden visible (no encontrada o de otra cuenta) */
+function orderNotFoundMessage(reason, fallback) {
+  return reason === 'not_owner'
+    ? 'Iniciá sesión con la cuenta con la que hiciste la compra para ver el estado del pedido.'
+    : fallback;
+}
+
+/**
+ * Renderiza el resultado según el estado PERSISTIDO de la orden
+ * (que solo modifican el proveedor de pagos, el webhook o un admin).
+ * @param {'success'|'pending'|'failure'} requested - return URL por la que volvió MP
+ */
+async function renderCheckoutResult(req, res, { order, payment }, requested) {
+  const mp = {
+    paymentId: payment?.id || order.mpPaymentId || undefined,
+    preferenceId: order.mpPreferenceId || undefined,
+    status: payment?.status || undefined,
+  };
 
-    if (!order) {
+  if (isPaidStatus(order.status)) {
+    // Vaciar el carrito de la sesión y el guardado (puede volver en otra sesión/dispositivo).
+    // resolveCheckoutReturn ya descartó órdenes de otra cuenta.
+    req.session.cart = null;
+    await clearSavedCart(order.userId);
+    return res.render('checkout/success', { title: 'Pago aprobado', order, mp });
+  }
+
+  if (['rejected', 'cancelled'].includes(order.status) || requested === 'failure') {
+    return res.render('checkout/failure', { title: 'Pago rechazado', order, mp });
+  }
+
+  return res.render('checkout/pending', {
+    title: 'Pago pendiente',
+    order,
+    mp,
+    message:
+      requested === 'success'
+        ? 'Todavía no recibimos la confirmación de Mercado Pago. Te avisamos apenas se acredite.'
+        : undefined,
+  });
+}
+
+/** GET /checkout/success — verifica el pago con el proveedor y limpia carrito si se aprobó */
+export async function getCheckoutSuccess(req, res) {
+  try {
+    const resolved = await resolveCheckoutReturn(req);
+    if (!resolved.order) {
       return res.status(404).render('checkout/failure', {
         title: 'Pago - Orden no encontrada',
-        message: 'No pudimos identificar la orden asociada al pago.',
+        message: orderNotFoundMessage(
+          resolved.reason,
+          'No pudimos identificar la orden asociada al pago.',
+        ),
       });
     }
-
-    const newStatus = status === 'approved' ? 'approved' : order.status;
-    const patched = await updateOrderMpFields(order._id, {
-      mpPaymentId: paymentId || order.mpPaymentId,
-      mpPreferenceId: preferenceId || order.mpPreferenceId,
-      status: newStatus,
-    });
-
-    if (newStatus === 'approved') req.session.cart = null;
-
-    return res.render('checkout/success', {
-      title: 'Pago aprobado',
-      order: patched,
-      mp: { paymentId, preferenceId, status },
-    });
+    return renderCheckoutResult(req, res, resolved, 'success');
   } catch (err) {
     console.error('[getCheckoutSuccess] Error:', err);
     return res.status(500).render('checkout/failure', {
@@ -260,32 +486,20 @@ export async function getCheckoutSuccess(req, res) {
   }
 }
 
-/** GET /checkout/pending — marca pending */
+/** GET /checkout/pending — verifica el pago con el proveedor */
 export async function getCheckoutPending(req, res) {
-  const { paymentId, status, preferenceId, externalReference } = getMpReturnParams(req);
   try {
-    const order =
-      (externalReference && (await Order.findById(externalReference))) ||
-      (preferenceId && (await Order.findOne({ mpPreferenceId: preferenceId })));
-
-    if (!order) {
+    const resolved = await resolveCheckoutReturn(req);
+    if (!resolved.order) {
       return res.status(404).render('checkout/failure', {
         title: 'Pago - Orden no encontrada',
-        message: 'No encontramos la orden asociada al pago pendiente.',
+        message: orderNotFoundMessage(
+          resolved.reason,
+          'No encontramos la orden asociada al pago pendiente.',
+        ),
       });
     }
-
-    const patched = await updateOrderMpFields(order._id, {
-      mpPaymentId: paymentId || order.mpPaymentId,
-      mpPreferenceId: preferenceId || order.mpPreferenceId,
-      status: 'pending',
-    });
-
-    return res.render('checkout/pending', {
-      title: 'Pago pendiente',
-      order: patched,
-      mp: { paymentId, preferenceId, status },
-    });
+    return renderCheckoutResult(req, res, resolved, 'pending');
   } catch (err) {
     console.error('[getCheckoutPending] Error:', err);
     return res.status(500).render('checkout/failure', {
@@ -295,33 +509,20 @@ export async function getCheckoutPending(req, res) {
   }
 }
 
-/** GET /checkout/failure — marca rejected si la identificamos */
+/** GET /checkout/failure — verifica el pago con el proveedor (marca rejected solo si MP lo confirma) */
 export async function getCheckoutFailure(req, res) {
-  const { paymentId, status, preferenceId, externalReference } = getMpReturnParams(req);
   try {
-    const order =
-      (externalReference && (await Order.findById(externalReference))) ||
-      (preferenceId && (await Order.findOne({ mpPreferenceId: preferenceId })));
-
-    if (!order) {
+    const resolved = await resolveCheckoutReturn(req);
+    if (!resolved.order) {
       return res.render('checkout/failure', {
         title: 'Pago rechazado',
-        message:
+        message: orderNotFoundMessage(
+          resolved.reason,
           'No pudimos identificar tu orden, pero el intento de pago fue rechazado. Podés volver a intentarlo.',
+        ),
       });
     }
-
-    const patched = await updateOrderMpFields(order._id, {
-      mpPaymentId: paymentId || order.mpPaymentId,
-      mpPreferenceId: preferenceId || order.mpPreferenceId,
-      status: 'rejected',
-    });
-
-    return res.render('checkout/failure', {
-      title: 'Pago rechazado',
-      order: patched,
-      mp: { paymentId, preferenceId, status },
-    });
+    return renderCheckoutResult(req, res, resolved, 'failure');
   } catch (err) {
     console.error('[getCheckoutFailure] Error:', err);
     return res.status(500).render('checkout/failure', {
@@ -330,3 +531,63 @@ export async function getCheckoutFailure(req, res) {
     });
   }
 }
+
+/** Extrae el ID del recurso notificado (webhook nuevo o IPN legacy) */
+function getWebhookResource(req) {
+  const q = req.query || {};
+  const b = req.body || {};
+  const type = (q.type ?? q.topic ?? b.type ?? b.topic)?.toString() || '';
+  const dataId = (q['data.id'] ?? b.data?.id ?? q.id)?.toString() || '';
+  return { type, dataId };
+}
+
+/**
+ * POST /webhooks/mp — notificación server-to-server de Mercado Pago.
+ * - Valida x-signature (HMAC con MP_WEBHOOK_SECRET). Sin secreto solo se acepta fuera de prod.
+ * - Solo procesa notificaciones de tipo "payment"; el resto se confirma y se ignora.
+ * - Concilia el pago con la Order (idempotente: reintentos de MP no duplican cambios).
+ * - Responde 200 rápido; 5xx solo si falló la consulta/actualización (MP reintenta).
+ */
+export async function postWebhookMp(req, res) {
+  const { type, dataId } = getWebhookResource(req);
+
+  if (config.mpWebhookSecret) {
+    const valid = verifyWebhookSignature({
+      xSignature: req.get('x-signature'),
+      xRequestId: req.get('x-request-id'),
+      dataId: req.query?.['data.id']?.toString(),
+      secret: config.mpWebhookSecret,
+    });
+    if (!valid) {
+      console.warn('[webhook][mp] firma inválida. type:', type, 'id:', dataId);
+      return res.status(401).json({ ok: false, error: 'invalid_signature' });
+    }
+  } else if (config.isProd) {
+    console.error('[webhook][mp] MP_WEBHOOK_SECRET no configurado; notificación rechazada');
+    return res.status(401).json({ ok: false, error: 'webhook_secret_missing' });
+  }
+
+  if (type !== 'payment' || !dataId) {
+    return res.status(200).json({ ok: true, ignored: true });
+  }
+
+  try {
+    const result = await reconcilePayment(dataId, { source: 'webhook' });
+    console.log(
+      '[webhook][mp] payment:',
+      dataId,
+      'status:',
+      result.payment?.status,
+      'result:',
+      result.reason,
+    );
+    return res.status(200).json({
+      ok: true,
+      changed: result.changed,
+      reason: result.reason,
+    });
+  } catch (err) {
+    console.error('[webhook][mp] Error al conciliar pago', dataId, err?.message || err);
+    return res.status(500).json({ ok: false, error: 'reconcile_failed' });
+  }
+}
@@ -4,7 +4,7 @@
 // Requiere el modelo Product y el servicio de imágenes Cloudinary.
 //
 // Acciones exportadas:
-// - upload (multer en memoria) -> para usar en la ruta con upload.single('image')
+// - upload (multer en memoria) / uploadGallery (upload.array('images') con tope de galería)
 // - listProducts (GET /admin/products)
 // - renderNewForm (GET /admin/products/new)
 // - createProduct (POST /admin/products)
@@ -12,23 +12,56 @@
 // - updateProduct (POST/PUT /admin/products/:id)
 // - toggleFlag (POST /admin/products/:id/toggle/:flag)
 // - deleteProduct (POST/DELETE /admin/products/:id)
+// Las acciones que modifican datos dejan registro en la auditoría (services/audit.service.js).
+// Públicas: listPublic (catálogo con búsqueda y facetas), detail / renderDetail (detalle +
+// reseñas aprobadas).
 // -----------------------------------------------------------------------------
 
+import mongoose from 'mongoose';
 import multer from 'multer';
-import Product from '../models/Product.js';
+import Product, {
+  MAX_PRODUCT_IMAGES,
+  getAvailableStock,
+  hasVariants,
+  legacyCoverImage,
+  resolveVariant,
+} from '../models/Product.js';
 import Category from '../models/Category.js';
+import Review from '../models/Review.js';
+import StockSubscription from '../models/StockSubscription.js';
+import { User } from '../models/index.js';
+import { getProductReviews } from '../services/review.service.js';
+import { getWishlistIds } from '../services/wishlist.service.js';
 import {
-  uploadImage,
-  replaceImage,
-  destroyImage,
-  isUsingCloudinary,
-} from '../services/image.service.js';
+  buildTextFilter,
+  buildFacetFilter,
+  getSearchFacets,
+  suggestQuery,
+  recordSearchQuery,
+} from '../services/search.service.js';
+import { hasPendingStockAlert, notifyBackInStock } from '../services/stock-alert.service.js';
+import { uploadImage, destroyImages, isUsingCloudinary } from '../services/image.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
 
 // -----------------------------
 // Multer en memoria (input name="image")
 // -----------------------------
 export const upload = multer({ storage: multer.memoryStorage() });
 
+// Galería: input name="images" multiple; pasar el tope es un 400, no un 500
+export function uploadGallery(req, res, next) {
+  upload.array('images', MAX_PRODUCT_IMAGES)(req, res, (err) => {
+    if (err?.name === 'MulterError') {
+      err.status = 400;
+      if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+        err.message = `Podés subir hasta ${MAX_PRODUCT_IMAGES} imágenes por producto`;
+      }
+    }
+    next(err);
+  });
+}
+
 // -----------------------------
 // Helpers de validación y parsing
 // -----------------------------
@@ -45,12 +78,17 @@ function clampPct(n) {
   return n;
 }
 
+// Búsqueda del listado admin: coincidencia parcial en título o SKU (case-insensitive).
+// El catálogo público usa el índice de texto (services/search.service.js).
 function buildSearchFilter(query) {
   const filter = {};
   const q = (query?.q || '').trim();
   if (q) {
-    // Búsqueda básica por título o SKU (case-insensitive)
-    filter.$or = [{ title: { $regex: q, $options: 'i' } }, { sku: { $regex: q, $options: 'i' } }];
+    const pattern = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.$or = [
+      { title: { $regex: pattern, $options: 'i' } },
+      { sku: { $regex: pattern, $options: 'i' } },
+    ];
   }
   return filter;
 }
@@ -62,11 +100,162 @@ function paginateParams(query) {
   return { page, limit, skip };
 }
 
+/**
+ * Variantes desde el textarea del form, una por línea:
+ *   "SKU | Talle=M, Color=Rojo | precio (vacío = el del producto) | stock | imageUrl (opcional)"
+ * @returns {{ variants: Array<Object>, error: string|null }}
+ */
+function parseVariantsText(text) {
+  const variants = [];
+  const lines = String(text || '').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const [sku = '', optionsText = '', priceText = '', stockText = '', imageUrl = ''] = line
+      .split('|')
+      .map((s) => s.trim());
+
+    const options = optionsText
+      .split(',')
+      .map((pair) => pair.split('=').map((s) => s.trim()))
+      .filter(([name, value]) => name || value);
+    const price = priceText === '' ? null : parseNumber(priceText, NaN);
+    const stock = parseNumber(stockText, NaN);
+
+    if (
+      !sku ||
+      !options.length ||
+      options.some(([name, value]) => !name || !value) ||
+      (price !== null && !(price >= 0)) ||
+      !(stock >= 0)
+    ) {
+      return {
+        variants: [],
+        error: `Línea ${i + 1}: usá "SKU | Talle=M, Color=Rojo | precio | stock | imagen"`,
+      };
+    }
+    variants.push({
+      sku: sku.toUpperCase(),
+      options: options.map(([name, value]) => ({ name, value })),
+      price,
+      stock,
+      imageUrl,
+    });
+  }
+  return { variants, error: null };
+}
+
+/** Inversa de parseVariantsText (para precargar el textarea al editar) */
+function variantsToText(variants = []) {
+  return variants
+    .map((v) =>
+      [
+        v.sku,
+        (v.options || []).map((o) => `${o.name}=${o.value}`).join(', '),
+        v.price ?? '',
+        v.stock ?? 0,
+        v.imageUrl || '',
+      ]
+        .join(' | ')
+        .replace(/\s*\|\s*$/, ''),
+    )
+    .join('\n');
+}
+
+/**
+ * Conserva _id y reserved de las variantes existentes (por SKU), así los carritos y
+ * las reservas en curso siguen apuntando a la misma variante.
+ * @returns {{ variants: Array<Object>, error: string|null }}
+ */
+function mergeExistingVariants(existing = [], incoming = []) {
+  const bySku = new Map(existing.map((v) => [v.sku, v]));
+  const kept = new Set(incoming.map((v) => v.sku));
+  const blocked = existing.find((v) => !kept.has(v.sku) && (Number(v.reserved) || 0) > 0);
+  if (blocked) {
+    return {
+      variants: incoming,
+      error: `La variante ${blocked.sku} tiene unidades reservadas por checkouts en curso`,
+    };
+  }
+  return {
+    variants: incoming.map((v) => {
+      const prev = bySku.get(v.sku);
+      return prev ? { ...v, _id: prev._id, reserved: prev.reserved || 0 } : v;
+    }),
+    error: null,
+  };
+}
+
+/** Lista de ids de un campo que puede venir como string, CSV o array */
+function toIdList(value) {
+  return []
+    .concat(value ?? [])
+    .flatMap((v) => String(v).split(','))
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Sube los archivos de la galería en orden. Si uno falla, borra los ya subidos.
+ * @returns {Promise<Array<{ url, publicId, storage, alt }>>}
+ */
+async function uploadGalleryFiles(files = [], alt = '') {
+  const uploaded = [];
+  try {
+    for (const { buffer, mimetype, size, originalname } of files) {
+      const img = await uploadImage({ buffer, mimetype, size, originalname });
+      uploaded.push({ url: img.imageUrl, publicId: img.imagePublicId, storage: img.storage, alt });
+    }
+  } catch (err) {
+    await destroyImages(uploaded);
+    throw err;
+  }
+  return uploaded;
+}
+
+/**
+ * Aplica el form a la galería existente: orden (imageOrder), alt (imageAlt_<id>),
+ * portada (coverImage) y bajas (removeImages).
+ * @returns {{ kept: Array<Object>, removed: Array<Object> }}
+ */
+function applyGalleryEdits(images = [], body = {}) {
+  const order = toIdList(body.imageOrder);
+  const removeIds = new Set(toIdList(body.removeImages));
+  const rank = (img) => {
+    const i = order.indexOf(String(img._id));
+    return i === -1 ? order.length : i;
+  };
+
+  const current = images.map((img) => (img.toObject ? img.toObject() : { ...img }));
+  const removed = current.filter((img) => removeIds.has(String(img._id)));
+  const kept = current
+    .filter((img) => !removeIds.has(String(img._id)))
+    .sort((a, b) => rank(a) - rank(b));
+
+  const coverId = String(body.coverImage || '');
+  const coverKept = kept.some((img) => String(img._id) === coverId);
+  for (const img of kept) {
+    const alt = body[`imageAlt_${img._id}`];
+    if (alt !== undefined) img.alt = String(alt).trim().slice(0, 160);
+    if (coverKept) img.isCover = String(img._id) === coverId;
+  }
+  return { kept, removed };
+}
+
+/** Errores de validación de Mongoose → { campo: mensaje } (null si es otro error) */
+function validationErrors(err) {
+  if (err?.name !== 'ValidationError') return null;
+  const fieldErrors = {};
+  for (const [k, v] of Object.entries(err.errors)) fieldErrors[k.split('.')[0]] = v.message;
+  return fieldErrors;
+}
+
 function collectProductPayload(body) {
   const title = (body?.title || '').trim();
   const sku = (body?.sku || '').trim().toUpperCase();
   const price = parseNumber(body?.price, NaN);
   const stock = parseNumber(body?.stock, NaN);
+  const weightKg = parseNumber(body?.weightKg, 0);
 
   const active = body?.active === 'on' || body?.active === true;
   const featured = body?.featured === 'on' || body?.featured === true;
@@ -87,11 +276,18 @@ function collectProductPayload(body) {
   // Categoría (puede venir "" -> null)
   const categoryId = (body?.categoryId || '').trim() || null;
 
+  // Variantes (opcional): con variantes el stock del producto es la suma de ellas
+  const { variants, error: variantsError } = parseVariantsText(body?.variantsText);
+
   const errors = {};
   if (!title) errors.title = 'El título es obligatorio';
   if (!sku) errors.sku = 'El SKU es obligatorio';
   if (!Number.isFinite(price) || price < 0) errors.price = 'Precio inválido (>= 0)';
-  if (!Number.isFinite(stock) || stock < 0) errors.stock = 'Stock inválido (>= 0)';
+  if (variantsError) errors.variants = variantsError;
+  if (!variants.length && (!Number.isFinite(stock) || stock < 0)) {
+    errors.stock = 'Stock inválido (>= 0)';
+  }
+  if (!Number.isFinite(weightKg) || weightKg < 0) errors.weightKg = 'Peso inválido (>= 0)';
   if (promoEnabled && !(promoPct >= 0 && promoPct <= 100)) {
     errors.promoPct = 'El porcentaje de promo debe estar entre 0 y 100';
   }
@@ -101,7 +297,9 @@ function collectProductPayload(body) {
       title,
       sku,
       price,
-      stock,
+      stock: variants.length ? variants.reduce((acc, v) => acc + v.stock, 0) : stock,
+      weightKg,
+      variants,
       active,
       featured,
       promoEnabled,
@@ -160,6 +358,8 @@ export async function renderNewForm(req, res) {
       sku: '',
       price: '',
       stock: '',
+      weightKg: '',
+      variantsText: '',
       active: true,
       featured: false,
       promoEnabled: false,
@@ -182,8 +382,19 @@ export async function renderEditForm(req, res) {
     return res.redirect('/admin/products');
   }
 
-  // preparar textarea de ficha técnica
+  // Producto previo a la galería: se migra una vez para que su imagen tenga un _id estable
+  const legacy = legacyCoverImage(product);
+  if (legacy) {
+    await Product.updateOne(
+      { _id: product._id, 'images.0': { $exists: false } },
+      { $set: { images: [legacy] } },
+    );
+    product.images = [legacy];
+  }
+
+  // preparar textareas de ficha técnica y variantes
   const techSpecsText = Array.isArray(product.techSpecs) ? product.techSpecs.join('\n') : '';
+  const variantsText = variantsToText(product.variants);
 
   const categories = await Category.find({ active: true })
     .select('name slug _id')
@@ -193,7 +404,7 @@ export async function renderEditForm(req, res) {
   res.render('products/form', {
     title: `Editar: ${product.title}`,
     isEdit: true,
-    product: { ...product, techSpecsText }, // <<---
+    product: { ...product, techSpecsText, variantsText }, // <<---
     cloudinaryEnabled: isUsingCloudinary(),
     categories,
   });
@@ -217,30 +428,25 @@ export async function createProduct(req, res) {
     return res.status(422).render('products/form', {
       title: 'Nuevo producto',
       isEdit: false,
-      product: { ...data, techSpecsText },
+      product: { ...data, techSpecsText, variantsText: req.body?.variantsText || '' },
       errors,
       categories,
       cloudinaryEnabled: isUsingCloudinary(),
     });
   }
 
-  // Manejo de imagen (opcional)
-  let imageFields = {};
-  if (req.file) {
-    const { buffer, mimetype, size, originalname } = req.file;
+  // Galería (opcional): la primera imagen queda como portada
+  let images = [];
+  if (req.files?.length) {
     try {
-      const uploaded = await uploadImage({ buffer, mimetype, size, originalname });
-      imageFields = {
-        imageUrl: uploaded.imageUrl,
-        imagePublicId: uploaded.imagePublicId,
-      };
+      images = await uploadGalleryFiles(req.files, data.title);
     } catch (err) {
       // Si falla la imagen, re-render con error sin perder los campos del form
       return res.status(400).render('products/form', {
         title: 'Nuevo producto',
         isEdit: false,
-        product: { ...data, techSpecsText },
-        errors: { image: err.message || 'Error al subir la imagen' },
+        product: { ...data, techSpecsText, variantsText: req.body?.variantsText || '' },
+        errors: { image: err.message || 'Error al subir las imágenes' },
         categories,
         cloudinaryEnabled: isUsingCloudinary(),
       });
@@ -259,7 +465,28 @@ export async function createProduct(req, res) {
     }
   }
 
-  const doc = await Product.create({ ...data, ...imageFields, ...categoryFields });
+  let doc;
+  try {
+    doc = await Product.create({ ...data, images, ...categoryFields });
+  } catch (err) {
+    await destroyImages(images);
+    const fieldErrors = validationErrors(err);
+    if (!fieldErrors) throw err;
+    return res.status(422).render('products/form', {
+      title: 'Nuevo producto',
+      isEdit: false,
+      product: { ...data, techSpecsText, variantsText: req.body?.variantsText || '' },
+      errors: fieldErrors,
+      categories,
+      cloudinaryEnabled: isUsingCloudinary(),
+    });
+  }
+  await recordAudit(
+    req,
+    AUDIT_ACTIONS.PRODUCT_CREATE,
+    { id: doc._id, label: doc.title },
+    { after: doc.toObject() },
+  );
   req.flash?.('success', `Producto "${doc.title}" creado correctamente`);
   res.redirect('/admin/products');
 }
@@ -274,8 +501,24 @@ export async function updateProduct(req, res) {
     req.flash?.('error', 'Producto no encontrado');
     return res.redirect('/admin/products');
   }
+  const auditBefore = exists.toObject();
+
+  // Producto previo a la galería: su imagen pasa a ser el primer ítem
+  const legacy = legacyCoverImage(exists);
+  if (legacy) exists.images = [legacy];
+  const previousImages = exists.toObject().images;
 
   const { data, errors } = collectProductPayload(req.body);
+  if (!errors.variants) {
+    const merged = mergeExistingVariants(exists.variants, data.variants);
+    if (merged.error) errors.variants = merged.error;
+    data.variants = merged.variants;
+  }
+
+  const { kept, removed } = applyGalleryEdits(exists.images, req.body);
+  if (kept.length + (req.files?.length || 0) > MAX_PRODUCT_IMAGES) {
+    errors.image = `La galería admite hasta ${MAX_PRODUCT_IMAGES} imágenes (quitá alguna antes de subir más)`;
+  }
 
   // Para re-render: categories y techSpecsText
   const categories = await Category.find({ active: true })
@@ -288,35 +531,34 @@ export async function updateProduct(req, res) {
     return res.status(422).render('products/form', {
       title: `Editar: ${exists.title}`,
       isEdit: true,
-      product: { ...exists.toObject(), ...data, techSpecsText },
+      product: {
+        ...exists.toObject(),
+        ...data,
+        techSpecsText,
+        variantsText: req.body?.variantsText || '',
+      },
       errors,
       categories,
       cloudinaryEnabled: isUsingCloudinary(),
     });
   }
 
-  // Imagen (opcional): si hay nueva, reemplazamos
-  let imageFields = {};
-  if (req.file) {
-    const { buffer, mimetype, size, originalname } = req.file;
+  // Galería: las nuevas se agregan al final
+  let added = [];
+  if (req.files?.length) {
     try {
-      const replaced = await replaceImage({
-        previousPublicId: exists.imagePublicId || null,
-        buffer,
-        mimetype,
-        size,
-        originalname,
-      });
-      imageFields = {
-        imageUrl: replaced.imageUrl,
-        imagePublicId: replaced.imagePublicId,
-      };
+      added = await uploadGalleryFiles(req.files, data.title);
     } catch (err) {
       return res.status(400).render('products/form', {
         title: `Editar: ${exists.title}`,
         isEdit: true,
-        product: { ...exists.toObject(), ...data, techSpecsText },
-        errors: { image: err.message || 'Error al reemplazar la imagen' },
+        product: {
+          ...exists.toObject(),
+          ...data,
+          techSpecsText,
+          variantsText: req.body?.variantsText || '',
+        },
+        errors: { image: err.message || 'Error al subir las imágenes' },
         categories,
         cloudinaryEnabled: isUsingCloudinary(),
       });
@@ -336,8 +578,48 @@ export async function updateProduct(req, res) {
     categoryFields.categoryName = null;
   }
 
+  const images = [...kept, ...added];
+  const imageFields = images.length ? { images } : { images, imageUrl: '', imagePublicId: '' };
+
+  // Para avisar a los suscriptores si el stock disponible pasa de 0 a más de 0
+  const wasOutOfStock = getAvailableStock(exists) <= 0;
+
   exists.set({ ...data, ...imageFields, ...categoryFields });
-  await exists.save();
+  try {
+    await exists.save();
+  } catch (err) {
+    await destroyImages(added);
+    const fieldErrors = validationErrors(err);
+    if (!fieldErrors) throw err;
+    return res.status(422).render('products/form', {
+      title: `Editar: ${exists.title}`,
+      isEdit: true,
+      product: {
+        ...exists.toObject(),
+        images: previousImages,
+        techSpecsText,
+        variantsText: req.body?.variantsText || '',
+      },
+      errors: fieldErrors,
+      categories,
+      cloudinaryEnabled: isUsingCloudinary(),
+    });
+  }
+
+  await recordAudit(
+    req,
+    AUDIT_ACTIONS.PRODUCT_UPDATE,
+    { id: exists._id, label: exists.title },
+    { before: auditBefore, after: exists.toObject() },
+  );
+
+  // Recién con el producto guardado se borran las imágenes quitadas
+  if (await destroyImages(removed)) {
+    req.flash?.('error', 'Algunas imágenes quitadas no se pudieron borrar del almacenamiento');
+  }
+
+  // Reposición: encola el aviso a quienes pidieron "Avisame cuando haya stock"
+  if (wasOutOfStock) await notifyBackInStock(exists);
 
   req.flash?.('success', `Producto "${exists.title}" actualizado`);
   res.redirect('/admin/products');
@@ -362,6 +644,12 @@ export async function toggleFlag(req, res) {
 
   product[flag] = !product[flag];
   await product.save();
+  await recordAudit(
+    req,
+    AUDIT_ACTIONS.PRODUCT_TOGGLE,
+    { id: product._id, label: product.title },
+    { before: { [flag]: !product[flag] }, after: { [flag]: product[flag] } },
+  );
 
   req.flash?.('success', `Se actualizó "${flag}" para ${product.title}`);
   res.redirect('/admin/products');
@@ -378,22 +666,28 @@ export async function deleteProduct(req, res) {
     return res.redirect('/admin/products');
   }
 
-  // 1) Borrar imagen en Cloudinary (si existe)
-  if (product.imagePublicId) {
-    try {
-      await destroyImage(product.imagePublicId);
-    } catch (err) {
-      // No bloqueamos el borrado del doc si la destrucción falla;
-      // pero informamos con un flash.
-      req.flash?.(
-        'error',
-        'No se pudo borrar la imagen en Cloudinary (se elimina el producto igual)',
-      );
-    }
+  // 1) Borrar todas las imágenes (galería o imagen única previa), cada una en su storage.
+  // No bloqueamos el borrado del doc si alguna falla; informamos con un flash.
+  const images = product.images.length ? product.images : [legacyCoverImage(product)];
+  if (await destroyImages(images.filter(Boolean))) {
+    req.flash?.('error', 'No se pudieron borrar algunas imágenes (se elimina el producto igual)');
   }
 
-  // 2) Borrar documento
+  // 2) Borrar documento, sus reseñas, avisos de stock y las entradas de wishlist
   await product.deleteOne();
+  await Review.deleteMany({ productId: product._id });
+  await StockSubscription.deleteMany({ productId: product._id });
+  await User.updateMany(
+    { 'wishlist.productId': product._id },
+    { $pull: { wishlist: { productId: product._id } } },
+  );
+
+  await recordAudit(
+    req,
+    AUDIT_ACTIONS.PRODUCT_DELETE,
+    { id: product._id, label: product.title },
+    { before: product.toObject() },
+  );
 
   req.flash?.('success', `Producto "${product.title}" eliminado`);
   res.redirect('/admin/products');
@@ -403,21 +697,24 @@ export async function deleteProduct(req, res) {
 // MÓDULO 3 — Acciones públicas (Catálogo)
 // -----------------------------
 
-// Filtros públicos: activos siempre; q, featured?, rango de precio
-async function buildPublicFilter(query) {
-  const filter = buildSearchFilter(query);
-  filter.active = true;
+// Filtros públicos: activos siempre; q (índice de texto), featured?, y las facetas
+// del sidebar (categoría, rango de precio, en promo, con stock).
+// Devuelve el filtro base y las facetas por separado para contar cada faceta sin su
+// propio filtro (getSearchFacets); filter es la combinación de ambos.
+export async function buildPublicFilter(query, q = (query?.q || '').trim()) {
+  const base = { active: true, ...buildTextFilter(q) };
 
   if (String(query?.featured).toLowerCase() === 'true') {
-    filter.featured = true;
+    base.featured = true;
   }
 
+  const dims = {};
   const min = parseNumber(query?.min, null);
   const max = parseNumber(query?.max, null);
   if (Number.isFinite(min) || Number.isFinite(max)) {
-    filter.price = {};
-    if (Number.isFinite(min)) filter.price.$gte = min;
-    if (Number.isFinite(max)) filter.price.$lte = max;
+    dims.price = {};
+    if (Number.isFinite(min)) dims.price.$gte = min;
+    if (Number.isFinite(max)) dims.price.$lte = max;
   }
 
   // Categoría por slug (?cat=alimentos, por ejemplo)
@@ -427,30 +724,42 @@ async function buildPublicFilter(query) {
       .select('_id name slug')
       .lean()
       .exec();
-    if (cat) filter.categoryId = cat._id;
-    else filter.categoryId = '__no_match__'; // fuerza 0 resultados si slug inválido
+    // slug inválido: un _id que no existe fuerza 0 resultados
+    dims.categoryId = cat ? cat._id : new mongoose.Types.ObjectId();
   }
 
-  return filter;
+  if (String(query?.promo).toLowerCase() === 'true') dims.promo = true;
+  if (String(query?.inStock).toLowerCase() === 'true') dims.inStock = true;
+
+  return { base, dims, filter: { ...base, ...buildFacetFilter(dims) } };
 }
 
-// Orden público: newest (default), price_asc, price_desc
-function buildPublicSort(query) {
-  const sortKey = (query?.sort || 'newest').toLowerCase();
+// Orden público: newest (default), price_asc, price_desc, rating, relevance.
+// relevance solo aplica si hay búsqueda (y es el default en ese caso).
+export function buildPublicSort(query, q = (query?.q || '').trim()) {
+  const sortKey = (query?.sort || (q ? 'relevance' : 'newest')).toLowerCase();
   switch (sortKey) {
     case 'price_asc':
       return [{ price: 1 }, sortKey];
     case 'price_desc':
       return [{ price: -1 }, sortKey];
+    case 'rating':
+      // Mejor calificados; a igual promedio, los que tienen más reseñas
+      return [{ ratingAvg: -1, ratingCount: -1, createdAt: -1 }, sortKey];
+    case 'relevance':
+      if (q) return [{ score: { $meta: 'textScore' }, createdAt: -1 }, sortKey];
+      return [{ createdAt: -1 }, 'newest'];
     case 'newest':
     default:
       return [{ createdAt: -1 }, 'newest'];
   }
 }
 
-// Cálculo de promo para UI (solo lectura)
-function decoratePromoFields(doc) {
+// Cálculo de promo para UI (solo lectura). `stock` pasa a ser el disponible (sin reservas).
+// También lo usa la wishlist (wishlist.controller.js).
+export function decoratePromoFields(doc) {
   const item = { ...doc };
+  item.stock = getAvailableStock(item);
   const promoEnabled = !!item.promoEnabled;
   const pct = clampPct(parseNumber(item.promoPct, 0));
   if (promoEnabled && pct > 0) {
@@ -464,31 +773,105 @@ function decoratePromoFields(doc) {
   return item;
 }
 
+/**
+ * Facetas del sidebar listas para la vista: conteo por categoría y links de rangos de
+ * precio (mantienen el resto de los filtros).
+ */
+function buildFacetsView(facets, categories, baseQS, query) {
+  const priceUrl = (min, max) => {
+    const qs = new URLSearchParams(baseQS);
+    qs.delete('min');
+    qs.delete('max');
+    qs.delete('page');
+    if (min != null) qs.set('min', String(min));
+    if (max != null) qs.set('max', String(max));
+    return `/?${qs.toString()}`;
+  };
+  const currentMin = parseNumber(query?.min, null);
+  const currentMax = parseNumber(query?.max, null);
+
+  return {
+    categories: categories.map((c) => ({ ...c, count: facets.categories.get(String(c._id)) || 0 })),
+    price: facets.price
+      .filter((b) => b.count > 0)
+      .map((b) => {
+        // límite superior inclusivo: el rango siguiente empieza en b.max
+        const max = b.max == null ? null : b.max - 0.01;
+        return {
+          label:
+            b.max == null
+              ? `Desde ${formatPrice(b.min)}`
+              : `${formatPrice(b.min)} a ${formatPrice(b.max)}`,
+          count: b.count,
+          url: priceUrl(b.min, max),
+          active: currentMin === b.min && currentMax === max,
+        };
+      }),
+    promo: facets.promo,
+    inStock: facets.inStock,
+  };
+}
+
+/** Precio corto para etiquetas de facetas ("$ 5.000") */
+function formatPrice(v) {
+  return `$ ${Number(v).toLocaleString('es-AR')}`;
+}
+
 // GET /  (home) y /products (si decides separarlo) — listado público
 export async function listPublic(req, res) {
-  const filter = await buildPublicFilter(req.query);
-  const [sort, sortKey] = buildPublicSort(req.query);
   const { page, limit, skip } = paginateParams(req.query);
-
   const projection =
-    'title sku price stock featured promoEnabled promoPct imageUrl categoryName createdAt';
+    'title sku price stock reserved featured promoEnabled promoPct imageUrl categoryName createdAt ' +
+    'ratingAvg ratingCount';
+
+  const search = async (q) => {
+    const { base, dims, filter } = await buildPublicFilter(req.query, q);
+    const [sort, sortKey] = buildPublicSort(req.query, q);
+    const [itemsRaw, total] = await Promise.all([
+      Product.find(filter).select(projection).sort(sort).skip(skip).limit(limit).lean().exec(),
+      Product.countDocuments(filter),
+    ]);
+    return { base, dims, sortKey, itemsRaw, total };
+  };
 
-  const [itemsRaw, total, categories] = await Promise.all([
-    Product.find(filter).select(projection).sort(sort).skip(skip).limit(limit).lean().exec(),
-    Product.countDocuments(filter),
+  // Sin resultados: reintentar con la búsqueda corregida (errores de tipeo)
+  const q = (req.query.q || '').trim();
+  let result = await search(q);
+  let correctedQ = null;
+  if (q && result.total === 0) {
+    correctedQ = await suggestQuery(q);
+    if (correctedQ) {
+      const retry = await search(correctedQ);
+      if (retry.total > 0) result = retry;
+      else correctedQ = null;
+    }
+  }
+  const { base, dims, sortKey, itemsRaw, total } = result;
+
+  // Populares del autocompletado: búsquedas con resultados, una vez (página 1), sin esperar
+  if (q && total > 0 && page === 1) recordSearchQuery(correctedQ || q);
+
+  const [categories, facets, wishlistIds] = await Promise.all([
     Category.find({ active: true }).select('name slug').sort({ name: 1 }).lean().exec(),
+    getSearchFacets(base, dims),
+    getWishlistIds(req.user?.id),
   ]);
 
-  const items = itemsRaw.map(decoratePromoFields);
+  const items = itemsRaw.map((doc) => ({
+    ...decoratePromoFields(doc),
+    inWishlist: wishlistIds.has(String(doc._id)),
+  }));
   const totalPages = Math.max(1, Math.ceil(total / limit));
 
   const baseQS = new URLSearchParams();
-  if (req.query.q) baseQS.set('q', String(req.query.q));
+  if (q) baseQS.set('q', q);
   if (String(req.query.featured).toLowerCase() === 'true') baseQS.set('featured', 'true');
   if (req.query.min) baseQS.set('min', String(req.query.min));
   if (req.query.max) baseQS.set('max', String(req.query.max));
   if (req.query.sort) baseQS.set('sort', String(req.query.sort));
   if (req.query.cat) baseQS.set('cat', String(req.query.cat)); // <<--- mantener categoría
+  if (dims.promo) baseQS.set('promo', 'true');
+  if (dims.inStock) baseQS.set('inStock', 'true');
 
   function pageUrl(p) {
     const qs = new URLSearchParams(baseQS);
@@ -497,18 +880,24 @@ export async function listPublic(req, res) {
     return `/?${qs.toString()}`;
   }
 
+  const facetsView = buildFacetsView(facets, categories, baseQS, req.query);
+
   res.render('products/list', {
     title: 'Catálogo',
     showSidebar: true,
     items,
     // estado de filtros
-    q: (req.query.q || '').trim(),
+    q,
+    correctedQ, // "Mostrando resultados para …"
     featured: String(req.query?.featured || '') === 'true',
     min: req.query?.min || '',
     max: req.query?.max || '',
+    promo: !!dims.promo,
+    inStock: !!dims.inStock,
     sortKey,
     cat: req.query?.cat || '', // <<--- seleccionado
-    categories, // <<--- para el sidebar
+    categories: facetsView.categories, // <<--- para el sidebar (con conteo)
+    facets: facetsView,
     // paginación
     pagination: {
       page,
@@ -523,9 +912,58 @@ export async function listPublic(req, res) {
   });
 }
 
-// GET /products/:id — detalle público (solo activo)
-// GET /products/:id — detalle público (solo activo)
-export async function detail(req, res) {
+/**
+ * Datos del picker de variantes para el detalle: ejes con el valor preseleccionado
+ * (primera variante con stock) y cada variante con precio/promo/stock ya resueltos.
+ * El JSON va embebido en la vista: "<" se escapa para no cerrar el <script>.
+ */
+function buildVariantPicker(product) {
+  const variants = product.variants.map((v) => {
+    const sellable = decoratePromoFields(resolveVariant(product, v._id));
+    return {
+      id: String(v._id),
+      sku: v.sku,
+      label: sellable.variantLabel,
+      options: Object.fromEntries(v.options.map((o) => [o.name, o.value])),
+      price: sellable.price,
+      promoPrice: sellable.promoPrice,
+      hasPromo: sellable.hasPromo,
+      stock: sellable.stock,
+      imageUrl: sellable.imageUrl || '',
+    };
+  });
+  const selected = variants.find((v) => v.stock > 0) || variants[0];
+
+  return {
+    selected,
+    axes: (product.variantAxes || []).map((axis) => ({
+      name: axis.name,
+      values: axis.values.map((value) => ({
+        value,
+        selected: selected?.options[axis.name] === value,
+      })),
+    })),
+    json: JSON.stringify(variants).replace(/</g, '\\u003c'),
+  };
+}
+
+/**
+ * Renderiza el detalle público (solo activo) con sus reseñas.
+ * Lo usan detail y el alta de reseñas (review.controller.js) para re-mostrar el form con errores.
+ * @param {object} req
+ * @param {object} res
+ * @param {object} [opts]
+ * @param {object} [opts.reviewForm] - valores del form de reseña
+ * @param {object} [opts.reviewErrors] - errores por campo (`form`: error general de la reseña)
+ * @param {object} [opts.stockAlertForm] - email del form "Avisame cuando haya stock"
+ * @param {string} [opts.stockAlertError]
+ * @param {number} [opts.status=200]
+ */
+export async function renderDetail(
+  req,
+  res,
+  { reviewForm, reviewErrors, stockAlertForm, stockAlertError, status = 200 } = {},
+) {
   const { id } = req.params;
 
   // ✅ incluir los campos nuevos en la proyección
@@ -534,30 +972,73 @@ export async function detail(req, res) {
     'sku',
     'price',
     'stock',
+    'reserved',
     'featured',
     'promoEnabled',
     'promoPct',
     'imageUrl',
+    'images',
     'createdAt',
     'active',
     'description', // <<---
     'techSpecs', // <<---
     'categoryName', // <<---
+    'variantAxes',
+    'variants',
+    'ratingAvg',
+    'ratingCount',
   ].join(' ');
 
   const product = await Product.findOne({ _id: id, active: true }).select(projection).lean().exec();
 
   if (!product) {
-    req.flash?.('error', 'Producto no disponible');
-    return res.redirect('/');
+    return res.status(404).render('shared/404', {
+      title: 'Producto no disponible',
+      message: 'El producto no existe o ya no está disponible.',
+    });
   }
 
   // para que el template sepa si hay promo y el precio promo
   const decorated = decoratePromoFields(product);
+  const gallery = product.images?.length ? product.images : [legacyCoverImage(product)];
+  const cover = gallery.find((img) => img?.isCover);
+  decorated.imageAlt = cover?.alt || product.title;
+
+  // Con variantes: precio/stock/imagen iniciales de la variante preseleccionada
+  const picker = hasVariants(product) ? buildVariantPicker(product) : null;
+  if (picker?.selected) {
+    const { price, promoPrice, hasPromo, stock, sku, imageUrl } = picker.selected;
+    Object.assign(decorated, { price, promoPrice, hasPromo, stock, sku });
+    if (imageUrl) decorated.imageUrl = imageUrl;
+  }
 
-  return res.render('products/detail', {
+  const [{ reviews, own }, wishlistIds, alertPending] = await Promise.all([
+    getProductReviews(product._id, { userId: req.user?.id }),
+    getWishlistIds(req.user?.id),
+    decorated.stock > 0 ? false : hasPendingStockAlert(product._id, req.user?.email),
+  ]);
+  decorated.inWishlist = wishlistIds.has(String(product._id));
+
+  return res.status(status).render('products/detail', {
     title: decorated.title,
     product: decorated,
+    variantPicker: picker,
+    gallery: gallery.filter(Boolean),
     showSidebar: true,
+    reviews,
+    ownReview: own,
+    reviewForm: reviewForm || own || { rating: 5 },
+    reviewErrors,
+    reviewSent: req.query?.review === 'sent',
+    stockAlert: {
+      subscribed: alertPending || req.query?.stockAlert === '1',
+      form: stockAlertForm || {},
+      error: stockAlertError,
+    },
   });
 }
+
+// GET /products/:id — detalle público (solo activo)
+export function detail(req, res) {
+  return renderDetail(req, res);
+}
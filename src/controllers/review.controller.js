@@ -0,0 +1,122 @@
+// src/controllers/review.controller.js
+// -----------------------------------------------------------------------------
+// Reseñas de productos.
+// Público (routes/products.js, requireAuth):
+//   POST /products/:id/reviews              -> postReview
+// Admin (routes/admin/reviews.js, requirePermission('reviews:moderate')):
+//   GET  /admin/reviews?status=             -> listReviews (cola de moderación)
+//   POST /admin/reviews/:id/status          -> setReviewStatus (approved | rejected | pending)
+//   POST /admin/reviews/:id/delete          -> removeReview
+// -----------------------------------------------------------------------------
+import Review, { REVIEW_STATUS, REVIEW_STATUS_LABELS } from '../models/Review.js';
+import { submitReview, moderateReview, deleteReview } from '../services/review.service.js';
+import { renderDetail } from './product.controller.js';
+
+const PAGE_SIZE = 20;
+
+// Resultado de la moderación (?done= / ?error=): no hay middleware de flash
+const MODERATION_NOTICES = Object.freeze({
+  approved: 'Reseña aprobada.',
+  rejected: 'Reseña rechazada.',
+  pending: 'Reseña devuelta a pendientes.',
+  deleted: 'Reseña eliminada.',
+});
+const MODERATION_ERRORS = Object.freeze({
+  INVALID_STATUS: 'El estado elegido no es válido.',
+  REVIEW_NOT_FOUND: 'Reseña no encontrada.',
+});
+
+/**
+ * Vuelve a la pestaña de la cola desde la que se moderó (hidden "tab" del form)
+ * @param {object} req
+ * @param {{ done?: string, error?: string }} result
+ */
+function backToQueue(req, result) {
+  const tab = String(req.body?.tab || '');
+  const params = new URLSearchParams(result);
+  if (Object.hasOwn(REVIEW_STATUS_LABELS, tab)) params.set('status', tab);
+  return `/admin/reviews?${params}`;
+}
+
+// POST /products/:id/reviews
+export async function postReview(req, res) {
+  const { rating, title = '', body = '' } = req.body || {};
+  const form = { rating: Number(rating) || '', title, body };
+
+  try {
+    await submitReview({ user: req.user, productId: req.params.id, rating, title, body });
+  } catch (err) {
+    if (err?.name === 'ValidationError') {
+      const reviewErrors = {};
+      for (const [k, v] of Object.entries(err.errors)) reviewErrors[k] = v.message;
+      return renderDetail(req, res, { reviewForm: form, reviewErrors, status: 422 });
+    }
+    if (err?.name === 'ReviewError') {
+      return renderDetail(req, res, {
+        reviewForm: form,
+        reviewErrors: { form: err.message },
+        status: err.status,
+      });
+    }
+    throw err;
+  }
+
+  return res.redirect(`/products/${req.params.id}?review=sent#reviews`);
+}
+
+// GET /admin/reviews?status=pending&page=1
+export async function listReviews(req, res) {
+  const status = Object.hasOwn(REVIEW_STATUS_LABELS, req.query?.status)
+    ? req.query.status
+    : REVIEW_STATUS.PENDING;
+  const page = Math.max(parseInt(req.query?.page, 10) || 1, 1);
+
+  const q = { status };
+  const [items, total, counts] = await Promise.all([
+    Review.find(q)
+      // la cola se atiende de la más vieja a la más nueva
+      .sort({ createdAt: status === REVIEW_STATUS.PENDING ? 1 : -1 })
+      .skip((page - 1) * PAGE_SIZE)
+      .limit(PAGE_SIZE)
+      .populate('productId', 'title')
+      .lean(),
+    Review.countDocuments(q),
+    Review.aggregate([{ $group: { _id: '$status', n: { $sum: 1 } } }]),
+  ]);
+
+  const countByStatus = Object.fromEntries(counts.map((c) => [c._id, c.n]));
+  return res.render('admin/reviews', {
+    title: 'Reseñas',
+    items,
+    status,
+    tabs: Object.entries(REVIEW_STATUS_LABELS).map(([value, label]) => ({
+      value,
+      label,
+      count: countByStatus[value] || 0,
+      active: value === status,
+    })),
+    pagination: { page, pages: Math.max(Math.ceil(total / PAGE_SIZE), 1), total },
+    notice: MODERATION_NOTICES[req.query?.done] || null,
+    error: MODERATION_ERRORS[req.query?.error] || null,
+  });
+}
+
+// POST /admin/reviews/:id/status
+export async function setReviewStatus(req, res) {
+  const status = String(req.body?.status || '');
+  try {
+    await moderateReview(req.params.id, status, req.user);
+  } catch (err) {
+    if (err?.name !== 'ReviewError') throw err;
+    return res.redirect(backToQueue(req, { error: err.code }));
+  }
+  return res.redirect(backToQueue(req, { done: status }));
+}
+
+// POST /admin/reviews/:id/delete
+export async function removeReview(req, res) {
+  const deleted = await deleteReview(req.params.id);
+  return res.redirect(
+    backToQueue(req, deleted ? { done: 'deleted' } : { error: 'REVIEW_NOT_FOUND' }),
+  );
+}
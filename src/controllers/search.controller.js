@@ -0,0 +1,16 @@
+// src/controllers/search.controller.js
+// -----------------------------------------------------------------------------
+// Autocompletado del buscador del navbar (public/js/app.js).
+//   GET /api/search/suggest?q=   -> suggest (JSON: productos, categorías y búsquedas
+//                                   populares; ver services/search.service.js)
+// -----------------------------------------------------------------------------
+
+import { getSearchSuggestions } from '../services/search.service.js';
+
+// GET /api/search/suggest
+export async function suggest(req, res) {
+  const q = typeof req.query?.q === 'string' ? req.query.q : '';
+  const suggestions = await getSearchSuggestions(q);
+  res.set('Cache-Control', 'private, max-age=30');
+  return res.json({ ok: true, ...suggestions });
+}
@@ -0,0 +1,43 @@
+// src/controllers/session.controller.js
+// -----------------------------------------------------------------------------
+// Sesiones abiertas del usuario logueado. Rutas en routes/account.js (requireAuth):
+//   GET  /account/sessions                    -> listSessions
+//   POST /account/sessions/:id/revoke         -> revokeSession (otra sesión puntual)
+//   POST /account/sessions/revoke-others      -> revokeOtherSessions ("cerrar en los demás")
+//
+// La sesión actual no se cierra desde acá (para eso está /logout).
+// -----------------------------------------------------------------------------
+
+import { listUserSessions, endUserSession, endOtherSessions } from '../services/session.service.js';
+
+const SESSIONS_PATH = '/account/sessions';
+
+// ?done= → aviso de la vista
+const NOTICES = Object.freeze({
+  revoked: 'Cerraste la sesión en ese dispositivo.',
+  others: 'Cerraste la sesión en todos los demás dispositivos.',
+  missing: 'La sesión ya no estaba abierta.',
+});
+
+/** GET /account/sessions */
+export async function listSessions(req, res) {
+  const sessions = await listUserSessions(req.userId, req.sessionID);
+  return res.render('account/sessions', {
+    title: 'Sesiones abiertas',
+    sessions,
+    hasOthers: sessions.some((s) => !s.current),
+    notice: NOTICES[req.query?.done] || null,
+  });
+}
+
+/** POST /account/sessions/:id/revoke */
+export async function revokeSession(req, res) {
+  const ended = await endUserSession(req.sessionStore, req.userId, req.params.id, req.sessionID);
+  return res.redirect(`${SESSIONS_PATH}?done=${ended ? 'revoked' : 'missing'}`);
+}
+
+/** POST /account/sessions/revoke-others */
+export async function revokeOtherSessions(req, res) {
+  await endOtherSessions(req.sessionStore, req.userId, req.sessionID);
+  return res.redirect(`${SESSIONS_PATH}?done=others`);
+}
@@ -0,0 +1,185 @@
+// src/controllers/shipping.controller.js
+// -----------------------------------------------------------------------------
+// Admin de reglas de envío: listar, crear, activar/desactivar y borrar.
+// Rutas (routes/admin/shipping.js, protegidas con requirePermission('shipping:write')):
+//   GET  /admin/shipping             -> listRules
+//   POST /admin/shipping             -> createRule
+//   POST /admin/shipping/:id/toggle  -> toggleRule
+//   POST /admin/shipping/:id/delete  -> deleteRule
+// -----------------------------------------------------------------------------
+import ShippingRule, { SHIPPING_KINDS, RATE_BASIS } from '../models/ShippingRule.js';
+
+const KIND_LABELS = {
+  [SHIPPING_KINDS.DELIVERY]: 'Envío a domicilio',
+  [SHIPPING_KINDS.PICKUP]: 'Punto de retiro',
+};
+
+const BASIS_LABELS = {
+  [RATE_BASIS.FLAT]: 'Tarifa fija',
+  [RATE_BASIS.WEIGHT]: 'Por peso (kg)',
+  [RATE_BASIS.ITEMS]: 'Por cantidad de unidades',
+};
+
+/** Número opcional del form: '' → null */
+function optionalNumber(v) {
+  if (v === undefined || v === null || String(v).trim() === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** "4000-4199, 4200" → [{ from: 4000, to: 4199 }, { from: 4200, to: 4200 }]; null si hay basura */
+function parseZipRanges(text) {
+  const ranges = [];
+  for (const chunk of String(text || '').split(',')) {
+    const part = chunk.trim();
+    if (!part) continue;
+    const match = part.match(/^(\d{4})(?:\s*-\s*(\d{4}))?$/);
+    if (!match) return null;
+    ranges.push({ from: Number(match[1]), to: Number(match[2] || match[1]) });
+  }
+  return ranges;
+}
+
+/** Una línea por tramo "hasta=tarifa" ("5=2000") → [{ upTo: 5, fee: 2000 }]; null si hay basura */
+function parseTiers(text) {
+  const tiers = [];
+  for (const line of String(text || '').split('\n')) {
+    const part = line.trim();
+    if (!part) continue;
+    const [upTo, fee] = part.split('=').map((s) => optionalNumber(s));
+    if (upTo == null || fee == null) return null;
+    tiers.push({ upTo, fee });
+  }
+  return tiers.sort((a, b) => a.upTo - b.upTo);
+}
+
+/** Arma el payload de la regla desde el form */
+function collectRulePayload(body = {}) {
+  const errors = {};
+  const kind = Object.values(SHIPPING_KINDS).includes(body.kind) ? body.kind : null;
+  if (!kind) errors.kind = 'Tipo inválido';
+  const basis = Object.values(RATE_BASIS).includes(body.basis) ? body.basis : RATE_BASIS.FLAT;
+
+  const zipRanges = kind === SHIPPING_KINDS.PICKUP ? [] : parseZipRanges(body.zipRanges);
+  if (!zipRanges) errors.zipRanges = 'Usá rangos de 4 dígitos: "4000-4199, 4200"';
+
+  const tiers = basis === RATE_BASIS.FLAT ? [] : parseTiers(body.tiers);
+  if (!tiers) errors.tiers = 'Un tramo por línea con el formato hasta=tarifa (ej. 5=2000)';
+
+  const data = {
+    methodCode: String(body.methodCode || '')
+      .trim()
+      .toLowerCase(),
+    methodName: String(body.methodName || '').trim(),
+    kind,
+    pickupAddress: String(body.pickupAddress || '').trim(),
+    eta: String(body.eta || '').trim(),
+    provinces:
+      kind === SHIPPING_KINDS.PICKUP
+        ? []
+        : String(body.provinces || '')
+            .split(',')
+            .map((s) => s.trim())
+            .filter(Boolean),
+    zipRanges: zipRanges || [],
+    basis,
+    baseFee: optionalNumber(body.baseFee) || 0,
+    tiers: tiers || [],
+    freeFrom: optionalNumber(body.freeFrom),
+    priority: optionalNumber(body.priority) || 0,
+    active: body.active === 'on' || body.active === true,
+  };
+  return { data, errors };
+}
+
+/** Texto legible de la tarifa para el listado */
+function describeRate(rule) {
+  if (rule.basis === RATE_BASIS.FLAT) return null;
+  const unit = rule.basis === RATE_BASIS.WEIGHT ? 'kg' : 'u.';
+  return rule.tiers.map((t) => `≤ ${t.upTo} ${unit}: $${t.fee}`).join(' · ');
+}
+
+// Resultado de alta/activación/baja (?done= / ?error=): no hay middleware de flash
+const RULE_NOTICES = Object.freeze({
+  created: 'Regla de envío creada.',
+  activated: 'Regla activada.',
+  deactivated: 'Regla desactivada.',
+  deleted: 'Regla eliminada.',
+});
+const RULE_ERRORS = Object.freeze({
+  NOT_FOUND: 'Regla no encontrada.',
+});
+
+/** Renderiza el listado + form de alta (con errores si los hay) */
+async function renderList(
+  res,
+  { form = {}, errors = null, status = 200, notice = null, error = null } = {},
+) {
+  const items = await ShippingRule.find().sort({ methodCode: 1, priority: -1 }).lean();
+  return res.status(status).render('admin/shipping', {
+    title: 'Envíos',
+    items: items.map((r) => ({
+      ...r,
+      kindLabel: KIND_LABELS[r.kind] || r.kind,
+      basisLabel: BASIS_LABELS[r.basis] || r.basis,
+      tiersLabel: describeRate(r),
+      zipLabel: r.zipRanges.map((z) => (z.from === z.to ? z.from : `${z.from}-${z.to}`)).join(', '),
+    })),
+    kinds: Object.entries(KIND_LABELS).map(([value, label]) => ({ value, label })),
+    bases: Object.entries(BASIS_LABELS).map(([value, label]) => ({ value, label })),
+    form,
+    errors,
+    notice,
+    error,
+  });
+}
+
+// GET /admin/shipping
+export async function listRules(req, res) {
+  return renderList(res, {
+    form: { active: true, kind: SHIPPING_KINDS.DELIVERY, basis: RATE_BASIS.FLAT },
+    notice: RULE_NOTICES[req.query?.done] || null,
+    error: RULE_ERRORS[req.query?.error] || null,
+  });
+}
+
+// POST /admin/shipping
+export async function createRule(req, res) {
+  const { data, errors } = collectRulePayload(req.body);
+  const form = { ...req.body, active: data.active };
+
+  if (Object.keys(errors).length) {
+    return renderList(res, { form, errors, status: 422 });
+  }
+
+  try {
+    await ShippingRule.create(data);
+  } catch (err) {
+    if (err?.name === 'ValidationError') {
+      const fieldErrors = {};
+      for (const [k, v] of Object.entries(err.errors)) fieldErrors[k.split('.')[0]] = v.message;
+      return renderList(res, { form, errors: fieldErrors, status: 422 });
+    }
+    throw err;
+  }
+
+  return res.redirect('/admin/shipping?done=created');
+}
+
+// POST /admin/shipping/:id/toggle
+export async function toggleRule(req, res) {
+  const rule = await ShippingRule.findById(req.params.id).exec();
+  if (!rule) return res.redirect('/admin/shipping?error=NOT_FOUND');
+  rule.active = !rule.active;
+  await rule.save();
+  return res.redirect(`/admin/shipping?done=${rule.active ? 'activated' : 'deactivated'}`);
+}
+
+// POST /admin/shipping/:id/delete
+// Las órdenes guardan su propia copia de la cotización (Order.shipping): borrar no las afecta.
+export async function deleteRule(req, res) {
+  const result = await ShippingRule.deleteOne({ _id: req.params.id });
+  return res.redirect(
+    result.deletedCount ? '/admin/shipping?done=deleted' : '/admin/shipping?error=NOT_FOUND',
+  );
+}
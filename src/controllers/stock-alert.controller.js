@@ -0,0 +1,73 @@
+// src/controllers/stock-alert.controller.js
+// -----------------------------------------------------------------------------
+// "Avisame cuando haya stock" (services/stock-alert.service.js).
+//   POST /products/:id/stock-alerts              -> subscribe (visitante: body.email;
+//                                                   con sesión: email de la cuenta;
+//                                                   429 + Retry-After si supera el límite)
+//   GET  /stock-alerts/unsubscribe/:token        -> showUnsubscribe (confirmación)
+//   POST /stock-alerts/unsubscribe/:token        -> unsubscribe
+// -----------------------------------------------------------------------------
+
+import { STOCK_SUBSCRIPTION_STATUS } from '../models/StockSubscription.js';
+import {
+  subscribeToStockAlert,
+  findStockAlertByToken,
+  unsubscribeStockAlert,
+} from '../services/stock-alert.service.js';
+import { renderDetail } from './product.controller.js';
+
+// POST /products/:id/stock-alerts
+export async function subscribe(req, res) {
+  const { id } = req.params;
+  const email = req.user?.email || String(req.body?.email || '').trim();
+
+  try {
+    await subscribeToStockAlert({
+      productId: id,
+      email,
+      userId: req.user?.id || null,
+      ip: req.ip,
+    });
+  } catch (err) {
+    // Todos los motivos vuelven al detalle junto al form (sin producto: 404 de renderDetail)
+    if (err?.name === 'StockAlertError') {
+      if (err.code === 'RATE_LIMITED') res.set('Retry-After', String(err.retryAfter));
+      return renderDetail(req, res, {
+        stockAlertForm: { email },
+        stockAlertError: err.message,
+        status: err.status,
+      });
+    }
+    if (err?.name === 'ValidationError') {
+      return renderDetail(req, res, {
+        stockAlertForm: { email },
+        stockAlertError: err.errors.email?.message || 'Revisá los datos ingresados',
+        status: 422,
+      });
+    }
+    throw err;
+  }
+
+  return res.redirect(`/products/${id}?stockAlert=1`);
+}
+
+// GET /stock-alerts/unsubscribe/:token
+export async function showUnsubscribe(req, res) {
+  const sub = await findStockAlertByToken(req.params.token);
+  return res.status(sub ? 200 : 404).render('products/stock-alert-unsubscribe', {
+    title: 'Aviso de stock',
+    sub,
+    token: req.params.token,
+    pending: sub?.status === STOCK_SUBSCRIPTION_STATUS.PENDING,
+  });
+}
+
+// POST /stock-alerts/unsubscribe/:token
+export async function unsubscribe(req, res) {
+  const sub = await unsubscribeStockAlert(req.params.token);
+  return res.status(sub ? 200 : 404).render('products/stock-alert-unsubscribe', {
+    title: 'Aviso de stock',
+    sub,
+    done: !!sub,
+  });
+}
@@ -0,0 +1,112 @@
+// src/controllers/two-factor.controller.js
+// -----------------------------------------------------------------------------
+// Verificación en dos pasos (TOTP) de la cuenta. Rutas en routes/account.js (requireAuth):
+//   GET  /account/security                         -> showSecurity
+//   POST /account/security/2fa/setup               -> startSetup (genera el QR pendiente)
+//   POST /account/security/2fa/enable              -> confirmSetup (body code)
+//   POST /account/security/2fa/recovery-codes      -> regenerateCodes (body code)
+//   POST /account/security/2fa/disable             -> disable (body password, code)
+//
+// Admin y staff llegan acá desde requirePermission si todavía no activaron el 2FA: al
+// activarlo la sesión queda verificada y se ofrece volver a returnTo. El segundo paso
+// del login está en auth.controller.js (/login/2fa).
+// -----------------------------------------------------------------------------
+
+import {
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from '../services/two-factor.service.js';
+
+const SECURITY_PATH = '/account/security';
+
+// ?done= → aviso de la vista
+const NOTICES = Object.freeze({
+  disabled: 'Desactivaste la verificación en dos pasos.',
+});
+
+/** Renderiza la página con el estado actual (+ extras: errores, códigos nuevos, etc.) */
+async function renderSecurity(req, res, extra = {}, status = 200) {
+  const twoFactor = await getTwoFactorStatus(req.userId);
+  // Staff que todavía no lo activó: requirePermission lo mandó acá
+  const mustEnable = twoFactor.required && !twoFactor.enabled;
+  return res.status(status).render('account/security', {
+    title: 'Seguridad',
+    twoFactor,
+    mustEnable,
+    ...extra,
+  });
+}
+
+/** Errores de dominio → misma página con el mensaje; el resto sigue a errorHandler */
+function handleError(req, res, err) {
+  if (err?.name !== 'TwoFactorError') throw err;
+  return renderSecurity(req, res, { error: err.message }, err.status);
+}
+
+/** GET /account/security */
+export async function showSecurity(req, res) {
+  const notice = NOTICES[req.query?.done] || null;
+  return renderSecurity(req, res, { notice });
+}
+
+/** POST /account/security/2fa/setup */
+export async function startSetup(req, res) {
+  try {
+    await startEnrollment(req.userId);
+  } catch (err) {
+    return handleError(req, res, err);
+  }
+  return renderSecurity(req, res);
+}
+
+/** POST /account/security/2fa/enable */
+export async function confirmSetup(req, res) {
+  let recoveryCodes;
+  try {
+    recoveryCodes = await confirmEnrollment(req.userId, req.body?.code);
+  } catch (err) {
+    return handleError(req, res, err);
+  }
+
+  // El alta ya probó el segundo factor: la sesión queda verificada
+  req.session.user.twoFactorEnabled = true;
+  req.session.twoFactorVerified = true;
+  const continueTo = req.session.returnTo || null;
+  delete req.session.returnTo;
+
+  return renderSecurity(req, res, {
+    notice: 'Activaste la verificación en dos pasos.',
+    recoveryCodes,
+    continueTo,
+  });
+}
+
+/** POST /account/security/2fa/recovery-codes */
+export async function regenerateCodes(req, res) {
+  let recoveryCodes;
+  try {
+    recoveryCodes = await regenerateRecoveryCodes(req.userId, req.body?.code);
+  } catch (err) {
+    return handleError(req, res, err);
+  }
+  return renderSecurity(req, res, {
+    notice: 'Generaste códigos de recuperación nuevos. Los anteriores ya no sirven.',
+    recoveryCodes,
+  });
+}
+
+/** POST /account/security/2fa/disable */
+export async function disable(req, res) {
+  const { password = '', code = '' } = req.body || {};
+  try {
+    await disableTwoFactor(req.userId, { password: String(password), code });
+  } catch (err) {
+    return handleError(req, res, err);
+  }
+  req.session.user.twoFactorEnabled = false;
+  req.session.twoFactorVerified = false;
+  return res.redirect(`${SECURITY_PATH}?done=disabled`);
+}
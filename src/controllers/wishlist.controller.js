@@ -0,0 +1,123 @@
+// src/controllers/wishlist.controller.js
+// -----------------------------------------------------------------------------
+// Wishlist (favoritos) del usuario logueado. Rutas en routes/account.js (requireAuth):
+//   GET  /account/wishlist                 -> showWishlist
+//   POST /account/wishlist/:id             -> addItem
+//   POST /account/wishlist/:id/remove      -> removeItem
+//   POST /account/wishlist/:id/alerts      -> setAlerts (body notify=1|0)
+//   POST /account/wishlist/:id/cart        -> moveToCart (CartService.add + quitar de la lista)
+//
+// add/remove/alerts responden JSON a pedidos AJAX (public/js/app.js, X-Requested-With)
+// y redirect al resto (returnTo del form o /account/wishlist; si falla, /account/wishlist?error=).
+// -----------------------------------------------------------------------------
+
+import { WISHLIST_MAX_ITEMS } from '../models/User.js';
+import CartService from '../services/cart.service.js';
+import {
+  addToWishlist,
+  removeFromWishlist,
+  setWishlistAlerts,
+  getWishlist,
+} from '../services/wishlist.service.js';
+import { findSellableProduct } from './cart.controller.js';
+import { decoratePromoFields } from './product.controller.js';
+
+const WISHLIST_PATH = '/account/wishlist';
+
+// ?error= de "mover al carrito" y de agregar sin JS (código de WishlistError) → mensaje
+const WISHLIST_ERRORS = Object.freeze({
+  unavailable: 'El producto ya no está disponible.',
+  stock: 'El producto no tiene stock en este momento.',
+  cart: 'No se pudo agregar el producto al carrito.',
+  PRODUCT_NOT_FOUND: 'El producto ya no está disponible.',
+  WISHLIST_FULL: `Tu lista ya tiene ${WISHLIST_MAX_ITEMS} productos. Quitá alguno para agregar otro.`,
+});
+
+/**
+ * Determina si el cliente "prefiere" JSON (botones AJAX) en lugar de HTML.
+ * Mismo criterio que middlewares/auth.js y middlewares/errors.js.
+ */
+function wantsJSON(req) {
+  const accept = req.headers.accept || '';
+  const requestedWith = req.get('X-Requested-With');
+  return accept.includes('application/json') || requestedWith === 'XMLHttpRequest';
+}
+
+/** returnTo del form (solo paths internos) o la wishlist */
+function backTo(req) {
+  const raw = String(req.body?.returnTo || '').trim();
+  return raw.startsWith('/') && !raw.startsWith('//') ? raw : WISHLIST_PATH;
+}
+
+// GET /account/wishlist
+export async function showWishlist(req, res) {
+  const entries = await getWishlist(req.user.id);
+  const items = entries.map((w) => ({
+    ...w,
+    product: w.product ? decoratePromoFields(w.product) : null,
+  }));
+
+  return res.render('account/wishlist', {
+    title: 'Mis favoritos',
+    items,
+    error: WISHLIST_ERRORS[req.query?.error] || null,
+  });
+}
+
+// POST /account/wishlist/:id
+export async function addItem(req, res) {
+  try {
+    const { count } = await addToWishlist(req.user.id, req.params.id);
+    if (wantsJSON(req)) return res.json({ ok: true, inWishlist: true, count });
+  } catch (err) {
+    if (err?.name !== 'WishlistError') throw err;
+    if (wantsJSON(req)) {
+      return res.status(err.status).json({ ok: false, error: err.code, message: err.message });
+    }
+    // Sin JS: el motivo se muestra en la lista (no hay middleware de flash)
+    return res.redirect(`${WISHLIST_PATH}?error=${err.code}`);
+  }
+  return res.redirect(backTo(req));
+}
+
+// POST /account/wishlist/:id/remove
+export async function removeItem(req, res) {
+  const { count } = await removeFromWishlist(req.user.id, req.params.id);
+  if (wantsJSON(req)) return res.json({ ok: true, inWishlist: false, count });
+  return res.redirect(backTo(req));
+}
+
+// POST /account/wishlist/:id/alerts
+export async function setAlerts(req, res) {
+  const notify = ['1', 'true', 'on'].includes(String(req.body?.notify));
+  const found = await setWishlistAlerts(req.user.id, req.params.id, notify);
+  if (wantsJSON(req)) {
+    if (!found) {
+      return res
+        .status(404)
+        .json({ ok: false, error: 'NOT_IN_WISHLIST', message: 'El producto no está en tu lista.' });
+    }
+    return res.json({ ok: true, notify });
+  }
+  return res.redirect(WISHLIST_PATH);
+}
+
+// POST /account/wishlist/:id/cart
+export async function moveToCart(req, res) {
+  const { id } = req.params;
+  const product = await findSellableProduct(req, id);
+  if (!product) return res.redirect(`${WISHLIST_PATH}?error=unavailable`);
+
+  const cart = new CartService(req.session);
+  try {
+    await cart.add(product, 1);
+  } catch (err) {
+    if (err?.name !== 'CartError') throw err;
+    // Con variantes hay que elegir una en el detalle
+    if (err.code === 'VARIANT_REQUIRED') return res.redirect(`/products/${id}`);
+    return res.redirect(`${WISHLIST_PATH}?error=${err.code === 'OUT_OF_STOCK' ? 'stock' : 'cart'}`);
+  }
+
+  await removeFromWishlist(req.user.id, id);
+  return res.redirect('/cart');
+}
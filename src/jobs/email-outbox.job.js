@@ -0,0 +1,43 @@
+// src/jobs/email-outbox.job.js
+// -----------------------------------------------------------------------------
+// Envío periódico de los emails encolados en EmailOutbox (notificaciones de pedidos).
+//
+// Cada tick procesa un lote (ver processOutbox en services/notification.service.js):
+// los envíos fallidos vuelven a "pending" con backoff y, agotados los intentos, quedan
+// en "failed" con el último error en lastError.
+// -----------------------------------------------------------------------------
+
+import { config } from '../config/env.js';
+import { processOutbox } from '../services/notification.service.js';
+import { scheduleJob } from './scheduler.js';
+
+export const JOB_NAME = 'email-outbox';
+
+/**
+ * Procesa un lote del outbox y loguea si hubo actividad.
+ * @returns {Promise<{ sent: number, retried: number, failed: number }>}
+ */
+export async function flushEmailOutbox() {
+  const result = await processOutbox();
+  if (result.sent || result.retried || result.failed) {
+    console.log(
+      `[jobs] ${JOB_NAME}: sent=${result.sent} retried=${result.retried} failed=${result.failed}`,
+    );
+  }
+  return result;
+}
+
+/**
+ * Programa el envío según config.notifications. No hace nada si JOBS_ENABLED=false.
+ * @returns {(() => void)|null} función para detenerlo
+ */
+export function startEmailOutboxJob() {
+  if (!config.jobs.enabled) return null;
+  return scheduleJob({
+    name: JOB_NAME,
+    intervalMs: config.notifications.outboxIntervalMs,
+    run: () => flushEmailOutbox(),
+  });
+}
+
+export default { flushEmailOutbox, startEmailOutboxJob };
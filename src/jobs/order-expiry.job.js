@@ -0,0 +1,140 @@
+// src/jobs/order-expiry.job.js
+// -----------------------------------------------------------------------------
+// Barrido periódico de órdenes "created" / "pending" que quedaron colgadas.
+//
+// Reglas (en cada tick):
+// 1) created o pending con expiresAt vencido → expired  (closedReason: payment_window_elapsed)
+//    (pending = pago iniciado que MP nunca acreditó; su reserva vence igual)
+// 2) created sin preferencia de MP luego de
+//    config.jobs.orderAbandonAfterMs         → abandoned (closedReason: checkout_not_started)
+// 3) órdenes ya cerradas (rejected/cancelled/expired/abandoned) con la reserva o el uso
+//    de cupón aún tomados → se liberan (reparación si una liberación previa falló a mitad de camino)
+//
+// Cada orden se "reclama" con un findOneAndUpdate condicionado a su estado actual
+// (created → expired|abandoned y pending → expired son saltos válidos de
+// ORDER_TRANSITIONS) y deja su entrada en statusHistory con source "system":
+// aunque dos instancias barran a la vez, una orden se cierra una sola vez.
+// La liberación de stock es idempotente (releaseOrderStock).
+// -----------------------------------------------------------------------------
+
+import Order from '../models/Order.js';
+import { config } from '../config/env.js';
+import { releaseOrderStock } from '../services/stock.service.js';
+import { releaseCouponUse } from '../services/coupon.service.js';
+import { buildHistoryEntry } from '../services/order-status.service.js';
+import { scheduleJob } from './scheduler.js';
+
+export const JOB_NAME = 'order-expiry';
+
+// Máximo de órdenes por regla y por tick (evita ticks eternos tras una caída larga)
+const BATCH_LIMIT = 200;
+
+/**
+ * Cierra, de a una, las órdenes en estado `from` que cumplan `filter`.
+ * @param {Object} filter - condiciones extra (además de status: from)
+ * @param {'created'|'pending'} from
+ * @param {'expired'|'abandoned'} status
+ * @param {string} reason - closedReason
+ * @param {Date} now
+ * @returns {Promise<number>} cantidad de órdenes cerradas
+ */
+async function closeMatching(filter, from, status, reason, now) {
+  let closed = 0;
+  while (closed < BATCH_LIMIT) {
+    const order = await Order.findOneAndUpdate(
+      { ...filter, status: from },
+      {
+        $set: { status, closedAt: now, closedReason: reason },
+        $push: {
+          statusHistory: buildHistoryEntry({
+            from,
+            to: status,
+            source: 'system',
+            note: reason,
+            at: now,
+          }),
+        },
+      },
+      { new: true, sort: { createdAt: 1 } },
+    );
+    if (!order) break;
+    closed += 1;
+    try {
+      await releaseOrderStock(order._id, status);
+      await releaseCouponUse(order._id);
+    } catch (err) {
+      // La regla 3 lo reintenta en el próximo tick
+      console.error('[jobs] No se pudo liberar stock de', String(order._id), err?.message);
+    }
+  }
+  return closed;
+}
+
+/**
+ * Libera reservas de stock y usos de cupón que quedaron tomados en órdenes ya cerradas.
+ * @returns {Promise<number>}
+ */
+async function releaseOrphanReservations() {
+  const orphans = await Order.find({
+    status: { $in: ['rejected', 'cancelled', 'expired', 'abandoned'] },
+    $or: [{ 'stockReservation.status': 'reserved' }, { 'coupon.claimed': true }],
+  })
+    .select('_id status')
+    .limit(BATCH_LIMIT)
+    .lean();
+
+  let released = 0;
+  for (const o of orphans) {
+    const stock = await releaseOrderStock(o._id, o.status);
+    const coupon = await releaseCouponUse(o._id);
+    if (stock || coupon) released += 1;
+  }
+  return released;
+}
+
+/**
+ * Ejecuta un barrido completo. Exportado para poder correrlo a mano (scripts/tests).
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<{ expired: number, abandoned: number, released: number }>}
+ */
+export async function sweepStaleOrders({ now = new Date() } = {}) {
+  const windowElapsed = { expiresAt: { $ne: null, $lte: now } };
+  let expired = 0;
+  for (const from of ['created', 'pending']) {
+    expired += await closeMatching(windowElapsed, from, 'expired', 'payment_window_elapsed', now);
+  }
+
+  const abandonBefore = new Date(now.getTime() - config.jobs.orderAbandonAfterMs);
+  const abandoned = await closeMatching(
+    { mpPreferenceId: null, lastAttemptAt: { $lte: abandonBefore } },
+    'created',
+    'abandoned',
+    'checkout_not_started',
+    now,
+  );
+
+  const released = await releaseOrphanReservations();
+
+  if (expired || abandoned || released) {
+    console.log(
+      `[jobs] ${JOB_NAME}: expired=${expired} abandoned=${abandoned} released=${released}`,
+    );
+  }
+  return { expired, abandoned, released };
+}
+
+/**
+ * Programa el barrido según config.jobs. No hace nada si JOBS_ENABLED=false.
+ * @returns {(() => void)|null} función para detenerlo
+ */
+export function startOrderExpiryJob() {
+  if (!config.jobs.enabled) return null;
+  return scheduleJob({
+    name: JOB_NAME,
+    intervalMs: config.jobs.orderSweepIntervalMs,
+    run: () => sweepStaleOrders(),
+  });
+}
+
+export default { sweepStaleOrders, startOrderExpiryJob };
@@ -0,0 +1,63 @@
+// src/jobs/scheduler.js
+// -----------------------------------------------------------------------------
+// Scheduler en proceso (setInterval) para tareas periódicas.
+//
+// - Cada tick intenta tomar un lock en Mongo (models/JobLock.js): con varias
+//   instancias, solo una ejecuta el job en ese intervalo.
+// - Nunca solapa ejecuciones en la misma instancia (si un tick tarda, el siguiente se saltea).
+// - Los timers usan unref(): no impiden que el proceso termine.
+//
+// Uso:
+//   const stop = scheduleJob({ name: 'order-expiry', intervalMs: 60000, run: sweep });
+//   stop(); // en shutdown / tests
+// -----------------------------------------------------------------------------
+
+import os from 'os';
+import crypto from 'crypto';
+import JobLock from '../models/JobLock.js';
+
+// Identificador de esta instancia (host + pid + sufijo aleatorio)
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Programa un job periódico con lock distribuido.
+ *
+ * @param {Object} opts
+ * @param {string} opts.name - nombre único del job (también _id del lock)
+ * @param {number} opts.intervalMs - cada cuánto intentar ejecutarlo
+ * @param {number} [opts.lockTtlMs] - duración del lease (default: 2 × intervalo)
+ * @param {boolean} [opts.runOnStart=true] - ejecutar un tick apenas se programa
+ * @param {() => Promise<any>} opts.run - trabajo a ejecutar
+ * @returns {() => void} función para detener el job
+ */
+export function scheduleJob({ name, intervalMs, lockTtlMs, runOnStart = true, run }) {
+  const ttl = lockTtlMs || intervalMs * 2;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const acquired = await JobLock.acquire(name, INSTANCE_ID, ttl);
+      if (!acquired) return;
+      try {
+        await run();
+      } finally {
+        await JobLock.release(name, INSTANCE_ID).catch(() => {});
+      }
+    } catch (err) {
+      console.error(`[jobs] ${name} falló:`, err?.message || err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref?.();
+  if (runOnStart) setImmediate(tick);
+
+  console.log(`[jobs] ${name} programado cada ${Math.round(intervalMs / 1000)}s`);
+  return () => clearInterval(timer);
+}
+
+export default { scheduleJob };
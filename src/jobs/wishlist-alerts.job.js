@@ -0,0 +1,42 @@
+// src/jobs/wishlist-alerts.job.js
+// -----------------------------------------------------------------------------
+// Avisos de wishlist: producto guardado (con "Avisarme") que entró en promo o
+// volvió a tener stock.
+//
+// Cada tick compara el estado de los productos con el último visto por el usuario
+// (ver checkWishlistAlerts en services/wishlist.service.js) y encola los emails en el
+// outbox; el envío lo hace jobs/email-outbox.job.js.
+// -----------------------------------------------------------------------------
+
+import { config } from '../config/env.js';
+import { checkWishlistAlerts } from '../services/wishlist.service.js';
+import { scheduleJob } from './scheduler.js';
+
+export const JOB_NAME = 'wishlist-alerts';
+
+/**
+ * Revisa las wishlists con avisos y loguea si hubo actividad.
+ * @returns {Promise<{ users: number, alerts: number }>}
+ */
+export async function sweepWishlistAlerts() {
+  const result = await checkWishlistAlerts();
+  if (result.users) {
+    console.log(`[jobs] ${JOB_NAME}: users=${result.users} alerts=${result.alerts}`);
+  }
+  return result;
+}
+
+/**
+ * Programa la revisión según config.notifications. No hace nada si JOBS_ENABLED=false.
+ * @returns {(() => void)|null} función para detenerlo
+ */
+export function startWishlistAlertsJob() {
+  if (!config.jobs.enabled) return null;
+  return scheduleJob({
+    name: JOB_NAME,
+    intervalMs: config.notifications.wishlistAlertIntervalMs,
+    run: () => sweepWishlistAlerts(),
+  });
+}
+
+export default { sweepWishlistAlerts, startWishlistAlertsJob };
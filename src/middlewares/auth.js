@@ -3,9 +3,12 @@
 // Middlewares de autenticación/autorización y helpers relacionados.
 // Diseñados para:
 // - Cargar el usuario desde la sesión y exponerlo en req.user y res.locals.user
-// - Proteger rutas (requireAuth, requireAdmin)
+// - Proteger rutas (requireAuth, requirePermission, requireActiveUser, requireVerifiedEmail)
 // - Prevenir acceso a login/register cuando ya hay sesión (requireGuest)
 // - Mantener la sesión "fresca" con un refresh periódico opcional desde la BD
+// - Panel por permisos: requirePermission('orders:update') usa ROLE_PERMISSIONS
+//   (models/User.js). Admin y staff además necesitan req.session.twoFactorVerified
+//   (lo marca el login en /login/2fa o el alta del 2FA)
 //
 // Notas de diseño:
 // - Por defecto NO golpeamos la BD en cada request. Usamos el user guardado en
@@ -14,7 +17,15 @@
 // - Las respuestas diferencian HTML vs JSON, según Accept o cabeceras.
 // -----------------------------------------------------------------------------
 
-import { User } from '../models/index.js';
+import {
+  User,
+  USER_ROLE_LABELS,
+  isEmailVerified,
+  isStaff,
+  hasPermission,
+  permissionsOf,
+} from '../models/index.js';
+import { touchUserSession } from '../services/session.service.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Configuración (puede tunearse por .env)
@@ -22,6 +33,8 @@ import { User } from '../models/index.js';
 const REFRESH_INTERVAL_MS = Number(process.env.USER_REFRESH_INTERVAL_MS ?? 5 * 60 * 1000); // 5 min
 const LOGIN_PATH = '/login';
 const HOME_PATH = '/';
+const TWO_FACTOR_LOGIN_PATH = '/login/2fa';
+const TWO_FACTOR_SETUP_PATH = '/account/security';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Utilidades internas
@@ -29,12 +42,16 @@ const HOME_PATH = '/';
 
 /**
  * Determina si el cliente "prefiere" JSON (API/AJAX) en lugar de HTML.
- * Útil para decidir entre redirect (HTML) o 401/403 JSON.
+ * Útil para decidir entre redirect (HTML) o 401/403 JSON. La API (/api/...) siempre es JSON.
  */
 function wantsJSON(req) {
   const accept = req.headers.accept || '';
   const requestedWith = req.get('X-Requested-With');
-  return accept.includes('application/json') || requestedWith === 'XMLHttpRequest';
+  return (
+    accept.includes('application/json') ||
+    requestedWith === 'XMLHttpRequest' ||
+    req.originalUrl.startsWith('/api/')
+  );
 }
 
 /**
@@ -66,12 +83,15 @@ async function maybeRefreshUserInSession(req) {
     email: fresh.email,
     role: fresh.role,
     active: Boolean(fresh.active),
+    emailVerified: isEmailVerified(fresh),
+    twoFactorEnabled: Boolean(fresh.twoFactorEnabled),
     createdAt: fresh.createdAt,
   };
 }
 
 /**
  * Proyección segura para exponer en res.locals.user (navbar/vistas).
+ * permissions permite ocultar secciones del panel: {{#if (includes user.permissions "orders:read")}}
  */
 function safeUserProjection(u) {
   if (!u) return null;
@@ -80,8 +100,13 @@ function safeUserProjection(u) {
     name: u.name,
     email: u.email,
     role: u.role,
+    roleLabel: USER_ROLE_LABELS[u.role] || u.role,
     isAdmin: u.role === 'admin',
+    isStaff: isStaff(u),
+    permissions: [...permissionsOf(u)],
     active: u.active,
+    emailVerified: isEmailVerified(u),
+    twoFactorEnabled: Boolean(u.twoFactorEnabled),
   };
 }
 
@@ -122,6 +147,9 @@ export async function setUserInViews(req, res, next) {
     req.userId = req.user?._id || req.user?.id || null;
     res.locals.user = safeUserProjection(req.user);
 
+    // "Visto por última vez" de la sesión (/account/sessions), con throttle
+    if (req.user) await touchUserSession(req);
+
     next();
   } catch (err) {
     next(err);
@@ -172,25 +200,46 @@ export function requireAuth(req, res, next) {
 }
 
 /**
- * Requiere usuario con rol admin (y autenticación previa).
- * - HTML: redirect a home si no tiene permisos
+ * Requiere un permiso del panel (ver ROLE_PERMISSIONS en models/User.js) y, como toda
+ * cuenta de staff, haber completado el 2FA en esta sesión.
+ * - HTML: redirect a home si el rol no tiene el permiso; sin 2FA, a /login/2fa (ya lo
+ *   tiene activo) o a /account/security (todavía no lo activó), guardando returnTo
  * - JSON: 403 con detalle
+ *
+ * Uso: router.post('/orders/:id/status', requirePermission('orders:update'), handler)
+ *
+ * @param {string} permission - ej. "products:write"
  */
-export function requireAdmin(req, res, next) {
-  if (!req.user) {
-    return requireAuth(req, res, next);
-  }
-  if (req.user.role === 'admin') return next();
+export function requirePermission(permission) {
+  return function permissionGuard(req, res, next) {
+    if (!req.user) {
+      return requireAuth(req, res, next);
+    }
 
-  if (wantsJSON(req)) {
-    return res.status(403).json({
-      ok: false,
-      error: 'forbidden',
-      message: 'No tenés permisos para acceder a este recurso.',
-    });
-  }
+    if (!hasPermission(req.user, permission)) {
+      if (wantsJSON(req)) {
+        return res.status(403).json({
+          ok: false,
+          error: 'forbidden',
+          permission,
+          message: 'No tenés permisos para acceder a este recurso.',
+        });
+      }
+      return res.redirect(HOME_PATH);
+    }
 
-  return res.redirect(HOME_PATH);
+    if (req.session?.twoFactorVerified) return next();
+
+    if (wantsJSON(req)) {
+      return res.status(403).json({
+        ok: false,
+        error: 'two_factor_required',
+        message: 'Completá la verificación en dos pasos para acceder a este recurso.',
+      });
+    }
+    if (req.method === 'GET') req.session.returnTo = req.originalUrl;
+    return res.redirect(req.user.twoFactorEnabled ? TWO_FACTOR_LOGIN_PATH : TWO_FACTOR_SETUP_PATH);
+  };
 }
 
 /**
@@ -234,3 +283,32 @@ export function requireActiveUser(req, res, next) {
     message: 'Tu usuario está inactivo. Contactá a un administrador.',
   });
 }
+
+/**
+ * Exige email verificado (ej. checkout). Combínalo después de requireAuth.
+ * Si la sesión dice "sin verificar" se relee la BD: el usuario pudo verificar desde
+ * otro navegador o un admin pudo marcarlo a mano.
+ * - HTML: página con opción de reenviar el email
+ * - JSON: 403 email_unverified
+ */
+export async function requireVerifiedEmail(req, res, next) {
+  if (!req.user) return requireAuth(req, res, next);
+  if (isEmailVerified(req.user)) return next();
+
+  const fresh = await User.findById(req.userId).select('emailVerified').lean();
+  if (fresh && isEmailVerified(fresh)) {
+    req.session.user.emailVerified = true;
+    return next();
+  }
+
+  const message = 'Verificá tu email para poder finalizar la compra.';
+  if (wantsJSON(req)) {
+    return res.status(403).json({ ok: false, error: 'email_unverified', message });
+  }
+
+  return res.status(403).render('auth/verify-email', {
+    title: 'Verificá tu email',
+    email: req.user.email,
+    message,
+  });
+}
@@ -0,0 +1,18 @@
+// src/middlewares/cart.js
+// -----------------------------------------------------------------------------
+// attachCart: carga el carrito persistido (usuario o visitante) en req.session.cart
+// antes de las rutas que lo usan (/cart, /checkout).
+// -----------------------------------------------------------------------------
+
+import { loadCart } from '../services/cart-store.service.js';
+
+export async function attachCart(req, res, next) {
+  try {
+    await loadCart(req, res);
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+export default { attachCart };
@@ -0,0 +1,121 @@
+// src/middlewares/csrf.js
+// -----------------------------------------------------------------------------
+// Protección CSRF atada a la sesión (synchronizer token).
+//
+// - Cada sesión tiene un secreto (req.session.csrfSecret). El token que va en los
+//   formularios es `sal.HMAC(secreto, sal)`: cambia en cada render (no se puede deducir
+//   el secreto comparando páginas) y solo lo valida la sesión que lo emitió.
+// - csrfProtection expone el token en res.locals.csrfToken (junto a cspNonce) y lo exige
+//   en todo request que no sea GET/HEAD/OPTIONS:
+//     • formularios: campo oculto _csrf (partials/csrf.hbs)
+//     • fetch/API: cabecera X-CSRF-Token (el token sale de <meta name="csrf-token"> o
+//       de GET /api/v1/session)
+//     • multipart (multer parsea el body recién en la ruta): ?_csrf= en el action. Solo
+//       ahí se acepta por query: en el resto un token en la URL (que termina en logs,
+//       historial y Referer) no vale.
+// - Se evalúa el método ORIGINAL: un POST con ?_method=DELETE (methodOverride) también
+//   se valida.
+// - Excepciones: CSRF_EXEMPT_PATHS (webhooks server-to-server, sin sesión).
+// - Un token inválido llega a errorHandler como CsrfError 403 (JSON o HTML).
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Rutas que reciben POST de terceros (sin cookie de sesión): se validan por firma
+const CSRF_EXEMPT_PATHS = new Set(['/webhooks/mp']);
+
+const SECRET_KEY = 'csrfSecret';
+
+/**
+ * Error de CSRF (token ausente o inválido).
+ */
+export class CsrfError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - CSRF_MISSING | CSRF_INVALID
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'CsrfError';
+    this.code = code;
+    this.status = 403;
+  }
+}
+
+function sign(secret, salt) {
+  return crypto.createHmac('sha256', secret).update(salt).digest('base64url');
+}
+
+/**
+ * Token nuevo para la sesión (crea el secreto si todavía no existe).
+ * @param {object} session - req.session
+ * @returns {string}
+ */
+export function createCsrfToken(session) {
+  if (!session[SECRET_KEY]) session[SECRET_KEY] = crypto.randomBytes(32).toString('base64url');
+  const salt = crypto.randomBytes(12).toString('base64url');
+  return `${salt}.${sign(session[SECRET_KEY], salt)}`;
+}
+
+/**
+ * ¿El token corresponde a la sesión?
+ * @param {object} session
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function verifyCsrfToken(session, token) {
+  const secret = session?.[SECRET_KEY];
+  const [salt, mac] = String(token || '').split('.');
+  if (!secret || !salt || !mac) return false;
+
+  const expected = Buffer.from(sign(secret, salt));
+  const received = Buffer.from(mac);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/** Token del request: cabecera, body (urlencoded/JSON) o, solo para multipart, query */
+function requestToken(req) {
+  const fromQuery =
+    req.is('multipart/form-data') && typeof req.query?._csrf === 'string' ? req.query._csrf : '';
+  return (
+    req.get('X-CSRF-Token') ||
+    (typeof req.body?._csrf === 'string' ? req.body._csrf : '') ||
+    fromQuery
+  );
+}
+
+/**
+ * Middleware global (después de express-session y methodOverride).
+ */
+export function csrfProtection(req, res, next) {
+  if (CSRF_EXEMPT_PATHS.has(req.path)) return next();
+
+  // Sin sesión (store caído) no hay token que emitir ni validar
+  if (req.session) res.locals.csrfToken = createCsrfToken(req.session);
+
+  const method = req.originalMethod || req.method;
+  if (SAFE_METHODS.has(method)) return next();
+
+  const token = requestToken(req);
+  if (!token) {
+    return next(
+      new CsrfError(
+        'Falta el token de seguridad del formulario. Recargá la página e intentá de nuevo.',
+        'CSRF_MISSING',
+      ),
+    );
+  }
+  if (!verifyCsrfToken(req.session, token)) {
+    return next(
+      new CsrfError(
+        'El formulario venció o no es válido. Recargá la página e intentá de nuevo.',
+        'CSRF_INVALID',
+      ),
+    );
+  }
+  return next();
+}
+
+export default { csrfProtection, createCsrfToken, verifyCsrfToken, CsrfError };
@@ -5,7 +5,8 @@
 // - asyncHandler(fn): elimina try/catch repetitivo en rutas y controllers.
 // - notFound: 404 consistente para HTML/JSON.
 // - errorHandler: serializa errores, respeta status si viene seteado, y
-//   diferencia salida en development vs production.
+//   diferencia salida en development vs production. El JSON de error es el mismo
+//   envelope de la API: { ok: false, error: <code>, message }.
 // -----------------------------------------------------------------------------
 
 const isDev = process.env.NODE_ENV !== 'production';
@@ -72,10 +73,15 @@ export function errorHandler(err, req, res, _next) {
 // Helpers internos
 // ─────────────────────────────────────────────────────────────────────────────
 
+// JSON si lo pide el cliente (Accept / AJAX) o si es la API (/api/...)
 function wantsJSON(req) {
   const accept = req.headers.accept || '';
   const requestedWith = req.get('X-Requested-With');
-  return accept.includes('application/json') || requestedWith === 'XMLHttpRequest';
+  return (
+    accept.includes('application/json') ||
+    requestedWith === 'XMLHttpRequest' ||
+    req.originalUrl.startsWith('/api/')
+  );
 }
 
 function normalizeStatus(err) {
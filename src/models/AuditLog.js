@@ -0,0 +1,122 @@
+// src/models/AuditLog.js
+// -----------------------------------------------------------------------------
+// Registro de auditoría de los cambios hechos desde el panel (services/audit.service.js).
+//
+// - actor: quién hizo el cambio (con email y rol copiados: el registro no cambia si
+//   después se edita o se borra el usuario).
+// - action: "<entidad>.<acción>" (AUDIT_ACTIONS), entity/entityId/entityLabel: sobre qué.
+// - changes: diff campo a campo [{ field, before, after }] (vacío si no cambió nada).
+// - ip / userAgent del request.
+//
+// Solo se agregan registros: los hooks rechazan update/delete desde Mongoose y no hay
+// TTL (se conservan para revisiones de cumplimiento; /admin/audit y export CSV).
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+export const AUDIT_ENTITIES = Object.freeze({
+  PRODUCT: 'product',
+  CATEGORY: 'category',
+  ORDER: 'order',
+  USER: 'user',
+});
+
+export const AUDIT_ENTITY_LABELS = Object.freeze({
+  product: 'Producto',
+  category: 'Categoría',
+  order: 'Pedido',
+  user: 'Usuario',
+});
+
+export const AUDIT_ACTIONS = Object.freeze({
+  PRODUCT_CREATE: 'product.create',
+  PRODUCT_UPDATE: 'product.update',
+  PRODUCT_TOGGLE: 'product.toggle',
+  PRODUCT_DELETE: 'product.delete',
+  CATEGORY_CREATE: 'category.create',
+  CATEGORY_UPDATE: 'category.update',
+  CATEGORY_TOGGLE: 'category.toggle',
+  CATEGORY_DELETE: 'category.delete',
+  ORDER_STATUS: 'order.status',
+  USER_CREATE: 'user.create',
+  USER_UPDATE: 'user.update',
+  USER_TOGGLE: 'user.toggle',
+  USER_VERIFY: 'user.verify',
+});
+
+export const AUDIT_ACTION_LABELS = Object.freeze({
+  'product.create': 'Alta de producto',
+  'product.update': 'Edición de producto',
+  'product.toggle': 'Cambio de flag de producto',
+  'product.delete': 'Baja de producto',
+  'category.create': 'Alta de categoría',
+  'category.update': 'Edición de categoría',
+  'category.toggle': 'Activación de categoría',
+  'category.delete': 'Baja de categoría',
+  'order.status': 'Cambio de estado de pedido',
+  'user.create': 'Alta de usuario',
+  'user.update': 'Edición de usuario (nombre/rol)',
+  'user.toggle': 'Activación de usuario',
+  'user.verify': 'Verificación de email manual',
+});
+
+const AuditChangeSchema = new Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: Schema.Types.Mixed, default: null },
+    after: { type: Schema.Types.Mixed, default: null },
+  },
+  { _id: false },
+);
+
+const AuditLogSchema = new Schema(
+  {
+    actor: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    actorEmail: { type: String, trim: true, lowercase: true, default: '' },
+    actorRole: { type: String, default: '' },
+    action: { type: String, enum: Object.values(AUDIT_ACTIONS), required: true },
+    entity: { type: String, enum: Object.values(AUDIT_ENTITIES), required: true },
+    entityId: { type: Schema.Types.ObjectId, required: true },
+    entityLabel: { type: String, default: '', maxlength: 200 },
+    changes: { type: [AuditChangeSchema], default: [] },
+    ip: { type: String, default: '' },
+    userAgent: { type: String, default: '', maxlength: 300 },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  },
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: un registro guardado no se modifica ni se borra desde la app
+function rejectMutation() {
+  throw new Error('AuditLog es de solo escritura: no admite cambios ni borrados.');
+}
+
+AuditLogSchema.pre('save', function preventResave() {
+  if (!this.isNew) rejectMutation();
+});
+AuditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: false, query: true },
+  rejectMutation,
+);
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+const AuditLog = model('AuditLog', AuditLogSchema);
+export default AuditLog;
@@ -0,0 +1,66 @@
+// src/models/Cart.js
+// -----------------------------------------------------------------------------
+// Carrito persistido (respaldo de req.session.cart).
+//
+// - Un carrito por dueño: userId (usuario logueado) o guestId (cookie de visitante).
+// - Guarda el mismo snapshot de líneas que maneja CartService + el cupón aplicado;
+//   los totales se recalculan al cargarlo (CartService.recalc).
+// - Los carritos de visitantes vencen solos (índice TTL sobre expiresAt);
+//   los de usuarios no (expiresAt = null).
+// Ver services/cart-store.service.js.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+const { Schema, Types } = mongoose;
+
+/**
+ * Línea del carrito (mismo shape que CartService.add).
+ */
+const CartLineSchema = new Schema(
+  {
+    productId: { type: String, required: true },
+    // Variante elegida (null si el producto no tiene variantes)
+    variantId: { type: String, default: null },
+    variantSku: { type: String, default: null },
+    variantLabel: { type: String, default: '' },
+    title: { type: String, default: 'Producto' },
+    imageUrl: { type: String, default: null },
+    categoryId: { type: String, default: null },
+    weightKg: { type: Number, default: 0 },
+    qty: { type: Number, required: true, min: 1 },
+    stock: { type: Number, default: 0 },
+    price: { type: Number, default: 0 },
+    promoPrice: { type: Number, default: null },
+    unitBaseCents: { type: Number, default: 0 },
+    unitFinalCents: { type: Number, default: 0 },
+    unitDiscountCents: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+const CartSchema = new Schema(
+  {
+    userId: { type: Types.ObjectId, ref: 'User', default: undefined },
+    guestId: { type: String, default: undefined },
+    items: { type: [CartLineSchema], default: [] },
+    // Snapshot del cupón (ver coupon.service.js → toCartCoupon)
+    coupon: { type: Schema.Types.Mixed, default: null },
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true, versionKey: false, minimize: false },
+);
+
+// Un carrito por usuario y uno por visitante
+CartSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $exists: true } } },
+);
+CartSchema.index(
+  { guestId: 1 },
+  { unique: true, partialFilterExpression: { guestId: { $exists: true } } },
+);
+// Limpieza automática de carritos de visitantes
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Cart = mongoose.model('Cart', CartSchema);
+export default Cart;
@@ -0,0 +1,83 @@
+// src/models/Coupon.js
+// -----------------------------------------------------------------------------
+// Cupones / códigos de descuento.
+//
+// Tipos:
+//   percent       → value = porcentaje 0..99 sobre los ítems alcanzados
+//   fixed         → value = monto fijo (ARS) sobre los ítems alcanzados (tope: su subtotal)
+//
+// Ningún cupón puede dejar la compra en $0: MP no cobra órdenes sin monto, así que un
+// porcentaje de 100 se rechaza al crearlo y un descuento que cubra todo el carrito no
+// aplica (services/cart.service.js).
+//   free_shipping → envío sin costo (value no se usa)
+//
+// Alcance (scope): si productIds y categoryIds están vacíos aplica a todo el carrito;
+// si no, solo a los ítems cuyo producto o categoría esté en la lista.
+//
+// Usos: usedCount se "reclama" al iniciar el pago (POST /checkout) y se devuelve si
+// la orden se cierra sin pagar (ver services/coupon.service.js).
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+const { Schema, Types } = mongoose;
+
+export const COUPON_TYPES = Object.freeze({
+  PERCENT: 'percent',
+  FIXED: 'fixed',
+  FREE_SHIPPING: 'free_shipping',
+});
+
+const CouponSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'El código es obligatorio'],
+      trim: true,
+      uppercase: true,
+      unique: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, 'El código solo admite letras, números, "-" y "_" (3 a 32)'],
+    },
+    description: { type: String, trim: true, default: '', maxlength: 200 },
+
+    type: {
+      type: String,
+      enum: Object.values(COUPON_TYPES),
+      required: true,
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, 'El valor no puede ser negativo'],
+    },
+
+    // Condiciones
+    minSubtotal: { type: Number, default: 0, min: [0, 'El mínimo no puede ser negativo'] },
+    productIds: { type: [{ type: Types.ObjectId, ref: 'Product' }], default: [] },
+    categoryIds: { type: [{ type: Types.ObjectId, ref: 'Category' }], default: [] },
+    startsAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+
+    // Límites de uso (null = sin límite)
+    maxUses: { type: Number, default: null, min: [1, 'El límite global debe ser >= 1'] },
+    maxUsesPerUser: {
+      type: Number,
+      default: null,
+      min: [1, 'El límite por usuario debe ser >= 1'],
+    },
+    usedCount: { type: Number, default: 0, min: 0 },
+
+    active: { type: Boolean, default: true, index: true },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+// Un porcentaje tiene que ser menor a 100 (la compra no puede quedar en $0)
+CouponSchema.pre('validate', function clampPercent(next) {
+  if (this.type === COUPON_TYPES.PERCENT && this.value >= 100) {
+    this.invalidate('value', 'El porcentaje tiene que ser menor a 100');
+  }
+  next();
+});
+
+const Coupon = mongoose.model('Coupon', CouponSchema);
+export default Coupon;
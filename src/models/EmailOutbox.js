@@ -0,0 +1,66 @@
+// src/models/EmailOutbox.js
+// Outbox de emails transaccionales (notificaciones de pedidos).
+//
+// Propósito:
+// - Desacoplar el envío del request: el flujo de checkout solo inserta un documento;
+//   el job jobs/email-outbox.job.js lo renderiza y lo envía después.
+// - Reintentar con backoff si el SMTP falla (attempts / nextAttemptAt).
+// - No duplicar avisos: dedupeKey único por evento y destinatario
+//   (ej. "order:<id>:approved:buyer").
+//
+// Estados:
+//   pending → sending → sent
+//   sending → pending (falló; vuelve a intentarse en nextAttemptAt)
+//   sending → failed  (se agotaron los intentos)
+//
+// template: nombre de la vista en views/emails/ (ej. "order-approved"); data es el
+// contexto ya serializado (el envío no vuelve a leer la orden).
+//
+
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+export const OUTBOX_STATUS = Object.freeze({
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+});
+
+const EmailOutboxSchema = new Schema(
+  {
+    to: { type: String, required: true, trim: true },
+    subject: { type: String, required: true, trim: true },
+    template: { type: String, required: true },
+    data: { type: Schema.Types.Mixed, default: {} },
+
+    dedupeKey: { type: String, default: undefined },
+    orderId: { type: Schema.Types.ObjectId, ref: 'Order', default: null, index: true },
+
+    status: {
+      type: String,
+      enum: Object.values(OUTBOX_STATUS),
+      default: OUTBOX_STATUS.PENDING,
+    },
+    attempts: { type: Number, default: 0, min: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null }, // lease mientras está en "sending"
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+// Cola: próximos envíos por estado y fecha
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+// Idempotencia de avisos (solo documentos con dedupeKey)
+EmailOutboxSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } },
+);
+
+const EmailOutbox = model('EmailOutbox', EmailOutboxSchema);
+export default EmailOutbox;
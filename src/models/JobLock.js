@@ -0,0 +1,62 @@
+// src/models/JobLock.js
+// Lock distribuido simple (lease) para tareas programadas.
+//
+// Propósito:
+// - Con varias instancias de la app corriendo, solo una ejecuta cada job por vez.
+// - El lock vence solo (lockedUntil): si la instancia dueña se cae, otra lo toma
+//   en el siguiente tick.
+//
+// Un documento por job: _id = nombre del job.
+//
+
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+const JobLockSchema = new Schema(
+  {
+    _id: { type: String, required: true }, // nombre del job, ej. "order-expiry"
+    owner: { type: String, required: true }, // id de la instancia que lo tiene
+    lockedUntil: { type: Date, required: true },
+    lastRunAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+/**
+ * Intenta tomar (o renovar) el lock `name` por `ttlMs` milisegundos.
+ * Atómico: el upsert sobre _id falla con E11000 si otra instancia lo tiene vigente.
+ *
+ * @param {string} name
+ * @param {string} owner
+ * @param {number} ttlMs
+ * @returns {Promise<boolean>} true si el lock quedó a nombre de `owner`
+ */
+JobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    const doc = await this.findOneAndUpdate(
+      { _id: name, $or: [{ lockedUntil: { $lte: now } }, { owner }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs), lastRunAt: now } },
+      { upsert: true, new: true },
+    );
+    return doc?.owner === owner;
+  } catch (err) {
+    if (err?.code === 11000) return false; // otra instancia lo tiene
+    throw err;
+  }
+};
+
+/**
+ * Libera el lock si sigue siendo de `owner` (no pisa a otra instancia).
+ * @param {string} name
+ * @param {string} owner
+ */
+JobLockSchema.statics.release = function (name, owner) {
+  return this.updateOne({ _id: name, owner }, { $set: { lockedUntil: new Date(0) } });
+};
+
+const JobLock = model('JobLock', JobLockSchema);
+export default JobLock;
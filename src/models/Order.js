@@ -7,18 +7,126 @@
 // - Evitar múltiples órdenes "created" simultáneas del mismo usuario para el mismo carrito.
 // - Permitir métricas de intentos y expiración.
 //
-// Estados posibles:
-//   created | approved | pending | rejected | abandoned | expired
+// Estados posibles (ver ORDER_TRANSITIONS más abajo):
+//   pago:      created | pending | paid | rejected | abandoned | expired
+//   logística: paid → preparing → shipped → delivered
+//   cierre:    cancelled | refunded
+//   legado:    approved (órdenes previas a "paid"; se trata igual que paid)
+//
+// Cada cambio de estado queda en statusHistory (ver services/order-status.service.js).
+//
+// Cupón: coupon { couponId, code, type, discount, freeShipping, claimed }; discount incluye
+// promos + cupón y total = subtotal - coupon.discount + shippingFee.
 //
 // Campos nuevos para idempotencia:
 //   cartHash, attemptCount, lastAttemptAt, expiresAt, shippingMethod, shippingFee, shippingAddressId
 //
+// Envío: shipping congela la opción cotizada al iniciar el pago (método, tarifa, regla y
+// dirección; ver services/shipping.service.js). shippingFee = shipping.fee y
+// shippingMethod = shipping.kind (pickup | delivery).
+//
+// Reserva de stock (ver services/stock.service.js):
+//   stockReservation.status: none | reserved | committed | released | restocked
+//   reserved  → las unidades están retenidas en Product.reserved hasta expiresAt
+//   committed → pago aprobado: se descontó Product.stock
+//   released  → rechazo / expiración / abandono: se devolvieron las unidades
+//   restocked → cancelación / reembolso de una orden pagada que no se envió: se repuso
+//               Product.stock
+//
+// Cierre (expired | abandoned): closedAt + closedReason explican por qué se cerró
+// (ver jobs/order-expiry.job.js y getOrCreateOrderFromCart).
+//
 // Requiere: modelo User, Product y (opcional) UserAddress.
 //
 
 import mongoose from 'mongoose';
 const { Schema, model, Types } = mongoose;
 
+export const ORDER_STATUS = Object.freeze({
+  CREATED: 'created',
+  PENDING: 'pending',
+  APPROVED: 'approved', // legado
+  PAID: 'paid',
+  PREPARING: 'preparing',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+  ABANDONED: 'abandoned',
+  EXPIRED: 'expired',
+});
+
+// Etiquetas para vistas
+export const ORDER_STATUS_LABELS = Object.freeze({
+  created: 'Creado',
+  pending: 'Pendiente',
+  approved: 'Aprobado',
+  paid: 'Pagado',
+  preparing: 'En preparación',
+  shipped: 'Enviado',
+  delivered: 'Entregado',
+  rejected: 'Rechazado',
+  cancelled: 'Cancelado',
+  refunded: 'Reembolsado',
+  abandoned: 'Abandonado',
+  expired: 'Vencido',
+});
+
+// Tabla central de transiciones: estado actual → estados a los que puede pasar.
+// rejected/abandoned/expired → paid|pending: pagos tardíos o reintentos en MP.
+const PAID_NEXT = ['preparing', 'cancelled', 'refunded'];
+export const ORDER_TRANSITIONS = Object.freeze({
+  created: ['pending', 'paid', 'rejected', 'cancelled', 'abandoned', 'expired'],
+  pending: ['paid', 'rejected', 'cancelled', 'expired'],
+  approved: PAID_NEXT,
+  paid: PAID_NEXT,
+  preparing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  rejected: ['pending', 'paid'],
+  abandoned: ['pending', 'paid'],
+  expired: ['pending', 'paid'],
+  cancelled: ['refunded'],
+  refunded: [],
+});
+
+// Estados que implican un pago acreditado (ventas, checkout exitoso)
+export const PAID_STATUSES = Object.freeze([
+  'approved',
+  'paid',
+  'preparing',
+  'shipped',
+  'delivered',
+]);
+
+// Origen de un cambio de estado
+export const STATUS_SOURCES = Object.freeze(['admin', 'webhook', 'return_url', 'system']);
+
+/**
+ * ¿Se permite pasar de `from` a `to`?
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Estados desde los que se puede llegar a `to` (para filtros condicionales).
+ * @param {string} to
+ * @returns {string[]}
+ */
+export function allowedSourcesFor(to) {
+  return Object.keys(ORDER_TRANSITIONS).filter((from) => canTransition(from, to));
+}
+
+/** ¿El estado implica pago acreditado? */
+export function isPaidStatus(status) {
+  return PAID_STATUSES.includes(status);
+}
+
 /**
  * Subdocumento de ítem de orden (snapshot del carrito).
  */
@@ -29,6 +137,10 @@ const OrderItemSchema = new Schema(
       ref: 'Product',
       required: true,
     },
+    // Variante (Product.variants._id); null si el producto no tiene variantes
+    variantId: { type: Types.ObjectId, default: null },
+    sku: { type: String, default: null },
+    variantLabel: { type: String, default: '' }, // "Talle: M · Color: Rojo"
     title: {
       type: String,
       required: true,
@@ -53,6 +165,104 @@ const OrderItemSchema = new Schema(
   { _id: false },
 );
 
+/**
+ * Subdocumento de reserva de stock asociada a la orden.
+ */
+const StockReservationSchema = new Schema(
+  {
+    status: {
+      type: String,
+      enum: ['none', 'reserved', 'committed', 'released', 'restocked'],
+      default: 'none',
+    },
+    reservedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    committedAt: { type: Date, default: null },
+    releasedAt: { type: Date, default: null },
+    releaseReason: { type: String, default: null }, // rejected | expired | abandoned | insufficient_stock | cancelled | refunded
+    restockedAt: { type: Date, default: null },
+    // Ítems que no pudieron descontarse al aprobar (pago tardío sin stock físico)
+    shortfall: {
+      type: [
+        {
+          productId: { type: Types.ObjectId, ref: 'Product' },
+          variantId: { type: Types.ObjectId, default: null },
+          qty: Number,
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Subdocumento del cupón aplicado (snapshot al iniciar el pago).
+ */
+const OrderCouponSchema = new Schema(
+  {
+    couponId: { type: Types.ObjectId, ref: 'Coupon', default: null },
+    code: { type: String, default: null },
+    type: { type: String, default: null }, // percent | fixed | free_shipping
+    discount: { type: Number, default: 0, min: 0 }, // monto descontado de los ítems
+    freeShipping: { type: Boolean, default: false },
+    // true mientras la orden ocupa un uso del cupón (ver services/coupon.service.js)
+    claimed: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
+/**
+ * Subdocumento del envío cotizado (snapshot: no cambia si luego se editan las reglas).
+ */
+const OrderShippingSchema = new Schema(
+  {
+    code: { type: String, required: true }, // methodCode de ShippingRule
+    name: { type: String, default: '' },
+    kind: { type: String, enum: ['pickup', 'delivery'], default: 'pickup' },
+    eta: { type: String, default: '' },
+    pickupAddress: { type: String, default: '' },
+    ruleId: { type: Types.ObjectId, ref: 'ShippingRule', default: null },
+    listFee: { type: Number, default: 0, min: 0 }, // tarifa antes de bonificaciones
+    fee: { type: Number, default: 0, min: 0 },
+    freeReason: { type: String, enum: ['coupon', 'threshold', null], default: null },
+    address: {
+      type: new Schema(
+        {
+          label: String,
+          line1: String,
+          line2: String,
+          city: String,
+          state: String,
+          zip: String,
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+    quotedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+/**
+ * Subdocumento de historial de estados (una entrada por transición).
+ */
+const StatusHistorySchema = new Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    source: { type: String, enum: STATUS_SOURCES, required: true },
+    // Quién lo hizo (admin); null para webhook / sistema
+    actorId: { type: Types.ObjectId, ref: 'User', default: null },
+    actorName: { type: String, default: null },
+    note: { type: String, trim: true, maxlength: 500, default: '' },
+  },
+  { _id: false },
+);
+
 /**
  * Esquema principal de Order.
  */
@@ -81,6 +291,9 @@ const OrderSchema = new Schema(
     discount: { type: Number, required: true, min: [0, 'El descuento debe ser >= 0'], default: 0 },
     total: { type: Number, required: true, min: [0, 'El total debe ser >= 0'] },
 
+    // Cupón aplicado (null si no hubo)
+    coupon: { type: OrderCouponSchema, default: null },
+
     // Envío
     shippingMethod: {
       type: String,
@@ -97,14 +310,16 @@ const OrderSchema = new Schema(
       ref: 'UserAddress',
       default: null,
     },
+    shipping: { type: OrderShippingSchema, default: null },
 
     // Estado del ciclo de pago
     status: {
       type: String,
-      enum: ['created', 'approved', 'pending', 'rejected', 'abandoned', 'expired'],
-      default: 'created',
+      enum: Object.values(ORDER_STATUS),
+      default: ORDER_STATUS.CREATED,
       index: true,
     },
+    statusHistory: { type: [StatusHistorySchema], default: [] },
 
     // Campos para integración con MP
     mpPreferenceId: { type: String, default: null, index: true },
@@ -115,6 +330,14 @@ const OrderSchema = new Schema(
     attemptCount: { type: Number, default: 0 },
     lastAttemptAt: { type: Date, default: null },
     expiresAt: { type: Date, default: null },
+
+    // Cierre automático / por reemplazo
+    closedAt: { type: Date, default: null },
+    // payment_window_elapsed | checkout_not_started | cart_changed
+    closedReason: { type: String, default: null },
+
+    // Reserva de stock durante la ventana de pago
+    stockReservation: { type: StockReservationSchema, default: () => ({}) },
   },
   {
     timestamps: true, // createdAt, updatedAt
@@ -124,17 +347,21 @@ const OrderSchema = new Schema(
 
 // Índices útiles
 OrderSchema.index({ createdAt: -1, status: 1 });
+// Barrido de reservas vencidas
+OrderSchema.index({ 'stockReservation.status': 1, 'stockReservation.expiresAt': 1 });
+// Barrido de órdenes "created" / "pending" vencidas (jobs/order-expiry.job.js)
+OrderSchema.index({ status: 1, expiresAt: 1 });
 // Evita múltiples "created" simultáneas por usuario
 OrderSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'created' } });
 
 /**
- * Actualiza campos de integración de MP y estado de la orden.
+ * Actualiza campos de integración de MP.
+ * El estado NO se toca acá: pasa siempre por transitionOrder (order-status.service.js).
  */
 OrderSchema.statics.updateMpFields = function (orderId, patch) {
   const fields = {};
   if (patch.mpPreferenceId) fields.mpPreferenceId = patch.mpPreferenceId;
   if (patch.mpPaymentId) fields.mpPaymentId = patch.mpPaymentId;
-  if (patch.status) fields.status = patch.status;
   return this.findByIdAndUpdate(orderId, fields, { new: true });
 };
 
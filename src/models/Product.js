@@ -1,10 +1,21 @@
 // src/models/Product.js
 // -----------------------------------------------------------------------------
 // Modelo de Producto (Mongoose) para gestión en panel admin y catálogo público.
-// - Cloudinary-only: guarda imageUrl y imagePublicId.
+// - Galería: images[] ordenada (url, publicId, storage, alt, isCover). imageUrl/imagePublicId
+//   reflejan la portada y los siguen usando catálogo y carrito. Los productos previos a la
+//   galería (solo imageUrl) se migran a images[] en el próximo save.
 // - Validaciones: SKU único, price >= 0, stock >= 0, promoPct en 0..100.
+// - Stock: `stock` es el físico; `reserved` son unidades retenidas por órdenes en
+//   checkout (ver services/stock.service.js). Disponible = stock - reserved.
 // - Virtual: promoPrice (precio con descuento cuando promoEnabled = true).
 // - Campos extra: description (breve), techSpecs (detalles), categoryId/Name.
+// - weightKg: peso unitario para las tarifas de envío por peso (ver services/shipping.service.js).
+// - Variantes (opcional): variants[] con SKU, opciones por eje (Talle, Color…), precio propio
+//   (null = el del producto), stock/reserved e imagen. Con variantes, stock y reserved del
+//   producto son la suma de los de sus variantes y variantAxes se deriva de las opciones.
+//   Carrito, órdenes y reservas se identifican por productId + variantId.
+// - Reseñas: ratingAvg / ratingCount denormalizados de las reseñas aprobadas
+//   (models/Review.js, los mantiene services/review.service.js).
 // - Índices para admin y catálogo (búsqueda y filtros).
 // -----------------------------------------------------------------------------
 
@@ -12,6 +23,57 @@ import mongoose from 'mongoose';
 
 const { Schema } = mongoose;
 
+/**
+ * Opción de una variante sobre un eje: { name: 'Talle', value: 'M' }.
+ */
+const VariantOptionSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 40 },
+    value: { type: String, required: true, trim: true, maxlength: 40 },
+  },
+  { _id: false },
+);
+
+/** Tope de imágenes por producto (galería) */
+export const MAX_PRODUCT_IMAGES = 8;
+
+/**
+ * Imagen de la galería. El orden del array es el orden de exhibición.
+ * storage indica dónde borrarla (Cloudinary o /uploads/products).
+ */
+const ProductImageSchema = new Schema(
+  {
+    url: { type: String, required: true, trim: true },
+    publicId: { type: String, trim: true, default: '' },
+    storage: { type: String, enum: ['cloudinary', 'local'], default: 'cloudinary' },
+    alt: { type: String, trim: true, default: '', maxlength: 160 },
+    isCover: { type: Boolean, default: false },
+  },
+  { _id: true },
+);
+
+/**
+ * Variante vendible (su _id es el variantId de carrito y órdenes).
+ */
+const VariantSchema = new Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, 'El SKU de la variante es obligatorio'],
+      trim: true,
+      uppercase: true,
+    },
+    options: { type: [VariantOptionSchema], default: [] },
+    // null = usa el precio del producto
+    price: { type: Number, default: null, min: [0, 'El precio no puede ser negativo'] },
+    stock: { type: Number, default: 0, min: [0, 'El stock no puede ser negativo'] },
+    // Unidades retenidas por checkouts en curso (no editable desde el form)
+    reserved: { type: Number, default: 0, min: 0 },
+    imageUrl: { type: String, trim: true, default: '' },
+  },
+  { _id: true },
+);
+
 const ProductSchema = new Schema(
   {
     title: {
@@ -44,6 +106,20 @@ const ProductSchema = new Schema(
       default: 0,
     },
 
+    // Peso unitario (kg) para cotizar envíos; 0 = sin dato
+    weightKg: {
+      type: Number,
+      min: [0, 'El peso no puede ser negativo'],
+      default: 0,
+    },
+
+    // Unidades retenidas por órdenes "created" aún no pagadas (no editable desde el form)
+    reserved: {
+      type: Number,
+      min: [0, 'Las unidades reservadas no pueden ser negativas'],
+      default: 0,
+    },
+
     // Flags
     active: { type: Boolean, default: true, index: true },
     featured: { type: Boolean, default: false, index: true },
@@ -70,12 +146,33 @@ const ProductSchema = new Schema(
       default: [], // ej: ["Peso: 500g", "Color: Azul", "Material: Acero"]
     },
 
+    // Variantes (ver encabezado). variantAxes: [{ name: 'Talle', values: ['S', 'M', 'L'] }]
+    variantAxes: {
+      type: [new Schema({ name: String, values: [String] }, { _id: false })],
+      default: [],
+    },
+    variants: { type: [VariantSchema], default: [] },
+
+    // Reseñas aprobadas (denormalizado; no editable desde el form)
+    ratingAvg: { type: Number, min: 0, max: 5, default: 0 },
+    ratingCount: { type: Number, min: 0, default: 0 },
+
     // Categoría
     categoryId: { type: Schema.Types.ObjectId, ref: 'Category', default: null },
     // Denormalizado opcional para render rápido en catálogo
     categoryName: { type: String, default: null },
 
-    // Imagen (Cloudinary)
+    // Galería (ver encabezado)
+    images: {
+      type: [ProductImageSchema],
+      default: [],
+      validate: {
+        validator: (arr) => arr.length <= MAX_PRODUCT_IMAGES,
+        message: `Máximo ${MAX_PRODUCT_IMAGES} imágenes por producto`,
+      },
+    },
+
+    // Portada (derivada de images; Cloudinary o local)
     imageUrl: {
       type: String, // secure URL (recomendado f_auto,q_auto desde el service)
       trim: true,
@@ -108,6 +205,59 @@ ProductSchema.pre('validate', function clampPromoPct(next) {
   next();
 });
 
+// Galería: migra la imagen única previa y deja una sola portada reflejada en imageUrl
+ProductSchema.pre('validate', function syncCoverImage(next) {
+  const legacy = legacyCoverImage(this);
+  if (legacy) this.images = [legacy];
+  if (!this.images.length) return next();
+
+  const cover = this.images.find((img) => img.isCover) || this.images[0];
+  for (const img of this.images) img.isCover = img === cover;
+  this.imageUrl = cover.url;
+  this.imagePublicId = cover.publicId || '';
+  return next();
+});
+
+// Variantes: SKUs y combinaciones únicas, todos los ejes definidos, ejes derivados
+// y stock/reserved del producto = suma de las variantes.
+ProductSchema.pre('validate', function syncVariants(next) {
+  if (!this.variants?.length) {
+    this.variantAxes = [];
+    return next();
+  }
+
+  const axes = [];
+  for (const v of this.variants) {
+    for (const opt of v.options) {
+      let axis = axes.find((a) => a.name === opt.name);
+      if (!axis) {
+        axis = { name: opt.name, values: [] };
+        axes.push(axis);
+      }
+      if (!axis.values.includes(opt.value)) axis.values.push(opt.value);
+    }
+  }
+
+  const skus = new Set();
+  const combos = new Set();
+  for (const v of this.variants) {
+    if (skus.has(v.sku)) this.invalidate('variants', `SKU de variante repetido: ${v.sku}`);
+    skus.add(v.sku);
+
+    if (axes.some((a) => !v.options.some((o) => o.name === a.name))) {
+      this.invalidate('variants', `La variante ${v.sku} debe indicar todos los ejes`);
+    }
+    const combo = variantLabel(v);
+    if (combos.has(combo)) this.invalidate('variants', `Combinación repetida: ${combo}`);
+    combos.add(combo);
+  }
+
+  this.variantAxes = axes;
+  this.stock = this.variants.reduce((acc, v) => acc + (Number(v.stock) || 0), 0);
+  this.reserved = this.variants.reduce((acc, v) => acc + (Number(v.reserved) || 0), 0);
+  return next();
+});
+
 // -----------------------------------------------------------------------------
 // Virtuals
 // -----------------------------------------------------------------------------
@@ -124,6 +274,11 @@ ProductSchema.virtual('promoPrice').get(function getPromoPrice() {
   return base;
 });
 
+// Unidades que se pueden vender ahora (stock físico menos reservas de checkout).
+ProductSchema.virtual('availableStock').get(function getAvailable() {
+  return getAvailableStock(this);
+});
+
 // -----------------------------------------------------------------------------
 // Índices adicionales
 // -----------------------------------------------------------------------------
@@ -131,12 +286,28 @@ ProductSchema.virtual('promoPrice').get(function getPromoPrice() {
 // Lista admin típica: activos más recientes primero
 ProductSchema.index({ active: 1, updatedAt: -1 });
 
-// Búsqueda básica por texto: title y sku
-ProductSchema.index({ title: 'text', sku: 'text' });
+// Búsqueda del catálogo (services/search.service.js): un solo índice de texto por
+// colección. Pesos: el título y el SKU pesan más que la categoría y la descripción.
+// Reemplaza al índice previo title+sku: hay que borrarlo (o Product.syncIndexes()).
+ProductSchema.index(
+  { title: 'text', sku: 'text', categoryName: 'text', description: 'text', techSpecs: 'text' },
+  {
+    name: 'product_search',
+    default_language: 'spanish',
+    weights: { title: 10, sku: 8, categoryName: 4, description: 2, techSpecs: 1 },
+  },
+);
+
+// SKU de variante único entre productos (los productos sin variantes no entran)
+ProductSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } },
+);
 
 // Catálogo: filtros frecuentes
 ProductSchema.index({ active: 1, categoryId: 1 });
 ProductSchema.index({ active: 1, price: 1 });
+ProductSchema.index({ active: 1, ratingAvg: -1, ratingCount: -1 });
 
 // -----------------------------------------------------------------------------
 // Métodos / estáticos mínimos (opcionales para controladores)
@@ -158,5 +329,74 @@ ProductSchema.statics.toggleFlag = async function toggleFlag(id, flagName) {
   return doc;
 };
 
+/**
+ * Stock disponible de un producto (doc Mongoose o plain/lean).
+ * @param {{ stock?: number, reserved?: number }} product
+ * @returns {number}
+ */
+export function getAvailableStock(product) {
+  const stock = Number(product?.stock) || 0;
+  const reserved = Number(product?.reserved) || 0;
+  return Math.max(stock - reserved, 0);
+}
+
+/**
+ * Imagen única de un producto previo a la galería (solo imageUrl), como ítem de images[].
+ * @param {Object} product - documento o lean
+ * @returns {Object|null} null si ya tiene galería o no tiene imagen
+ */
+export function legacyCoverImage(product) {
+  if (product?.images?.length || !product?.imageUrl) return null;
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    url: product.imageUrl,
+    publicId: product.imagePublicId || '',
+    storage: product.imageUrl.startsWith('/uploads/') ? 'local' : 'cloudinary',
+    alt: product.title || '',
+    isCover: true,
+  };
+}
+
+/**
+ * Texto legible de una variante: "Talle: M · Color: Rojo".
+ * @param {{ options?: Array<{name:string, value:string}> }} variant
+ */
+export function variantLabel(variant) {
+  return (variant?.options || []).map((o) => `${o.name}: ${o.value}`).join(' · ');
+}
+
+/** ¿El producto se vende por variantes? */
+export function hasVariants(product) {
+  return Array.isArray(product?.variants) && product.variants.length > 0;
+}
+
+/**
+ * "Aplana" un producto lean a la unidad vendible: con variantes, precio, stock, reserved
+ * e imagen salen de la variante (el resto del código los usa como si fuera un producto).
+ * Sin variantes devuelve el producto tal cual (si no se pidió variantId).
+ *
+ * @param {Object} product - producto lean
+ * @param {string|null} [variantId]
+ * @returns {Object|null} null si falta la variante o no corresponde
+ */
+export function resolveVariant(product, variantId = null) {
+  if (!product) return null;
+  if (!hasVariants(product)) return variantId ? null : product;
+  if (!variantId) return null;
+
+  const v = product.variants.find((x) => String(x._id) === String(variantId));
+  if (!v) return null;
+  return {
+    ...product,
+    price: v.price ?? product.price,
+    stock: Number(v.stock) || 0,
+    reserved: Number(v.reserved) || 0,
+    imageUrl: v.imageUrl || product.imageUrl,
+    variantId: String(v._id),
+    variantSku: v.sku,
+    variantLabel: variantLabel(v),
+  };
+}
+
 const Product = mongoose.model('Product', ProductSchema);
 export default Product;
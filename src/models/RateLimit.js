@@ -0,0 +1,76 @@
+// src/models/RateLimit.js
+// Contadores de rate limit por ventana fija, compartidos entre instancias.
+//
+// Propósito:
+// - Un documento por clave (_id), ej. "login:ip:203.0.113.7" o "login:email:ana@demo.test".
+// - count = eventos dentro de la ventana actual; resetAt = fin de la ventana.
+// - El índice TTL sobre resetAt borra solo los contadores vencidos (el monitor de TTL
+//   corre cada ~60 s, por eso las lecturas también comparan resetAt contra "ahora").
+//
+
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+const RateLimitSchema = new Schema(
+  {
+    _id: { type: String, required: true }, // clave del limitador
+    count: { type: Number, default: 0, min: 0 },
+    resetAt: { type: Date, required: true },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Suma un evento a la clave. Atómico (update con pipeline): si la ventana venció, el
+ * contador arranca de nuevo en 1 con una ventana nueva de `windowMs`.
+ *
+ * @param {string} key
+ * @param {number} windowMs
+ * @param {Date} [now]
+ * @returns {Promise<{ count: number, resetAt: Date }>}
+ */
+RateLimitSchema.statics.hit = async function (key, windowMs, now = new Date()) {
+  const active = { $gt: ['$resetAt', now] };
+  const update = [
+    {
+      $set: {
+        count: { $cond: [active, { $add: [{ $ifNull: ['$count', 0] }, 1] }, 1] },
+        resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] },
+      },
+    },
+  ];
+  const run = () => this.findOneAndUpdate({ _id: key }, update, { upsert: true, new: true }).lean();
+  try {
+    return await run();
+  } catch (err) {
+    // Dos upserts simultáneos sobre la misma clave: el segundo ya encuentra el documento
+    if (err?.code === 11000) return run();
+    throw err;
+  }
+};
+
+/**
+ * Estado de la clave sin sumar eventos.
+ * @param {string} key
+ * @param {Date} [now]
+ * @returns {Promise<{ count: number, resetAt: Date|null }>} count 0 si no hay ventana vigente
+ */
+RateLimitSchema.statics.peek = async function (key, now = new Date()) {
+  const doc = await this.findOne({ _id: key, resetAt: { $gt: now } }).lean();
+  return doc ? { count: doc.count, resetAt: doc.resetAt } : { count: 0, resetAt: null };
+};
+
+/**
+ * Borra el contador (ej. login correcto o desbloqueo manual).
+ * @param {string} key
+ */
+RateLimitSchema.statics.clear = function (key) {
+  return this.deleteOne({ _id: key });
+};
+
+const RateLimit = model('RateLimit', RateLimitSchema);
+export default RateLimit;
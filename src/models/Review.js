@@ -0,0 +1,84 @@
+// src/models/Review.js
+// -----------------------------------------------------------------------------
+// Reseñas de productos (calificación 1–5 + título + texto).
+//
+// - Una reseña por usuario y producto: volver a enviarla la edita y la devuelve a
+//   moderación.
+// - Moderación: pending → approved | rejected (panel /admin/reviews). Solo las aprobadas
+//   se muestran y cuentan para Product.ratingAvg / ratingCount
+//   (ver services/review.service.js).
+// - verifiedPurchase: el autor tiene una orden pagada (PAID_STATUSES) con el producto;
+//   se calcula al enviar la reseña.
+// - authorName: snapshot del nombre para mostrar sin popular User.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+export const REVIEW_STATUS = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+});
+
+export const REVIEW_STATUS_LABELS = Object.freeze({
+  pending: 'Pendiente',
+  approved: 'Aprobada',
+  rejected: 'Rechazada',
+});
+
+const ReviewSchema = new Schema(
+  {
+    productId: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    authorName: { type: String, trim: true, default: '' },
+
+    rating: {
+      type: Number,
+      required: [true, 'La calificación es obligatoria'],
+      min: [1, 'La calificación mínima es 1'],
+      max: [5, 'La calificación máxima es 5'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'La calificación debe ser un número entero de 1 a 5',
+      },
+    },
+    title: {
+      type: String,
+      trim: true,
+      required: [true, 'El título es obligatorio'],
+      maxlength: [120, 'El título es demasiado largo'],
+    },
+    body: {
+      type: String,
+      trim: true,
+      required: [true, 'Contanos tu experiencia con el producto'],
+      maxlength: [2000, 'La reseña es demasiado larga'],
+    },
+
+    verifiedPurchase: { type: Boolean, default: false },
+
+    // Moderación
+    status: {
+      type: String,
+      enum: Object.values(REVIEW_STATUS),
+      default: REVIEW_STATUS.PENDING,
+    },
+    moderatedAt: { type: Date, default: null },
+    moderatedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+// Una reseña por usuario y producto
+ReviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+// Detalle público (aprobadas, más recientes primero) y cálculo del promedio
+ReviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+// Cola de moderación
+ReviewSchema.index({ status: 1, createdAt: 1 });
+
+const Review = model('Review', ReviewSchema);
+export default Review;
@@ -0,0 +1,34 @@
+// src/models/SearchQuery.js
+// -----------------------------------------------------------------------------
+// Búsquedas del catálogo, agregadas por término normalizado (minúsculas, sin acentos).
+//
+// - listPublic registra cada búsqueda con resultados (recordSearchQuery en
+//   services/search.service.js): incrementa count y actualiza lastSearchedAt.
+// - El autocompletado (/api/search/suggest) ofrece las más buscadas de los últimos
+//   días que empiezan con lo tipeado.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+const SearchQuerySchema = new Schema(
+  {
+    // Clave normalizada ("cafe tostado")
+    term: { type: String, required: true, trim: true, maxlength: 100 },
+    // Última forma tipeada, para mostrarla ("Café tostado")
+    display: { type: String, required: true, trim: true, maxlength: 100 },
+    count: { type: Number, default: 0, min: 0 },
+    lastSearchedAt: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+SearchQuerySchema.index({ term: 1 }, { unique: true });
+// Populares recientes
+SearchQuerySchema.index({ lastSearchedAt: -1, count: -1 });
+
+const SearchQuery = model('SearchQuery', SearchQuerySchema);
+export default SearchQuery;
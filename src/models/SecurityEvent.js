@@ -0,0 +1,50 @@
+// src/models/SecurityEvent.js
+// -----------------------------------------------------------------------------
+// Registro de eventos de seguridad de las cuentas (services/login-guard.service.js).
+//
+// - login_locked: la cuenta se bloqueó temporalmente por intentos fallidos seguidos.
+// - login_suspicious: login correcto después de varios fallos (de la cuenta o de la IP).
+// - login_unlocked: un admin desbloqueó la cuenta desde /admin/users.
+//
+// Se listan en /admin/users y se borran solos a los EVENT_TTL_DAYS días.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+export const SECURITY_EVENT_TYPES = Object.freeze({
+  LOGIN_LOCKED: 'login_locked',
+  LOGIN_SUSPICIOUS: 'login_suspicious',
+  LOGIN_UNLOCKED: 'login_unlocked',
+});
+
+export const SECURITY_EVENT_LABELS = Object.freeze({
+  login_locked: 'Cuenta bloqueada',
+  login_suspicious: 'Login sospechoso',
+  login_unlocked: 'Cuenta desbloqueada',
+});
+
+const EVENT_TTL_DAYS = 90;
+
+const SecurityEventSchema = new Schema(
+  {
+    type: { type: String, enum: Object.values(SECURITY_EVENT_TYPES), required: true },
+    user: { type: Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    email: { type: String, trim: true, lowercase: true, default: '' },
+    ip: { type: String, default: '' },
+    userAgent: { type: String, default: '', maxlength: 300 },
+    detail: { type: String, default: '', maxlength: 300 },
+    // Admin que hizo la acción (login_unlocked)
+    actor: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  },
+);
+
+// TTL; también sirve para listar los más recientes
+SecurityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_TTL_DAYS * 24 * 60 * 60 });
+
+const SecurityEvent = model('SecurityEvent', SecurityEventSchema);
+export default SecurityEvent;
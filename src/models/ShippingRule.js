@@ -0,0 +1,128 @@
+// src/models/ShippingRule.js
+// -----------------------------------------------------------------------------
+// Reglas de envío administrables (reemplazan la tarifa plana de $2.000).
+//
+// Cada regla pertenece a un MÉTODO con nombre (methodCode): "standard", "express",
+// "retiro-centro", etc. Varias reglas pueden compartir método (una por zona); al cotizar
+// se usa, por método, la regla que aplica con mayor prioridad (ver shipping.service.js).
+//
+// kind:
+//   delivery → requiere dirección; puede limitarse por provincia y/o rangos de CP
+//   pickup   → punto de retiro (pickupAddress); no depende de la dirección
+//
+// Tarifa: fee = baseFee + tramo (si basis != flat)
+//   flat   → solo baseFee
+//   weight → tiers por peso total del carrito (kg, Product.weightKg × qty)
+//   items  → tiers por cantidad de unidades
+//   Los tiers se evalúan de menor a mayor "upTo"; si el carrito supera el último
+//   tramo, la regla no aplica (ej. envío express hasta 10 kg).
+//
+// freeFrom: total del carrito (con descuentos) a partir del cual el envío es gratis.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const SHIPPING_KINDS = Object.freeze({
+  DELIVERY: 'delivery',
+  PICKUP: 'pickup',
+});
+
+export const RATE_BASIS = Object.freeze({
+  FLAT: 'flat',
+  WEIGHT: 'weight',
+  ITEMS: 'items',
+});
+
+/**
+ * Normaliza un nombre de provincia para comparar ("Tucumán " → "tucuman").
+ * @param {string} value
+ */
+export function normalizeProvince(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+/** Rango de códigos postales (numérico, inclusive). CPA "T4000ABC" → 4000. */
+const ZipRangeSchema = new Schema(
+  {
+    from: { type: Number, required: true, min: 0 },
+    to: { type: Number, required: true, min: 0 },
+  },
+  { _id: false },
+);
+
+/** Tramo de tarifa: hasta `upTo` (kg o unidades) cuesta `fee`. */
+const RateTierSchema = new Schema(
+  {
+    upTo: { type: Number, required: true, min: [0, 'El tramo debe ser >= 0'] },
+    fee: { type: Number, required: true, min: [0, 'La tarifa debe ser >= 0'] },
+  },
+  { _id: false },
+);
+
+const ShippingRuleSchema = new Schema(
+  {
+    // Método (lo elige el cliente en el checkout)
+    methodCode: {
+      type: String,
+      required: [true, 'El código de método es obligatorio'],
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9_-]{2,32}$/, 'El código solo admite letras, números, "-" y "_" (2 a 32)'],
+      index: true,
+    },
+    methodName: {
+      type: String,
+      required: [true, 'El nombre del método es obligatorio'],
+      trim: true,
+      maxlength: 80,
+    },
+    kind: {
+      type: String,
+      enum: Object.values(SHIPPING_KINDS),
+      default: SHIPPING_KINDS.DELIVERY,
+    },
+    pickupAddress: { type: String, trim: true, default: '', maxlength: 200 },
+    eta: { type: String, trim: true, default: '', maxlength: 60 }, // ej. "3 a 5 días hábiles"
+
+    // Zona (solo delivery). Vacío = todo el país.
+    provinces: {
+      type: [String],
+      default: [],
+      set: (arr) => (arr || []).map(normalizeProvince).filter(Boolean),
+    },
+    zipRanges: { type: [ZipRangeSchema], default: [] },
+
+    // Tarifa
+    basis: { type: String, enum: Object.values(RATE_BASIS), default: RATE_BASIS.FLAT },
+    baseFee: { type: Number, default: 0, min: [0, 'La tarifa base debe ser >= 0'] },
+    tiers: { type: [RateTierSchema], default: [] },
+    freeFrom: { type: Number, default: null, min: [0, 'El umbral debe ser >= 0'] },
+
+    // Desempate entre reglas del mismo método que aplican a la vez (mayor gana)
+    priority: { type: Number, default: 0 },
+    active: { type: Boolean, default: true, index: true },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+// Consistencia: rangos de CP ordenados, tramos para bases por peso/cantidad y dirección de retiro
+ShippingRuleSchema.pre('validate', function checkRanges(next) {
+  if (this.zipRanges.some((r) => r.from > r.to)) {
+    this.invalidate('zipRanges', 'Cada rango de CP debe ir de menor a mayor');
+  }
+  if (this.basis !== RATE_BASIS.FLAT && this.tiers.length === 0) {
+    this.invalidate('tiers', 'Las tarifas por peso o cantidad necesitan al menos un tramo');
+  }
+  if (this.kind === SHIPPING_KINDS.PICKUP && !this.pickupAddress) {
+    this.invalidate('pickupAddress', 'Indicá la dirección del punto de retiro');
+  }
+  next();
+});
+
+const ShippingRule = mongoose.model('ShippingRule', ShippingRuleSchema);
+export default ShippingRule;
@@ -0,0 +1,59 @@
+// src/models/StockSubscription.js
+// -----------------------------------------------------------------------------
+// Suscripciones "Avisame cuando haya stock" de productos agotados.
+//
+// - Se crean desde el detalle del producto (visitantes con su email; con sesión se
+//   usa el email de la cuenta). Una sola pendiente por producto + email.
+// - Cuando updateProduct deja el stock disponible por encima de cero, cada
+//   suscripción pendiente pasa a "notified" y se encola su email (una sola vez;
+//   ver services/stock-alert.service.js).
+// - token: aleatorio, para el link de baja del email (/stock-alerts/unsubscribe/:token).
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+export const STOCK_SUBSCRIPTION_STATUS = Object.freeze({
+  PENDING: 'pending',
+  NOTIFIED: 'notified',
+  UNSUBSCRIBED: 'unsubscribed',
+});
+
+const StockSubscriptionSchema = new Schema(
+  {
+    productId: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    email: {
+      type: String,
+      required: [true, 'Ingresá tu email'],
+      lowercase: true,
+      trim: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i, 'El email no tiene un formato válido'],
+    },
+    userId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    token: { type: String, required: true },
+
+    status: {
+      type: String,
+      enum: Object.values(STOCK_SUBSCRIPTION_STATUS),
+      default: STOCK_SUBSCRIPTION_STATUS.PENDING,
+    },
+    notifiedAt: { type: Date, default: null },
+    unsubscribedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+// Una suscripción pendiente por producto y email (después de avisada se puede volver a pedir)
+StockSubscriptionSchema.index(
+  { productId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: STOCK_SUBSCRIPTION_STATUS.PENDING } },
+);
+// Pendientes de un producto (al reponer stock)
+StockSubscriptionSchema.index({ productId: 1, status: 1 });
+StockSubscriptionSchema.index({ token: 1 }, { unique: true });
+
+const StockSubscription = model('StockSubscription', StockSubscriptionSchema);
+export default StockSubscription;
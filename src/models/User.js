@@ -6,12 +6,30 @@
 // Objetivos de diseño
 // - Solo se almacena el hash de la contraseña (passwordHash).
 // - Email único, normalizado en minúsculas y validado.
-// - Roles mínimos: "user" | "admin" (extensible).
+// - Roles: "user" (cliente), "admin" y roles de staff (catalog_manager, fulfillment,
+//   support), cada uno con su conjunto de permisos (ROLE_PERMISSIONS → requirePermission).
 // - Campos de contacto: phone.
 // - Direcciones múltiples como subdocumentos; se puede marcar una por defecto.
 // - Métodos de dominio: setPassword, checkPassword, hasRole, addAddress,
 //   setDefaultAddress. Getter virtual: isAdmin.
 // - Salida JSON saneada (oculta passwordHash y __v; expone id como string).
+// - Reset de contraseña: passwordReset guarda el hash del token y su vencimiento
+//   (services/password-reset.service.js), con select:false. Las sesiones abiertas se
+//   registran aparte en models/UserSession.js (services/session.service.js).
+// - Verificación de email: emailVerified (false al registrarse; undefined en cuentas
+//   previas, que se consideran verificadas → isEmailVerified) y emailVerification con
+//   el hash del token y los contadores de reenvío (services/email-verification.service.js).
+// - Wishlist: productos guardados (máx. WISHLIST_MAX_ITEMS). Con notify=true el job de
+//   jobs/wishlist-alerts.job.js avisa por email si el producto entra en promo o vuelve a
+//   tener stock; promoSeen/inStockSeen guardan el último estado conocido
+//   (services/wishlist.service.js).
+// - Protección del login: failedLoginCount cuenta los fallos seguidos (se reinicia si el
+//   último fue hace más de una ventana) y lockedUntil bloquea la cuenta temporalmente
+//   (services/login-guard.service.js). No viajan a la sesión (transform de toJSON).
+// - 2FA (TOTP): twoFactorEnabled es público (sesión, /admin/users); twoFactor guarda el
+//   secreto cifrado, el pendiente de confirmar, los hashes de los códigos de recuperación
+//   y el último paso usado (anti-replay), con select:false (services/two-factor.service.js).
+//   Obligatorio para admin y staff (requirePermission).
 //
 // Notas
 // - Este modelo NO hashea automáticamente en pre('save') para evitar dobles
@@ -33,6 +51,68 @@ const SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS ?? 10);
 export const USER_ROLES = Object.freeze({
   USER: 'user',
   ADMIN: 'admin',
+  CATALOG_MANAGER: 'catalog_manager',
+  FULFILLMENT: 'fulfillment',
+  SUPPORT: 'support',
+});
+
+export const USER_ROLE_LABELS = Object.freeze({
+  user: 'Cliente',
+  admin: 'Administrador',
+  catalog_manager: 'Catálogo',
+  fulfillment: 'Despacho de pedidos',
+  support: 'Atención al cliente',
+});
+
+/**
+ * Permisos del panel (requirePermission en middlewares/auth.js).
+ * - dashboard:read   → /admin (KPIs de ventas)
+ * - orders:read      → listado y detalle de pedidos
+ * - orders:update    → cambio de estado de pedidos
+ * - products:write / categories:write / coupons:write / shipping:write → ABM
+ * - reviews:moderate → aprobar/rechazar/borrar reseñas
+ * - users:read       → /admin/users (listado y eventos de seguridad)
+ * - users:support    → desbloquear cuentas, marcar email verificado, cerrar sesiones
+ * - users:manage     → crear usuarios, cambiar roles, activar/desactivar
+ * - audit:read       → /admin/audit (registro de cambios) y su export CSV
+ */
+export const PERMISSIONS = Object.freeze([
+  'dashboard:read',
+  'orders:read',
+  'orders:update',
+  'products:write',
+  'categories:write',
+  'coupons:write',
+  'shipping:write',
+  'reviews:moderate',
+  'users:read',
+  'users:support',
+  'users:manage',
+  'audit:read',
+]);
+
+// Roles de staff → permisos. "admin" tiene todos; "user" (cliente) ninguno.
+export const ROLE_PERMISSIONS = Object.freeze({
+  [USER_ROLES.USER]: Object.freeze([]),
+  [USER_ROLES.ADMIN]: PERMISSIONS,
+  [USER_ROLES.CATALOG_MANAGER]: Object.freeze([
+    'products:write',
+    'categories:write',
+    'coupons:write',
+    'reviews:moderate',
+  ]),
+  [USER_ROLES.FULFILLMENT]: Object.freeze([
+    'dashboard:read',
+    'orders:read',
+    'orders:update',
+    'shipping:write',
+  ]),
+  [USER_ROLES.SUPPORT]: Object.freeze([
+    'orders:read',
+    'reviews:moderate',
+    'users:read',
+    'users:support',
+  ]),
 });
 
 // Validación simple de email (suficiente para backend + UI)
@@ -53,6 +133,23 @@ const AddressSchema = new Schema(
   { _id: true },
 );
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Subdocumento de Wishlist (favoritos)
+// ─────────────────────────────────────────────────────────────────────────────
+export const WISHLIST_MAX_ITEMS = 100;
+
+const WishlistItemSchema = new Schema(
+  {
+    productId: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    addedAt: { type: Date, default: Date.now },
+    notify: { type: Boolean, default: false }, // avisos de promo / reposición
+    // Último estado visto por el job de avisos (solo se avisa al cambiar a true)
+    promoSeen: { type: Boolean, default: false },
+    inStockSeen: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Esquema de Usuario
 // ─────────────────────────────────────────────────────────────────────────────
@@ -102,6 +199,62 @@ const UserSchema = new Schema(
     addresses: { type: [AddressSchema], default: [] },
     // Guarda el _id de un subdocumento de addresses
     defaultAddressId: { type: Schema.Types.ObjectId },
+
+    // Productos guardados para después (ver encabezado)
+    wishlist: { type: [WishlistItemSchema], default: [] },
+
+    // Verificación de email (ver encabezado)
+    emailVerified: { type: Boolean, index: true },
+    emailVerifiedAt: { type: Date, default: null },
+    emailVerification: {
+      type: new Schema(
+        {
+          tokenHash: { type: String, required: true },
+          expiresAt: { type: Date, required: true },
+          lastSentAt: { type: Date, required: true },
+          sendCount: { type: Number, default: 1 }, // envíos dentro de la ventana actual
+          windowStart: { type: Date, required: true },
+        },
+        { _id: false },
+      ),
+      default: undefined,
+      select: false,
+    },
+
+    // Token de reset vigente (solo el hash; un solo uso)
+    passwordReset: {
+      type: new Schema(
+        {
+          tokenHash: { type: String, required: true },
+          expiresAt: { type: Date, required: true },
+        },
+        { _id: false },
+      ),
+      default: undefined,
+      select: false,
+    },
+
+    // Protección del login (ver encabezado)
+    failedLoginCount: { type: Number, default: 0, min: 0 },
+    lastFailedLoginAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+
+    // 2FA (ver encabezado)
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactor: {
+      type: new Schema(
+        {
+          secret: { type: String, default: null }, // cifrado (iv.tag.datos)
+          pendingSecret: { type: String, default: null }, // alta sin confirmar, cifrado
+          recoveryCodes: { type: [String], default: [] }, // SHA-256 de cada código
+          lastUsedStep: { type: Number, default: null },
+          enabledAt: { type: Date, default: null },
+        },
+        { _id: false },
+      ),
+      default: undefined,
+      select: false,
+    },
   },
   {
     timestamps: true, // createdAt, updatedAt
@@ -112,6 +265,12 @@ const UserSchema = new Schema(
         ret.id = ret._id?.toString();
         delete ret._id;
         delete ret.passwordHash;
+        delete ret.passwordReset;
+        delete ret.emailVerification;
+        delete ret.twoFactor;
+        delete ret.failedLoginCount;
+        delete ret.lastFailedLoginAt;
+        delete ret.lockedUntil;
         return ret;
       },
     },
@@ -121,6 +280,10 @@ const UserSchema = new Schema(
 
 // Índices adicionales (además del email único)
 UserSchema.index({ createdAt: -1 });
+UserSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+UserSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+// Job de avisos de wishlist: usuarios con algún favorito con notify
+UserSchema.index({ 'wishlist.notify': 1 }, { sparse: true });
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Métodos de instancia
@@ -207,12 +370,68 @@ UserSchema.statics.register = async function register({
   password,
   role = USER_ROLES.USER,
   active = true,
+  emailVerified = false,
 }) {
-  const user = new this({ name, email, role, active, passwordHash: 'tmp' });
+  const user = new this({
+    name,
+    email,
+    role,
+    active,
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date() : null,
+    passwordHash: 'tmp',
+  });
   await user.setPassword(password);
   return user.save();
 };
 
+/**
+ * ¿La cuenta está bloqueada por intentos fallidos? Acepta documento o lean.
+ * @param {Object} user
+ * @param {Date} [now]
+ */
+export function isLoginLocked(user, now = new Date()) {
+  return Boolean(user?.lockedUntil && new Date(user.lockedUntil) > now);
+}
+
+/**
+ * Permisos del rol del usuario (vacío para clientes o roles desconocidos).
+ * @param {Object} user - documento, lean o el user de la sesión
+ * @returns {ReadonlyArray<string>}
+ */
+export function permissionsOf(user) {
+  return ROLE_PERMISSIONS[user?.role] || [];
+}
+
+/**
+ * @param {Object} user
+ * @param {string} permission - ej. "orders:update"
+ */
+export function hasPermission(user, permission) {
+  return permissionsOf(user).includes(permission);
+}
+
+/** ¿Es cuenta del equipo (admin o rol de staff con algún permiso)? */
+export function isStaff(user) {
+  return permissionsOf(user).length > 0;
+}
+
+/**
+ * ¿La cuenta debe usar 2FA? (admin y roles de staff; requirePermission lo exige en la sesión)
+ * @param {Object} user
+ */
+export function requiresTwoFactor(user) {
+  return isStaff(user);
+}
+
+/**
+ * ¿El email está verificado? Las cuentas previas a la verificación (sin el campo)
+ * cuentan como verificadas. Acepta documento, lean o el user de la sesión.
+ */
+export function isEmailVerified(user) {
+  return user?.emailVerified !== false;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Export
 // ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,36 @@
+// src/models/UserSession.js
+// -----------------------------------------------------------------------------
+// Sesiones abiertas de cada usuario, con datos del dispositivo.
+//
+// - La sesión en sí vive en connect-mongo (colección "sessions", cifrada); este
+//   documento la vincula al usuario por sid para poder listarla en /account/sessions
+//   y cerrarla desde el servidor (services/session.service.js).
+// - lastSeenAt / ip se actualizan como mucho una vez por minuto (setUserInViews).
+// - expiresAt acompaña la vida de la sesión en el store; el índice TTL limpia los
+//   documentos de sesiones que vencieron sin logout.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+const { Schema, model } = mongoose;
+
+const UserSessionSchema = new Schema(
+  {
+    sid: { type: String, required: true }, // req.sessionID (no se muestra en vistas)
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    ip: { type: String, default: '' },
+    userAgent: { type: String, default: '', maxlength: 300 },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  },
+);
+
+UserSessionSchema.index({ sid: 1 }, { unique: true });
+UserSessionSchema.index({ user: 1, lastSeenAt: -1 });
+UserSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserSession = model('UserSession', UserSessionSchema);
+export default UserSession;
@@ -1,4 +1,16 @@
 // src/models/index.js
 // Punto único de exportación de modelos (facilita imports en controllers/services)
 
-export { default as User, USER_ROLES } from './User.js';
+export {
+  default as User,
+  USER_ROLES,
+  USER_ROLE_LABELS,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  permissionsOf,
+  hasPermission,
+  isStaff,
+  isEmailVerified,
+  isLoginLocked,
+  requiresTwoFactor,
+} from './User.js';
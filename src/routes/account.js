@@ -8,7 +8,13 @@
 //    • Teléfono de contacto
 //    • Direcciones múltiples de envío
 //    • Dirección preferida (por defecto)
-// - Todas las rutas están protegidas por requireAuth (no hay acceso anónimo).
+// - Historial de pedidos propios en **/account/orders** (detalle + reintento de pago).
+// - Wishlist (favoritos) en **/account/wishlist** (wishlist.controller.js).
+// - Verificación en dos pasos (TOTP) en **/account/security** (two-factor.controller.js).
+// - Sesiones abiertas en **/account/sessions** (session.controller.js).
+// - Todas las rutas están protegidas por requireAuth (no hay acceso anónimo). El guard se
+//   limita a /account: el router se monta en la raíz y no debe cortar rutas públicas
+//   posteriores (webhook de MP, API, baja de avisos, etc.).
 //
 // Controladores usados (account.controller.js):
 //   • showProfile           → Render de perfil con teléfono + direcciones
@@ -16,17 +22,37 @@
 //   • addAddress            → Agregar nueva dirección
 //   • setDefaultAddress     → Marcar dirección preferida
 //   • deleteAddress         → Eliminar dirección
+//   • listMyOrders          → Pedidos del usuario (paginado + filtro por estado)
+//   • showMyOrder           → Detalle de un pedido propio
+//   • retryOrderPayment     → Reintentar el pago de un pedido created/rejected
+//
+// Controladores usados (wishlist.controller.js):
+//   • showWishlist / addItem / removeItem / setAlerts / moveToCart
+//
+// Controladores usados (two-factor.controller.js):
+//   • showSecurity / startSetup / confirmSetup / regenerateCodes / disable
+//
+// Controladores usados (session.controller.js):
+//   • listSessions / revokeSession / revokeOtherSessions
 //
 // Middlewares:
 //   • requireAuth  → exige sesión activa
 //   • asyncHandler → captura errores async y delega en errorHandler global
+//   • requireVerifiedEmail + attachCart → solo en el reintento de pago (igual que /checkout)
+//   • attachCart → también en "mover al carrito" de la wishlist
 //
-// Vista asociada:
+// Vistas asociadas:
 //   • views/auth/profile.hbs  (una sola pantalla con todo el perfil)
+//   • views/account/orders.hbs / order-detail.hbs
+//   • views/account/wishlist.hbs
+//   • views/account/security.hbs
+//   • views/account/sessions.hbs
 // -----------------------------------------------------------------------------
 
 import { Router } from 'express';
-import { requireAuth } from '../middlewares/auth.js';
+import mongoose from 'mongoose';
+import { requireAuth, requireVerifiedEmail } from '../middlewares/auth.js';
+import { attachCart } from '../middlewares/cart.js';
 import { asyncHandler } from '../middlewares/errors.js';
 import {
   showProfile,
@@ -34,14 +60,45 @@ import {
   addAddress,
   setDefaultAddress,
   deleteAddress,
+  listMyOrders,
+  showMyOrder,
+  retryOrderPayment,
 } from '../controllers/account.controller.js';
+import {
+  showWishlist,
+  addItem,
+  removeItem,
+  setAlerts,
+  moveToCart,
+} from '../controllers/wishlist.controller.js';
+import {
+  showSecurity,
+  startSetup,
+  confirmSetup,
+  regenerateCodes,
+  disable as disableTwoFactor,
+} from '../controllers/two-factor.controller.js';
+import {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from '../controllers/session.controller.js';
 
 const router = Router();
 
+// Valida :id (producto) en las rutas de wishlist
+function ensureValidIdParam(req, res, next) {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id)) {
+    return res.redirect('/account/wishlist?error=PRODUCT_NOT_FOUND');
+  }
+  return next();
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
-// Middleware global: todas las rutas requieren sesión activa
+// Middleware: todas las rutas /account/* requieren sesión activa
 // -----------------------------------------------------------------------------
-router.use(requireAuth);
+router.use('/account', requireAuth);
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Perfil unificado (/account/profile)
@@ -62,6 +119,43 @@ router.post('/account/profile/addresses/:id/default', asyncHandler(setDefaultAdd
 // Eliminar dirección existente
 router.post('/account/profile/addresses/:id/delete', asyncHandler(deleteAddress));
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Mis pedidos (/account/orders)
+// -----------------------------------------------------------------------------
+router.get('/account/orders', asyncHandler(listMyOrders));
+router.get('/account/orders/:id', asyncHandler(showMyOrder));
+router.post(
+  '/account/orders/:id/retry',
+  requireVerifiedEmail,
+  attachCart,
+  asyncHandler(retryOrderPayment),
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Wishlist (/account/wishlist)
+// -----------------------------------------------------------------------------
+router.get('/account/wishlist', asyncHandler(showWishlist));
+router.post('/account/wishlist/:id', ensureValidIdParam, asyncHandler(addItem));
+router.post('/account/wishlist/:id/remove', ensureValidIdParam, asyncHandler(removeItem));
+router.post('/account/wishlist/:id/alerts', ensureValidIdParam, asyncHandler(setAlerts));
+router.post('/account/wishlist/:id/cart', ensureValidIdParam, attachCart, asyncHandler(moveToCart));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Seguridad: 2FA (/account/security)
+// -----------------------------------------------------------------------------
+router.get('/account/security', asyncHandler(showSecurity));
+router.post('/account/security/2fa/setup', asyncHandler(startSetup));
+router.post('/account/security/2fa/enable', asyncHandler(confirmSetup));
+router.post('/account/security/2fa/recovery-codes', asyncHandler(regenerateCodes));
+router.post('/account/security/2fa/disable', asyncHandler(disableTwoFactor));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sesiones abiertas (/account/sessions)
+// -----------------------------------------------------------------------------
+router.get('/account/sessions', asyncHandler(listSessions));
+router.post('/account/sessions/revoke-others', asyncHandler(revokeOtherSessions));
+router.post('/account/sessions/:id/revoke', asyncHandler(revokeSession));
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Export
 // -----------------------------------------------------------------------------
@@ -0,0 +1,14 @@
+// src/routes/admin/audit.js
+import express from 'express';
+import { requirePermission } from '../../middlewares/auth.js';
+import { asyncHandler } from '../../middlewares/errors.js';
+import { listAudit, exportAudit } from '../../controllers/audit.controller.js';
+
+const router = express.Router();
+
+router.use(requirePermission('audit:read'));
+
+router.get('/', asyncHandler(listAudit));
+router.get('/export.csv', asyncHandler(exportAudit));
+
+export default router;
@@ -1,7 +1,7 @@
 //routes/admin/categories.js
 import express from 'express';
 import mongoose from 'mongoose';
-import { requireAdmin } from '../../middlewares/auth.js';
+import { requirePermission } from '../../middlewares/auth.js';
 import { asyncHandler } from '../../middlewares/errors.js';
 import {
   listCategories,
@@ -24,7 +24,7 @@ function ensureValidIdParam(req, res, next) {
   return next();
 }
 
-router.use(requireAdmin);
+router.use(requirePermission('categories:write'));
 
 router.get('/', asyncHandler(listCategories));
 router.get('/new', asyncHandler(renderNewForm));
@@ -0,0 +1,23 @@
+// src/routes/admin/coupons.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { requirePermission } from '../../middlewares/auth.js';
+import { asyncHandler } from '../../middlewares/errors.js';
+import { listCoupons, createCoupon, toggleCoupon } from '../../controllers/coupon.controller.js';
+
+const router = express.Router();
+
+function ensureValidIdParam(req, res, next) {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id))
+    return res.redirect('/admin/coupons?error=NOT_FOUND');
+  return next();
+}
+
+router.use(requirePermission('coupons:write'));
+
+router.get('/', asyncHandler(listCoupons));
+router.post('/', asyncHandler(createCoupon));
+router.post('/:id/toggle', ensureValidIdParam, asyncHandler(toggleCoupon));
+
+export default router;
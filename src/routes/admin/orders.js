@@ -8,20 +8,24 @@ import {
   showOrder,
   updateOrderStatus,
 } from '../../controllers/admin.controller.js';
-import { requireAdmin } from '../../middlewares/auth.js';
+import { requirePermission } from '../../middlewares/auth.js';
 import { asyncHandler } from '../../middlewares/errors.js';
 
 const router = Router();
 
-// Todas las rutas de este módulo requieren admin
-router.use(requireAdmin);
+// Permisos por ruta: este router se monta en /admin, así que un router.use cortaría
+// también las rutas de los demás módulos del panel
 
 // Dashboard KPIs
-router.get('/', asyncHandler(renderDashboard));
+router.get('/', requirePermission('dashboard:read'), asyncHandler(renderDashboard));
 
 // Pedidos: listado, detalle y cambio de estado
-router.get('/orders', asyncHandler(listOrders));
-router.get('/orders/:id', asyncHandler(showOrder));
-router.post('/orders/:id/status', asyncHandler(updateOrderStatus));
+router.get('/orders', requirePermission('orders:read'), asyncHandler(listOrders));
+router.get('/orders/:id', requirePermission('orders:read'), asyncHandler(showOrder));
+router.post(
+  '/orders/:id/status',
+  requirePermission('orders:update'),
+  asyncHandler(updateOrderStatus),
+);
 
 export default router;
@@ -1,19 +1,19 @@
 // src/routes/admin/products.js
 // -----------------------------------------------------------------------------
 // Rutas de administración para Productos.
-// Protegidas con requireAdmin y usando asyncHandler.
-// Usa multer en memoria desde el propio controlador (upload.single('image')).
+// Protegidas con requirePermission('products:write') y usando asyncHandler.
+// Usa multer en memoria desde el propio controlador (uploadGallery: input "images" multiple).
 // -----------------------------------------------------------------------------
 
 import express from 'express';
 
 // Middlewares globales
-import { requireAdmin } from '../../middlewares/auth.js';
+import { requirePermission } from '../../middlewares/auth.js';
 import { asyncHandler } from '../../middlewares/errors.js';
 
 // Acciones del controlador
 import {
-  upload,
+  uploadGallery,
   listProducts,
   renderNewForm,
   createProduct,
@@ -25,8 +25,8 @@ import {
 
 const router = express.Router();
 
-// Todas las rutas bajo /admin/products requieren rol admin
-router.use(requireAdmin);
+// Todas las rutas bajo /admin/products requieren el permiso products:write
+router.use(requirePermission('products:write'));
 
 // Listado + búsqueda + paginación
 router.get('/', asyncHandler(listProducts));
@@ -34,19 +34,19 @@ router.get('/', asyncHandler(listProducts));
 // Formulario de alta
 router.get('/new', asyncHandler(renderNewForm));
 
-// Crear (con imagen opcional)
-router.post('/', upload.single('image'), asyncHandler(createProduct));
+// Crear (con galería opcional)
+router.post('/', uploadGallery, asyncHandler(createProduct));
 
 // Formulario de edición
 router.get('/:id/edit', asyncHandler(renderEditForm));
 
-// Actualizar (con posible reemplazo de imagen)
-router.post('/:id', upload.single('image'), asyncHandler(updateProduct));
+// Actualizar (galería: altas, bajas, orden y portada)
+router.post('/:id', uploadGallery, asyncHandler(updateProduct));
 
 // Toggles: active / featured / promoEnabled
 router.post('/:id/toggle/:flag', asyncHandler(toggleFlag));
 
-// Borrado (elimina imagen en Cloudinary y luego el documento)
+// Borrado (elimina todas las imágenes y luego el documento)
 router.post('/:id/delete', asyncHandler(deleteProduct));
 
 export default router;
@@ -0,0 +1,24 @@
+// src/routes/admin/reviews.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { requirePermission } from '../../middlewares/auth.js';
+import { asyncHandler } from '../../middlewares/errors.js';
+import { listReviews, setReviewStatus, removeReview } from '../../controllers/review.controller.js';
+
+const router = express.Router();
+
+function ensureValidIdParam(req, res, next) {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id)) {
+    return res.redirect('/admin/reviews?error=REVIEW_NOT_FOUND');
+  }
+  return next();
+}
+
+router.use(requirePermission('reviews:moderate'));
+
+router.get('/', asyncHandler(listReviews));
+router.post('/:id/status', ensureValidIdParam, asyncHandler(setReviewStatus));
+router.post('/:id/delete', ensureValidIdParam, asyncHandler(removeReview));
+
+export default router;
@@ -0,0 +1,29 @@
+// src/routes/admin/shipping.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { requirePermission } from '../../middlewares/auth.js';
+import { asyncHandler } from '../../middlewares/errors.js';
+import {
+  listRules,
+  createRule,
+  toggleRule,
+  deleteRule,
+} from '../../controllers/shipping.controller.js';
+
+const router = express.Router();
+
+function ensureValidIdParam(req, res, next) {
+  const { id } = req.params;
+  if (id && !mongoose.Types.ObjectId.isValid(id))
+    return res.redirect('/admin/shipping?error=NOT_FOUND');
+  return next();
+}
+
+router.use(requirePermission('shipping:write'));
+
+router.get('/', asyncHandler(listRules));
+router.post('/', asyncHandler(createRule));
+router.post('/:id/toggle', ensureValidIdParam, asyncHandler(toggleRule));
+router.post('/:id/delete', ensureValidIdParam, asyncHandler(deleteRule));
+
+export default router;
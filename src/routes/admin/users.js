@@ -5,17 +5,27 @@ import {
   createUser,
   updateUser,
   toggleActive,
+  setVerification,
+  unlockUser,
+  revokeSessions,
 } from '../../controllers/admin.controller.js';
-import { requireAuth, requireAdmin } from '../../middlewares/auth.js';
+import { requireAuth, requirePermission } from '../../middlewares/auth.js';
 import { asyncHandler } from '../../middlewares/errors.js';
 
 const router = Router();
 
-router.use(requireAuth, requireAdmin);
+router.use(requireAuth);
 
-router.get('/', asyncHandler(listUsers));
-router.post('/', asyncHandler(createUser));
-router.post('/:id/update', asyncHandler(updateUser));
-router.post('/:id/toggle', asyncHandler(toggleActive));
+// users:manage → alta, rol y activación; users:support → ayuda a la cuenta (soporte)
+const canManage = requirePermission('users:manage');
+const canSupport = requirePermission('users:support');
+
+router.get('/', requirePermission('users:read'), asyncHandler(listUsers));
+router.post('/', canManage, asyncHandler(createUser));
+router.post('/:id/update', canManage, asyncHandler(updateUser));
+router.post('/:id/toggle', canManage, asyncHandler(toggleActive));
+router.post('/:id/verify', canSupport, asyncHandler(setVerification));
+router.post('/:id/unlock', canSupport, asyncHandler(unlockUser));
+router.post('/:id/sessions/revoke', canSupport, asyncHandler(revokeSessions));
 
 export default router;
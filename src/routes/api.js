@@ -0,0 +1,15 @@
+// src/routes/api.js
+// -----------------------------------------------------------------------------
+// Endpoints JSON públicos usados por los scripts del sitio (public/js/app.js).
+// -----------------------------------------------------------------------------
+
+import { Router } from 'express';
+import { asyncHandler } from '../middlewares/errors.js';
+import { suggest } from '../controllers/search.controller.js';
+
+const router = Router();
+
+// GET /api/search/suggest?q= — autocompletado del buscador
+router.get('/search/suggest', asyncHandler(suggest));
+
+export default router;
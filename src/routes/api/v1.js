@@ -0,0 +1,57 @@
+// src/routes/api/v1.js
+// -----------------------------------------------------------------------------
+// API JSON v1 (catálogo, carrito, checkout y pedidos). Ver controllers/api.controller.js
+// para el envelope, la paginación por cursor y los códigos de error.
+// - Todas las respuestas son JSON (también 401/403/404 y errores: errorHandler).
+// - Carrito y checkout usan attachCart (mismo carrito que el sitio).
+// - Los métodos que modifican exigen X-CSRF-Token (token de GET /api/v1/session).
+// -----------------------------------------------------------------------------
+
+import { Router } from 'express';
+import { asyncHandler } from '../../middlewares/errors.js';
+import { requireAuth, requireVerifiedEmail } from '../../middlewares/auth.js';
+import { attachCart } from '../../middlewares/cart.js';
+import {
+  showSession,
+  listProducts,
+  showProduct,
+  listCategories,
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  applyCoupon,
+  removeCoupon,
+  checkout,
+  listOrders,
+  showOrder,
+} from '../../controllers/api.controller.js';
+
+const router = Router();
+
+// Sesión (usuario + token CSRF)
+router.get('/session', showSession);
+
+// Catálogo
+router.get('/products', asyncHandler(listProducts));
+router.get('/products/:id', asyncHandler(showProduct));
+router.get('/categories', asyncHandler(listCategories));
+
+// Carrito (visitantes y usuarios)
+router.get('/cart', attachCart, asyncHandler(getCart));
+router.delete('/cart', attachCart, asyncHandler(clearCart));
+router.post('/cart/items', attachCart, asyncHandler(addCartItem));
+router.patch('/cart/items/:productId', attachCart, asyncHandler(updateCartItem));
+router.delete('/cart/items/:productId', attachCart, asyncHandler(removeCartItem));
+router.post('/cart/coupon', attachCart, asyncHandler(applyCoupon));
+router.delete('/cart/coupon', attachCart, asyncHandler(removeCoupon));
+
+// Checkout (mismos requisitos que POST /checkout)
+router.post('/checkout', requireAuth, requireVerifiedEmail, attachCart, asyncHandler(checkout));
+
+// Pedidos del usuario
+router.get('/orders', requireAuth, asyncHandler(listOrders));
+router.get('/orders/:id', requireAuth, asyncHandler(showOrder));
+
+export default router;
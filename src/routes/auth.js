@@ -7,7 +7,11 @@
 // - Dividir rutas en públicas (requireGuest) y protegidas (requireAuth).
 // - Cada controlador implementa la lógica correspondiente (auth.controller.js):
 //     • showLogin / login
+//     • showTwoFactor / verifyTwoFactor       (segundo paso si la cuenta tiene 2FA)
 //     • showRegister / register
+//     • showForgotPassword / forgotPassword   (pide el link de recupero)
+//     • showResetPassword / resetPassword     (token de un solo uso enviado por email)
+//     • showVerifyEmail / resendVerification / confirmEmail (verificación de email)
 //     • showProfile
 //     • logout
 //
@@ -19,7 +23,10 @@
 //
 // Convención de vistas (en /src/views/auth/):
 //   • login.hbs      — formulario de acceso
+//   • two-factor.hbs — código de la app autenticadora / de recuperación
 //   • register.hbs   — formulario de alta de cuenta
+//   • forgot-password.hbs / reset-password.hbs — recupero de contraseña
+//   • verify-email.hbs — estado de la verificación / reenvío
 //   • profile.hbs    — datos del usuario autenticado
 // -----------------------------------------------------------------------------
 
@@ -28,8 +35,17 @@ import {
   showLogin,
   showRegister,
   login,
+  showTwoFactor,
+  verifyTwoFactor,
   register,
   logout,
+  showForgotPassword,
+  forgotPassword,
+  showResetPassword,
+  resetPassword,
+  showVerifyEmail,
+  resendVerification,
+  confirmEmail,
 } from '../controllers/auth.controller.js';
 import { requireGuest, requireAuth } from '../middlewares/auth.js';
 import { asyncHandler } from '../middlewares/errors.js';
@@ -43,11 +59,27 @@ router.get('/login', requireGuest, showLogin); // Formulario de login
 router.get('/register', requireGuest, showRegister); // Formulario de registro
 router.post('/login', requireGuest, asyncHandler(login)); // Envío de credenciales
 router.post('/register', requireGuest, asyncHandler(register)); // Alta usuario
+router.get('/forgot-password', requireGuest, showForgotPassword); // Pedir link de recupero
+router.post('/forgot-password', requireGuest, asyncHandler(forgotPassword));
+
+// Segundo paso del login (2FA): sin requireGuest, también lo usa una sesión abierta de
+// staff que todavía no completó el 2FA (requirePermission redirige acá)
+router.get('/login/2fa', showTwoFactor);
+router.post('/login/2fa', asyncHandler(verifyTwoFactor));
+
+// Reset con token: abierto también con sesión (el link puede abrirse desde cualquier lado)
+router.get('/reset-password/:token', asyncHandler(showResetPassword));
+router.post('/reset-password/:token', asyncHandler(resetPassword));
+
+// Link de verificación: también sin sesión (se puede abrir en otro dispositivo)
+router.get('/verify-email/:token', asyncHandler(confirmEmail));
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Rutas protegidas (requieren sesión activa)
 // -----------------------------------------------------------------------------
 router.get('/logout', requireAuth, logout); // Cierre de sesión
+router.get('/verify-email', requireAuth, showVerifyEmail); // Estado de verificación
+router.post('/verify-email/resend', requireAuth, asyncHandler(resendVerification)); // Reenvío
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Export
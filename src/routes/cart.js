@@ -1,12 +1,12 @@
 // src/routes/cart.js
 // -----------------------------------------------------------------------------
-// Rutas de Carrito (en sesión)
-// Protegidas con requireAuth (del Módulo 1) y con manejo de errores async.
+// Rutas de Carrito (sesión + respaldo en Mongo)
+// Abiertas a visitantes: attachCart carga el carrito del usuario o del visitante (cookie).
 // -----------------------------------------------------------------------------
 
 import { Router } from 'express';
 import mongoose from 'mongoose';
-import { requireAuth } from '../middlewares/auth.js';
+import { attachCart } from '../middlewares/cart.js';
 import { asyncHandler } from '../middlewares/errors.js';
 import {
   viewCart,
@@ -14,6 +14,8 @@ import {
   updateQty,
   removeItem,
   clearCart,
+  applyCoupon,
+  removeCoupon,
 } from '../controllers/cart.controller.js';
 
 const router = Router();
@@ -28,8 +30,8 @@ function ensureValidIdParam(req, res, next) {
   return next();
 }
 
-// Todas las rutas del carrito requieren usuario autenticado
-router.use(requireAuth);
+// Todas las rutas del carrito trabajan sobre el carrito persistido del dueño actual
+router.use(attachCart);
 
 // Ver carrito
 router.get('/', asyncHandler(viewCart));
@@ -46,4 +48,8 @@ router.post('/remove/:id', ensureValidIdParam, asyncHandler(removeItem));
 // Vaciar carrito
 router.post('/clear', asyncHandler(clearCart));
 
+// Cupón de descuento
+router.post('/coupon', asyncHandler(applyCoupon));
+router.post('/coupon/remove', asyncHandler(removeCoupon));
+
 export default router;
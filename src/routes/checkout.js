@@ -2,40 +2,52 @@
 // Rutas del flujo de Checkout con Mercado Pago (Checkout Pro, sandbox).
 //
 // Endpoints:
-//   GET  /checkout               -> Renderiza la página de confirmación (entrega + dirección + resumen)
+//   GET  /checkout               -> Renderiza la página de confirmación (dirección + envíos cotizados + resumen)
 //   POST /checkout               -> Inicia el checkout: crea Order + Preferencia MP y devuelve init_point
 //   GET  /checkout/success       -> Return URL de MP (pago aprobado)
 //   GET  /checkout/pending       -> Return URL de MP (pago pendiente)
 //   GET  /checkout/failure       -> Return URL de MP (pago rechazado)
+//   POST /webhooks/mp            -> Notificación server-to-server de MP (firma x-signature)
 //
 // Requisitos de sesión:
-// - `requireAuth` protege GET/POST /checkout (el usuario debe estar logueado).
-// - El carrito vive en req.session.cart (Módulo 3).
+// - `requireAuth` protege GET/POST /checkout (el usuario debe estar logueado) y
+//   `requireVerifiedEmail` exige el email verificado.
+// - El carrito vive en req.session.cart (Módulo 3); attachCart lo carga desde Mongo.
 //
 // Nota CSP:
 // - Usamos Helmet con CSP + nonce. Si tu template `checkout.hbs` incluye <script> inline,
 //   agregá `nonce="{{cspNonce}}"` en la etiqueta para que no lo bloquee el navegador.
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import {
   postCheckout,
   getCheckoutSuccess,
   getCheckoutPending,
   getCheckoutFailure,
-  // postWebhookMp, // (opcional) activar cuando implementes webhooks
+  postWebhookMp,
 } from '../controllers/order.controller.js';
-import { requireAuth } from '../middlewares/auth.js';
+import { requireAuth, requireVerifiedEmail } from '../middlewares/auth.js';
+import { attachCart } from '../middlewares/cart.js';
 import { User } from '../models/index.js';
+import { quoteShipping } from '../services/shipping.service.js';
 const router = Router();
 
+// ?error= (código de ShippingError al iniciar el pago) → aviso de la página
+const CHECKOUT_ERRORS = Object.freeze({
+  ADDRESS_REQUIRED: 'Elegí una dirección de entrega para ese envío.',
+  METHOD_UNAVAILABLE:
+    'El método de envío elegido ya no está disponible para tu dirección o tu carrito. Elegí otro.',
+});
+
 /**
- * GET /checkout
- * Render de confirmación (método de entrega + direcciones guardadas + resumen).
+ * GET /checkout[?addressId=...]
+ * Render de confirmación (direcciones guardadas + opciones de envío + resumen).
  * - Carga direcciones SIEMPRE desde BD (evita depender de lo que haya en la sesión).
  * - Normaliza _id -> id string para la vista.
+ * - Cotiza los envíos para la dirección elegida (query) o la preferida (ShippingRule).
  * - LOGS de diagnóstico para ver qué está llegando.
  */
-router.get('/checkout', requireAuth, async (req, res, next) => {
+router.get('/checkout', requireAuth, requireVerifiedEmail, attachCart, async (req, res, next) => {
   try {
     const sessionUser = req.session?.user || null;
     const userId = sessionUser?._id || sessionUser?.id;
@@ -58,10 +70,20 @@ router.get('/checkout', requireAuth, async (req, res, next) => {
     );
 
     const defaultId = dbUser?.defaultAddressId ? String(dbUser.defaultAddressId) : null;
+    const rawAddresses = Array.isArray(dbUser?.addresses) ? dbUser.addresses : [];
+
+    // Dirección a cotizar: la elegida en la página (?addressId) o la preferida
+    const requestedId = String(req.query?.addressId || '');
+    const selected =
+      rawAddresses.find((a) => String(a._id) === requestedId) ||
+      rawAddresses.find((a) => String(a._id) === defaultId) ||
+      rawAddresses[0] ||
+      null;
+    const selectedId = selected ? String(selected._id) : null;
 
     // Normalizar direcciones: id string + flag isDefault
-    const addresses = Array.isArray(dbUser?.addresses)
-      ? dbUser.addresses.map((a, i) => {
+    const addresses = rawAddresses.length
+      ? rawAddresses.map((a, i) => {
           const id = a._id?.toString?.() || a.id || '';
           return {
             id,
@@ -72,11 +94,13 @@ router.get('/checkout', requireAuth, async (req, res, next) => {
             state: a.state || '',
             zip: a.zip || '',
             isDefault: defaultId ? id === defaultId : i === 0,
+            isSelected: id === selectedId,
           };
         })
       : [];
 
     const cart = req.session?.cart || null;
+    const shippingOptions = cart ? await quoteShipping({ cart, address: selected }) : [];
 
     // LOGS finales de lo que vamos a pintar
     console.log('[checkout][GET] will render addresses:', addresses.length, 'default:', defaultId);
@@ -89,7 +113,10 @@ router.get('/checkout', requireAuth, async (req, res, next) => {
       },
       addresses, // <-- USAR ESTO EN LA VISTA
       defaultAddressId: defaultId,
+      selectedAddressId: selectedId,
+      shippingOptions,
       cart,
+      error: CHECKOUT_ERRORS[req.query?.error] || null,
     });
   } catch (err) {
     next(err);
@@ -97,15 +124,14 @@ router.get('/checkout', requireAuth, async (req, res, next) => {
 });
 
 // Inicia el flujo de pago: requiere usuario autenticado
-router.post('/checkout', requireAuth, postCheckout);
+router.post('/checkout', requireAuth, requireVerifiedEmail, attachCart, postCheckout);
 
 // Return URLs que Mercado Pago redirige al finalizar el intento de pago
 router.get('/checkout/success', getCheckoutSuccess);
 router.get('/checkout/pending', getCheckoutPending);
 router.get('/checkout/failure', getCheckoutFailure);
 
-// (Opcional) Webhook server-to-server (recordá configurar notification_url en la preferencia)
-// import express from "express";
-// router.post("/webhooks/mp", express.json({ type: "*/*" }), postWebhookMp);
+// Webhook server-to-server (notification_url de la preferencia). Sin requireAuth: lo llama MP.
+router.post('/webhooks/mp', express.json({ type: '*/*' }), postWebhookMp);
 
 export default router;
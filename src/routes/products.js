@@ -1,12 +1,15 @@
 // src/routes/products.js
 // -----------------------------------------------------------------------------
-// Rutas públicas de productos (detalle)
+// Rutas públicas de productos (detalle + alta de reseñas con sesión + aviso de stock)
 // -----------------------------------------------------------------------------
 
 import { Router } from 'express';
 import mongoose from 'mongoose';
 import { asyncHandler } from '../middlewares/errors.js';
+import { requireAuth } from '../middlewares/auth.js';
 import { detail } from '../controllers/product.controller.js';
+import { postReview } from '../controllers/review.controller.js';
+import { subscribe } from '../controllers/stock-alert.controller.js';
 
 const router = Router();
 
@@ -23,4 +26,10 @@ function ensureValidIdParam(req, res, next) {
 // GET /products/:id — detalle público
 router.get('/:id', ensureValidIdParam, asyncHandler(detail));
 
+// POST /products/:id/reviews — crear/editar la reseña propia (queda pendiente de moderación)
+router.post('/:id/reviews', ensureValidIdParam, requireAuth, asyncHandler(postReview));
+
+// POST /products/:id/stock-alerts — "Avisame cuando haya stock" (visitantes o con sesión)
+router.post('/:id/stock-alerts', ensureValidIdParam, asyncHandler(subscribe));
+
 export default router;
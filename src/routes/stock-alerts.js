@@ -0,0 +1,17 @@
+// src/routes/stock-alerts.js
+// -----------------------------------------------------------------------------
+// Baja de avisos de reposición desde el link del email (público, por token).
+// El alta está en routes/products.js (POST /products/:id/stock-alerts).
+// -----------------------------------------------------------------------------
+
+import { Router } from 'express';
+import { asyncHandler } from '../middlewares/errors.js';
+import { showUnsubscribe, unsubscribe } from '../controllers/stock-alert.controller.js';
+
+const router = Router();
+
+// GET muestra la confirmación (los lectores de correo pueden abrir links por su cuenta)
+router.get('/unsubscribe/:token', asyncHandler(showUnsubscribe));
+router.post('/unsubscribe/:token', asyncHandler(unsubscribe));
+
+export default router;
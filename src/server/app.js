@@ -0,0 +1,214 @@
+// src/server/app.js
+// ============================================================================
+//  Express + Handlebars — armado de la app (sin conexión a la BD ni listen)
+//  - ESM, seguridad (helmet con CSP + nonce, CSRF por sesión), logs (morgan),
+//    sesiones (connect-mongo)
+//  - Handlebars con helpers mínimos
+//  - Static de /public (Bootstrap local) y routers
+//  El arranque (BD, jobs, listen) está en server.js; los tests usan createApp()
+//  con un store de sesiones en memoria.
+// ============================================================================
+
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import morgan from 'morgan';
+import helmet from 'helmet';
+import crypto from 'crypto';
+import cookieParser from 'cookie-parser';
+import session from 'express-session';
+import MongoStore from 'connect-mongo';
+import methodOverride from 'method-override';
+import { create as createHbs } from 'express-handlebars';
+
+import { hbsHelpers } from '../utils/hbs-helpers.js';
+import { config } from '../config/env.js';
+
+// Middlewares propios
+import { setUserInViews } from '../middlewares/auth.js';
+import { csrfProtection } from '../middlewares/csrf.js';
+import { notFound, errorHandler } from '../middlewares/errors.js';
+
+// Routers
+import indexRouter from '../routes/index.js';
+import adminUsersRoutes from '../routes/admin/users.js';
+import authRoutes from '../routes/auth.js';
+import accountRoutes from '../routes/account.js';
+import productsAdminRouter from '../routes/admin/products.js';
+import productsRouter from '../routes/products.js';
+import cartRouter from '../routes/cart.js';
+import adminCategoriesRouter from '../routes/admin/categories.js';
+import adminCouponsRouter from '../routes/admin/coupons.js';
+import adminShippingRouter from '../routes/admin/shipping.js';
+import adminReviewsRouter from '../routes/admin/reviews.js';
+import adminAuditRouter from '../routes/admin/audit.js';
+import checkoutRoutes from '../routes/checkout.js';
+import stockAlertsRouter from '../routes/stock-alerts.js';
+import apiRouter from '../routes/api.js';
+import apiV1Router from '../routes/api/v1.js';
+
+// __dirname en ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Crea la app Express con middlewares y routers.
+ * @param {Object} [opts]
+ * @param {import('express-session').Store} [opts.sessionStore] - por defecto connect-mongo
+ * @returns {import('express').Express}
+ */
+export function createApp({ sessionStore } = {}) {
+  const app = express();
+  app.set('trust proxy', 1);
+
+  // ---------------------------------------------------------------------------
+  // Nonce por request (antes de Helmet) para permitir scripts inline con seguridad
+  // ---------------------------------------------------------------------------
+  app.use((req, res, next) => {
+    res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+    next();
+  });
+
+  // ---------------------------------------------------------------------------
+  // Seguridad: Helmet con CSP que habilita Cloudinary y blob: (preview)
+  // ---------------------------------------------------------------------------
+  app.use(
+    helmet({
+      contentSecurityPolicy: {
+        useDefaults: true,
+        directives: {
+          defaultSrc: ["'self'"],
+
+          scriptSrc: ["'self'", (req, res) => `'nonce-${res.locals.cspNonce}'`],
+
+          // Imágenes locales + data + blob + Cloudinary
+          imgSrc: ["'self'", 'data:', 'blob:', 'https://res.cloudinary.com'],
+
+          // 🔽 CSS: tu servidor + inline + Google Fonts + CDNs
+          styleSrc: [
+            "'self'",
+            "'unsafe-inline'",
+            'https://fonts.googleapis.com',
+            'https://cdnjs.cloudflare.com', // <-- AÑADIDO para Animate.css
+            'https://unpkg.com', // <-- AÑADIDO para Bootstrap Icons
+          ],
+          // 🔽 Específico para <link rel="stylesheet">: tu servidor + inline + Google Fonts + CDNs
+          styleSrcElem: [
+            "'self'",
+            "'unsafe-inline'",
+            'https://fonts.googleapis.com',
+            'https://cdnjs.cloudflare.com', // <-- AÑADIDO para Animate.css
+            'https://unpkg.com', // <-- AÑADIDO para Bootstrap Icons
+          ],
+
+          // 🔽 Fuentes: tu servidor + data + Google Fonts + Bootstrap Icons
+          fontSrc: [
+            "'self'",
+            'data:',
+            'https://fonts.gstatic.com',
+            'https://unpkg.com', // <-- AÑADIDO para las fuentes de los iconos
+          ],
+
+          connectSrc: ["'self'"],
+          objectSrc: ["'none'"],
+          baseUri: ["'self'"],
+          frameAncestors: ["'self'"],
+        },
+      },
+      crossOriginResourcePolicy: false,
+    }),
+  );
+
+  // Logs en dev
+  if (!config.isProd) app.use(morgan('dev'));
+
+  // Parsers + utilidades
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use(methodOverride('_method'));
+
+  // Static (Bootstrap + assets)
+  app.use(express.static(path.join(__dirname, '..', '..', 'public')));
+
+  // ---------------------------------------------------------------------------
+  // Handlebars (layout + partials + helpers)
+  // ---------------------------------------------------------------------------
+  const hbs = createHbs({
+    extname: '.hbs',
+    layoutsDir: path.join(__dirname, '..', 'views', 'layouts'),
+    partialsDir: path.join(__dirname, '..', 'views', 'partials'),
+    defaultLayout: 'main',
+    helpers: hbsHelpers,
+  });
+  app.engine('.hbs', hbs.engine);
+  app.set('view engine', '.hbs');
+  app.set('views', path.join(__dirname, '..', 'views'));
+
+  // ---------------------------------------------------------------------------
+  // Sesiones (persistidas en Mongo)
+  // ---------------------------------------------------------------------------
+  app.use(
+    session({
+      name: 'sid',
+      secret: config.sessionSecret,
+      resave: false,
+      saveUninitialized: false,
+      store:
+        sessionStore ||
+        MongoStore.create({
+          mongoUrl: config.mongoUri,
+          ttl: config.sessionTtlMs / 1000, // segundos
+          crypto: { secret: config.sessionSecret },
+        }),
+      cookie: {
+        httpOnly: true,
+        secure: config.isProd, // solo HTTPS en prod
+        sameSite: 'lax',
+        maxAge: config.sessionTtlMs,
+      },
+    }),
+  );
+
+  // CSRF: token de la sesión en res.locals.csrfToken (junto a cspNonce) y validación de
+  // todo request que no sea GET (ver middlewares/csrf.js; exime /webhooks/mp)
+  app.use(csrfProtection);
+
+  app.use((req, res, next) => {
+    res.locals.request = req;
+    next();
+  });
+
+  // Usuario disponible en vistas (navbar, etc.)
+  app.use(setUserInViews);
+
+  // ---------------------------------------------------------------------------
+  // Rutas
+  // ---------------------------------------------------------------------------
+  app.use('/', indexRouter);
+  app.use('/', authRoutes);
+  app.use('/admin/users', adminUsersRoutes);
+  // APIs JSON públicas (catálogo, carrito y autocompletado de visitantes): antes del
+  // router de cuenta
+  app.use('/api/v1', apiV1Router);
+  app.use('/api', apiRouter);
+  // Baja de avisos de stock por token (link del email, sin sesión)
+  app.use('/stock-alerts', stockAlertsRouter);
+  app.use(accountRoutes);
+  app.use('/admin/products', productsAdminRouter);
+  app.use('/admin/categories', adminCategoriesRouter);
+  app.use('/admin/coupons', adminCouponsRouter);
+  app.use('/admin/shipping', adminShippingRouter);
+  app.use('/admin/reviews', adminReviewsRouter);
+  app.use('/admin/audit', adminAuditRouter);
+  app.use('/products', productsRouter);
+  app.use('/cart', cartRouter);
+  app.use('/', checkoutRoutes);
+
+  // 404 + errores centralizados
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+}
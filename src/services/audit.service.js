@@ -0,0 +1,223 @@
+// src/services/audit.service.js
+// -----------------------------------------------------------------------------
+// Auditoría de cambios del panel (models/AuditLog.js).
+//
+// - recordAudit(req, action, target, { before, after }): único punto de escritura. Lo
+//   llaman los controllers de productos, categorías, pedidos y usuarios DESPUÉS de
+//   guardar el cambio. Toma actor, IP y user agent del request y calcula el diff campo
+//   a campo entre before y after (objetos planos: doc.toObject() o un subconjunto).
+//   Si el registro falla, se loguea y no se corta la acción (el cambio ya se guardó).
+// - buildAuditFilter(query): filtros de /admin/audit (acción, entidad, actor, id, fechas),
+//   compartidos por el listado y el export CSV.
+// - listAuditLogs(filter, { page, limit }) / auditCsvLines(filter): listado paginado y
+//   líneas del CSV (cursor, sin cargar todo en memoria).
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import AuditLog, {
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_LABELS,
+  AUDIT_ENTITY_LABELS,
+} from '../models/AuditLog.js';
+
+// No aportan al diff (metadatos de Mongoose) o no deben quedar en el registro
+const IGNORED_FIELDS = new Set([
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'passwordHash',
+  'passwordReset',
+  'emailVerification',
+  'twoFactor',
+]);
+const MAX_VALUE_LENGTH = 500;
+
+const CSV_COLUMNS = [
+  'fecha',
+  'actor_email',
+  'actor_rol',
+  'accion',
+  'entidad',
+  'entidad_id',
+  'entidad_nombre',
+  'cambios',
+  'ip',
+  'user_agent',
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Diff
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Valor JSON-safe (ObjectId → string, Date → ISO) con strings largos recortados */
+function normalizeValue(value) {
+  if (value === undefined) return null;
+  const plain = JSON.parse(JSON.stringify(value));
+  if (typeof plain === 'string' && plain.length > MAX_VALUE_LENGTH) {
+    return `${plain.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  return plain;
+}
+
+/**
+ * Cambios campo a campo (primer nivel) entre dos objetos planos. Con before null (alta)
+ * o after null (baja) lista todos los campos del otro lado.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ field: string, before: *, after: * }>}
+ */
+export function diffChanges(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const prev = normalizeValue(before?.[field]);
+    const next = normalizeValue(after?.[field]);
+    if (JSON.stringify(prev) === JSON.stringify(next)) continue;
+    changes.push({ field, before: prev, after: next });
+  }
+  return changes;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Escritura
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Registra un cambio hecho desde el panel.
+ * @param {import('express').Request} req - con req.user (actor)
+ * @param {string} action - AUDIT_ACTIONS (la entidad es el prefijo: "product.update")
+ * @param {Object} target
+ * @param {string|import('mongoose').Types.ObjectId} target.id
+ * @param {string} [target.label] - nombre legible (título, email, etc.)
+ * @param {Object} [states]
+ * @param {Object|null} [states.before]
+ * @param {Object|null} [states.after]
+ */
+export async function recordAudit(
+  req,
+  action,
+  { id, label = '' },
+  { before = null, after = null } = {},
+) {
+  try {
+    await AuditLog.create({
+      actor: req.user?._id || req.user?.id || null,
+      actorEmail: req.user?.email || '',
+      actorRole: req.user?.role || '',
+      action,
+      entity: action.split('.')[0],
+      entityId: id,
+      entityLabel: String(label || '').slice(0, 200),
+      changes: diffChanges(before, after),
+      ip: req.ip || '',
+      userAgent: String(req.get?.('User-Agent') || '').slice(0, 300),
+    });
+  } catch (err) {
+    console.error('[audit] No se pudo registrar', action, String(id), err?.message || err);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Consulta
+// ─────────────────────────────────────────────────────────────────────────────
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Filtro de Mongo + valores normalizados para el form de /admin/audit.
+ * @param {Object} query - req.query: action, entity, actor (email), entityId, from, to
+ *   (YYYY-MM-DD)
+ * @returns {{ filter: Object, values: Object }}
+ */
+export function buildAuditFilter(query = {}) {
+  const action = Object.values(AUDIT_ACTIONS).includes(query.action) ? query.action : '';
+  const entity = AUDIT_ENTITY_LABELS[query.entity] ? query.entity : '';
+  const actor = String(query.actor || '')
+    .trim()
+    .toLowerCase();
+  const entityId = mongoose.isValidObjectId(query.entityId) ? String(query.entityId) : '';
+  const from = /^\d{4}-\d{2}-\d{2}$/.test(query.from || '') ? query.from : '';
+  const to = /^\d{4}-\d{2}-\d{2}$/.test(query.to || '') ? query.to : '';
+
+  const filter = {};
+  if (action) filter.action = action;
+  if (entity) filter.entity = entity;
+  if (actor) filter.actorEmail = { $regex: escapeRegex(actor) };
+  if (entityId) filter.entityId = entityId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(`${from}T00:00:00.000Z`);
+    if (to) filter.createdAt.$lte = new Date(`${to}T23:59:59.999Z`);
+  }
+  return { filter, values: { action, entity, actor, entityId, from, to } };
+}
+
+/**
+ * @param {Object} filter - de buildAuditFilter
+ * @param {Object} [opts]
+ * @param {number} [opts.page]
+ * @param {number} [opts.limit]
+ */
+export async function listAuditLogs(filter, { page = 1, limit = 50 } = {}) {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const [items, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+  return {
+    items: items.map((e) => ({
+      ...e,
+      actionLabel: AUDIT_ACTION_LABELS[e.action] || e.action,
+      entityTypeLabel: AUDIT_ENTITY_LABELS[e.entity] || e.entity,
+    })),
+    pagination: { page: pageNum, pages: Math.max(1, Math.ceil(total / pageSize)), total },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CSV
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Celda CSV: comillas dobles y neutraliza fórmulas (=, +, -, @) al abrir en planillas */
+function csvCell(value) {
+  let s = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+/**
+ * Líneas del CSV (encabezado incluido), de la más reciente a la más vieja.
+ * @param {Object} filter - de buildAuditFilter
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* auditCsvLines(filter) {
+  yield csvLine(CSV_COLUMNS);
+  const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+  for await (const e of cursor) {
+    yield csvLine([
+      new Date(e.createdAt).toISOString(),
+      e.actorEmail,
+      e.actorRole,
+      e.action,
+      e.entity,
+      e.entityId,
+      e.entityLabel,
+      JSON.stringify(e.changes || []),
+      e.ip,
+      e.userAgent,
+    ]);
+  }
+}
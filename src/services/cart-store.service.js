@@ -0,0 +1,134 @@
+// src/services/cart-store.service.js
+// -----------------------------------------------------------------------------
+// Dueño y carga del carrito persistido (colección Cart).
+//
+// - resolveCartOwner(req, res): { userId } si hay sesión; si no, { guestId } tomado de la
+//   cookie "cart_id" (se crea si falta). El carrito del visitante sobrevive a la sesión.
+// - loadCart(req, res): hidrata req.session.cart desde Mongo (fuente de verdad: otro
+//   dispositivo pudo haberlo cambiado). Lo usa el middleware attachCart.
+// - mergeGuestCart(req, res, userId): al hacer login, une el carrito del visitante con el
+//   guardado del usuario (suma cantidades por producto) y borra el de visitante.
+// - clearSavedCart(userId): vacía el carrito guardado (pago aprobado).
+//
+// Los cambios los guarda CartService.save() después de cada operación.
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+import Cart from '../models/Cart.js';
+import { config } from '../config/env.js';
+import CartService, { GUEST_CART_TTL_MS } from './cart.service.js';
+import { stockKey } from './stock.service.js';
+
+export const GUEST_CART_COOKIE = 'cart_id';
+const GUEST_ID_REGEX = /^[a-f0-9]{32}$/;
+
+/** userId de la sesión (si hay usuario logueado). */
+function sessionUserId(req) {
+  const u = req.session?.user;
+  return u?._id || u?.id || null;
+}
+
+/**
+ * Determina el dueño del carrito para este request.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {{ userId: string } | { guestId: string }}
+ */
+export function resolveCartOwner(req, res) {
+  const userId = sessionUserId(req);
+  if (userId) return { userId: String(userId) };
+
+  let guestId = req.cookies?.[GUEST_CART_COOKIE];
+  if (!guestId || !GUEST_ID_REGEX.test(guestId)) {
+    guestId = crypto.randomBytes(16).toString('hex');
+    res.cookie(GUEST_CART_COOKIE, guestId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: config.isProd,
+      maxAge: GUEST_CART_TTL_MS,
+    });
+  }
+  return { guestId };
+}
+
+/**
+ * Hidrata req.session.cart con el carrito guardado del dueño actual.
+ * Si no hay nada guardado pero la sesión tiene ítems, los persiste.
+ */
+export async function loadCart(req, res) {
+  const owner = resolveCartOwner(req, res);
+  req.session.cartOwner = owner;
+
+  const filter = owner.userId ? { userId: owner.userId } : { guestId: owner.guestId };
+  const doc = await Cart.findOne(filter).lean();
+  const cart = new CartService(req.session);
+
+  if (doc) {
+    cart.load({ items: doc.items, coupon: doc.coupon });
+  } else if (cart.data.items.length) {
+    await cart.save();
+  }
+  return cart;
+}
+
+/**
+ * Une dos listas de líneas sumando cantidades por producto (y variante).
+ * El tope por stock se aplica en el próximo recalc con productos frescos (viewCart).
+ */
+function mergeLines(base = [], extra = []) {
+  const map = new Map(base.map((it) => [stockKey(it.productId, it.variantId), { ...it }]));
+  for (const it of extra) {
+    const id = stockKey(it.productId, it.variantId);
+    const prev = map.get(id);
+    if (!prev) {
+      map.set(id, { ...it });
+      continue;
+    }
+    const stock = Math.max(Number(prev.stock) || 0, Number(it.stock) || 0);
+    prev.qty = Math.min((Number(prev.qty) || 0) + (Number(it.qty) || 0), stock || Infinity);
+  }
+  return [...map.values()];
+}
+
+/**
+ * Login: une el carrito de visitante (cookie o sesión) con el guardado del usuario.
+ * El cupón del usuario tiene prioridad; si no tenía, se conserva el del visitante.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} userId
+ */
+export async function mergeGuestCart(req, res, userId) {
+  const guestId = req.cookies?.[GUEST_CART_COOKIE];
+  const [guestDoc, userDoc] = await Promise.all([
+    guestId && GUEST_ID_REGEX.test(guestId) ? Cart.findOne({ guestId }).lean() : null,
+    Cart.findOne({ userId }).lean(),
+  ]);
+
+  const sessionCart = req.session.cart;
+  const guestItems = guestDoc?.items || sessionCart?.items || [];
+  const guestCoupon = guestDoc?.coupon || sessionCart?.coupon || null;
+
+  req.session.cartOwner = { userId: String(userId) };
+  const cart = new CartService(req.session);
+  cart.load({
+    items: mergeLines(userDoc?.items, guestItems),
+    coupon: userDoc?.coupon || guestCoupon,
+  });
+  await cart.save();
+
+  if (guestDoc) await Cart.deleteOne({ _id: guestDoc._id });
+  res.clearCookie(GUEST_CART_COOKIE);
+  return cart;
+}
+
+/**
+ * Vacía el carrito guardado de un usuario (ej. pago aprobado).
+ * @param {string} userId
+ */
+export function clearSavedCart(userId) {
+  if (!userId) return null;
+  return Cart.updateOne({ userId }, { $set: { items: [], coupon: null } });
+}
+
+export default { resolveCartOwner, loadCart, mergeGuestCart, clearSavedCart };
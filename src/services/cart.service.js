@@ -1,8 +1,16 @@
 // src/services/cart.service.js
-// Servicio de carrito en sesión (sin base de datos).
+// Servicio de carrito en sesión, con respaldo en MongoDB (colección Cart).
+// - req.session.cart es la copia de trabajo; cada cambio se guarda en Cart para el dueño
+//   de session.cartOwner ({ userId } o { guestId }). Lo setea el middleware attachCart
+//   (ver services/cart-store.service.js). Sin cartOwner funciona solo en sesión.
 // - Mantiene snapshot de precio/promos por ítem para consistencia visual.
 // - Recalcula totales siempre que se modifica el carrito.
 // - Permite refrescar precios/stock con documentos de producto (opcional) en recalc().
+// - El stock que se usa para topes es el DISPONIBLE (stock - reserved, ver getAvailableStock).
+// - Variantes: una línea por productId + variantId (variantId null si el producto no tiene);
+//   precio, stock e imagen salen de la variante (ver Product.resolveVariant).
+// - Cupón (opcional): snapshot en cart.coupon (ver coupon.service.js → toCartCoupon); el
+//   descuento se calcula en centavos dentro de recalc() y se resta del total.
 //
 // Uso típico en controller (ejemplo):
 //   import CartService from "../services/cart.service.js";
@@ -12,6 +20,9 @@
 
 /* eslint-disable no-underscore-dangle */
 
+import Cart from '../models/Cart.js';
+import { getAvailableStock, hasVariants, resolveVariant } from '../models/Product.js';
+
 /**
  * Redondea a centavos trabajando en enteros para evitar errores de punto flotante.
  * @param {number} value - número en pesos/dólares (ej. 123.45)
@@ -58,22 +69,132 @@ function computeUnitPrice(product) {
   return { unitBaseCents, unitFinalCents, unitDiscountCents };
 }
 
+/**
+ * ¿La línea entra en el alcance del cupón? (sin productIds/categoryIds → todo el carrito)
+ * @param {object} coupon - snapshot del cupón
+ * @param {object} it - línea del carrito
+ */
+function isInCouponScope(coupon, it) {
+  const products = coupon.productIds || [];
+  const categories = coupon.categoryIds || [];
+  if (!products.length && !categories.length) return true;
+  return (
+    products.includes(String(it.productId)) ||
+    (it.categoryId != null && categories.includes(String(it.categoryId)))
+  );
+}
+
+/**
+ * Calcula el descuento de un cupón sobre las líneas ya recalculadas. Todo en centavos.
+ * @param {object} coupon - snapshot { type, value, minSubtotal, productIds, categoryIds }
+ * @param {Array} items - líneas con unitFinalCents y qty
+ * @param {number} subtotalCents
+ * @returns {{discountCents:number, freeShipping:boolean, applicable:boolean, reason:string|null}}
+ */
+function computeCouponDiscount(coupon, items, subtotalCents) {
+  const minCents = toCents(coupon.minSubtotal || 0);
+  if (subtotalCents < minCents) {
+    return {
+      discountCents: 0,
+      freeShipping: false,
+      applicable: false,
+      reason: `Requiere una compra mínima de $${fromCents(minCents).toLocaleString('es-AR')}.`,
+    };
+  }
+
+  const eligibleCents = items
+    .filter((it) => isInCouponScope(coupon, it))
+    .reduce((acc, it) => acc + Math.max(Math.round(it.unitFinalCents * it.qty), 0), 0);
+
+  if (eligibleCents <= 0) {
+    return {
+      discountCents: 0,
+      freeShipping: false,
+      applicable: false,
+      reason: 'El cupón no aplica a los productos del carrito.',
+    };
+  }
+
+  let discountCents = 0;
+  if (coupon.type === 'percent') {
+    const pct = Math.min(Math.max(Number(coupon.value) || 0, 0), 100);
+    discountCents = Math.round((eligibleCents * pct) / 100);
+  } else if (coupon.type === 'fixed') {
+    discountCents = Math.min(toCents(coupon.value), eligibleCents);
+  }
+
+  // Sin monto a cobrar no hay pago posible en MP: el cupón no aplica
+  if (discountCents >= subtotalCents) {
+    return {
+      discountCents: 0,
+      freeShipping: false,
+      applicable: false,
+      reason: 'El cupón no puede cubrir el total de la compra.',
+    };
+  }
+
+  return {
+    discountCents,
+    freeShipping: coupon.type === 'free_shipping',
+    applicable: true,
+    reason: null,
+  };
+}
+
 /**
  * Error de dominio controlado para el carrito.
  */
-class CartError extends Error {
+export class CartError extends Error {
   /**
    * @param {string} message
-   * @param {string} code - ej. "NOT_ACTIVE" | "OUT_OF_STOCK" | "INVALID_QTY"
+   * @param {string} code - ej. "NOT_ACTIVE" | "OUT_OF_STOCK" | "INVALID_QTY" | "CART_CHANGED"
    */
   constructor(message, code) {
     super(message);
     this.name = 'CartError';
     this.code = code;
+    // Para errorHandler (API): falta de stock o un carrito desactualizado son conflictos;
+    // el resto, datos inválidos
+    this.status = ['OUT_OF_STOCK', 'CART_CHANGED'].includes(code) ? 409 : 400;
   }
 }
 
 const CART_KEY = 'cart';
+const OWNER_KEY = 'cartOwner';
+
+// Los carritos de visitantes se borran solos tras 30 días sin cambios (TTL en Cart)
+export const GUEST_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Campos de línea que se persisten (los demás se recalculan)
+const LINE_FIELDS = [
+  'productId',
+  'variantId',
+  'variantSku',
+  'variantLabel',
+  'title',
+  'imageUrl',
+  'categoryId',
+  'weightKg',
+  'qty',
+  'stock',
+  'price',
+  'promoPrice',
+  'unitBaseCents',
+  'unitFinalCents',
+  'unitDiscountCents',
+];
+
+/** ¿La línea corresponde a ese producto/variante? */
+function isSameLine(it, productId, variantId = null) {
+  return it.productId === String(productId) && (it.variantId || null) === (variantId || null);
+}
+
+/** Copia solo los campos persistibles de una línea. */
+function pickLine(it) {
+  const line = {};
+  for (const k of LINE_FIELDS) if (it[k] !== undefined) line[k] = it[k];
+  return line;
+}
 
 /**
  * Asegura la estructura base del carrito en la sesión.
@@ -85,12 +206,15 @@ function ensureCart(session) {
       items: [],
       count: 0,
       subtotal: 0, // en número (no centavos) para mostrar
-      discount: 0,
+      discount: 0, // promos + cupón
+      couponDiscount: 0,
       total: 0,
+      coupon: null, // snapshot del cupón aplicado (ver coupon.service.js)
       // metadatos internos en centavos para estabilidad de cálculo
       _meta: {
         subtotalCents: 0,
         discountCents: 0,
+        couponDiscountCents: 0,
         totalCents: 0,
       },
     };
@@ -114,6 +238,40 @@ export default class CartService {
     return this.session[CART_KEY];
   }
 
+  /**
+   * Reemplaza líneas y cupón (ej. al cargar desde Mongo) y recalcula totales.
+   * No persiste: se usa para hidratar la sesión.
+   * @param {{ items?: Array, coupon?: object|null }} snapshot
+   */
+  load({ items = [], coupon = null } = {}) {
+    this.data.items = items.map((it) => pickLine(it));
+    this.data.coupon = coupon ? { ...coupon } : null;
+    this.recalc();
+  }
+
+  /**
+   * Guarda el carrito en Mongo para el dueño de la sesión (upsert).
+   * Sin session.cartOwner no hace nada (carrito solo en sesión).
+   */
+  async save() {
+    const owner = this.session[OWNER_KEY];
+    if (!owner?.userId && !owner?.guestId) return;
+
+    const filter = owner.userId ? { userId: owner.userId } : { guestId: owner.guestId };
+    const expiresAt = owner.userId ? null : new Date(Date.now() + GUEST_CART_TTL_MS);
+    await Cart.updateOne(
+      filter,
+      {
+        $set: {
+          items: this.data.items.map(pickLine),
+          coupon: this.data.coupon || null,
+          expiresAt,
+        },
+      },
+      { upsert: true },
+    );
+  }
+
   /**
    * Recalcula líneas y totales.
    * Puede opcionalmente refrescar datos con un mapa de productos vigentes.
@@ -130,13 +288,19 @@ export default class CartService {
     cart.items = cart.items
       .map((it) => {
         // Si nos pasaron productos "frescos", actualizar snapshot (precio/stock/título/imagen).
-        const fresh = productsMap?.get(it.productId) || null;
+        // Con variantes se usa la variante de la línea; si ya no existe, queda sin stock.
+        const freshProduct = productsMap?.get(it.productId) || null;
+        const fresh = freshProduct
+          ? resolveVariant(freshProduct, it.variantId) || { ...freshProduct, stock: 0, reserved: 0 }
+          : null;
         const current = fresh || it; // si no hay fresh, usamos snapshot previo para cálculo
 
         // Si existe fresh: refrescamos campos que pueden cambiar.
         if (fresh) {
           it.title = fresh.title ?? it.title;
           it.imageUrl = fresh.imageUrl ?? it.imageUrl;
+          it.categoryId = fresh.categoryId ? String(fresh.categoryId) : null;
+          it.weightKg = Number(fresh.weightKg) || 0;
 
           const { unitBaseCents, unitFinalCents, unitDiscountCents } = computeUnitPrice(fresh);
 
@@ -148,7 +312,7 @@ export default class CartService {
 
           // Cap a stock vigente si viene en fresh; si no, conserva stock snapshot.
           const stockFresh =
-            typeof fresh.stock === 'number' ? Math.max(fresh.stock, 0) : (it.stock ?? 0);
+            typeof fresh.stock === 'number' ? getAvailableStock(fresh) : (it.stock ?? 0);
           it.stock = stockFresh;
           if (it.qty > stockFresh) {
             it.qty = stockFresh; // ajusta hacia abajo
@@ -156,8 +320,8 @@ export default class CartService {
           }
         }
 
-        // Si el stock actual o snapshot quedó en 0, descartar línea.
-        const stockNow = typeof current.stock === 'number' ? Math.max(current.stock, 0) : 0;
+        // Si el stock disponible (fresh ya volcado en it.stock) o snapshot quedó en 0, descartar línea.
+        const stockNow = typeof it.stock === 'number' ? Math.max(it.stock, 0) : 0;
         if (stockNow <= 0 || it.qty <= 0) {
           return null; // remover
         }
@@ -184,31 +348,53 @@ export default class CartService {
       })
       .filter(Boolean);
 
-    const totalCents = Math.max(subtotalCents, 0); // sin extras por ahora
+    // Cupón (si hay): se recalcula siempre sobre las líneas vigentes
+    let couponDiscountCents = 0;
+    if (cart.coupon) {
+      const result = computeCouponDiscount(cart.coupon, cart.items, subtotalCents);
+      couponDiscountCents = Math.min(result.discountCents, subtotalCents);
+      cart.coupon.applicable = result.applicable;
+      cart.coupon.reason = result.reason;
+      cart.coupon.freeShipping = result.freeShipping;
+      cart.coupon.discount = fromCents(couponDiscountCents);
+    }
+
+    const totalCents = Math.max(subtotalCents - couponDiscountCents, 0);
+    cart._meta = cart._meta || {};
     cart._meta.subtotalCents = subtotalCents;
-    cart._meta.discountCents = discountCents;
+    cart._meta.discountCents = discountCents + couponDiscountCents;
+    cart._meta.couponDiscountCents = couponDiscountCents;
     cart._meta.totalCents = totalCents;
 
     cart.subtotal = fromCents(subtotalCents);
-    cart.discount = fromCents(discountCents);
+    cart.discount = fromCents(discountCents + couponDiscountCents);
+    cart.couponDiscount = fromCents(couponDiscountCents);
     cart.total = fromCents(totalCents);
     cart.count = count;
   }
 
   /**
-   * Agrega un producto (mergea cantidad si ya existe).
-   * @param {object} product - documento de producto (de Mongo/Mongoose)
+   * Agrega un producto (mergea cantidad si ya existe la misma línea).
+   * @param {object} baseProduct - documento de producto lean (con variants si tiene)
    * @param {number} [qty=1]
+   * @param {string|null} [variantId] - obligatorio si el producto tiene variantes
    */
-  async add(product, qty = 1) {
-    if (!product?._id) throw new CartError('Producto inválido.', 'INVALID_PRODUCT');
-    const productId = String(product._id);
+  async add(baseProduct, qty = 1, variantId = null) {
+    if (!baseProduct?._id) throw new CartError('Producto inválido.', 'INVALID_PRODUCT');
+    const productId = String(baseProduct._id);
 
     // Reglas de negocio básicas
-    if (product.active === false) {
+    if (baseProduct.active === false) {
       throw new CartError('El producto no está activo.', 'NOT_ACTIVE');
     }
-    const stock = Math.max(Number(product.stock ?? 0), 0);
+    if (hasVariants(baseProduct) && !variantId) {
+      throw new CartError('Elegí una variante antes de agregar al carrito.', 'VARIANT_REQUIRED');
+    }
+    const product = resolveVariant(baseProduct, variantId);
+    if (!product) {
+      throw new CartError('La variante elegida no existe.', 'VARIANT_NOT_FOUND');
+    }
+    const stock = getAvailableStock(product);
     if (stock <= 0) {
       throw new CartError('Sin stock disponible.', 'OUT_OF_STOCK');
     }
@@ -222,7 +408,7 @@ export default class CartService {
 
     // Buscar línea existente
     const cart = this.data;
-    const idx = cart.items.findIndex((it) => it.productId === productId);
+    const idx = cart.items.findIndex((it) => isSameLine(it, productId, product.variantId));
 
     if (idx >= 0) {
       const it = cart.items[idx];
@@ -231,6 +417,8 @@ export default class CartService {
       // Refrescar snapshot de precio/promo/stock/título/imagen
       it.title = product.title ?? it.title;
       it.imageUrl = product.imageUrl ?? it.imageUrl;
+      it.categoryId = product.categoryId ? String(product.categoryId) : null;
+      it.weightKg = Number(product.weightKg) || 0;
       it.price = fromCents(unitBaseCents);
       it.promoPrice = unitFinalCents !== unitBaseCents ? fromCents(unitFinalCents) : null;
       it.unitBaseCents = unitBaseCents;
@@ -241,8 +429,13 @@ export default class CartService {
       const qtyClamped = Math.min(addQty, stock);
       cart.items.push({
         productId,
+        variantId: product.variantId || null,
+        variantSku: product.variantSku || null,
+        variantLabel: product.variantLabel || '',
         title: product.title ?? 'Producto',
         imageUrl: product.imageUrl ?? null,
+        categoryId: product.categoryId ? String(product.categoryId) : null,
+        weightKg: Number(product.weightKg) || 0,
         qty: qtyClamped,
         stock, // snapshot
         price: fromCents(unitBaseCents),
@@ -255,6 +448,7 @@ export default class CartService {
     }
 
     this.recalc();
+    await this.save();
   }
 
   /**
@@ -262,14 +456,18 @@ export default class CartService {
    * Puede recibir el doc de producto para refrescar precio/stock en el acto.
    * @param {string} productId
    * @param {number} qty
-   * @param {object} [product] - documento "fresco" (opcional)
+   * @param {object} [freshProduct] - documento "fresco" (opcional)
+   * @param {string|null} [variantId]
    */
-  async setQty(productId, qty, product = null) {
+  async setQty(productId, qty, freshProduct = null, variantId = null) {
     const cart = this.data;
-    const idx = cart.items.findIndex((it) => it.productId === String(productId));
+    const idx = cart.items.findIndex((it) => isSameLine(it, productId, variantId));
     if (idx < 0) return; // no-op si no existe
 
     const it = cart.items[idx];
+    const product = freshProduct
+      ? resolveVariant(freshProduct, it.variantId) || { ...freshProduct, stock: 0, reserved: 0 }
+      : null;
     const newQty = Math.trunc(Number(qty));
     if (!Number.isFinite(newQty)) {
       throw new CartError('Cantidad inválida.', 'INVALID_QTY');
@@ -279,17 +477,20 @@ export default class CartService {
       // eliminar línea
       cart.items.splice(idx, 1);
       this.recalc();
+      await this.save();
       return;
     }
 
     // Cap por stock snapshot (o por product.stock si lo pasaron)
     let maxStock = it.stock ?? 0;
     if (product && typeof product.stock === 'number') {
-      maxStock = Math.max(product.stock, 0);
+      maxStock = getAvailableStock(product);
       // refrescar snapshot de precio/stock si vino el producto
       const { unitBaseCents, unitFinalCents, unitDiscountCents } = computeUnitPrice(product);
       it.title = product.title ?? it.title;
       it.imageUrl = product.imageUrl ?? it.imageUrl;
+      it.categoryId = product.categoryId ? String(product.categoryId) : null;
+      it.weightKg = Number(product.weightKg) || 0;
       it.price = fromCents(unitBaseCents);
       it.promoPrice = unitFinalCents !== unitBaseCents ? fromCents(unitFinalCents) : null;
       it.unitBaseCents = unitBaseCents;
@@ -300,34 +501,64 @@ export default class CartService {
 
     it.qty = Math.min(newQty, Math.max(maxStock, 0));
     this.recalc();
+    await this.save();
   }
 
   /**
    * Elimina una línea del carrito.
    * @param {string} productId
+   * @param {string|null} [variantId]
    */
-  remove(productId) {
+  async remove(productId, variantId = null) {
     const cart = this.data;
-    cart.items = cart.items.filter((it) => it.productId !== String(productId));
+    cart.items = cart.items.filter((it) => !isSameLine(it, productId, variantId));
     this.recalc();
+    await this.save();
   }
 
-  /** Vacía el carrito por completo. */
-  clear() {
+  /** Vacía el carrito por completo (incluye el cupón). */
+  async clear() {
     const cart = this.data;
     cart.items = [];
+    cart.coupon = null;
+    this.recalc();
+    await this.save();
+  }
+
+  /**
+   * Aplica (o reemplaza) el cupón del carrito y recalcula.
+   * La validación de vigencia/límites la hace coupon.service.js antes de llamar acá.
+   * @param {object} coupon - snapshot de toCartCoupon()
+   * @returns {Promise<{applicable:boolean, reason:string|null, discount:number}>}
+   */
+  async setCoupon(coupon) {
+    this.data.coupon = { ...coupon };
+    this.recalc();
+    await this.save();
+    const { applicable, reason, discount } = this.data.coupon;
+    return { applicable, reason, discount };
+  }
+
+  /** Quita el cupón del carrito. */
+  async removeCoupon() {
+    this.data.coupon = null;
     this.recalc();
+    await this.save();
   }
 
   /**
    * Devuelve un resumen seguro para vistas (sin metadatos internos).
-   * @returns {{items:Array, count:number, subtotal:number, discount:number, total:number}}
+   * @returns {{items:Array, count:number, subtotal:number, discount:number,
+   *           couponDiscount:number, coupon:object|null, total:number}}
    */
   getSummary() {
-    const { items, count, subtotal, discount, total } = this.data;
+    const { items, count, subtotal, discount, couponDiscount = 0, coupon, total } = this.data;
     return {
       items: items.map((it) => ({
         productId: it.productId,
+        variantId: it.variantId || null,
+        variantSku: it.variantSku || null,
+        variantLabel: it.variantLabel || '',
         title: it.title,
         imageUrl: it.imageUrl,
         qty: it.qty,
@@ -338,6 +569,18 @@ export default class CartService {
       count,
       subtotal,
       discount,
+      couponDiscount,
+      coupon: coupon
+        ? {
+            code: coupon.code,
+            description: coupon.description,
+            type: coupon.type,
+            discount: coupon.discount,
+            freeShipping: !!coupon.freeShipping,
+            applicable: !!coupon.applicable,
+            reason: coupon.reason,
+          }
+        : null,
       total,
     };
   }
@@ -0,0 +1,171 @@
+// src/services/coupon.service.js
+// -----------------------------------------------------------------------------
+// Cupones: validación, snapshot para el carrito y control de usos.
+//
+// - findApplicableCoupon(code, { userId }): valida vigencia, fechas y límites
+//   (global y por usuario). El cálculo del descuento lo hace CartService.recalc (centavos).
+// - toCartCoupon(coupon): snapshot plano que se guarda en el carrito.
+// - Usos (Order.coupon.claimed), mismo patrón que la reserva de stock:
+//   claimCouponUse(order)      → POST /checkout: usedCount += 1 si queda cupo
+//   releaseCouponUse(orderId)  → orden cerrada sin pagar: usedCount -= 1
+//   syncCouponWithStatus(...)  → atajo llamado desde transitionOrder
+// -----------------------------------------------------------------------------
+
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+
+/**
+ * Error de dominio: cupón inexistente, vencido o sin cupo.
+ */
+export class CouponError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - NOT_FOUND | NOT_STARTED | EXPIRED | USAGE_LIMIT | USER_LIMIT | NOT_APPLICABLE
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'CouponError';
+    this.code = code;
+    this.status = 409;
+  }
+}
+
+// Estados de Order que devuelven el uso del cupón
+const RELEASE_STATUSES = new Set(['rejected', 'cancelled', 'expired', 'abandoned']);
+
+/** Normaliza el código tipeado por el usuario ("  promo10 " → "PROMO10"). */
+export function normalizeCode(code) {
+  return String(code || '')
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Busca un cupón por código y valida que se pueda usar ahora.
+ * Los usos por usuario cuentan órdenes con el cupón reclamado, sin contar la
+ * orden "created" en curso (se reusa o se reemplaza en el checkout).
+ *
+ * @param {string} code
+ * @param {Object} [opts]
+ * @param {string} [opts.userId]
+ * @param {Date} [opts.now]
+ * @returns {Promise<Object>} cupón (lean)
+ * @throws {CouponError}
+ */
+export async function findApplicableCoupon(code, { userId, now = new Date() } = {}) {
+  const normalized = normalizeCode(code);
+  const coupon = normalized
+    ? await Coupon.findOne({ code: normalized, active: true }).lean()
+    : null;
+  if (!coupon) throw new CouponError('El cupón no existe o no está activo.', 'NOT_FOUND');
+
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new CouponError('El cupón todavía no está vigente.', 'NOT_STARTED');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new CouponError('El cupón está vencido.', 'EXPIRED');
+  }
+  if (coupon.maxUses != null && coupon.usedCount >= coupon.maxUses) {
+    throw new CouponError('El cupón alcanzó su límite de usos.', 'USAGE_LIMIT');
+  }
+
+  if (coupon.maxUsesPerUser != null && userId) {
+    const used = await Order.countDocuments({
+      userId,
+      status: { $ne: 'created' },
+      'coupon.couponId': coupon._id,
+      'coupon.claimed': true,
+    });
+    if (used >= coupon.maxUsesPerUser) {
+      throw new CouponError('Ya usaste este cupón el máximo de veces permitido.', 'USER_LIMIT');
+    }
+  }
+
+  return coupon;
+}
+
+/**
+ * Snapshot del cupón para guardar en el carrito (solo datos planos).
+ * @param {Object} coupon
+ */
+export function toCartCoupon(coupon) {
+  return {
+    couponId: String(coupon._id),
+    code: coupon.code,
+    description: coupon.description || '',
+    type: coupon.type,
+    value: Number(coupon.value) || 0,
+    minSubtotal: Number(coupon.minSubtotal) || 0,
+    productIds: (coupon.productIds || []).map(String),
+    categoryIds: (coupon.categoryIds || []).map(String),
+  };
+}
+
+/**
+ * Reclama un uso del cupón de la orden (idempotente por orden).
+ * Si el cupón ya no tiene cupo, deshace la marca y lanza CouponError.
+ *
+ * @param {Object} order - documento Order con coupon.couponId
+ * @throws {CouponError}
+ */
+export async function claimCouponUse(order) {
+  if (!order?.coupon?.couponId) return null;
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'coupon.couponId': { $ne: null }, 'coupon.claimed': { $ne: true } },
+    { $set: { 'coupon.claimed': true } },
+    { new: true },
+  );
+  if (!claimed) return null; // ya reclamado (reintento con la misma orden)
+
+  const result = await Coupon.updateOne(
+    {
+      _id: claimed.coupon.couponId,
+      active: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+  );
+
+  if (result.modifiedCount !== 1) {
+    await Order.updateOne({ _id: order._id }, { $set: { 'coupon.claimed': false } });
+    throw new CouponError('El cupón alcanzó su límite de usos.', 'USAGE_LIMIT');
+  }
+  return claimed;
+}
+
+/**
+ * Devuelve el uso reclamado por una orden (idempotente).
+ * @param {string|Object} orderId
+ */
+export async function releaseCouponUse(orderId) {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, 'coupon.claimed': true },
+    { $set: { 'coupon.claimed': false } },
+    { new: true },
+  );
+  if (!order) return null;
+
+  await Coupon.updateOne(
+    { _id: order.coupon.couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+  );
+  return order;
+}
+
+/**
+ * Aplica el efecto sobre el cupón de un nuevo estado de la orden.
+ * rejected/cancelled/expired/abandoned → devuelve el uso; otros → nada.
+ */
+export async function syncCouponWithStatus(orderId, status) {
+  if (RELEASE_STATUSES.has(status)) return releaseCouponUse(orderId);
+  return null;
+}
+
+export default {
+  findApplicableCoupon,
+  toCartCoupon,
+  claimCouponUse,
+  releaseCouponUse,
+  syncCouponWithStatus,
+};
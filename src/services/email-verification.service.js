@@ -0,0 +1,157 @@
+// src/services/email-verification.service.js
+// -----------------------------------------------------------------------------
+// Verificación del email de la cuenta con tokens de un solo uso.
+//
+// - sendVerificationEmail(userId): genera el token (vence en config.auth.emailVerifyTtlMs),
+//   guarda su hash en User.emailVerification y envía el link /verify-email/:token.
+//   Rate limit por usuario: config.auth.emailVerifyCooldownMs entre envíos y como máximo
+//   config.auth.emailVerifyMaxPerDay envíos cada 24 h (se cuenta también el del registro).
+// - verifyEmail(token): reclama el token con un update condicional y marca la cuenta.
+// - setEmailVerified(userId, verified): override manual desde /admin/users.
+// -----------------------------------------------------------------------------
+
+import { User, isEmailVerified } from '../models/index.js';
+import { config } from '../config/env.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { sendMail, escapeHtml } from './mailer.service.js';
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error de dominio de la verificación.
+ */
+export class EmailVerificationError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - USER_NOT_FOUND | ALREADY_VERIFIED | RATE_LIMITED | INVALID_TOKEN
+   * @param {number|null} [retryAfter] - segundos hasta poder reenviar (RATE_LIMITED)
+   */
+  constructor(message, code, retryAfter = null) {
+    super(message);
+    this.name = 'EmailVerificationError';
+    this.code = code;
+    this.status = code === 'RATE_LIMITED' ? 429 : 400;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function rateLimited(ms) {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutos` : `${seconds} segundos`;
+  return new EmailVerificationError(
+    `Ya te enviamos el email hace poco. Probá de nuevo en ${wait}.`,
+    'RATE_LIMITED',
+    seconds,
+  );
+}
+
+/**
+ * Genera un token nuevo (invalida el anterior) y envía el email de verificación.
+ *
+ * @param {string} userId
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @throws {EmailVerificationError}
+ */
+export async function sendVerificationEmail(userId, { now = new Date() } = {}) {
+  const user = await User.findById(userId).select('name email emailVerified +emailVerification');
+  if (!user) throw new EmailVerificationError('Usuario no encontrado.', 'USER_NOT_FOUND');
+  if (isEmailVerified(user)) {
+    throw new EmailVerificationError('Tu email ya está verificado.', 'ALREADY_VERIFIED');
+  }
+
+  const prev = user.emailVerification || null;
+  const { emailVerifyCooldownMs, emailVerifyMaxPerDay, emailVerifyTtlMs } = config.auth;
+  if (prev?.lastSentAt && now - prev.lastSentAt < emailVerifyCooldownMs) {
+    throw rateLimited(emailVerifyCooldownMs - (now - prev.lastSentAt));
+  }
+  const windowActive = prev?.windowStart && now - prev.windowStart < WINDOW_MS;
+  const sendCount = windowActive ? prev.sendCount || 0 : 0;
+  if (sendCount >= emailVerifyMaxPerDay) {
+    throw rateLimited(WINDOW_MS - (now - prev.windowStart));
+  }
+
+  // Update condicional sobre lastSentAt: de dos reenvíos simultáneos solo pasa uno
+  const { token, tokenHash } = generateToken();
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'emailVerification.lastSentAt': prev?.lastSentAt ?? { $exists: false },
+    },
+    {
+      $set: {
+        emailVerification: {
+          tokenHash,
+          expiresAt: new Date(now.getTime() + emailVerifyTtlMs),
+          lastSentAt: now,
+          sendCount: sendCount + 1,
+          windowStart: windowActive ? prev.windowStart : now,
+        },
+      },
+    },
+  );
+  if (!result.matchedCount) throw rateLimited(emailVerifyCooldownMs);
+
+  const link = `${config.baseUrl}/verify-email/${token}`;
+  const hours = Math.round(emailVerifyTtlMs / 3600000);
+  await sendMail({
+    to: user.email,
+    subject: 'Verificá tu email',
+    text:
+      `Hola ${user.name || ''}:\n\n` +
+      `Para confirmar que este email es tuyo, entrá a este link (vence en ${hours} h):\n\n` +
+      `${link}\n\n` +
+      'Si no creaste una cuenta, ignorá este mensaje.',
+    html:
+      `<p>Hola ${escapeHtml(user.name || '')}:</p>` +
+      `<p>Para confirmar que este email es tuyo, usá este link (vence en ${hours} h):</p>` +
+      `<p><a href="${link}">Verificar mi email</a></p>` +
+      '<p>Si no creaste una cuenta, ignorá este mensaje.</p>',
+  });
+}
+
+/**
+ * Consume el token y marca el email como verificado.
+ * @param {string} token
+ * @returns {Promise<Object>} usuario actualizado (lean)
+ * @throws {EmailVerificationError}
+ */
+export async function verifyEmail(token) {
+  const now = new Date();
+  const user = token
+    ? await User.findOneAndUpdate(
+        {
+          'emailVerification.tokenHash': hashToken(token),
+          'emailVerification.expiresAt': { $gt: now },
+        },
+        { $set: { emailVerified: true, emailVerifiedAt: now }, $unset: { emailVerification: 1 } },
+        { new: true },
+      ).lean()
+    : null;
+  if (!user) {
+    throw new EmailVerificationError(
+      'El link de verificación no es válido o ya venció.',
+      'INVALID_TOKEN',
+    );
+  }
+  return user;
+}
+
+/**
+ * Override manual (admin). Al marcar como verificado se descarta el token pendiente.
+ * @param {string} userId
+ * @param {boolean} verified
+ * @returns {Promise<boolean>} true si el usuario existe
+ */
+export async function setEmailVerified(userId, verified) {
+  const update = verified
+    ? {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerification: 1 },
+      }
+    : { $set: { emailVerified: false, emailVerifiedAt: null } };
+  const result = await User.updateOne({ _id: userId }, update);
+  return result.matchedCount > 0;
+}
+
+export default { sendVerificationEmail, verifyEmail, setEmailVerified };
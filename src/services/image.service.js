@@ -6,17 +6,22 @@
 // Funciones exportadas:
 // - uploadImage({ buffer, mimetype, size, originalname, publicIdPreferred, folder })
 // - replaceImage({ previousPublicId, buffer, mimetype, size, originalname, publicIdPreferred, folder })
-// - destroyImage(publicId)
+// - destroyImage(publicId, storage?)
+// - destroyImages(images)  -> borra varias imágenes de la galería (best-effort)
+// - inferImageStorage(url)
 // - isUsingCloudinary()
 //
 // Contratos:
-// - Retorna siempre { imageUrl, imagePublicId } en upload/replace.
+// - Retorna siempre { imageUrl, imagePublicId, storage } en upload/replace
+//   (storage: 'cloudinary' | 'local', se guarda por imagen en Product.images).
+// - El borrado usa el storage de cada imagen, no el modo actual: una imagen local
+//   subida antes de configurar Cloudinary se sigue borrando de /uploads/products.
 // - Lanza errores claros en validaciones y fallos de IO.
 // - Si Cloudinary no está habilitado, guarda en /uploads/products y sirve desde /uploads.
 //   (Deberás exponer estáticos en app.js: app.use('/uploads', express.static('uploads'));
 //
 // Requisitos externos:
-// - Multer en memoria (p. ej., upload.single('image')) para obtener buffer/mimetype/size/originalname.
+// - Multer en memoria (p. ej., upload.array('images')) para obtener buffer/mimetype/size/originalname.
 // -----------------------------------------------------------------------------
 
 import fs from 'fs/promises';
@@ -36,6 +41,11 @@ import {
 export const ALLOWED_MIME_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp']);
 export const MAX_FILE_SIZE_BYTES = 2 * 1024 * 1024; // 2 MB (ajustable)
 
+export const IMAGE_STORAGES = Object.freeze({
+  CLOUDINARY: 'cloudinary',
+  LOCAL: 'local',
+});
+
 const DEFAULT_FOLDER = 'ecommerce/products'; // en Cloudinary
 const LOCAL_BASE_DIR = path.resolve(process.cwd(), 'uploads');
 const LOCAL_PRODUCTS_DIR = path.join(LOCAL_BASE_DIR, 'products');
@@ -132,6 +142,7 @@ async function uploadToCloudinary({ buffer, folder, publicIdPreferred }) {
   return {
     imageUrl: deliveryUrl || result.secure_url,
     imagePublicId: result.public_id,
+    storage: IMAGE_STORAGES.CLOUDINARY,
   };
 }
 
@@ -156,6 +167,7 @@ async function uploadToLocal({ buffer, mimetype, originalname }) {
   return {
     imageUrl: `/uploads/${relPublicId.replace(/\\/g, '/')}`,
     imagePublicId: relPublicId.replace(/\\/g, '/'),
+    storage: IMAGE_STORAGES.LOCAL,
   };
 }
 
@@ -183,7 +195,7 @@ async function destroyFromLocal(publicId) {
  * @param {string} params.originalname - nombre original
  * @param {string} [params.publicIdPreferred] - sugerencia de public_id (para Cloudinary)
  * @param {string} [params.folder] - carpeta en Cloudinary (default: ecommerce/products)
- * @returns {{ imageUrl: string, imagePublicId: string }}
+ * @returns {{ imageUrl: string, imagePublicId: string, storage: string }}
  */
 export async function uploadImage(params) {
   const { buffer, mimetype, size, originalname, publicIdPreferred, folder } = params || {};
@@ -199,7 +211,7 @@ export async function uploadImage(params) {
  * Reemplaza una imagen existente: destruye la anterior (si hay) y sube la nueva.
  * Si fallara la subida nueva, intenta dejar la anterior intacta (best-effort).
  * @param {Object} params - mismos campos que uploadImage + previousPublicId
- * @returns {{ imageUrl: string, imagePublicId: string }}
+ * @returns {{ imageUrl: string, imagePublicId: string, storage: string }}
  */
 export async function replaceImage(params) {
   const { previousPublicId, buffer, mimetype, size, originalname, publicIdPreferred, folder } =
@@ -228,19 +240,48 @@ export async function replaceImage(params) {
   return uploaded;
 }
 
+/**
+ * Storage de una imagen ya guardada según su URL (para datos previos a Product.images).
+ * @param {string} url
+ * @returns {'cloudinary'|'local'}
+ */
+export function inferImageStorage(url) {
+  return String(url || '').startsWith('/uploads/')
+    ? IMAGE_STORAGES.LOCAL
+    : IMAGE_STORAGES.CLOUDINARY;
+}
+
 /**
  * Elimina una imagen por su publicId.
  * Acepta tanto Cloudinary public_id como publicId local (products/archivo.ext).
+ * @param {string} publicId
+ * @param {'cloudinary'|'local'} [storage] - dónde se guardó (default: el modo actual)
  */
-export async function destroyImage(publicId) {
+export async function destroyImage(publicId, storage) {
   if (!publicId) return;
-  if (isCloudinaryEnabled) {
+  const target =
+    storage || (isCloudinaryEnabled ? IMAGE_STORAGES.CLOUDINARY : IMAGE_STORAGES.LOCAL);
+  if (target === IMAGE_STORAGES.CLOUDINARY) {
     await destroyFromCloudinary(publicId);
   } else {
     await destroyFromLocal(publicId);
   }
 }
 
+/**
+ * Borra varias imágenes (ej. la galería de un producto) sin cortar ante el primer error.
+ * @param {Array<{ publicId?: string, url?: string, storage?: string }>} images
+ * @returns {Promise<number>} cantidad de imágenes que no se pudieron borrar
+ */
+export async function destroyImages(images = []) {
+  const results = await Promise.allSettled(
+    images
+      .filter((img) => img?.publicId)
+      .map((img) => destroyImage(img.publicId, img.storage || inferImageStorage(img.url))),
+  );
+  return results.filter((r) => r.status === 'rejected').length;
+}
+
 /**
  * Indica si el servicio está usando Cloudinary.
  */
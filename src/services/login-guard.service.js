@@ -0,0 +1,251 @@
+// src/services/login-guard.service.js
+// -----------------------------------------------------------------------------
+// Protección del login contra fuerza bruta.
+//
+// - Rate limit por IP y por email (models/RateLimit.js, compartido entre instancias):
+//   como máximo config.auth.loginMaxPerIp / loginMaxPerEmail intentos FALLIDOS por
+//   ventana de config.auth.loginWindowMs. Se cuenta también para emails que no existen.
+// - Bloqueo de cuenta: config.auth.loginLockThreshold fallos seguidos → lockedUntil
+//   (config.auth.loginLockMs). Un admin puede desbloquearla desde /admin/users.
+// - Mensajes uniformes: la cuenta bloqueada y el email limitado responden igual, y las
+//   credenciales inválidas no distinguen email de contraseña (no se filtra qué cuentas
+//   existen). Para emails inexistentes se compara contra un hash descartable, así el
+//   tiempo de respuesta tampoco lo delata.
+// - Bloqueos, desbloqueos y logins correctos tras varios fallos quedan en SecurityEvent.
+// -----------------------------------------------------------------------------
+
+import bcrypt from 'bcrypt';
+import { User, isLoginLocked } from '../models/index.js';
+import RateLimit from '../models/RateLimit.js';
+import SecurityEvent, { SECURITY_EVENT_TYPES } from '../models/SecurityEvent.js';
+import { config } from '../config/env.js';
+
+export const INVALID_CREDENTIALS_MESSAGE = 'Email o contraseña incorrectos.';
+
+// Mismo costo que User.setPassword, para que el hash descartable tarde lo mismo
+const SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS ?? 10);
+
+// Login correcto con al menos esta cantidad de fallos previos → login_suspicious
+const SUSPICIOUS_AFTER_FAILURES = 3;
+
+const ipKey = (ip) => `login:ip:${ip || 'unknown'}`;
+const emailKey = (email) => `login:email:${email}`;
+
+/**
+ * Error del guard (demasiados intentos o cuenta bloqueada; mismo mensaje para ambos).
+ */
+export class LoginGuardError extends Error {
+  /**
+   * @param {string} code - RATE_LIMITED | ACCOUNT_LOCKED
+   * @param {number} retryAfter - segundos hasta poder reintentar
+   */
+  constructor(code, retryAfter) {
+    super(tooManyMessage(retryAfter));
+    this.name = 'LoginGuardError';
+    this.code = code;
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function tooManyMessage(seconds) {
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutos` : `${seconds} segundos`;
+  return `Demasiados intentos fallidos. Esperá ${wait} e intentá de nuevo.`;
+}
+
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((new Date(date) - now) / 1000));
+}
+
+/**
+ * Corta antes de verificar la contraseña si la IP o el email superaron el límite.
+ *
+ * @param {Object} ctx
+ * @param {string} ctx.ip
+ * @param {string} ctx.email - normalizado
+ * @param {Date} [ctx.now]
+ * @throws {LoginGuardError}
+ */
+export async function assertLoginAllowed({ ip, email, now = new Date() }) {
+  const [byIp, byEmail] = await Promise.all([
+    RateLimit.peek(ipKey(ip), now),
+    RateLimit.peek(emailKey(email), now),
+  ]);
+  const { loginMaxPerIp, loginMaxPerEmail } = config.auth;
+  const blocked = [
+    byIp.count >= loginMaxPerIp ? byIp.resetAt : null,
+    byEmail.count >= loginMaxPerEmail ? byEmail.resetAt : null,
+  ].filter(Boolean);
+  if (blocked.length) {
+    const until = new Date(Math.max(...blocked.map(Number)));
+    throw new LoginGuardError('RATE_LIMITED', secondsUntil(until, now));
+  }
+}
+
+/**
+ * Corta si la cuenta está bloqueada (aunque la contraseña sea correcta).
+ * @param {Object} user
+ * @param {Date} [now]
+ * @throws {LoginGuardError}
+ */
+export function assertAccountUnlocked(user, now = new Date()) {
+  if (isLoginLocked(user, now)) {
+    throw new LoginGuardError('ACCOUNT_LOCKED', secondsUntil(user.lockedUntil, now));
+  }
+}
+
+let dummyHashPromise = null;
+
+/**
+ * Email inexistente: hace el mismo trabajo de bcrypt que una contraseña real.
+ * @param {string} password
+ */
+export async function compareWithDummyHash(password) {
+  dummyHashPromise ||= bcrypt.hash('dummy-password-for-timing', SALT_ROUNDS);
+  await bcrypt.compare(String(password), await dummyHashPromise);
+}
+
+/**
+ * Registra un intento fallido: suma en los limitadores de IP y email y, si la cuenta
+ * existe, en su contador de fallos seguidos. Al llegar al umbral la bloquea.
+ *
+ * @param {Object} ctx
+ * @param {Object|null} ctx.user - null si el email no existe
+ * @param {string} ctx.email
+ * @param {string} ctx.ip
+ * @param {string} [ctx.userAgent]
+ * @param {Date} [ctx.now]
+ * @returns {Promise<{ locked: boolean }>}
+ */
+export async function recordLoginFailure({ user, email, ip, userAgent = '', now = new Date() }) {
+  const { loginWindowMs, loginLockThreshold, loginLockMs } = config.auth;
+  await Promise.all([
+    RateLimit.hit(ipKey(ip), loginWindowMs, now),
+    RateLimit.hit(emailKey(email), loginWindowMs, now),
+  ]);
+  if (!user) return { locked: false };
+
+  // Fallos seguidos: si el último fue hace más de una ventana, se empieza de nuevo
+  const recent = { $gt: ['$lastFailedLoginAt', new Date(now.getTime() - loginWindowMs)] };
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    [
+      {
+        $set: {
+          failedLoginCount: {
+            $cond: [recent, { $add: [{ $ifNull: ['$failedLoginCount', 0] }, 1] }, 1],
+          },
+          lastFailedLoginAt: now,
+        },
+      },
+    ],
+    { new: true, projection: { failedLoginCount: 1 } },
+  ).lean();
+  if (!updated || updated.failedLoginCount < loginLockThreshold) return { locked: false };
+
+  // Update condicional: de dos fallos simultáneos que llegan al umbral, bloquea uno solo
+  const lockedUntil = new Date(now.getTime() + loginLockMs);
+  const result = await User.updateOne(
+    { _id: user._id, failedLoginCount: { $gte: loginLockThreshold } },
+    { $set: { lockedUntil, failedLoginCount: 0 } },
+  );
+  if (!result.modifiedCount) return { locked: false };
+
+  await SecurityEvent.create({
+    type: SECURITY_EVENT_TYPES.LOGIN_LOCKED,
+    user: user._id,
+    email,
+    ip,
+    userAgent,
+    detail: `${updated.failedLoginCount} intentos fallidos seguidos; bloqueada hasta ${lockedUntil.toISOString()}`,
+  });
+  return { locked: true };
+}
+
+/**
+ * Login correcto: reinicia los contadores de la cuenta y deja registro si venía de
+ * varios fallos (de la cuenta o desde la misma IP).
+ *
+ * @param {Object} ctx
+ * @param {Object} ctx.user - documento con failedLoginCount / lastFailedLoginAt
+ * @param {string} ctx.ip
+ * @param {string} [ctx.userAgent]
+ * @param {Date} [ctx.now]
+ */
+export async function recordLoginSuccess({ user, ip, userAgent = '', now = new Date() }) {
+  const { loginWindowMs } = config.auth;
+  const recentFailure =
+    user.lastFailedLoginAt && now - new Date(user.lastFailedLoginAt) < loginWindowMs;
+  const accountFailures = recentFailure ? user.failedLoginCount || 0 : 0;
+  const { count: ipFailures } = await RateLimit.peek(ipKey(ip), now);
+
+  await Promise.all([
+    RateLimit.clear(emailKey(user.email)),
+    user.failedLoginCount || user.lockedUntil
+      ? User.updateOne(
+          { _id: user._id },
+          { $set: { failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null } },
+        )
+      : null,
+  ]);
+
+  // Venía de un bloqueo (ya vencido), de varios fallos de la cuenta o de una IP insistente
+  const wasLocked = Boolean(user.lockedUntil);
+  if (
+    wasLocked ||
+    accountFailures >= SUSPICIOUS_AFTER_FAILURES ||
+    ipFailures >= SUSPICIOUS_AFTER_FAILURES * 2
+  ) {
+    await SecurityEvent.create({
+      type: SECURITY_EVENT_TYPES.LOGIN_SUSPICIOUS,
+      user: user._id,
+      email: user.email,
+      ip,
+      userAgent,
+      detail:
+        `${wasLocked ? 'Tras un bloqueo. ' : ''}` +
+        `Fallos previos: ${accountFailures} de la cuenta, ${ipFailures} desde la IP`,
+    });
+  }
+}
+
+/**
+ * Desbloqueo manual (admin): limpia el bloqueo, el contador y el límite por email.
+ *
+ * @param {string} userId
+ * @param {Object} [ctx]
+ * @param {string} [ctx.actorId] - admin que desbloquea
+ * @param {string} [ctx.ip]
+ * @returns {Promise<boolean>} false si el usuario no existe
+ */
+export async function unlockAccount(userId, { actorId = null, ip = '' } = {}) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null } },
+    { projection: { email: 1 } },
+  ).lean();
+  if (!user) return false;
+
+  await RateLimit.clear(emailKey(user.email));
+  await SecurityEvent.create({
+    type: SECURITY_EVENT_TYPES.LOGIN_UNLOCKED,
+    user: user._id,
+    email: user.email,
+    ip,
+    actor: actorId,
+  });
+  return true;
+}
+
+/**
+ * Últimos eventos de seguridad (para /admin/users).
+ * @param {Object} [opts]
+ * @param {number} [opts.limit=30]
+ */
+export function listSecurityEvents({ limit = 30 } = {}) {
+  return SecurityEvent.find()
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('actor', 'name email')
+    .lean();
+}
@@ -0,0 +1,88 @@
+// src/services/mailer.service.js
+// -----------------------------------------------------------------------------
+// Envío de emails con Nodemailer. El transporte sale de config.mail.transport:
+//   smtp    → config.smtp (host, port, user, pass)
+//   file    → guarda cada mensaje como .eml en config.mail.fileDir (pruebas locales)
+//   console → imprime destinatario, asunto y texto en consola (default sin SMTP)
+//
+// - sendMail({ to, subject, text, html }): envía con config.smtp.defaultFrom como remitente.
+// - escapeHtml(value): para interpolar datos del usuario en el HTML de los emails.
+// -----------------------------------------------------------------------------
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { config } from '../config/env.js';
+
+export const MAIL_TRANSPORTS = Object.freeze({
+  SMTP: 'smtp',
+  FILE: 'file',
+  CONSOLE: 'console',
+});
+
+let transporter = null;
+
+/** Crea (una vez) el transporter de Nodemailer según config.mail.transport. */
+function getTransporter() {
+  if (transporter) return transporter;
+
+  const kind = config.mail.transport;
+  if (kind === MAIL_TRANSPORTS.SMTP) {
+    if (!config.smtp.host) throw new Error('MAIL_TRANSPORT=smtp requiere SMTP_HOST.');
+    transporter = nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.port === 465,
+      auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined,
+    });
+  } else if (kind === MAIL_TRANSPORTS.FILE) {
+    // streamTransport + buffer: Nodemailer arma el MIME y lo escribimos nosotros
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  } else {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+  return transporter;
+}
+
+/** Escape mínimo para interpolar texto en el HTML de un email */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c],
+  );
+}
+
+/**
+ * Envía un email.
+ * @param {Object} params
+ * @param {string} params.to
+ * @param {string} params.subject
+ * @param {string} params.text - versión texto plano (obligatoria)
+ * @param {string} [params.html]
+ * @returns {Promise<{ messageId: string, file?: string }>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const info = await getTransporter().sendMail({
+    from: config.smtp.defaultFrom,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (config.mail.transport === MAIL_TRANSPORTS.FILE) {
+    const dir = path.resolve(process.cwd(), config.mail.fileDir);
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.writeFile(file, info.message);
+    return { messageId: info.messageId, file };
+  }
+
+  if (config.mail.transport !== MAIL_TRANSPORTS.SMTP) {
+    console.info(`[mail] Para: ${to} | Asunto: ${subject}\n${text}`);
+  }
+  return { messageId: info.messageId };
+}
+
+export default { sendMail };
@@ -4,20 +4,23 @@
 // - Inicializa el SDK con MP_ACCESS_TOKEN.
 // - Expone createPreference(cart, orderId) que valida el carrito,
 //   mapea ítems, arma back_urls y devuelve { id, init_point, sandbox_init_point }.
+// - Expone getPayment(paymentId) para consultar un pago (webhook / conciliación).
+// - Expone verifyWebhookSignature(...) para validar el header x-signature.
 //
 // Requisitos .env:
 //   MP_ACCESS_TOKEN=TEST-xxxxxxxx
 //   BASE_URL=http://localhost:8080
+//   MP_WEBHOOK_SECRET=xxxx   (clave secreta de la sección "Webhooks" del panel de MP)
 //
 // Notas de diseño:
 // - SDK v2: { MercadoPagoConfig, Preference }.
 // - auto_return solo si BASE_URL NO es local (MP rechaza localhost).
 // - external_reference = orderId para reconciliar pagos ↔ órdenes.
-// - notification_url lista (comentada) para cuando implementemos webhooks.
+// - notification_url → POST /webhooks/mp (solo si BASE_URL NO es local).
 // - binary_mode: true (opcional).
-/* eslint-disable no-throw-literal */
 
-import { MercadoPagoConfig, Preference } from 'mercadopago';
+import crypto from 'crypto';
+import { MercadoPagoConfig, Preference, Payment } from 'mercadopago';
 
 const { MP_ACCESS_TOKEN, BASE_URL } = process.env;
 
@@ -43,6 +46,25 @@ const mpClient = new MercadoPagoConfig({
   accessToken: MP_ACCESS_TOKEN,
 });
 
+/**
+ * Error de validación del servicio (carrito, ítems o parámetros inválidos).
+ * Los errores de la API de MP se propagan tal cual los lanza el SDK.
+ */
+export class MpServiceError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - CART_EMPTY | MISSING_ORDER_ID | INVALID_DISCOUNT |
+   *   INVALID_ITEM_TITLE | INVALID_ITEM_PRICE | INVALID_ITEM_QTY | MISSING_PAYMENT_ID
+   * @param {number} [status=422]
+   */
+  constructor(message, code, status = 422) {
+    super(message);
+    this.name = 'MpServiceError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
 // Logs al cargar el módulo
 console.log('[mp.service] START — BASE_URL        =', BASE_URL);
 console.log('[mp.service] START — BASE_URL_CLEAN =', BASE_URL_CLEAN);
@@ -58,25 +80,33 @@ console.log('[mp.service] START — IS_LOCAL       =', IS_LOCAL);
  * @param {number} it.qty
  * @param {boolean} [it.promoApplied]
  * @returns {import("mercadopago/dist/clients/commonTypes").PreferenceItem}
- * @throws {{ code: string, message: string }}
+ * @throws {MpServiceError}
  */
 function mapCartItemToMP(it) {
-  const title = (it?.title ?? '').toString().trim();
+  const baseTitle = (it?.title ?? '').toString().trim();
+  const title = baseTitle && it?.variantLabel ? `${baseTitle} (${it.variantLabel})` : baseTitle;
   const qty = Number(it?.qty ?? 1);
-  const unit = Number(it?.price);
+  // Precio final por unidad (promo incluida): el total cobrado debe igualar order.total
+  const unit = Number(it?.promoPrice ?? it?.price);
 
   if (!title) {
-    throw { code: 'INVALID_ITEM_TITLE', message: `Falta título en ítem: ${JSON.stringify(it)}` };
+    throw new MpServiceError(`Falta título en ítem: ${JSON.stringify(it)}`, 'INVALID_ITEM_TITLE');
   }
   if (Number.isNaN(unit) || unit <= 0) {
-    throw { code: 'INVALID_ITEM_PRICE', message: `Precio inválido en ítem: ${JSON.stringify(it)}` };
+    throw new MpServiceError(
+      `Precio inválido en ítem: ${JSON.stringify(it)}`,
+      'INVALID_ITEM_PRICE',
+    );
   }
   if (Number.isNaN(qty) || qty <= 0) {
-    throw { code: 'INVALID_ITEM_QTY', message: `Cantidad inválida en ítem: ${JSON.stringify(it)}` };
+    throw new MpServiceError(
+      `Cantidad inválida en ítem: ${JSON.stringify(it)}`,
+      'INVALID_ITEM_QTY',
+    );
   }
 
   return {
-    id: String(it.productId ?? ''), // opcional
+    id: String(it.variantSku || it.productId || ''), // opcional
     title,
     description: it.promoApplied ? 'Promo aplicada' : '',
     quantity: qty,
@@ -91,23 +121,60 @@ function mapCartItemToMP(it) {
  * @param {Object} cart - Carrito en sesión (`req.session.cart`).
  * @param {Array} cart.items - [{ productId, title, price, qty, promoApplied }]
  * @param {string|number} orderId - ID de la orden en Mongo (external_reference).
+ * @param {Object} [opts]
+ * @param {number} [opts.shippingFee] - costo de envío; si es > 0 se agrega como ítem.
+ * @param {string} [opts.shippingTitle] - nombre del método de envío (título del ítem).
+ * @param {number} [opts.discount] - descuento de cupón sobre los ítems (ARS).
+ * @param {string} [opts.couponCode] - código del cupón (solo para el título del ítem).
  * @returns {Promise<{ id: string, init_point: string, sandbox_init_point?: string }>}
  */
-export async function createPreference(cart, orderId) {
+export async function createPreference(cart, orderId, opts = {}) {
   // --- Validaciones del carrito ---
   if (!cart || !Array.isArray(cart.items) || cart.items.length === 0) {
-    throw { code: 'CART_EMPTY', message: 'El carrito está vacío o no es válido.' };
+    throw new MpServiceError('El carrito está vacío o no es válido.', 'CART_EMPTY');
   }
   if (!orderId) {
-    throw { code: 'MISSING_ORDER_ID', message: 'Falta orderId para external_reference.' };
+    throw new MpServiceError('Falta orderId para external_reference.', 'MISSING_ORDER_ID');
   }
 
   // --- Mapeo de ítems ---
-  const items = cart.items.map(mapCartItemToMP);
+  let items = cart.items.map(mapCartItemToMP);
+
+  // Con cupón: MP no admite ítems con precio negativo, así que los productos se
+  // agrupan en un único ítem por el neto (subtotal - descuento) = lo que cobra la orden.
+  const discount = Number(opts.discount) || 0;
+  if (discount > 0) {
+    const grossCents = items.reduce(
+      (acc, it) => acc + Math.round(it.unit_price * 100) * it.quantity,
+      0,
+    );
+    const netCents = grossCents - Math.round(discount * 100);
+    if (netCents <= 0) {
+      throw new MpServiceError('El descuento no puede cubrir el total.', 'INVALID_DISCOUNT');
+    }
+    const units = items.reduce((acc, it) => acc + it.quantity, 0);
+    items = [
+      {
+        id: 'order',
+        title: `Compra (${units} ${units === 1 ? 'producto' : 'productos'})`,
+        description: opts.couponCode ? `Cupón ${opts.couponCode} aplicado` : 'Descuento aplicado',
+        quantity: 1,
+        currency_id: 'ARS',
+        unit_price: netCents / 100,
+      },
+    ];
+  }
 
-  // Logs de diagnóstico del contenido a enviar
-  console.log('[mp.service] createPreference — orderId =', String(orderId));
-  console.log('[mp.service] createPreference — items.length =', items.length);
+  const shippingFee = Number(opts.shippingFee) || 0;
+  if (shippingFee > 0) {
+    items.push({
+      id: 'shipping',
+      title: opts.shippingTitle || 'Envío a domicilio',
+      quantity: 1,
+      currency_id: 'ARS',
+      unit_price: shippingFee,
+    });
+  }
 
   const back_urls = {
     success: `${BASE_URL_CLEAN}/checkout/success`,
@@ -115,24 +182,18 @@ export async function createPreference(cart, orderId) {
     pending: `${BASE_URL_CLEAN}/checkout/pending`,
   };
 
-  // Log de back_urls antes de enviar
-  console.log('[mp.service] createPreference — back_urls =', back_urls);
-
   // --- Construcción del cuerpo de preferencia ---
   const body = {
     items,
     back_urls,
     external_reference: String(orderId),
-    // notification_url: `${BASE_URL_CLEAN}/webhooks/mp`, // activar cuando implementemos webhook
     binary_mode: true, // opcional
   };
 
-  // auto_return solo si NO es local (evita error invalid_auto_return con localhost)
+  // auto_return y notification_url solo si NO es local (MP no acepta localhost)
   if (!IS_LOCAL) {
     body.auto_return = 'approved';
-    console.log('[mp.service] createPreference — auto_return = "approved" (no local)');
-  } else {
-    console.log('[mp.service] createPreference — auto_return OMITIDO (BASE_URL local)');
+    body.notification_url = `${BASE_URL_CLEAN}/webhooks/mp`;
   }
 
   // Sanity check
@@ -145,17 +206,6 @@ export async function createPreference(cart, orderId) {
     const prefClient = new Preference(mpClient);
     const pref = await prefClient.create({ body });
 
-    // Logs de retorno de MP
-    console.log('[mp.service] createPreference — MP response.id                 =', pref?.id);
-    console.log(
-      '[mp.service] createPreference — MP response.init_point         =',
-      pref?.init_point,
-    );
-    console.log(
-      '[mp.service] createPreference — MP response.sandbox_init_point =',
-      pref?.sandbox_init_point,
-    );
-
     return {
       id: pref.id,
       init_point: pref.init_point,
@@ -173,4 +223,91 @@ export async function createPreference(cart, orderId) {
   }
 }
 
-export default { createPreference };
+/**
+ * Consulta un pago por ID en la API de Mercado Pago.
+ * Devuelve la respuesta cruda del SDK (status, external_reference, transaction_amount...).
+ *
+ * @param {string|number} paymentId
+ * @returns {Promise<import("mercadopago/dist/clients/payment/commonTypes").PaymentResponse>}
+ * @throws {MpServiceError}
+ */
+export async function getPayment(paymentId) {
+  if (!paymentId) {
+    throw new MpServiceError('Falta paymentId para consultar el pago.', 'MISSING_PAYMENT_ID');
+  }
+  try {
+    const paymentClient = new Payment(mpClient);
+    return await paymentClient.get({ id: String(paymentId) });
+  } catch (e) {
+    console.error('[mp.service] Error al consultar pago:', {
+      paymentId: String(paymentId),
+      message: e?.message,
+      status: e?.status,
+    });
+    throw e;
+  }
+}
+
+// Diferencia máxima entre el ts firmado y el reloj propio (evita reenviar una notificación vieja)
+const WEBHOOK_TS_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * ts del header en ms (MP lo manda en segundos o en milisegundos, según la integración).
+ * @param {string} ts
+ * @returns {number} NaN si no es un número
+ */
+function webhookTsMs(ts) {
+  if (!/^\d+$/.test(ts)) return NaN;
+  const n = Number(ts);
+  return n < 1e12 ? n * 1000 : n;
+}
+
+/**
+ * Valida la firma de una notificación de Mercado Pago (header x-signature).
+ *
+ * Formato del header: "ts=<timestamp>,v1=<hmac>"
+ * Manifest firmado:   "id:<data.id>;request-id:<x-request-id>;ts:<ts>;"
+ * (si falta alguno de los valores, se omite su segmento, como indica la doc de MP).
+ * Un ts a más de WEBHOOK_TS_TOLERANCE_MS de `now` se rechaza aunque la firma sea válida.
+ *
+ * @param {Object} params
+ * @param {string} params.xSignature - valor del header x-signature
+ * @param {string} [params.xRequestId] - valor del header x-request-id
+ * @param {string} [params.dataId] - query param data.id de la notificación
+ * @param {string} params.secret - MP_WEBHOOK_SECRET
+ * @param {number} [params.now] - ms (por defecto Date.now())
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature({
+  xSignature,
+  xRequestId,
+  dataId,
+  secret,
+  now = Date.now(),
+}) {
+  if (!xSignature || !secret) return false;
+
+  const parts = {};
+  for (const chunk of String(xSignature).split(',')) {
+    const [key, value] = chunk.split('=').map((s) => (s || '').trim());
+    if (key && value) parts[key] = value;
+  }
+  const { ts, v1 } = parts;
+  if (!ts || !v1) return false;
+  if (!(Math.abs(now - webhookTsMs(ts)) <= WEBHOOK_TS_TOLERANCE_MS)) return false;
+
+  // MP envía data.id en minúsculas cuando es alfanumérico
+  const id = dataId ? String(dataId).toLowerCase() : '';
+  let manifest = '';
+  if (id) manifest += `id:${id};`;
+  if (xRequestId) manifest += `request-id:${xRequestId};`;
+  manifest += `ts:${ts};`;
+
+  const expected = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(v1, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export default { createPreference, getPayment, verifyWebhookSignature };
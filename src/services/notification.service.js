@@ -0,0 +1,321 @@
+// src/services/notification.service.js
+// -----------------------------------------------------------------------------
+// Notificaciones por email del ciclo de vida de los pedidos.
+//
+// Flujo (outbox):
+// 1) notifyOrderEvent(order, event) arma el contexto del email y lo inserta en
+//    EmailOutbox. Nunca lanza: un problema acá no corta el checkout ni el webhook.
+// 2) processOutbox() (jobs/email-outbox.job.js) toma los pendientes, los renderiza con
+//    Handlebars (views/emails/*.hbs + hbsHelpers) y los envía con mailer.service.
+//    Si el envío falla se reintenta con backoff exponencial hasta
+//    config.notifications.maxAttempts; después queda "failed".
+//
+// Eventos: created | approved | pending | rejected | shipped | refunded (comprador)
+//          + aviso a admins cuando un pedido queda pagado.
+// Cada aviso tiene dedupeKey "order:<id>:<evento>:<destinatario>": si el mismo cambio
+// llega dos veces (webhook + retorno de MP) se envía una sola vez.
+// -----------------------------------------------------------------------------
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { create as createHbs } from 'express-handlebars';
+import EmailOutbox, { OUTBOX_STATUS } from '../models/EmailOutbox.js';
+import { User, USER_ROLES } from '../models/index.js';
+import { config } from '../config/env.js';
+import { hbsHelpers } from '../utils/hbs-helpers.js';
+import { sendMail } from './mailer.service.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EMAILS_DIR = path.join(__dirname, '..', 'views', 'emails');
+
+// Lote por tick, lease de un envío en curso y tope del backoff
+const BATCH_LIMIT = 50;
+const SEND_LEASE_MS = 2 * 60 * 1000;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Motor propio para emails: layout de email, sin navbar/partials del sitio
+const emailHbs = createHbs({
+  extname: '.hbs',
+  layoutsDir: path.join(EMAILS_DIR, 'layouts'),
+  partialsDir: path.join(EMAILS_DIR, 'partials'),
+  defaultLayout: 'email',
+  helpers: hbsHelpers,
+});
+
+// Evento → template y asunto del email al comprador
+export const ORDER_EMAILS = Object.freeze({
+  created: { template: 'order-created', subject: 'Recibimos tu pedido' },
+  approved: { template: 'order-approved', subject: '¡Pago aprobado!' },
+  pending: { template: 'order-pending', subject: 'Tu pago está pendiente' },
+  rejected: { template: 'order-rejected', subject: 'Tu pago fue rechazado' },
+  shipped: { template: 'order-shipped', subject: 'Tu pedido está en camino' },
+  refunded: { template: 'order-refunded', subject: 'Reintegramos tu pago' },
+});
+
+// Estado de Order → evento notificable (approved es el estado legado de paid)
+const STATUS_EVENTS = Object.freeze({
+  created: 'created',
+  paid: 'approved',
+  approved: 'approved',
+  pending: 'pending',
+  rejected: 'rejected',
+  shipped: 'shipped',
+  refunded: 'refunded',
+});
+
+/** Número corto para mostrar al cliente (últimos 8 caracteres del _id) */
+export function orderRef(order) {
+  return String(order?._id || '')
+    .slice(-8)
+    .toUpperCase();
+}
+
+/** Snapshot serializable de la orden para el contexto del template */
+function toEmailOrder(order) {
+  const o = typeof order.toObject === 'function' ? order.toObject() : order;
+  return {
+    id: String(o._id),
+    ref: orderRef(o),
+    status: o.status,
+    createdAt: o.createdAt,
+    items: (o.items || []).map((i) => ({
+      title: i.title,
+      variantLabel: i.variantLabel || '',
+      qty: i.qty,
+      price: i.price,
+      subtotal: i.subtotal,
+    })),
+    subtotal: o.subtotal,
+    discount: o.discount,
+    shippingFee: o.shippingFee,
+    total: o.total,
+    couponCode: o.coupon?.code || null,
+    shipping: o.shipping
+      ? {
+          name: o.shipping.name,
+          kind: o.shipping.kind,
+          eta: o.shipping.eta,
+          pickupAddress: o.shipping.pickupAddress,
+        }
+      : null,
+  };
+}
+
+/**
+ * Inserta un email en el outbox. Un dedupeKey repetido se ignora.
+ * @param {Object} params
+ * @param {string} params.to
+ * @param {string} params.subject
+ * @param {string} params.template - vista en views/emails/
+ * @param {Object} [params.data]
+ * @param {string} [params.dedupeKey]
+ * @param {string|Object} [params.orderId]
+ * @returns {Promise<boolean>} true si quedó encolado
+ */
+export async function enqueueEmail({ to, subject, template, data = {}, dedupeKey, orderId }) {
+  try {
+    await EmailOutbox.create({ to, subject, template, data, dedupeKey, orderId });
+    return true;
+  } catch (err) {
+    if (err?.code === 11000) return false; // ya estaba encolado
+    throw err;
+  }
+}
+
+/** Emails de admins a avisar (config o admins activos) */
+async function adminRecipients() {
+  if (config.notifications.adminEmails.length) return config.notifications.adminEmails;
+  const admins = await User.find({ role: USER_ROLES.ADMIN, active: true }).select('email').lean();
+  return admins.map((a) => a.email).filter(Boolean);
+}
+
+/**
+ * Encola los emails de un evento del pedido. Nunca lanza (loguea y devuelve 0).
+ * @param {Object} order - documento o lean de Order
+ * @param {string} event - created | approved | pending | rejected | shipped | refunded
+ * @returns {Promise<number>} cantidad de emails encolados
+ */
+export async function notifyOrderEvent(order, event) {
+  const def = ORDER_EMAILS[event];
+  if (!order || !def) return 0;
+
+  try {
+    const emailOrder = toEmailOrder(order);
+    const links = {
+      shop: config.baseUrl,
+      order: `${config.baseUrl}/account/orders/${emailOrder.id}`,
+      admin: `${config.baseUrl}/admin/orders/${emailOrder.id}`,
+    };
+    let queued = 0;
+
+    const buyer = await User.findById(order.userId).select('name email').lean();
+    if (buyer?.email) {
+      const ok = await enqueueEmail({
+        to: buyer.email,
+        subject: `${def.subject} · Pedido #${emailOrder.ref}`,
+        template: def.template,
+        data: { name: buyer.name, order: emailOrder, links },
+        dedupeKey: `order:${emailOrder.id}:${event}:buyer`,
+        orderId: emailOrder.id,
+      });
+      if (ok) queued += 1;
+    }
+
+    if (event === 'approved') {
+      for (const to of await adminRecipients()) {
+        const ok = await enqueueEmail({
+          to,
+          subject: `Nuevo pedido pagado #${emailOrder.ref}`,
+          template: 'admin-order-paid',
+          data: { buyer: buyer || {}, order: emailOrder, links },
+          dedupeKey: `order:${emailOrder.id}:approved:admin:${to}`,
+          orderId: emailOrder.id,
+        });
+        if (ok) queued += 1;
+      }
+    }
+    return queued;
+  } catch (err) {
+    console.error(
+      `[notifications] No se pudo encolar "${event}" de`,
+      String(order._id),
+      err?.message || err,
+    );
+    return 0;
+  }
+}
+
+/**
+ * Notifica el cambio de estado de una orden (si el estado tiene email asociado).
+ * @param {Object} order
+ * @param {string} status - estado nuevo de Order
+ */
+export function notifyOrderStatus(order, status) {
+  const event = STATUS_EVENTS[status];
+  return event ? notifyOrderEvent(order, event) : Promise.resolve(0);
+}
+
+/** Versión texto plano del HTML renderizado (links como "texto (url)") */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(head|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a [^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '  ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(x?[0-9a-f]+);/gi, (_, n) =>
+      String.fromCodePoint(n[0].toLowerCase() === 'x' ? parseInt(n.slice(1), 16) : Number(n)),
+    )
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Renderiza un template de views/emails/ con el layout de email.
+ * @param {string} template - ej. "order-approved"
+ * @param {Object} data
+ * @returns {Promise<{ html: string, text: string }>}
+ */
+export async function renderEmail(template, data = {}) {
+  if (!/^[a-z0-9-]+$/.test(template)) throw new Error(`Template de email inválido: ${template}`);
+  const html = await emailHbs.renderView(path.join(EMAILS_DIR, `${template}.hbs`), {
+    ...data,
+    cache: config.isProd,
+  });
+  return { html, text: htmlToText(html) };
+}
+
+/** Espera antes del próximo intento: 1 min, 2 min, 4 min… (máx. 1 h) */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+/**
+ * Envía los emails pendientes del outbox (de a uno, reclamándolos con un update
+ * condicional para que dos instancias no envíen el mismo).
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @param {number} [opts.limit]
+ * @returns {Promise<{ sent: number, retried: number, failed: number }>}
+ */
+export async function processOutbox({ now = new Date(), limit = BATCH_LIMIT } = {}) {
+  const result = { sent: 0, retried: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i += 1) {
+    const job = await EmailOutbox.findOneAndUpdate(
+      {
+        $or: [
+          { status: OUTBOX_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+          // envío que quedó colgado (la instancia se cayó a mitad de camino)
+          { status: OUTBOX_STATUS.SENDING, lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: OUTBOX_STATUS.SENDING,
+          lockedUntil: new Date(now.getTime() + SEND_LEASE_MS),
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { nextAttemptAt: 1 } },
+    );
+    if (!job) break;
+
+    try {
+      const { html, text } = await renderEmail(job.template, job.data);
+      await sendMail({ to: job.to, subject: job.subject, text, html });
+      await EmailOutbox.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: OUTBOX_STATUS.SENT,
+            sentAt: new Date(),
+            lockedUntil: null,
+            lastError: null,
+          },
+        },
+      );
+      result.sent += 1;
+    } catch (err) {
+      const exhausted = job.attempts >= config.notifications.maxAttempts;
+      await EmailOutbox.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: exhausted ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+            nextAttemptAt: new Date(now.getTime() + retryDelay(job.attempts)),
+            lockedUntil: null,
+            lastError: String(err?.message || err).slice(0, 500),
+          },
+        },
+      );
+      if (exhausted) result.failed += 1;
+      else result.retried += 1;
+      console.error(
+        `[notifications] Falló el envío a ${job.to} (intento ${job.attempts}):`,
+        err?.message || err,
+      );
+    }
+  }
+
+  return result;
+}
+
+export default {
+  ORDER_EMAILS,
+  enqueueEmail,
+  notifyOrderEvent,
+  notifyOrderStatus,
+  renderEmail,
+  processOutbox,
+};
@@ -0,0 +1,126 @@
+// src/services/order-status.service.js
+// -----------------------------------------------------------------------------
+// Máquina de estados de Order: único punto por donde cambia order.status.
+//
+// - La tabla de transiciones vive en models/Order.js (ORDER_TRANSITIONS).
+// - transitionOrder() valida el salto, aplica el cambio con un update condicionado
+//   al estado leído (si otro proceso lo cambió en el medio, se relee y reintenta),
+//   agrega una entrada a statusHistory, sincroniza stock y usos de cupón y encola el
+//   email al comprador (services/notification.service.js).
+// - Saltos ilegales → OrderStatusError (409); el llamador decide cómo informarlo.
+//
+// Uso típico (admin):
+//   await transitionOrder(id, 'shipped', { source: 'admin', actor: req.user, note });
+// -----------------------------------------------------------------------------
+
+import Order, { ORDER_STATUS, ORDER_STATUS_LABELS, canTransition } from '../models/Order.js';
+import { syncStockWithStatus } from './stock.service.js';
+import { syncCouponWithStatus } from './coupon.service.js';
+import { notifyOrderStatus } from './notification.service.js';
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Error de dominio para cambios de estado inválidos.
+ */
+export class OrderStatusError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - ORDER_NOT_FOUND | INVALID_STATUS | ILLEGAL_TRANSITION | CONFLICT
+   * @param {number} [status=409]
+   */
+  constructor(message, code, status = 409) {
+    super(message);
+    this.name = 'OrderStatusError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Arma una entrada de statusHistory.
+ * @param {Object} p
+ * @param {string|null} p.from
+ * @param {string} p.to
+ * @param {string} p.source - admin | webhook | return_url | system
+ * @param {Object} [p.actor] - usuario (req.user) que hizo el cambio
+ * @param {string} [p.note]
+ * @param {Date} [p.at]
+ */
+export function buildHistoryEntry({ from, to, source, actor, note, at }) {
+  return {
+    from: from ?? null,
+    to,
+    at: at || new Date(),
+    source,
+    actorId: actor?._id || actor?.id || null,
+    actorName: actor ? actor.name || actor.email || null : null,
+    note: String(note || '').slice(0, 500),
+  };
+}
+
+/** Etiqueta legible de un estado (para mensajes de error). */
+function label(status) {
+  return ORDER_STATUS_LABELS[status] || status;
+}
+
+/**
+ * Cambia el estado de una orden respetando ORDER_TRANSITIONS.
+ *
+ * @param {string|Object} orderId
+ * @param {string} to - estado destino
+ * @param {Object} opts
+ * @param {string} opts.source - admin | webhook | return_url | system
+ * @param {Object} [opts.actor]
+ * @param {string} [opts.note]
+ * @param {Object} [opts.set] - campos extra a setear junto con el estado (ej. mpPaymentId)
+ * @returns {Promise<Object>} la orden actualizada
+ * @throws {OrderStatusError}
+ */
+export async function transitionOrder(orderId, to, { source, actor, note, set = {} } = {}) {
+  if (!Object.values(ORDER_STATUS).includes(to)) {
+    throw new OrderStatusError(`Estado inválido: ${to}`, 'INVALID_STATUS', 422);
+  }
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const current = await Order.findById(orderId).select('status').lean();
+    if (!current) throw new OrderStatusError('Pedido no encontrado.', 'ORDER_NOT_FOUND', 404);
+
+    if (!canTransition(current.status, to)) {
+      throw new OrderStatusError(
+        `No se puede pasar de "${label(current.status)}" a "${label(to)}".`,
+        'ILLEGAL_TRANSITION',
+      );
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      {
+        $set: { ...set, status: to },
+        $push: {
+          statusHistory: buildHistoryEntry({ from: current.status, to, source, actor, note }),
+        },
+      },
+      { new: true },
+    );
+
+    if (updated) {
+      // paid → descuenta stock; rejected/cancelled/expired/abandoned → libera la reserva
+      // y devuelve el uso del cupón; cancelled/refunded de una orden pagada que no se
+      // envió → repone el stock
+      await syncStockWithStatus(updated._id, to);
+      await syncCouponWithStatus(updated._id, to);
+      // Solo encola (no envía ni lanza): el outbox lo manda en segundo plano
+      await notifyOrderStatus(updated, to);
+      return updated;
+    }
+    // Otro proceso cambió el estado entre la lectura y el update: releer y revalidar
+  }
+
+  throw new OrderStatusError(
+    'El pedido cambió mientras se actualizaba. Intentá de nuevo.',
+    'CONFLICT',
+  );
+}
+
+export default { transitionOrder, buildHistoryEntry, OrderStatusError };
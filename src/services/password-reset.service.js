@@ -0,0 +1,170 @@
+// src/services/password-reset.service.js
+// -----------------------------------------------------------------------------
+// Recupero de contraseña con tokens de un solo uso enviados por email.
+//
+// - requestPasswordReset(email): genera el token (vence en config.auth.passwordResetTtlMs),
+//   guarda su hash en User.passwordReset y envía el link /reset-password/:token.
+//   Si el email no existe o el usuario está inactivo no hace nada, y un fallo del envío
+//   se loguea sin lanzar: la respuesta al cliente es siempre la misma, para no revelar
+//   qué cuentas existen. Rate limit por IP y por email (models/RateLimit.js), contando
+//   también los emails inexistentes.
+// - findUserByResetToken(token): usuario dueño de un token vigente (para mostrar el form).
+// - resetPassword(token, password): reclama el token con un update condicional
+//   (queda inutilizado aunque haya dos envíos simultáneos) y cambia la contraseña.
+// -----------------------------------------------------------------------------
+
+import { User } from '../models/index.js';
+import RateLimit from '../models/RateLimit.js';
+import { config } from '../config/env.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { sendMail, escapeHtml } from './mailer.service.js';
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Error de dominio: token inválido/vencido o contraseña nueva inválida.
+ */
+export class PasswordResetError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - INVALID_TOKEN | WEAK_PASSWORD | RATE_LIMITED
+   * @param {number} [status=400]
+   * @param {number} [retryAfter] - segundos (solo RATE_LIMITED)
+   */
+  constructor(message, code, status = 400, retryAfter = 0) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.code = code;
+    this.status = status;
+    if (retryAfter) this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Suma el pedido en los limitadores de IP y email; corta si alguno pasó el tope.
+ * @param {Object} ctx
+ * @param {string} ctx.ip
+ * @param {string} ctx.email - normalizado
+ * @param {Date} ctx.now
+ * @throws {PasswordResetError} RATE_LIMITED (429)
+ */
+async function assertResetAllowed({ ip, email, now }) {
+  const { passwordResetWindowMs, passwordResetMaxPerIp, passwordResetMaxPerEmail } = config.auth;
+  const [byIp, byEmail] = await Promise.all([
+    RateLimit.hit(`password-reset:ip:${ip || 'unknown'}`, passwordResetWindowMs, now),
+    RateLimit.hit(`password-reset:email:${email}`, passwordResetWindowMs, now),
+  ]);
+  const blocked = [
+    byIp.count > passwordResetMaxPerIp ? byIp.resetAt : null,
+    byEmail.count > passwordResetMaxPerEmail ? byEmail.resetAt : null,
+  ].filter(Boolean);
+  if (!blocked.length) return;
+
+  const until = Math.max(...blocked.map(Number));
+  const seconds = Math.max(1, Math.ceil((until - now) / 1000));
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutos` : `${seconds} segundos`;
+  throw new PasswordResetError(
+    `Demasiados pedidos de recupero. Esperá ${wait} e intentá de nuevo.`,
+    'RATE_LIMITED',
+    429,
+    seconds,
+  );
+}
+
+/** Filtro de un token vigente */
+function activeTokenFilter(token, now = new Date()) {
+  return {
+    'passwordReset.tokenHash': hashToken(token),
+    'passwordReset.expiresAt': { $gt: now },
+  };
+}
+
+/**
+ * Genera un token y envía el email de recupero.
+ * @param {string} email
+ * @param {Object} [ctx]
+ * @param {string} [ctx.ip] - para el rate limit
+ * @param {Date} [ctx.now]
+ * @returns {Promise<void>}
+ * @throws {PasswordResetError} RATE_LIMITED (igual exista o no la cuenta)
+ */
+export async function requestPasswordReset(email, { ip = '', now = new Date() } = {}) {
+  const normEmail = String(email || '')
+    .trim()
+    .toLowerCase();
+  if (!normEmail) return;
+  await assertResetAllowed({ ip, email: normEmail, now });
+
+  const user = await User.findOne({ email: normEmail, active: true }).select('name email').lean();
+  if (!user) return;
+
+  // Un token nuevo reemplaza al anterior (solo vale el último link enviado)
+  const { token, tokenHash } = generateToken();
+  const expiresAt = new Date(now.getTime() + config.auth.passwordResetTtlMs);
+  await User.updateOne({ _id: user._id }, { $set: { passwordReset: { tokenHash, expiresAt } } });
+
+  const link = `${config.baseUrl}/reset-password/${token}`;
+  const minutes = Math.round(config.auth.passwordResetTtlMs / 60000);
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Restablecer tu contraseña',
+      text:
+        `Hola ${user.name || ''}:\n\n` +
+        `Recibimos un pedido para restablecer tu contraseña. Entrá a este link (vence en ${minutes} minutos):\n\n` +
+        `${link}\n\n` +
+        'Si no lo pediste, ignorá este mensaje: tu contraseña actual sigue funcionando.',
+      html:
+        `<p>Hola ${escapeHtml(user.name || '')}:</p>` +
+        `<p>Recibimos un pedido para restablecer tu contraseña. El link vence en ${minutes} minutos.</p>` +
+        `<p><a href="${link}">Elegir una contraseña nueva</a></p>` +
+        '<p>Si no lo pediste, ignorá este mensaje: tu contraseña actual sigue funcionando.</p>',
+    });
+  } catch (err) {
+    // Misma respuesta que si la cuenta no existiera: el link se puede volver a pedir
+    console.error('[password-reset] No se pudo enviar el email:', err?.message || err);
+  }
+}
+
+/**
+ * Usuario dueño de un token vigente (null si no existe o venció).
+ * @param {string} token
+ */
+export async function findUserByResetToken(token) {
+  if (!token) return null;
+  return User.findOne(activeTokenFilter(token)).select('name email').lean();
+}
+
+/**
+ * Consume el token y guarda la contraseña nueva.
+ *
+ * @param {string} token
+ * @param {string} password
+ * @returns {Promise<import('mongoose').Document>} usuario actualizado
+ * @throws {PasswordResetError}
+ */
+export async function resetPassword(token, password) {
+  // Validar antes de reclamar: una contraseña corta no debe quemar el token
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new PasswordResetError(
+      `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`,
+      'WEAK_PASSWORD',
+    );
+  }
+
+  const user = token
+    ? await User.findOneAndUpdate(activeTokenFilter(token), { $unset: { passwordReset: 1 } })
+    : null;
+  if (!user) {
+    throw new PasswordResetError(
+      'El link para restablecer la contraseña no es válido o ya venció.',
+      'INVALID_TOKEN',
+    );
+  }
+
+  await user.setPassword(password);
+  await user.save();
+  return user;
+}
+
+export default { requestPasswordReset, findUserByResetToken, resetPassword };
@@ -0,0 +1,257 @@
+// src/services/payment.service.js
+// -----------------------------------------------------------------------------
+// Servicio de pagos: cliente intercambiable + conciliación Pago ↔ Order.
+//
+// - El "cliente de pagos" es un objeto con la forma { name, getPayment(id) }.
+//   • mercadopago (default): consulta la API real vía mp.service.js.
+//   • fake: cliente en memoria para tests/scripts locales (sin red).
+//   Se reemplaza con setPaymentClient(client) y se restaura con resetPaymentClient().
+//
+// - reconcilePayment(paymentId, { orderId, source }) consulta el pago, ubica la Order por
+//   external_reference y actualiza estado + mpPaymentId vía transitionOrder (máquina de
+//   estados + statusHistory).
+//   Solo escribe si el pago pertenece a la orden (external_reference) y el monto
+//   cobrado coincide con order.total. Es idempotente: si la orden ya refleja ese
+//   pago y ese estado, no escribe.
+//
+// Lo usan tanto el webhook como las return URLs (/checkout/success|pending|failure):
+// el estado que llega por query string NO se usa para decidir nada.
+//
+// Uso típico (webhook):
+//   import { reconcilePayment } from "../services/payment.service.js";
+//   const result = await reconcilePayment(req.query["data.id"]);
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import Order, { canTransition, isPaidStatus } from '../models/Order.js';
+import { getPayment as getMpPayment } from './mp.service.js';
+import { transitionOrder, OrderStatusError } from './order-status.service.js';
+
+// Moneda en la que se cobran las órdenes (ver mapCartItemToMP en mp.service.js)
+const ORDER_CURRENCY = 'ARS';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Mapeo de estados de MP → estados de Order
+// ─────────────────────────────────────────────────────────────────────────────
+const MP_STATUS_TO_ORDER = Object.freeze({
+  approved: 'paid',
+  authorized: 'pending',
+  pending: 'pending',
+  in_process: 'pending',
+  in_mediation: 'pending',
+  rejected: 'rejected',
+  cancelled: 'cancelled',
+  refunded: 'refunded',
+  charged_back: 'refunded',
+});
+
+/**
+ * Traduce el estado de un pago de MP al estado de Order equivalente.
+ * @param {string} mpStatus
+ * @returns {string|null} null si el estado no es reconocido
+ */
+export function mapPaymentStatus(mpStatus) {
+  return MP_STATUS_TO_ORDER[String(mpStatus || '').toLowerCase()] || null;
+}
+
+/**
+ * Normaliza la respuesta de un proveedor a un shape estable para el resto de la app.
+ * @param {Object} raw - respuesta del SDK de MP (o del cliente fake)
+ * @returns {{ id: string, status: string, statusDetail: string|null,
+ *             externalReference: string|null, amount: number, currency: string|null }}
+ */
+export function normalizePayment(raw) {
+  return {
+    id: String(raw?.id ?? ''),
+    status: String(raw?.status || '').toLowerCase(),
+    statusDetail: raw?.status_detail ?? null,
+    externalReference: raw?.external_reference ? String(raw.external_reference) : null,
+    amount: Number(raw?.transaction_amount ?? 0),
+    currency: raw?.currency_id ?? null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Clientes
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Cliente real: Mercado Pago (API de pagos). */
+export const mercadoPagoClient = Object.freeze({
+  name: 'mercadopago',
+  getPayment: (paymentId) => getMpPayment(paymentId),
+});
+
+/**
+ * Crea un cliente fake en memoria. Los pagos se cargan con addPayment()
+ * usando el mismo shape que devuelve MP (id, status, external_reference,
+ * transaction_amount, currency_id, status_detail).
+ *
+ * @param {Array<Object>} [payments] - pagos iniciales
+ */
+export function createFakePaymentClient(payments = []) {
+  const store = new Map();
+  const client = {
+    name: 'fake',
+    payments: store,
+    addPayment(payment) {
+      store.set(String(payment.id), { ...payment });
+      return client;
+    },
+    async getPayment(paymentId) {
+      const found = store.get(String(paymentId));
+      if (!found) {
+        const err = new Error(`Pago no encontrado: ${paymentId}`);
+        err.status = 404;
+        throw err;
+      }
+      return { ...found };
+    },
+  };
+  payments.forEach((p) => client.addPayment(p));
+  return client;
+}
+
+let activeClient = mercadoPagoClient;
+
+/** Devuelve el cliente de pagos activo. */
+export function getPaymentClient() {
+  return activeClient;
+}
+
+/** Reemplaza el cliente de pagos activo (tests / scripts locales). */
+export function setPaymentClient(client) {
+  if (!client || typeof client.getPayment !== 'function') {
+    throw new Error('[payment.service] El cliente de pagos debe exponer getPayment(id).');
+  }
+  activeClient = client;
+}
+
+/** Vuelve al cliente por defecto (Mercado Pago). */
+export function resetPaymentClient() {
+  activeClient = mercadoPagoClient;
+}
+
+/**
+ * Consulta un pago con el cliente activo y lo devuelve normalizado.
+ * @param {string|number} paymentId
+ */
+export async function fetchPayment(paymentId) {
+  const raw = await activeClient.getPayment(String(paymentId));
+  return normalizePayment(raw);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Conciliación
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Compara montos en centavos (evita falsos negativos por punto flotante). */
+function sameAmount(a, b) {
+  return Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+}
+
+/**
+ * Concilia un pago con su Order (external_reference = order._id).
+ *
+ * Reglas:
+ * - Si se indica orderId (return URLs), el external_reference del pago debe coincidir.
+ * - El monto cobrado (transaction_amount, en ARS) debe coincidir con order.total.
+ * - Si el estado de MP no se reconoce → no se toca la orden.
+ * - Solo se aplican saltos permitidos por ORDER_TRANSITIONS: p. ej. una orden pagada
+ *   no vuelve a "pending" (notificaciones fuera de orden).
+ * - Si mpPaymentId y status ya coinciden → no-op (notificación duplicada).
+ *
+ * @param {string|number} paymentId
+ * @param {Object} [opts]
+ * @param {string} [opts.orderId] - orden que el llamador espera (se valida contra external_reference)
+ * @param {'webhook'|'return_url'} [opts.source='webhook'] - origen (queda en statusHistory)
+ * @returns {Promise<{ changed: boolean, verified: boolean, reason: string,
+ *                     order: Object|null, payment: Object }>}
+ */
+export async function reconcilePayment(paymentId, opts = {}) {
+  const payment = await fetchPayment(paymentId);
+  const ref = payment.externalReference;
+
+  if (!ref || !mongoose.Types.ObjectId.isValid(ref)) {
+    return {
+      changed: false,
+      verified: false,
+      reason: 'missing_external_reference',
+      order: null,
+      payment,
+    };
+  }
+
+  if (opts.orderId && String(opts.orderId) !== ref) {
+    return {
+      changed: false,
+      verified: false,
+      reason: 'external_reference_mismatch',
+      order: null,
+      payment,
+    };
+  }
+
+  const order = await Order.findById(ref);
+  if (!order) {
+    return { changed: false, verified: false, reason: 'order_not_found', order: null, payment };
+  }
+
+  const currencyOk = !payment.currency || payment.currency === ORDER_CURRENCY;
+  if (!currencyOk || !sameAmount(payment.amount, order.total)) {
+    console.warn('[payment.service] monto no coincide', {
+      orderId: String(order._id),
+      paymentId: payment.id,
+      paid: payment.amount,
+      currency: payment.currency,
+      expected: order.total,
+    });
+    return { changed: false, verified: false, reason: 'amount_mismatch', order, payment };
+  }
+
+  const nextStatus = mapPaymentStatus(payment.status);
+  if (!nextStatus) {
+    return { changed: false, verified: true, reason: 'unknown_payment_status', order, payment };
+  }
+
+  // Ya pagada (o más avanzada: preparing/shipped/...) y vuelve a llegar "approved"
+  const alreadyPaid = nextStatus === 'paid' && isPaidStatus(order.status);
+  if (order.mpPaymentId === payment.id && (order.status === nextStatus || alreadyPaid)) {
+    return { changed: false, verified: true, reason: 'already_applied', order, payment };
+  }
+  if (alreadyPaid) {
+    console.warn('[payment.service] segundo pago aprobado para una orden ya pagada', {
+      orderId: String(order._id),
+      paymentId: payment.id,
+      previousPaymentId: order.mpPaymentId,
+    });
+    return { changed: false, verified: true, reason: 'already_paid', order, payment };
+  }
+
+  if (!canTransition(order.status, nextStatus)) {
+    return { changed: false, verified: true, reason: 'illegal_transition', order, payment };
+  }
+
+  try {
+    const patched = await transitionOrder(order._id, nextStatus, {
+      source: opts.source || 'webhook',
+      note: `MP ${payment.id}: ${payment.status}${payment.statusDetail ? ` (${payment.statusDetail})` : ''}`,
+      set: { mpPaymentId: payment.id },
+    });
+    return { changed: true, verified: true, reason: 'updated', order: patched, payment };
+  } catch (err) {
+    // Otro proceso movió la orden en el medio y el salto dejó de ser válido
+    if (err instanceof OrderStatusError) {
+      return { changed: false, verified: true, reason: err.code.toLowerCase(), order, payment };
+    }
+    throw err;
+  }
+}
+
+export default {
+  getPaymentClient,
+  setPaymentClient,
+  resetPaymentClient,
+  createFakePaymentClient,
+  fetchPayment,
+  reconcilePayment,
+};
@@ -0,0 +1,175 @@
+// src/services/review.service.js
+// -----------------------------------------------------------------------------
+// Reseñas de productos: alta/edición, moderación y promedio denormalizado.
+//
+// - submitReview(): crea o edita la reseña del usuario (una por producto); toda
+//   edición vuelve a "pending". Marca verifiedPurchase si el autor compró el producto.
+// - moderateReview() / deleteReview(): panel admin.
+// - recalcProductRating(): recalcula Product.ratingAvg / ratingCount con las reseñas
+//   aprobadas. Se llama después de cada cambio que pueda afectarlas.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import Review, { REVIEW_STATUS } from '../models/Review.js';
+import Product from '../models/Product.js';
+import Order, { PAID_STATUSES } from '../models/Order.js';
+
+/**
+ * Error de dominio de reseñas.
+ */
+export class ReviewError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - PRODUCT_NOT_FOUND | REVIEW_NOT_FOUND | INVALID_STATUS
+   * @param {number} [status=400]
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * ¿El usuario tiene una orden pagada que incluya el producto?
+ * @param {string} userId
+ * @param {string} productId
+ * @returns {Promise<boolean>}
+ */
+export async function hasPurchasedProduct(userId, productId) {
+  if (!userId || !productId) return false;
+  const found = await Order.exists({
+    userId,
+    status: { $in: PAID_STATUSES },
+    'items.productId': productId,
+  });
+  return !!found;
+}
+
+/**
+ * Recalcula promedio y cantidad de reseñas aprobadas del producto.
+ * @param {string} productId
+ * @returns {Promise<{ ratingAvg: number, ratingCount: number }>}
+ */
+export async function recalcProductRating(productId) {
+  const [agg] = await Review.aggregate([
+    {
+      $match: {
+        productId: new mongoose.Types.ObjectId(String(productId)),
+        status: REVIEW_STATUS.APPROVED,
+      },
+    },
+    { $group: { _id: null, avg: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+  const ratingAvg = agg ? Math.round(agg.avg * 10) / 10 : 0;
+  const ratingCount = agg?.count || 0;
+  await Product.updateOne({ _id: productId }, { $set: { ratingAvg, ratingCount } });
+  return { ratingAvg, ratingCount };
+}
+
+/**
+ * Crea o edita la reseña del usuario para un producto (queda pendiente de moderación).
+ * @param {Object} params
+ * @param {Object} params.user - req.user (id, name)
+ * @param {string} params.productId
+ * @param {number|string} params.rating
+ * @param {string} params.title
+ * @param {string} params.body
+ * @returns {Promise<Object>} la reseña guardada
+ * @throws {ReviewError|mongoose.Error.ValidationError}
+ */
+export async function submitReview({ user, productId, rating, title, body }) {
+  const product = await Product.exists({ _id: productId, active: true });
+  if (!product) throw new ReviewError('El producto no está disponible.', 'PRODUCT_NOT_FOUND', 404);
+
+  const userId = user.id || user._id;
+  const review = (await Review.findOne({ productId, userId })) || new Review({ productId, userId });
+  const wasApproved = review.status === REVIEW_STATUS.APPROVED;
+
+  review.set({
+    authorName: user.name || '',
+    rating: Number(rating),
+    title,
+    body,
+    verifiedPurchase: await hasPurchasedProduct(userId, productId),
+    status: REVIEW_STATUS.PENDING,
+    moderatedAt: null,
+    moderatedBy: null,
+  });
+  await review.save();
+
+  // Si estaba publicada, deja de contar hasta que se vuelva a aprobar
+  if (wasApproved) await recalcProductRating(productId);
+  return review;
+}
+
+/**
+ * Aprueba o rechaza una reseña y actualiza el promedio del producto.
+ * @param {string} reviewId
+ * @param {'approved'|'rejected'|'pending'} status
+ * @param {Object} [actor] - admin que modera
+ * @returns {Promise<Object>} la reseña actualizada (lean)
+ * @throws {ReviewError}
+ */
+export async function moderateReview(reviewId, status, actor) {
+  if (!Object.values(REVIEW_STATUS).includes(status)) {
+    throw new ReviewError(`Estado inválido: ${status}`, 'INVALID_STATUS', 422);
+  }
+  const review = await Review.findByIdAndUpdate(
+    reviewId,
+    {
+      $set: {
+        status,
+        moderatedAt: new Date(),
+        moderatedBy: actor?._id || actor?.id || null,
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!review) throw new ReviewError('Reseña no encontrada.', 'REVIEW_NOT_FOUND', 404);
+
+  await recalcProductRating(review.productId);
+  return review;
+}
+
+/**
+ * Elimina una reseña y actualiza el promedio del producto.
+ * @param {string} reviewId
+ * @returns {Promise<boolean>} false si no existía
+ */
+export async function deleteReview(reviewId) {
+  const review = await Review.findByIdAndDelete(reviewId).lean();
+  if (!review) return false;
+  await recalcProductRating(review.productId);
+  return true;
+}
+
+/**
+ * Reseñas para el detalle público: las aprobadas (más recientes primero) y la del
+ * usuario logueado en cualquier estado (para editarla o ver si está pendiente).
+ * @param {string} productId
+ * @param {Object} [opts]
+ * @param {string} [opts.userId]
+ * @param {number} [opts.limit=20]
+ * @returns {Promise<{ reviews: Object[], own: Object|null }>}
+ */
+export async function getProductReviews(productId, { userId, limit = 20 } = {}) {
+  const [reviews, own] = await Promise.all([
+    Review.find({ productId, status: REVIEW_STATUS.APPROVED })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean(),
+    userId ? Review.findOne({ productId, userId }).lean() : null,
+  ]);
+  return { reviews, own };
+}
+
+export default {
+  submitReview,
+  moderateReview,
+  deleteReview,
+  recalcProductRating,
+  hasPurchasedProduct,
+  getProductReviews,
+};
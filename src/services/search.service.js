@@ -0,0 +1,392 @@
+// src/services/search.service.js
+// -----------------------------------------------------------------------------
+// Búsqueda del catálogo público.
+//
+// - buildTextFilter(): $text sobre el índice de texto de Product (title, sku,
+//   categoryName, description, techSpecs; ver models/Product.js). El índice es
+//   insensible a mayúsculas y acentos ("cafe" encuentra "Café") y aplica stemming
+//   en español. El orden por relevancia es { score: { $meta: 'textScore' } }.
+// - suggestQuery(): tolerancia a errores de tipeo. Si la búsqueda no trae resultados,
+//   cada término se compara (Levenshtein) contra el vocabulario de títulos y
+//   categorías de productos activos; el controller reintenta con la corrección.
+// - getSearchFacets(): conteos para los filtros del sidebar (categoría, rangos de
+//   precio, en promo, con stock). Cada faceta se cuenta con el resto de los filtros
+//   aplicados, pero no con el propio (así se ven las alternativas).
+// - getSearchSuggestions(): autocompletado del buscador del navbar
+//   (GET /api/search/suggest): productos por prefijo de palabra en el título,
+//   categorías y búsquedas populares recientes. Cacheado en memoria unos segundos.
+// - recordSearchQuery(): listPublic registra las búsquedas con resultados.
+// -----------------------------------------------------------------------------
+
+import Product, { getAvailableStock } from '../models/Product.js';
+import Category from '../models/Category.js';
+import SearchQuery from '../models/SearchQuery.js';
+
+// Rangos de precio del sidebar (límites inferiores, en ARS)
+export const PRICE_BUCKETS = Object.freeze([0, 5000, 10000, 25000, 50000, 100000]);
+
+// Vocabulario para sugerencias: se reconstruye cada VOCABULARY_TTL_MS
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+const VOCABULARY_MAX_PRODUCTS = 5000;
+const MIN_TERM_LENGTH = 3;
+
+let vocabularyCache = { words: null, builtAt: 0 };
+
+// Autocompletado: cuántos resultados de cada tipo y cuánto se cachean
+const SUGGEST_MIN_LENGTH = 2;
+const SUGGEST_MAX_LENGTH = 100;
+const SUGGEST_LIMITS = Object.freeze({ products: 5, categories: 3, queries: 5 });
+const SUGGEST_CACHE_TTL_MS = 60 * 1000;
+const SUGGEST_CACHE_MAX_ENTRIES = 500;
+// "Recientes" para las búsquedas populares
+const POPULAR_QUERIES_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+const suggestCache = new Map();
+
+/**
+ * Minúsculas y sin diacríticos: "Café Tostado" → "cafe tostado".
+ * @param {string} s
+ * @returns {string}
+ */
+export function normalizeText(s) {
+  return String(s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/** Términos de búsqueda (sin signos ni palabras de 1–2 letras) */
+function tokenize(s) {
+  return normalizeText(s)
+    .split(/[^a-z0-9ñ]+/)
+    .filter((t) => t.length >= MIN_TERM_LENGTH);
+}
+
+/**
+ * Filtro $text para la búsqueda (vacío si no hay q).
+ * @param {string} q
+ * @returns {Object}
+ */
+export function buildTextFilter(q) {
+  const search = String(q || '').trim();
+  if (!search) return {};
+  return {
+    $text: { $search: search, $caseSensitive: false, $diacriticSensitive: false },
+  };
+}
+
+/**
+ * Distancia de Levenshtein con corte: devuelve max + 1 si se pasa de max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/** Palabras de títulos y categorías de productos activos (cacheado) */
+async function getVocabulary() {
+  if (vocabularyCache.words && Date.now() - vocabularyCache.builtAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.words;
+  }
+  const docs = await Product.find({ active: true })
+    .select('title categoryName')
+    .limit(VOCABULARY_MAX_PRODUCTS)
+    .lean();
+  const words = new Set();
+  for (const d of docs) {
+    for (const t of tokenize(`${d.title} ${d.categoryName || ''}`)) words.add(t);
+  }
+  vocabularyCache = { words, builtAt: Date.now() };
+  return words;
+}
+
+/**
+ * Corrige errores de tipeo: reemplaza cada término desconocido por la palabra más
+ * parecida del vocabulario (1 edición hasta 5 letras, 2 para palabras más largas).
+ * @param {string} q
+ * @returns {Promise<string|null>} la búsqueda corregida o null si no hay nada mejor
+ */
+export async function suggestQuery(q) {
+  const terms = tokenize(q);
+  if (!terms.length) return null;
+
+  const vocabulary = await getVocabulary();
+  let changed = false;
+  const corrected = terms.map((term) => {
+    if (vocabulary.has(term)) return term;
+    const max = term.length <= 5 ? 1 : 2;
+    let best = null;
+    let bestDistance = max + 1;
+    for (const word of vocabulary) {
+      const d = editDistance(term, word, max);
+      if (d < bestDistance) {
+        best = word;
+        bestDistance = d;
+        if (d === 1) break;
+      }
+    }
+    if (!best) return term;
+    changed = true;
+    return best;
+  });
+
+  return changed ? corrected.join(' ') : null;
+}
+
+/** Disponible = stock - reserved (igual que getAvailableStock) */
+const IN_STOCK_EXPR = {
+  $expr: { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, 0] },
+};
+const ON_PROMO = { promoEnabled: true, promoPct: { $gt: 0 } };
+
+/**
+ * Filtros de facetas (se combinan con el filtro base).
+ * @param {Object} dims
+ * @param {*} [dims.categoryId]
+ * @param {Object} [dims.price] - { $gte, $lte }
+ * @param {boolean} [dims.promo]
+ * @param {boolean} [dims.inStock]
+ * @returns {Object} condiciones Mongo
+ */
+export function buildFacetFilter({ categoryId, price, promo, inStock } = {}) {
+  const filter = {};
+  if (categoryId) filter.categoryId = categoryId;
+  if (price) filter.price = price;
+  if (promo) Object.assign(filter, ON_PROMO);
+  if (inStock) Object.assign(filter, IN_STOCK_EXPR);
+  return filter;
+}
+
+/** dims sin la propia faceta */
+function without(dims, key) {
+  const rest = { ...dims };
+  delete rest[key];
+  return buildFacetFilter(rest);
+}
+
+/**
+ * Conteos para el sidebar.
+ * @param {Object} base - filtro base (active, featured, $text)
+ * @param {Object} dims - filtros de facetas activos (ver buildFacetFilter)
+ * @returns {Promise<{
+ *   categories: Map<string, number>,
+ *   price: Array<{ min: number, max: number|null, count: number }>,
+ *   promo: number,
+ *   inStock: number,
+ * }>}
+ */
+export async function getSearchFacets(base, dims = {}) {
+  const [result] = await Product.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        categories: [
+          { $match: without(dims, 'categoryId') },
+          { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+        ],
+        price: [
+          { $match: without(dims, 'price') },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+              default: 'other',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        promo: [{ $match: { ...without(dims, 'promo'), ...ON_PROMO } }, { $count: 'count' }],
+        inStock: [
+          { $match: { ...without(dims, 'inStock'), ...IN_STOCK_EXPR } },
+          { $count: 'count' },
+        ],
+      },
+    },
+  ]);
+
+  const byBucket = new Map((result?.price || []).map((b) => [b._id, b.count]));
+  return {
+    categories: new Map((result?.categories || []).map((c) => [String(c._id), c.count])),
+    price: PRICE_BUCKETS.map((min, i) => ({
+      min,
+      max: PRICE_BUCKETS[i + 1] ?? null,
+      count: byBucket.get(min) || 0,
+    })),
+    promo: result?.promo?.[0]?.count || 0,
+    inStock: result?.inStock?.[0]?.count || 0,
+  };
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Variantes acentuadas de cada letra (el regex de Mongo no ignora acentos)
+const ACCENT_CLASSES = Object.freeze({
+  a: '[aáàä]',
+  e: '[eéèë]',
+  i: '[iíìï]',
+  o: '[oóòö]',
+  u: '[uúùü]',
+  n: '[nñ]',
+});
+
+/** Prefijo de palabra insensible a acentos: "cafe" → "(^|[\s(/-])c[aáàä]f[eéèë]" */
+function wordPrefixPattern(term) {
+  const body = [...term].map((ch) => ACCENT_CLASSES[ch] || escapeRegex(ch)).join('');
+  return `(^|[\\s(/-])${body}`;
+}
+
+/** Normaliza lo tipeado en el buscador (null si es muy corto o muy largo) */
+function normalizeSuggestQuery(q) {
+  const text = normalizeText(q).replace(/\s+/g, ' ').trim();
+  if (text.length < SUGGEST_MIN_LENGTH || text.length > SUGGEST_MAX_LENGTH) return null;
+  return text;
+}
+
+/** Productos activos cuyo título tiene todas las palabras tipeadas (como prefijo) */
+async function suggestProducts(text) {
+  const words = text.split(/[^a-z0-9]+/).filter(Boolean);
+  if (!words.length) return [];
+
+  const docs = await Product.find({
+    active: true,
+    $or: [
+      { $and: words.map((w) => ({ title: { $regex: wordPrefixPattern(w), $options: 'i' } })) },
+      { sku: { $regex: `^${escapeRegex(text)}`, $options: 'i' } },
+    ],
+  })
+    .select('title price stock reserved promoEnabled promoPct imageUrl')
+    .sort({ featured: -1, ratingCount: -1, createdAt: -1 })
+    .limit(SUGGEST_LIMITS.products)
+    .lean();
+
+  return docs.map((p) => {
+    const onPromo = !!p.promoEnabled && Number(p.promoPct) > 0;
+    return {
+      id: String(p._id),
+      title: p.title,
+      url: `/products/${p._id}`,
+      imageUrl: p.imageUrl || null,
+      price: p.price,
+      promoPrice: onPromo
+        ? Math.round(Number(p.price) * (1 - Number(p.promoPct) / 100) * 100) / 100
+        : null,
+      inStock: getAvailableStock(p) > 0,
+    };
+  });
+}
+
+/** Categorías activas que contienen lo tipeado */
+async function suggestCategories(text) {
+  const docs = await Category.find({
+    active: true,
+    name: { $regex: wordPrefixPattern(text), $options: 'i' },
+  })
+    .select('name slug')
+    .sort({ name: 1 })
+    .limit(SUGGEST_LIMITS.categories)
+    .lean();
+  return docs.map((c) => ({ name: c.name, url: `/?cat=${encodeURIComponent(c.slug)}` }));
+}
+
+/** Búsquedas más repetidas de los últimos días que empiezan con lo tipeado */
+async function suggestPopularQueries(text) {
+  const docs = await SearchQuery.find({
+    term: { $regex: `^${escapeRegex(text)}` },
+    lastSearchedAt: { $gte: new Date(Date.now() - POPULAR_QUERIES_WINDOW_MS) },
+  })
+    .select('display')
+    .sort({ count: -1, lastSearchedAt: -1 })
+    .limit(SUGGEST_LIMITS.queries)
+    .lean();
+  return docs.map((d) => ({ query: d.display, url: `/?q=${encodeURIComponent(d.display)}` }));
+}
+
+/**
+ * Sugerencias del autocompletado. Se cachean SUGGEST_CACHE_TTL_MS por texto normalizado
+ * (el buscador consulta en cada pausa del tipeo).
+ * @param {string} q
+ * @returns {Promise<{
+ *   q: string,
+ *   products: Array<{ id: string, title: string, url: string, imageUrl: string|null,
+ *     price: number, promoPrice: number|null, inStock: boolean }>,
+ *   categories: Array<{ name: string, url: string }>,
+ *   queries: Array<{ query: string, url: string }>,
+ * }>}
+ */
+export async function getSearchSuggestions(q) {
+  const text = normalizeSuggestQuery(q);
+  if (!text) return { q: String(q || '').trim(), products: [], categories: [], queries: [] };
+
+  const cached = suggestCache.get(text);
+  if (cached && cached.expiresAt > Date.now()) return { ...cached.data, q: String(q).trim() };
+
+  const [products, categories, queries] = await Promise.all([
+    suggestProducts(text),
+    suggestCategories(text),
+    suggestPopularQueries(text),
+  ]);
+  const data = { products, categories, queries };
+
+  // Map mantiene el orden de inserción: al llenarse se descarta la entrada más vieja
+  suggestCache.delete(text);
+  if (suggestCache.size >= SUGGEST_CACHE_MAX_ENTRIES) {
+    suggestCache.delete(suggestCache.keys().next().value);
+  }
+  suggestCache.set(text, { data, expiresAt: Date.now() + SUGGEST_CACHE_TTL_MS });
+
+  return { ...data, q: String(q).trim() };
+}
+
+/**
+ * Registra una búsqueda del catálogo (para las populares del autocompletado).
+ * Nunca lanza: un error acá no debe cortar el listado.
+ * @param {string} q
+ * @returns {Promise<void>}
+ */
+export async function recordSearchQuery(q) {
+  const display = String(q || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const term = normalizeSuggestQuery(display);
+  if (!term) return;
+
+  try {
+    await SearchQuery.updateOne(
+      { term },
+      { $inc: { count: 1 }, $set: { display, lastSearchedAt: new Date() } },
+      { upsert: true },
+    );
+  } catch (err) {
+    if (err?.code === 11000) return; // alta concurrente del mismo término
+    console.error('[search] No se pudo registrar la búsqueda:', err?.message || err);
+  }
+}
+
+export default {
+  PRICE_BUCKETS,
+  normalizeText,
+  buildTextFilter,
+  buildFacetFilter,
+  suggestQuery,
+  getSearchFacets,
+  getSearchSuggestions,
+  recordSearchQuery,
+};
@@ -0,0 +1,189 @@
+// src/services/session.service.js
+// -----------------------------------------------------------------------------
+// Registro de las sesiones abiertas de cada usuario (models/UserSession.js) para poder
+// listarlas y cerrarlas desde el servidor.
+//
+// - trackUserSession(userId, sid, meta): login → registra la sesión (IP, user agent)
+// - untrackUserSession(userId, sid): logout → la quita
+// - touchUserSession(req): actividad → lastSeenAt / IP, como mucho cada TOUCH_INTERVAL_MS.
+//   Si la sesión no estaba registrada (ej. abierta antes de este registro) la agrega.
+// - listUserSessions(userId, currentSid): para /account/sessions
+// - endUserSession / endOtherSessions: destruyen la sesión en el store (efecto
+//   inmediato: el próximo request ya llega sin sesión) y borran el registro. Se usan
+//   desde /account/sessions, /admin/users (cerrar todas, desactivar) y el reset de
+//   contraseña.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import UserSession from '../models/UserSession.js';
+import { config } from '../config/env.js';
+
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function expiresFrom(now) {
+  return new Date(now.getTime() + config.sessionTtlMs);
+}
+
+/**
+ * @param {string} userId
+ * @param {string} sid - req.sessionID
+ * @param {Object} [meta]
+ * @param {string} [meta.ip]
+ * @param {string} [meta.userAgent]
+ */
+export async function trackUserSession(userId, sid, { ip = '', userAgent = '' } = {}) {
+  if (!userId || !sid) return;
+  const now = new Date();
+  await UserSession.updateOne(
+    { sid },
+    {
+      $set: {
+        user: userId,
+        ip,
+        userAgent: String(userAgent).slice(0, 300),
+        lastSeenAt: now,
+        expiresAt: expiresFrom(now),
+      },
+      $setOnInsert: { createdAt: now },
+    },
+    { upsert: true, timestamps: false },
+  );
+}
+
+/**
+ * @param {string} userId
+ * @param {string} sid
+ */
+export async function untrackUserSession(userId, sid) {
+  if (!userId || !sid) return;
+  await UserSession.deleteOne({ user: userId, sid });
+}
+
+/**
+ * Actualiza "visto por última vez" de la sesión del request (throttle en la sesión).
+ * @param {import('express').Request} req - con req.userId y req.session
+ */
+export async function touchUserSession(req) {
+  if (!req.userId || !req.session) return;
+  const last = req.session.lastSeenSyncedAt ?? 0;
+  if (Date.now() - last < TOUCH_INTERVAL_MS) return;
+
+  req.session.lastSeenSyncedAt = Date.now();
+  await trackUserSession(req.userId, req.sessionID, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || '',
+  });
+}
+
+/**
+ * Nombre legible del dispositivo ("Chrome en Windows").
+ * @param {string} ua
+ */
+export function describeUserAgent(ua = '') {
+  const browser =
+    (/Edg\//.test(ua) && 'Edge') ||
+    (/OPR\/|Opera/.test(ua) && 'Opera') ||
+    (/Firefox\//.test(ua) && 'Firefox') ||
+    (/Chrome\//.test(ua) && 'Chrome') ||
+    (/Safari\//.test(ua) && 'Safari') ||
+    null;
+  const os =
+    (/Android/.test(ua) && 'Android') ||
+    (/iPhone|iPad|iPod/.test(ua) && 'iOS') ||
+    (/Windows/.test(ua) && 'Windows') ||
+    (/Mac OS X|Macintosh/.test(ua) && 'macOS') ||
+    (/Linux/.test(ua) && 'Linux') ||
+    null;
+  if (!browser && !os) return 'Dispositivo desconocido';
+  if (!os) return browser;
+  return `${browser || 'Navegador'} en ${os}`;
+}
+
+/**
+ * Sesiones vigentes del usuario (la actual primero).
+ * @param {string} userId
+ * @param {string} [currentSid]
+ * @returns {Promise<Array<Object>>} { _id, device, ip, createdAt, lastSeenAt, current }
+ */
+export async function listUserSessions(userId, currentSid = null) {
+  const docs = await UserSession.find({ user: userId, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 })
+    .lean();
+  return docs
+    .map((d) => ({
+      _id: String(d._id),
+      device: describeUserAgent(d.userAgent),
+      userAgent: d.userAgent,
+      ip: d.ip,
+      createdAt: d.createdAt,
+      lastSeenAt: d.lastSeenAt,
+      current: d.sid === currentSid,
+    }))
+    .sort((a, b) => Number(b.current) - Number(a.current));
+}
+
+/**
+ * Cantidad de sesiones vigentes por usuario (para /admin/users).
+ * @param {Array<string>} userIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function countSessionsByUser(userIds) {
+  const rows = await UserSession.aggregate([
+    {
+      $match: {
+        user: { $in: userIds.map((id) => new mongoose.Types.ObjectId(String(id))) },
+        expiresAt: { $gt: new Date() },
+      },
+    },
+    { $group: { _id: '$user', count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.count]));
+}
+
+function destroyInStore(store, sid) {
+  return new Promise((resolve, reject) => {
+    store.destroy(sid, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/** Destruye las sesiones en el store y borra sus registros */
+async function endSessions(store, docs) {
+  await Promise.allSettled(docs.map((d) => destroyInStore(store, d.sid)));
+  await UserSession.deleteMany({ _id: { $in: docs.map((d) => d._id) } });
+  return docs.length;
+}
+
+/**
+ * Cierra una sesión puntual del usuario (por _id del registro, no por sid).
+ * La del request actual se cierra con logout, no por acá (keepSid).
+ *
+ * @param {import('express-session').Store} store - req.sessionStore
+ * @param {string} userId
+ * @param {string} sessionId - _id de UserSession
+ * @param {string|null} [keepSid]
+ * @returns {Promise<boolean>} false si no existe, no es del usuario o es keepSid
+ */
+export async function endUserSession(store, userId, sessionId, keepSid = null) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const filter = { _id: sessionId, user: userId };
+  if (keepSid) filter.sid = { $ne: keepSid };
+  const doc = await UserSession.findOne(filter).select('sid').lean();
+  if (!doc) return false;
+  await endSessions(store, [doc]);
+  return true;
+}
+
+/**
+ * Cierra las sesiones del usuario salvo keepSid (la del request actual, si es suya).
+ *
+ * @param {import('express-session').Store} store - req.sessionStore
+ * @param {string} userId
+ * @param {string|null} [keepSid]
+ * @returns {Promise<number>} cantidad de sesiones cerradas
+ */
+export async function endOtherSessions(store, userId, keepSid = null) {
+  const filter = { user: userId };
+  if (keepSid) filter.sid = { $ne: keepSid };
+  const docs = await UserSession.find(filter).select('sid').lean();
+  return endSessions(store, docs);
+}
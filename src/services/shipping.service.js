@@ -0,0 +1,255 @@
+// src/services/shipping.service.js
+// -----------------------------------------------------------------------------
+// Cotización de envíos a partir de las reglas administrables (models/ShippingRule.js).
+//
+// - quoteShipping({ cart, address }): opciones disponibles (una por método) para el
+//   carrito y la dirección elegida. Sin dirección solo se cotizan los puntos de retiro.
+// - resolveShippingOption({ cart, address, methodCode }): la opción elegida en el
+//   checkout, recotizada en el servidor (lanza ShippingError si ya no aplica).
+// - toOrderShipping(option, address): snapshot que se congela en Order.shipping.
+//
+// Sin reglas activas se usan DEFAULT_SHIPPING_RULES (retiro sin costo / envío $2.000),
+// así una instalación nueva sigue funcionando como antes.
+// -----------------------------------------------------------------------------
+
+import ShippingRule, {
+  SHIPPING_KINDS,
+  RATE_BASIS,
+  normalizeProvince,
+} from '../models/ShippingRule.js';
+
+/**
+ * Error de dominio: método de envío inexistente o no disponible para la dirección.
+ */
+export class ShippingError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - ADDRESS_REQUIRED | METHOD_UNAVAILABLE
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'ShippingError';
+    this.code = code;
+    this.status = 409;
+  }
+}
+
+// Reglas implícitas cuando el admin todavía no cargó ninguna
+export const DEFAULT_SHIPPING_RULES = Object.freeze([
+  {
+    _id: null,
+    methodCode: 'pickup',
+    methodName: 'Retiro en local',
+    kind: SHIPPING_KINDS.PICKUP,
+    pickupAddress: 'Sucursal principal',
+    eta: '',
+    provinces: [],
+    zipRanges: [],
+    basis: RATE_BASIS.FLAT,
+    baseFee: 0,
+    tiers: [],
+    freeFrom: null,
+    priority: 0,
+  },
+  {
+    _id: null,
+    methodCode: 'delivery',
+    methodName: 'Envío a domicilio',
+    kind: SHIPPING_KINDS.DELIVERY,
+    pickupAddress: '',
+    eta: '',
+    provinces: [],
+    zipRanges: [],
+    basis: RATE_BASIS.FLAT,
+    baseFee: 2000,
+    tiers: [],
+    freeFrom: null,
+    priority: 0,
+  },
+]);
+
+/** CP numérico: "4000" → 4000; CPA "T4000ABC" → 4000; inválido → null. */
+export function parseZip(zip) {
+  const match = String(zip || '').match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Métricas del carrito que usan las tarifas.
+ * @param {Object} cart - req.session.cart
+ * @returns {{ units: number, weightKg: number, total: number }}
+ */
+export function cartShippingMetrics(cart) {
+  let units = 0;
+  let grams = 0;
+  for (const it of cart?.items || []) {
+    const qty = Number(it.qty) || 0;
+    units += qty;
+    grams += Math.round((Number(it.weightKg) || 0) * 1000) * qty;
+  }
+  return { units, weightKg: grams / 1000, total: Number(cart?.total) || 0 };
+}
+
+/** ¿La regla cubre la dirección? Los puntos de retiro no dependen de ella. */
+function matchesZone(rule, address) {
+  if (rule.kind === SHIPPING_KINDS.PICKUP) return true;
+  if (!address) return false;
+
+  if (rule.provinces?.length && !rule.provinces.includes(normalizeProvince(address.state))) {
+    return false;
+  }
+  if (rule.zipRanges?.length) {
+    const zip = parseZip(address.zip);
+    if (zip == null || !rule.zipRanges.some((r) => zip >= r.from && zip <= r.to)) return false;
+  }
+  return true;
+}
+
+/** Reglas por CP son más específicas que por provincia, y estas que las nacionales. */
+function specificity(rule) {
+  return (rule.zipRanges?.length ? 2 : 0) + (rule.provinces?.length ? 1 : 0);
+}
+
+/**
+ * Tarifa de lista de la regla para el carrito.
+ * @returns {number|null} null si el carrito excede el último tramo
+ */
+function computeRuleFee(rule, metrics) {
+  let fee = Number(rule.baseFee) || 0;
+  if (rule.basis !== RATE_BASIS.FLAT) {
+    const measure = rule.basis === RATE_BASIS.WEIGHT ? metrics.weightKg : metrics.units;
+    const tier = [...(rule.tiers || [])]
+      .sort((a, b) => a.upTo - b.upTo)
+      .find((t) => measure <= t.upTo);
+    if (!tier) return null;
+    fee += Number(tier.fee) || 0;
+  }
+  return Number(fee.toFixed(2));
+}
+
+/** ¿`a` le gana a `b` para el mismo método? prioridad → especificidad → menor tarifa */
+function isBetterMatch(a, b) {
+  const pa = Number(a.rule.priority) || 0;
+  const pb = Number(b.rule.priority) || 0;
+  if (pa !== pb) return pa > pb;
+  const sa = specificity(a.rule);
+  const sb = specificity(b.rule);
+  if (sa !== sb) return sa > sb;
+  return a.fee < b.fee;
+}
+
+async function loadActiveRules() {
+  const rules = await ShippingRule.find({ active: true }).lean();
+  return rules.length ? rules : DEFAULT_SHIPPING_RULES;
+}
+
+function quoteWithRules(rules, { cart, address }) {
+  const metrics = cartShippingMetrics(cart);
+  const freeByCoupon = !!(cart?.coupon?.applicable && cart.coupon.freeShipping);
+
+  const best = new Map(); // methodCode → { rule, fee }
+  for (const rule of rules) {
+    if (!matchesZone(rule, address)) continue;
+    const fee = computeRuleFee(rule, metrics);
+    if (fee == null) continue;
+    const candidate = { rule, fee };
+    const prev = best.get(rule.methodCode);
+    if (!prev || isBetterMatch(candidate, prev)) best.set(rule.methodCode, candidate);
+  }
+
+  return [...best.values()]
+    .map(({ rule, fee }) => {
+      let freeReason = null;
+      if (fee > 0 && freeByCoupon) freeReason = 'coupon';
+      else if (fee > 0 && rule.freeFrom != null && metrics.total >= rule.freeFrom) {
+        freeReason = 'threshold';
+      }
+      return {
+        code: rule.methodCode,
+        name: rule.methodName,
+        kind: rule.kind,
+        eta: rule.eta || '',
+        pickupAddress: rule.kind === SHIPPING_KINDS.PICKUP ? rule.pickupAddress || '' : '',
+        ruleId: rule._id ? String(rule._id) : null,
+        listFee: fee,
+        fee: freeReason ? 0 : fee,
+        freeReason,
+      };
+    })
+    .sort((a, b) => a.fee - b.fee || a.name.localeCompare(b.name));
+}
+
+/**
+ * Opciones de envío para el carrito y la dirección (una por método, de menor a mayor).
+ *
+ * @param {Object} params
+ * @param {Object} params.cart - req.session.cart
+ * @param {Object|null} [params.address] - subdocumento de User.addresses ({ state, zip, ... })
+ * @returns {Promise<Array<{code:string, name:string, kind:string, eta:string,
+ *   pickupAddress:string, ruleId:string|null, listFee:number, fee:number,
+ *   freeReason:'coupon'|'threshold'|null}>>}
+ */
+export async function quoteShipping({ cart, address = null }) {
+  const rules = await loadActiveRules();
+  return quoteWithRules(rules, { cart, address });
+}
+
+/**
+ * Recotiza y devuelve la opción elegida en el checkout.
+ *
+ * @param {Object} params
+ * @param {Object} params.cart
+ * @param {Object|null} params.address
+ * @param {string} params.methodCode
+ * @throws {ShippingError}
+ */
+export async function resolveShippingOption({ cart, address = null, methodCode }) {
+  const code = String(methodCode || '')
+    .trim()
+    .toLowerCase();
+  const rules = await loadActiveRules();
+  const option = quoteWithRules(rules, { cart, address }).find((o) => o.code === code);
+  if (option) return option;
+
+  const isDelivery = rules.some((r) => r.methodCode === code && r.kind === SHIPPING_KINDS.DELIVERY);
+  if (isDelivery && !address) {
+    throw new ShippingError('Elegí una dirección de entrega para ese envío.', 'ADDRESS_REQUIRED');
+  }
+  throw new ShippingError(
+    'El método de envío elegido no está disponible para tu dirección o tu carrito.',
+    'METHOD_UNAVAILABLE',
+  );
+}
+
+/**
+ * Snapshot del envío cotizado para congelar en la orden.
+ * @param {Object} option - resultado de resolveShippingOption
+ * @param {Object|null} address
+ */
+export function toOrderShipping(option, address = null) {
+  return {
+    code: option.code,
+    name: option.name,
+    kind: option.kind,
+    eta: option.eta,
+    pickupAddress: option.pickupAddress,
+    ruleId: option.ruleId,
+    listFee: option.listFee,
+    fee: option.fee,
+    freeReason: option.freeReason,
+    address:
+      option.kind === SHIPPING_KINDS.DELIVERY && address
+        ? {
+            label: address.label || '',
+            line1: address.line1 || '',
+            line2: address.line2 || '',
+            city: address.city || '',
+            state: address.state || '',
+            zip: address.zip || '',
+          }
+        : null,
+    quotedAt: new Date(),
+  };
+}
+
+export default { quoteShipping, resolveShippingOption, toOrderShipping };
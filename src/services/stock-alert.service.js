@@ -0,0 +1,241 @@
+// src/services/stock-alert.service.js
+// -----------------------------------------------------------------------------
+// Avisos de reposición ("Avisame cuando haya stock").
+//
+// - subscribeToStockAlert(): alta desde el detalle de un producto agotado; encola un
+//   email de confirmación con el link de baja. Rate limit por IP y por email
+//   (models/RateLimit.js, config.notifications.stockAlert*): cuenta todos los intentos,
+//   para que el formulario no sirva para mandar emails a terceros en masa.
+// - notifyBackInStock(): lo llama updateProduct cuando el stock disponible pasa de 0
+//   a más de 0. Encola un email por suscripción pendiente (dedupeKey por suscripción)
+//   y la marca "notified": cada suscripción se dispara una sola vez.
+// - findStockAlertByToken() / unsubscribeStockAlert(): baja con el token del link del
+//   email (GET muestra la confirmación, POST la aplica).
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+import StockSubscription, { STOCK_SUBSCRIPTION_STATUS } from '../models/StockSubscription.js';
+import Product, { getAvailableStock } from '../models/Product.js';
+import RateLimit from '../models/RateLimit.js';
+import { config } from '../config/env.js';
+import { enqueueEmail } from './notification.service.js';
+
+/**
+ * Error de dominio de avisos de stock.
+ */
+export class StockAlertError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - PRODUCT_NOT_FOUND | IN_STOCK | RATE_LIMITED
+   * @param {number} [status=400]
+   * @param {number} [retryAfter] - segundos (solo RATE_LIMITED)
+   */
+  constructor(message, code, status = 400, retryAfter = 0) {
+    super(message);
+    this.name = 'StockAlertError';
+    this.code = code;
+    this.status = status;
+    if (retryAfter) this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Suma el intento en los limitadores de IP y email; corta si alguno pasó el tope.
+ * @param {Object} ctx
+ * @param {string} ctx.ip
+ * @param {string} ctx.email - normalizado (vacío: solo cuenta la IP)
+ * @param {Date} ctx.now
+ * @throws {StockAlertError} RATE_LIMITED (429)
+ */
+async function assertSubscribeAllowed({ ip, email, now }) {
+  const { stockAlertWindowMs, stockAlertMaxPerIp, stockAlertMaxPerEmail } = config.notifications;
+  const [byIp, byEmail] = await Promise.all([
+    RateLimit.hit(`stock-alert:ip:${ip || 'unknown'}`, stockAlertWindowMs, now),
+    email ? RateLimit.hit(`stock-alert:email:${email}`, stockAlertWindowMs, now) : null,
+  ]);
+  const blocked = [
+    byIp.count > stockAlertMaxPerIp ? byIp.resetAt : null,
+    byEmail && byEmail.count > stockAlertMaxPerEmail ? byEmail.resetAt : null,
+  ].filter(Boolean);
+  if (!blocked.length) return;
+
+  const until = Math.max(...blocked.map(Number));
+  const seconds = Math.max(1, Math.ceil((until - now) / 1000));
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutos` : `${seconds} segundos`;
+  throw new StockAlertError(
+    `Demasiados pedidos de aviso. Esperá ${wait} e intentá de nuevo.`,
+    'RATE_LIMITED',
+    429,
+    seconds,
+  );
+}
+
+/** Link de baja incluido en el email */
+export function unsubscribeUrl(token) {
+  return `${config.baseUrl}/stock-alerts/unsubscribe/${token}`;
+}
+
+/**
+ * Suscribe un email al aviso de reposición de un producto agotado.
+ * Si ya había una suscripción pendiente para ese email, se reutiliza.
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {string} params.email
+ * @param {string} [params.userId]
+ * @param {string} [params.ip] - para el rate limit
+ * @param {Date} [params.now]
+ * @returns {Promise<{ created: boolean }>}
+ * @throws {StockAlertError|mongoose.Error.ValidationError}
+ */
+export async function subscribeToStockAlert({
+  productId,
+  email,
+  userId = null,
+  ip = '',
+  now = new Date(),
+}) {
+  const normalized = String(email || '')
+    .trim()
+    .toLowerCase();
+  await assertSubscribeAllowed({ ip, email: normalized, now });
+
+  const product = await Product.findOne({ _id: productId, active: true })
+    .select('title stock reserved')
+    .lean();
+  if (!product) {
+    throw new StockAlertError('El producto no está disponible.', 'PRODUCT_NOT_FOUND', 404);
+  }
+  if (getAvailableStock(product) > 0) {
+    throw new StockAlertError('El producto ya tiene stock.', 'IN_STOCK', 409);
+  }
+
+  const existing = await StockSubscription.exists({
+    productId,
+    email: normalized,
+    status: STOCK_SUBSCRIPTION_STATUS.PENDING,
+  });
+  if (existing) return { created: false };
+
+  let sub;
+  try {
+    sub = await StockSubscription.create({
+      productId,
+      email: normalized,
+      userId,
+      token: crypto.randomBytes(24).toString('hex'),
+    });
+  } catch (err) {
+    if (err?.code === 11000) return { created: false }; // doble submit
+    throw err;
+  }
+
+  await enqueueEmail({
+    to: sub.email,
+    subject: `Te avisamos cuando haya stock de ${product.title}`,
+    template: 'stock-alert-subscribed',
+    data: {
+      product: { title: product.title, url: `${config.baseUrl}/products/${product._id}` },
+      links: { shop: config.baseUrl, unsubscribe: unsubscribeUrl(sub.token) },
+    },
+    dedupeKey: `stock-alert:${sub._id}:subscribed`,
+  });
+  return { created: true };
+}
+
+/**
+ * ¿Hay una suscripción pendiente para este producto y email?
+ * @param {string} productId
+ * @param {string} [email]
+ * @returns {Promise<boolean>}
+ */
+export async function hasPendingStockAlert(productId, email) {
+  if (!email) return false;
+  const found = await StockSubscription.exists({
+    productId,
+    email: String(email).toLowerCase(),
+    status: STOCK_SUBSCRIPTION_STATUS.PENDING,
+  });
+  return !!found;
+}
+
+/**
+ * Avisa a los suscriptores pendientes de un producto que volvió a tener stock.
+ * Nunca lanza (loguea y devuelve 0): no debe cortar el guardado del producto.
+ * @param {Object} product - documento o lean (se usan _id, title, active y stock)
+ * @returns {Promise<number>} cantidad de suscripciones avisadas
+ */
+export async function notifyBackInStock(product) {
+  if (!product?.active || getAvailableStock(product) <= 0) return 0;
+
+  try {
+    const subs = await StockSubscription.find({
+      productId: product._id,
+      status: STOCK_SUBSCRIPTION_STATUS.PENDING,
+    })
+      .select('email')
+      .lean();
+
+    let notified = 0;
+    for (const sub of subs) {
+      await enqueueEmail({
+        to: sub.email,
+        subject: `¡Volvió a haber stock! ${product.title}`,
+        template: 'back-in-stock',
+        data: {
+          product: { title: product.title, url: `${config.baseUrl}/products/${product._id}` },
+          links: { shop: config.baseUrl },
+        },
+        dedupeKey: `stock-alert:${sub._id}:notified`,
+      });
+      const res = await StockSubscription.updateOne(
+        { _id: sub._id, status: STOCK_SUBSCRIPTION_STATUS.PENDING },
+        { $set: { status: STOCK_SUBSCRIPTION_STATUS.NOTIFIED, notifiedAt: new Date() } },
+      );
+      if (res.modifiedCount) notified += 1;
+    }
+    return notified;
+  } catch (err) {
+    console.error(
+      '[stock-alerts] No se pudieron encolar los avisos de',
+      String(product._id),
+      err?.message || err,
+    );
+    return 0;
+  }
+}
+
+/**
+ * Suscripción del link de baja (con el título del producto), sin modificarla.
+ * @param {string} token
+ * @returns {Promise<Object|null>} null si el token no existe
+ */
+export async function findStockAlertByToken(token) {
+  if (!/^[a-f0-9]{48}$/.test(String(token || ''))) return null;
+  return StockSubscription.findOne({ token }).populate('productId', 'title').lean();
+}
+
+/**
+ * Da de baja una suscripción pendiente con el token del email.
+ * @param {string} token
+ * @returns {Promise<Object|null>} la suscripción previa a la baja o null si el token no existe
+ */
+export async function unsubscribeStockAlert(token) {
+  const sub = await findStockAlertByToken(token);
+  if (sub?.status === STOCK_SUBSCRIPTION_STATUS.PENDING) {
+    await StockSubscription.updateOne(
+      { _id: sub._id, status: STOCK_SUBSCRIPTION_STATUS.PENDING },
+      {
+        $set: { status: STOCK_SUBSCRIPTION_STATUS.UNSUBSCRIBED, unsubscribedAt: new Date() },
+      },
+    );
+  }
+  return sub;
+}
+
+export default {
+  subscribeToStockAlert,
+  hasPendingStockAlert,
+  notifyBackInStock,
+  findStockAlertByToken,
+  unsubscribeStockAlert,
+};
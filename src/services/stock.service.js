@@ -0,0 +1,411 @@
+// src/services/stock.service.js
+// -----------------------------------------------------------------------------
+// Reserva y descuento de stock para el checkout (updates condicionales, sin transacciones).
+//
+// Ciclo de vida (Order.stockReservation.status):
+//   none ──reserveOrderStock──▶ reserved ──commitOrderStock──▶ committed ──restockOrderStock──▶ restocked
+//                                  │
+//                                  └──releaseOrderStock──▶ released
+//
+// - reserveOrderStock(order): al iniciar el pago (POST /checkout). Retiene las unidades
+//   en Product.reserved hasta order.expiresAt.
+// - commitOrderStock(orderId): pago acreditado (paid) → descuenta Product.stock (y libera la retención).
+// - releaseOrderStock(orderId, reason): rechazo / cancelación / expiración / abandono → devuelve
+//   las unidades.
+// - restockOrderStock(orderId, reason): cancelación o reembolso de una orden ya pagada →
+//   repone Product.stock. Solo si la orden nunca pasó por shipped/delivered: si la
+//   mercadería salió, la reposición es manual (al recibir la devolución, desde el panel).
+// - syncStockWithStatus(orderId, status): atajo que elige commit/release según el estado.
+//
+// Garantías:
+// - Reservar usa updateOne con filtro "stock - reserved >= qty" ($expr): dos compradores
+//   no pueden retener la misma última unidad.
+// - Variantes: la línea se identifica por productId + variantId; se controla el disponible
+//   de la variante y se mueven a la vez sus contadores y los del producto (que son la suma).
+// - Cada transición se "reclama" primero sobre la Order con un update condicional por
+//   estado; así commit/release son idempotentes ante webhooks o clicks duplicados.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+/**
+ * Error de dominio: no hay stock suficiente para reservar la orden.
+ */
+export class StockError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - ej. "INSUFFICIENT_STOCK"
+   * @param {Object} [details]
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'StockError';
+    this.code = code;
+    this.status = 409;
+    this.details = details;
+  }
+}
+
+// Estados de Order que devuelven la reserva
+const RELEASE_STATUSES = new Set(['rejected', 'cancelled', 'expired', 'abandoned']);
+// Estados de Order que reponen el stock ya descontado (orden pagada)
+const RESTOCK_STATUSES = new Set(['cancelled', 'refunded']);
+// Estados en los que la mercadería ya salió: de ahí en más no se repone solo
+const SHIPPED_STATUSES = ['shipped', 'delivered'];
+
+/**
+ * Clave de stock de una línea: "productId" o "productId:variantId".
+ * @param {any} productId
+ * @param {any} [variantId]
+ */
+export function stockKey(productId, variantId = null) {
+  return variantId ? `${productId}:${variantId}` : String(productId);
+}
+
+/**
+ * Agrupa los ítems de la orden por producto/variante (qty total por clave).
+ * @param {Array<{productId:any, variantId?:any, qty:number, title?:string}>} items
+ * @returns {Array<{key:string, productId:string, variantId:string|null, qty:number, title:string}>}
+ */
+function groupItems(items = []) {
+  const map = new Map();
+  for (const it of items) {
+    const productId = String(it.productId);
+    const variantId = it.variantId ? String(it.variantId) : null;
+    const key = stockKey(productId, variantId);
+    const qty = Math.max(Math.trunc(Number(it.qty) || 0), 0);
+    if (!qty) continue;
+    const prev = map.get(key);
+    if (prev) prev.qty += qty;
+    else map.set(key, { key, productId, variantId, qty, title: it.title || 'Producto' });
+  }
+  return [...map.values()];
+}
+
+/** Campo `field` (stock | reserved) de la variante dentro de $expr. */
+function variantFieldExpr(variantId, field) {
+  const vid = new mongoose.Types.ObjectId(variantId);
+  return {
+    $let: {
+      vars: {
+        v: {
+          $arrayElemAt: [
+            { $filter: { input: '$variants', cond: { $eq: ['$$this._id', vid] } } },
+            0,
+          ],
+        },
+      },
+      in: { $ifNull: [`$$v.${field}`, 0] },
+    },
+  };
+}
+
+/** Filtro + opciones de update para tocar la variante de una línea (si tiene). */
+function variantTarget(line) {
+  if (!line.variantId) return { filter: {}, options: {} };
+  const vid = new mongoose.Types.ObjectId(line.variantId);
+  return {
+    filter: { 'variants._id': vid },
+    options: { arrayFilters: [{ 'v._id': vid }] },
+  };
+}
+
+/** $inc sobre el producto y, si la línea tiene variante, también sobre ella. */
+function incFor(line, deltas) {
+  const inc = { ...deltas };
+  if (line.variantId) {
+    for (const [field, value] of Object.entries(deltas)) inc[`variants.$[v].${field}`] = value;
+  }
+  return inc;
+}
+
+/** Resta `qty` de reserved (producto y variante) sin bajar de 0 (update con pipeline). */
+function decrementReserved(line) {
+  const minus = (expr) => ({ $max: [{ $subtract: [{ $ifNull: [expr, 0] }, line.qty] }, 0] });
+  const set = { reserved: minus('$reserved') };
+  if (line.variantId) {
+    const vid = new mongoose.Types.ObjectId(line.variantId);
+    set.variants = {
+      $map: {
+        input: '$variants',
+        as: 'v',
+        in: {
+          $cond: [
+            { $eq: ['$$v._id', vid] },
+            { $mergeObjects: ['$$v', { reserved: minus('$$v.reserved') }] },
+            '$$v',
+          ],
+        },
+      },
+    };
+  }
+  return Product.updateOne({ _id: line.productId }, [{ $set: set }]);
+}
+
+/**
+ * Reserva el stock de todos los ítems de una orden "created".
+ * Si algún producto no alcanza, deshace lo reservado y lanza StockError (409).
+ * Idempotente: si la orden ya tiene la reserva activa, no vuelve a reservar.
+ *
+ * @param {Object} order - documento Order (necesita _id, items, expiresAt)
+ * @returns {Promise<Object>} la orden actualizada
+ * @throws {StockError}
+ */
+export async function reserveOrderStock(order) {
+  const now = new Date();
+
+  // 1) Reclamar la transición none|released → reserved sobre la orden
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: 'created',
+      'stockReservation.status': { $in: ['none', 'released', null] },
+    },
+    {
+      $set: {
+        'stockReservation.status': 'reserved',
+        'stockReservation.reservedAt': now,
+        'stockReservation.expiresAt': order.expiresAt || null,
+        'stockReservation.releasedAt': null,
+        'stockReservation.releaseReason': null,
+      },
+    },
+    { new: true },
+  );
+
+  // Ya reservada (doble click / reintento con el mismo carrito): nada que hacer
+  if (!claimed) return Order.findById(order._id);
+
+  // 2) Retener cada producto con un update condicional por disponibilidad
+  const lines = groupItems(claimed.items);
+  const done = [];
+  let failed = null;
+
+  for (const line of lines) {
+    const target = variantTarget(line);
+    const available = line.variantId
+      ? {
+          $subtract: [
+            variantFieldExpr(line.variantId, 'stock'),
+            variantFieldExpr(line.variantId, 'reserved'),
+          ],
+        }
+      : { $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] };
+    const result = await Product.updateOne(
+      {
+        _id: line.productId,
+        active: true,
+        ...target.filter,
+        $expr: { $gte: [available, line.qty] },
+      },
+      { $inc: incFor(line, { reserved: line.qty }) },
+      target.options,
+    );
+    if (result.modifiedCount !== 1) {
+      failed = line;
+      break;
+    }
+    done.push(line);
+  }
+
+  if (!failed) return claimed;
+
+  // 3) Compensar: devolver lo reservado y dejar la orden sin reserva
+  await Promise.all(done.map((l) => decrementReserved(l)));
+  await Order.updateOne(
+    { _id: claimed._id, 'stockReservation.status': 'reserved' },
+    {
+      $set: {
+        'stockReservation.status': 'released',
+        'stockReservation.releasedAt': new Date(),
+        'stockReservation.releaseReason': 'insufficient_stock',
+      },
+    },
+  );
+
+  throw new StockError(
+    `No hay stock suficiente de "${failed.title}". Revisá tu carrito.`,
+    'INSUFFICIENT_STOCK',
+    { productId: failed.productId, variantId: failed.variantId, qty: failed.qty },
+  );
+}
+
+/**
+ * Confirma el descuento de stock de una orden aprobada.
+ * - Si tenía reserva activa: stock -= qty y reserved -= qty.
+ * - Si la reserva ya se había liberado (pago tardío): descuenta solo si hay stock;
+ *   lo que no alcance queda registrado en stockReservation.shortfall.
+ * Idempotente: una orden "committed" no se vuelve a descontar.
+ *
+ * @param {string|Object} orderId
+ * @returns {Promise<Object|null>} la orden (antes del commit) o null si ya estaba confirmada
+ */
+export async function commitOrderStock(orderId) {
+  const previous = await Order.findOneAndUpdate(
+    { _id: orderId, 'stockReservation.status': { $ne: 'committed' } },
+    {
+      $set: {
+        'stockReservation.status': 'committed',
+        'stockReservation.committedAt': new Date(),
+      },
+    },
+    { new: false },
+  );
+  if (!previous) return null;
+
+  const wasReserved = previous.stockReservation?.status === 'reserved';
+  const shortfall = [];
+
+  for (const line of groupItems(previous.items)) {
+    const target = variantTarget(line);
+    if (wasReserved) {
+      await Product.updateOne(
+        { _id: line.productId, ...target.filter },
+        { $inc: incFor(line, { stock: -line.qty, reserved: -line.qty }) },
+        target.options,
+      );
+      continue;
+    }
+    const stockCheck = line.variantId
+      ? { $expr: { $gte: [variantFieldExpr(line.variantId, 'stock'), line.qty] } }
+      : { stock: { $gte: line.qty } };
+    const result = await Product.updateOne(
+      { _id: line.productId, ...target.filter, ...stockCheck },
+      { $inc: incFor(line, { stock: -line.qty }) },
+      target.options,
+    );
+    if (result.modifiedCount !== 1) {
+      shortfall.push({ productId: line.productId, variantId: line.variantId, qty: line.qty });
+    }
+  }
+
+  if (shortfall.length) {
+    console.warn(
+      '[stock.service] orden aprobada sin stock suficiente:',
+      String(orderId),
+      shortfall,
+    );
+    await Order.updateOne({ _id: orderId }, { $set: { 'stockReservation.shortfall': shortfall } });
+  }
+
+  return previous;
+}
+
+/**
+ * Libera la reserva activa de una orden (rechazo, expiración o abandono).
+ * Idempotente: solo actúa si la reserva sigue en "reserved".
+ *
+ * @param {string|Object} orderId
+ * @param {string} reason - rejected | expired | abandoned | ...
+ * @returns {Promise<Object|null>} la orden actualizada o null si no había reserva activa
+ */
+export async function releaseOrderStock(orderId, reason) {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, 'stockReservation.status': 'reserved' },
+    {
+      $set: {
+        'stockReservation.status': 'released',
+        'stockReservation.releasedAt': new Date(),
+        'stockReservation.releaseReason': reason || null,
+      },
+    },
+    { new: true },
+  );
+  if (!order) return null;
+
+  await Promise.all(groupItems(order.items).map((l) => decrementReserved(l)));
+  return order;
+}
+
+/**
+ * Repone el stock descontado de una orden pagada (cancelación o reembolso antes del
+ * envío). Reclama committed → restocked con un update condicional (idempotente) y
+ * excluye las órdenes con shipped/delivered en su historial. Las unidades del shortfall
+ * (que nunca se descontaron) no se reponen.
+ *
+ * @param {string|Object} orderId
+ * @param {string} reason - cancelled | refunded
+ * @returns {Promise<Object|null>} la orden actualizada o null si no correspondía reponer
+ */
+export async function restockOrderStock(orderId, reason) {
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      'stockReservation.status': 'committed',
+      'statusHistory.to': { $nin: SHIPPED_STATUSES },
+    },
+    {
+      $set: {
+        'stockReservation.status': 'restocked',
+        'stockReservation.restockedAt': new Date(),
+        'stockReservation.releaseReason': reason || null,
+      },
+    },
+    { new: true },
+  );
+  if (!order) return null;
+
+  const missing = new Map(groupItems(order.stockReservation?.shortfall).map((l) => [l.key, l.qty]));
+  for (const line of groupItems(order.items)) {
+    const qty = line.qty - (missing.get(line.key) || 0);
+    if (qty <= 0) continue;
+    const target = variantTarget(line);
+    await Product.updateOne(
+      { _id: line.productId, ...target.filter },
+      { $inc: incFor(line, { stock: qty }) },
+      target.options,
+    );
+  }
+  return order;
+}
+
+/**
+ * Aplica el efecto de stock correspondiente a un nuevo estado de la orden.
+ * paid (o approved, legado) → commit; rejected/cancelled/expired/abandoned → release;
+ * cancelled/refunded de una orden ya pagada → restock; otros → nada.
+ *
+ * @param {string|Object} orderId
+ * @param {string} status
+ */
+export async function syncStockWithStatus(orderId, status) {
+  if (status === 'paid' || status === 'approved') return commitOrderStock(orderId);
+  const released = RELEASE_STATUSES.has(status) ? await releaseOrderStock(orderId, status) : null;
+  if (released) return released;
+  // Sin reserva activa: si ya se había descontado (paid → cancelled/refunded), reponer
+  if (RESTOCK_STATUSES.has(status)) return restockOrderStock(orderId, status);
+  return null;
+}
+
+/**
+ * Unidades que el propio usuario tiene retenidas en su orden "created".
+ * Sirve para no recortarle el carrito por su propia reserva (si vuelve desde MP sin pagar).
+ *
+ * @param {string} userId
+ * @returns {Promise<Map<string, number>>} stockKey (producto o producto:variante) → qty retenida
+ */
+export async function getHeldQtyByUser(userId) {
+  const held = new Map();
+  if (!userId) return held;
+
+  const open = await Order.findOne({
+    userId,
+    status: 'created',
+    'stockReservation.status': 'reserved',
+  })
+    .select('items')
+    .lean();
+
+  for (const line of groupItems(open?.items)) held.set(line.key, line.qty);
+  return held;
+}
+
+export default {
+  reserveOrderStock,
+  commitOrderStock,
+  releaseOrderStock,
+  restockOrderStock,
+  syncStockWithStatus,
+  getHeldQtyByUser,
+};
@@ -0,0 +1,269 @@
+// src/services/two-factor.service.js
+// -----------------------------------------------------------------------------
+// Autenticación en dos pasos (TOTP) de las cuentas.
+//
+// - startEnrollment(userId): genera un secreto pendiente y devuelve el QR
+//   (otpauth://) para la app autenticadora. No activa nada todavía.
+// - confirmEnrollment(userId, code): con un código válido del secreto pendiente
+//   activa el 2FA y devuelve los códigos de recuperación (se muestran una sola vez).
+// - verifySecondFactor(userId, code): segundo paso del login (/login/2fa). Acepta un
+//   código TOTP (no se puede reusar el mismo paso) o un código de recuperación (se
+//   consume).
+// - regenerateRecoveryCodes / disableTwoFactor: desde /account/security. Admin y staff
+//   no pueden desactivarlo (requiresTwoFactor en models/User.js).
+//
+// Los secretos se guardan cifrados (AES-256-GCM, clave config.auth.twoFactorKey o
+// derivada de SESSION_SECRET) y los códigos de recuperación como SHA-256.
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { User, requiresTwoFactor } from '../models/index.js';
+import { config } from '../config/env.js';
+import { hashToken } from '../utils/tokens.js';
+import { generateTotpSecret, verifyTotp, otpauthUri } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Error de dominio del 2FA.
+ */
+export class TwoFactorError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - USER_NOT_FOUND | ALREADY_ENABLED | NOT_ENABLED | NOT_PENDING |
+   *   INVALID_CODE | INVALID_PASSWORD | REQUIRED_FOR_STAFF
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.code = code;
+    this.status = code === 'USER_NOT_FOUND' ? 404 : 400;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Cifrado del secreto
+// ─────────────────────────────────────────────────────────────────────────────
+
+function encryptionKey() {
+  const material = config.auth.twoFactorKey || `two-factor:${config.sessionSecret}`;
+  return crypto.createHash('sha256').update(material).digest();
+}
+
+function sealSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString('base64url')).join('.');
+}
+
+function openSecret(sealed) {
+  const [iv, tag, data] = String(sealed || '')
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Códigos de recuperación ("a1b2c-3d4e5")
+// ─────────────────────────────────────────────────────────────────────────────
+
+function normalizeRecoveryCode(code) {
+  return String(code || '')
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, '');
+}
+
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((c) => hashToken(normalizeRecoveryCode(c))) };
+}
+
+async function loadUser(userId) {
+  const user = await User.findById(userId).select('email role twoFactorEnabled +twoFactor');
+  if (!user) throw new TwoFactorError('Usuario no encontrado.', 'USER_NOT_FOUND');
+  return user;
+}
+
+async function enrollmentDetails(secret, email) {
+  const uri = otpauthUri({ secret, account: email, issuer: config.auth.twoFactorIssuer });
+  const qrDataUrl = await QRCode.toDataURL(uri, { margin: 1, width: 220 });
+  return { secret, uri, qrDataUrl };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// API del servicio
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Estado para /account/security.
+ * @param {string} userId
+ * @returns {Promise<{ enabled: boolean, required: boolean, enabledAt: Date|null,
+ *   recoveryCodesLeft: number, enrollment: Object|null }>}
+ */
+export async function getTwoFactorStatus(userId) {
+  const user = await loadUser(userId);
+  const tf = user.twoFactor || {};
+  const pending = !user.twoFactorEnabled && tf.pendingSecret;
+  return {
+    enabled: Boolean(user.twoFactorEnabled),
+    required: requiresTwoFactor(user),
+    enabledAt: tf.enabledAt || null,
+    recoveryCodesLeft: tf.recoveryCodes?.length || 0,
+    enrollment: pending ? await enrollmentDetails(openSecret(tf.pendingSecret), user.email) : null,
+  };
+}
+
+/**
+ * Genera un secreto pendiente (reemplaza uno anterior sin confirmar).
+ * @param {string} userId
+ * @returns {Promise<{ secret: string, uri: string, qrDataUrl: string }>}
+ * @throws {TwoFactorError}
+ */
+export async function startEnrollment(userId) {
+  const user = await loadUser(userId);
+  if (user.twoFactorEnabled) {
+    throw new TwoFactorError('La verificación en dos pasos ya está activa.', 'ALREADY_ENABLED');
+  }
+  const secret = generateTotpSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.pendingSecret': sealSecret(secret) } },
+  );
+  return enrollmentDetails(secret, user.email);
+}
+
+/**
+ * Activa el 2FA si el código corresponde al secreto pendiente.
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<string[]>} códigos de recuperación en claro (mostrar una sola vez)
+ * @throws {TwoFactorError}
+ */
+export async function confirmEnrollment(userId, code) {
+  const user = await loadUser(userId);
+  if (user.twoFactorEnabled) {
+    throw new TwoFactorError('La verificación en dos pasos ya está activa.', 'ALREADY_ENABLED');
+  }
+  const pending = user.twoFactor?.pendingSecret;
+  if (!pending) {
+    throw new TwoFactorError('Primero generá el código QR.', 'NOT_PENDING');
+  }
+  const step = verifyTotp(openSecret(pending), code);
+  if (step === null) {
+    throw new TwoFactorError(
+      'El código no es válido. Revisá la hora del teléfono.',
+      'INVALID_CODE',
+    );
+  }
+
+  // Condicional sobre el secreto pendiente: dos confirmaciones simultáneas activan una vez
+  const { codes, hashes } = generateRecoveryCodes();
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorEnabled: { $ne: true }, 'twoFactor.pendingSecret': pending },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactor: {
+          secret: pending,
+          pendingSecret: null,
+          recoveryCodes: hashes,
+          lastUsedStep: step,
+          enabledAt: new Date(),
+        },
+      },
+    },
+  );
+  if (!result.modifiedCount) {
+    throw new TwoFactorError('La verificación en dos pasos ya está activa.', 'ALREADY_ENABLED');
+  }
+  return codes;
+}
+
+/**
+ * Segundo paso del login: código TOTP o de recuperación.
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<{ method: 'totp'|'recovery', recoveryCodesLeft: number }>}
+ * @throws {TwoFactorError} INVALID_CODE si no coincide (o el TOTP ya se usó)
+ */
+export async function verifySecondFactor(userId, code) {
+  const user = await loadUser(userId);
+  const tf = user.twoFactor;
+  if (!user.twoFactorEnabled || !tf?.secret) {
+    throw new TwoFactorError('La cuenta no tiene verificación en dos pasos.', 'NOT_ENABLED');
+  }
+  const left = tf.recoveryCodes?.length || 0;
+  const clean = String(code || '').replace(/\s/g, '');
+
+  if (/^\d{6}$/.test(clean)) {
+    const step = verifyTotp(openSecret(tf.secret), clean);
+    if (step !== null) {
+      // Anti-replay: el mismo código (o uno anterior) no sirve dos veces
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+        { $set: { 'twoFactor.lastUsedStep': step } },
+      );
+      if (result.modifiedCount) return { method: 'totp', recoveryCodesLeft: left };
+    }
+  } else if (clean) {
+    const hash = hashToken(normalizeRecoveryCode(clean));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } },
+    );
+    if (result.modifiedCount) return { method: 'recovery', recoveryCodesLeft: left - 1 };
+  }
+
+  throw new TwoFactorError('El código no es válido.', 'INVALID_CODE');
+}
+
+/**
+ * Reemplaza los códigos de recuperación (pide un código válido).
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<string[]>}
+ * @throws {TwoFactorError}
+ */
+export async function regenerateRecoveryCodes(userId, code) {
+  await verifySecondFactor(userId, code);
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+}
+
+/**
+ * Desactiva el 2FA (contraseña + código). No permitido para admin y staff.
+ * @param {string} userId
+ * @param {Object} p
+ * @param {string} p.password
+ * @param {string} p.code
+ * @throws {TwoFactorError}
+ */
+export async function disableTwoFactor(userId, { password, code }) {
+  const user = await User.findById(userId).select('role twoFactorEnabled +passwordHash');
+  if (!user) throw new TwoFactorError('Usuario no encontrado.', 'USER_NOT_FOUND');
+  if (requiresTwoFactor(user)) {
+    throw new TwoFactorError(
+      'Las cuentas del equipo deben tener la verificación en dos pasos activa.',
+      'REQUIRED_FOR_STAFF',
+    );
+  }
+  if (!user.twoFactorEnabled) {
+    throw new TwoFactorError('La cuenta no tiene verificación en dos pasos.', 'NOT_ENABLED');
+  }
+  if (!password || !(await user.checkPassword(password))) {
+    throw new TwoFactorError('La contraseña no es correcta.', 'INVALID_PASSWORD');
+  }
+  await verifySecondFactor(userId, code);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorEnabled: false }, $unset: { twoFactor: 1 } },
+  );
+}
@@ -0,0 +1,281 @@
+// src/services/wishlist.service.js
+// -----------------------------------------------------------------------------
+// Wishlist (favoritos) por usuario, guardada en User.wishlist.
+//
+// - addToWishlist() / removeFromWishlist() / setWishlistAlerts(): updates atómicos
+//   sobre el array (sin duplicados, con tope WISHLIST_MAX_ITEMS).
+// - getWishlist(): ítems con el producto vigente (los inactivos/borrados se muestran
+//   como "no disponible" para poder quitarlos).
+// - checkWishlistAlerts(): lo corre jobs/wishlist-alerts.job.js. Compara el estado
+//   actual de cada producto con promoSeen / inStockSeen y, si pasó a "en promo" o
+//   "con stock", encola un email por usuario (outbox de notification.service.js).
+// -----------------------------------------------------------------------------
+
+import { User } from '../models/index.js';
+import { WISHLIST_MAX_ITEMS } from '../models/User.js';
+import Product, { getAvailableStock } from '../models/Product.js';
+import { config } from '../config/env.js';
+import { enqueueEmail } from './notification.service.js';
+
+// Usuarios por lote del job de avisos
+const ALERT_BATCH_SIZE = 200;
+
+const PRODUCT_FIELDS = 'title price stock reserved promoEnabled promoPct imageUrl active variants';
+
+/**
+ * Error de dominio de la wishlist.
+ */
+export class WishlistError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - PRODUCT_NOT_FOUND | WISHLIST_FULL
+   * @param {number} [status=400]
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'WishlistError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/** ¿El producto está en promo? (misma regla que decoratePromoFields) */
+function isOnPromo(product) {
+  return !!product?.promoEnabled && Number(product.promoPct) > 0;
+}
+
+/** Estado que sigue el job de avisos */
+function alertState(product) {
+  return {
+    promoSeen: !!product?.active && isOnPromo(product),
+    inStockSeen: !!product?.active && getAvailableStock(product) > 0,
+  };
+}
+
+/**
+ * IDs (string) de los productos guardados por el usuario.
+ * @param {string} [userId]
+ * @returns {Promise<Set<string>>} vacío si no hay sesión
+ */
+export async function getWishlistIds(userId) {
+  if (!userId) return new Set();
+  const user = await User.findById(userId).select('wishlist.productId').lean();
+  return new Set((user?.wishlist || []).map((w) => String(w.productId)));
+}
+
+/**
+ * Agrega un producto activo a la wishlist (si ya estaba, no hace nada).
+ * @param {string} userId
+ * @param {string} productId
+ * @returns {Promise<{ added: boolean, count: number }>}
+ * @throws {WishlistError}
+ */
+export async function addToWishlist(userId, productId) {
+  const product = await Product.findOne({ _id: productId, active: true })
+    .select(PRODUCT_FIELDS)
+    .lean();
+  if (!product)
+    throw new WishlistError('El producto no está disponible.', 'PRODUCT_NOT_FOUND', 404);
+
+  const res = await User.updateOne(
+    {
+      _id: userId,
+      'wishlist.productId': { $ne: product._id },
+      [`wishlist.${WISHLIST_MAX_ITEMS - 1}`]: { $exists: false },
+    },
+    {
+      $push: {
+        wishlist: { productId: product._id, addedAt: new Date(), ...alertState(product) },
+      },
+    },
+  );
+
+  const ids = await getWishlistIds(userId);
+  if (!res.modifiedCount && !ids.has(String(product._id))) {
+    throw new WishlistError(
+      `Tu lista ya tiene ${WISHLIST_MAX_ITEMS} productos. Quitá alguno para agregar otro.`,
+      'WISHLIST_FULL',
+      409,
+    );
+  }
+  return { added: res.modifiedCount > 0, count: ids.size };
+}
+
+/**
+ * Quita un producto de la wishlist.
+ * @param {string} userId
+ * @param {string} productId
+ * @returns {Promise<{ removed: boolean, count: number }>}
+ */
+export async function removeFromWishlist(userId, productId) {
+  const res = await User.updateOne({ _id: userId }, { $pull: { wishlist: { productId } } });
+  const ids = await getWishlistIds(userId);
+  return { removed: res.modifiedCount > 0, count: ids.size };
+}
+
+/**
+ * Activa o desactiva los avisos de un ítem. Al activarlos, el estado actual del
+ * producto queda como "visto": solo se avisa de cambios posteriores.
+ * @param {string} userId
+ * @param {string} productId
+ * @param {boolean} notify
+ * @returns {Promise<boolean>} false si el producto no estaba en la lista
+ */
+export async function setWishlistAlerts(userId, productId, notify) {
+  const set = { 'wishlist.$.notify': !!notify };
+  if (notify) {
+    const product = await Product.findById(productId).select(PRODUCT_FIELDS).lean();
+    const state = alertState(product);
+    set['wishlist.$.promoSeen'] = state.promoSeen;
+    set['wishlist.$.inStockSeen'] = state.inStockSeen;
+  }
+  const res = await User.updateOne({ _id: userId, 'wishlist.productId': productId }, { $set: set });
+  return res.matchedCount > 0;
+}
+
+/**
+ * Wishlist del usuario con los productos vigentes (más recientes primero).
+ * @param {string} userId
+ * @returns {Promise<Array<{ productId: string, addedAt: Date, notify: boolean, product: Object|null }>>}
+ *   product es null si el producto ya no está activo
+ */
+export async function getWishlist(userId) {
+  const user = await User.findById(userId).select('wishlist').lean();
+  const entries = [...(user?.wishlist || [])].sort((a, b) => b.addedAt - a.addedAt);
+  if (!entries.length) return [];
+
+  const products = await Product.find({
+    _id: { $in: entries.map((w) => w.productId) },
+    active: true,
+  })
+    .select(PRODUCT_FIELDS)
+    .lean();
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  return entries.map((w) => ({
+    productId: String(w.productId),
+    addedAt: w.addedAt,
+    notify: !!w.notify,
+    product: byId.get(String(w.productId)) || null,
+  }));
+}
+
+/**
+ * Avisos de un lote de usuarios: encola el email y guarda el estado visto.
+ * @returns {Promise<{ users: number, alerts: number }>}
+ */
+async function processAlertBatch(users) {
+  const result = { users: 0, alerts: 0 };
+
+  const productIds = new Set();
+  for (const u of users) {
+    for (const w of u.wishlist) if (w.notify) productIds.add(String(w.productId));
+  }
+  const products = await Product.find({ _id: { $in: [...productIds] } })
+    .select(PRODUCT_FIELDS)
+    .lean();
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  for (const user of users) {
+    const alerts = [];
+    const changes = [];
+
+    for (const w of user.wishlist) {
+      if (!w.notify) continue;
+      const product = byId.get(String(w.productId));
+      const state = alertState(product);
+      if (state.promoSeen === !!w.promoSeen && state.inStockSeen === !!w.inStockSeen) continue;
+
+      changes.push({ productId: w.productId, state });
+      const promo = state.promoSeen && !w.promoSeen;
+      const restock = state.inStockSeen && !w.inStockSeen;
+      if (promo || restock) {
+        alerts.push({
+          title: product.title,
+          price: product.price,
+          promoPrice: state.promoSeen
+            ? Math.round(Number(product.price) * (1 - Number(product.promoPct) / 100) * 100) / 100
+            : null,
+          promoPct: state.promoSeen ? product.promoPct : null,
+          promo,
+          restock,
+          url: `${config.baseUrl}/products/${product._id}`,
+        });
+      }
+    }
+
+    if (alerts.length && user.email) {
+      await enqueueEmail({
+        to: user.email,
+        subject:
+          alerts.length === 1
+            ? `Novedades en tu lista: ${alerts[0].title}`
+            : `Novedades en ${alerts.length} productos de tu lista`,
+        template: 'wishlist-alert',
+        data: {
+          name: user.name,
+          items: alerts,
+          links: { shop: config.baseUrl, wishlist: `${config.baseUrl}/account/wishlist` },
+        },
+      });
+      result.users += 1;
+      result.alerts += alerts.length;
+    }
+
+    // Guardar el estado visto (también las bajas, para volver a avisar la próxima vez)
+    for (const { productId, state } of changes) {
+      await User.updateOne(
+        { _id: user._id, 'wishlist.productId': productId },
+        {
+          $set: {
+            'wishlist.$.promoSeen': state.promoSeen,
+            'wishlist.$.inStockSeen': state.inStockSeen,
+          },
+        },
+      );
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Revisa las wishlists con avisos activos (en lotes por _id) y encola un email por
+ * usuario con los productos que entraron en promo o volvieron a tener stock desde
+ * el último tick.
+ * @param {Object} [opts]
+ * @param {number} [opts.batchSize]
+ * @returns {Promise<{ users: number, alerts: number }>}
+ */
+export async function checkWishlistAlerts({ batchSize = ALERT_BATCH_SIZE } = {}) {
+  const result = { users: 0, alerts: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const q = { active: true, 'wishlist.notify': true };
+    if (lastId) q._id = { $gt: lastId };
+    const users = await User.find(q)
+      .select('name email wishlist')
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+    if (!users.length) break;
+
+    const batch = await processAlertBatch(users);
+    result.users += batch.users;
+    result.alerts += batch.alerts;
+    lastId = users[users.length - 1]._id;
+    if (users.length < batchSize) break;
+  }
+
+  return result;
+}
+
+export default {
+  getWishlistIds,
+  addToWishlist,
+  removeFromWishlist,
+  setWishlistAlerts,
+  getWishlist,
+  checkWishlistAlerts,
+};
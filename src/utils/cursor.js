@@ -0,0 +1,95 @@
+// src/utils/cursor.js
+// -----------------------------------------------------------------------------
+// Paginación por cursor para la API (/api/v1).
+//
+// El cursor es opaco para el cliente (base64url de un JSON):
+// - Orden por campos (keyset): { s: 'price:1,_id:1', k: [valores del último ítem] }.
+//   La página siguiente pide "después de" esos valores, así que no se saltea ni repite
+//   ítems si se agregan otros mientras se pagina. El sort debe terminar en _id (desempate).
+// - Orden por relevancia ($meta textScore): no se puede comparar el score en el filtro,
+//   así que el cursor guarda el offset: { o: 40 }.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+/** Fechas y ObjectIds sobreviven al JSON con una marca de tipo */
+function packValue(v) {
+  if (v instanceof Date) return { $d: v.toISOString() };
+  if (v instanceof mongoose.Types.ObjectId) return { $o: String(v) };
+  return v;
+}
+
+function unpackValue(v) {
+  if (v && typeof v === 'object') {
+    if (typeof v.$d === 'string') return new Date(v.$d);
+    if (typeof v.$o === 'string' && mongoose.Types.ObjectId.isValid(v.$o)) {
+      return new mongoose.Types.ObjectId(v.$o);
+    }
+    throw new TypeError('Valor de cursor inválido');
+  }
+  return v;
+}
+
+/** Firma del sort ("price:1,_id:1"): el cursor de un orden no sirve para otro */
+function sortSignature(sort) {
+  return Object.entries(sort)
+    .map(([key, dir]) => `${key}:${dir}`)
+    .join(',');
+}
+
+/** ¿El sort es por relevancia (textScore)? */
+function isScoreSort(sort) {
+  return Object.values(sort).some((dir) => typeof dir === 'object');
+}
+
+/**
+ * Cursor de la página siguiente a partir del último ítem de la actual.
+ * @param {Object} sort - ej. { price: 1, _id: 1 }
+ * @param {Object} last - último documento de la página
+ * @param {number} [offset] - ítems ya devueltos (solo orden por relevancia)
+ * @returns {string}
+ */
+export function encodeCursor(sort, last, offset = 0) {
+  const payload = isScoreSort(sort)
+    ? { o: offset }
+    : {
+        s: sortSignature(sort),
+        k: Object.keys(sort).map((key) => packValue(last[key] ?? null)),
+      };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodifica un cursor recibido por query.
+ * @param {string} cursor
+ * @param {Object} sort - el mismo sort con el que se generó
+ * @returns {{ filter: Object|null, skip: number }|null} null si el cursor es inválido
+ *   filter: condición "después del último ítem" (keyset); skip: offset (relevancia)
+ */
+export function decodeCursor(cursor, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (isScoreSort(sort)) {
+      const skip = Number(payload?.o);
+      return Number.isInteger(skip) && skip >= 0 ? { filter: null, skip } : null;
+    }
+
+    const keys = Object.keys(sort);
+    if (payload?.s !== sortSignature(sort) || !Array.isArray(payload.k)) return null;
+    if (payload.k.length !== keys.length) return null;
+    const values = payload.k.map(unpackValue);
+
+    // (a > x) OR (a = x AND b > y) OR ... según la dirección de cada campo
+    const or = keys.map((key, i) => {
+      const cond = {};
+      for (let j = 0; j < i; j += 1) cond[keys[j]] = values[j];
+      cond[key] = { [sort[key] === -1 ? '$lt' : '$gt']: values[i] };
+      return cond;
+    });
+    return { filter: { $or: or }, skip: 0 };
+  } catch {
+    return null;
+  }
+}
+
+export default { encodeCursor, decodeCursor };
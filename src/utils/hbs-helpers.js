@@ -3,6 +3,8 @@
 // Nota: en helpers de HBS, el último argumento siempre es "options" (el hash interno).
 // Por eso removemos el último elemento cuando esperamos parámetros dinámicos.
 
+import { ORDER_STATUS_LABELS } from '../models/Order.js';
+
 function dropOptions(args) {
   // quita el objeto "options" que Handlebars pasa como último parámetro
   return Array.isArray(args) ? args.slice(0, -1) : args;
@@ -57,18 +59,35 @@ export const hbsHelpers = {
   // ---------------------------------------------------------------------------
   truncate: (s, len = 10) => (s && s.length > len ? s.slice(0, len) + '…' : s),
 
+  // Calificación 0..5 como estrellas (redondeo al entero más cercano): 3.6 → "★★★★☆"
+  stars: (v) => {
+    const n = Math.min(Math.max(Math.round(Number(v) || 0), 0), 5);
+    return '★'.repeat(n) + '☆'.repeat(5 - n);
+  },
+
   statusColor: (status) => {
     switch (status) {
       case 'approved':
+      case 'paid':
+      case 'delivered':
         return 'success';
       case 'pending':
         return 'warning';
+      case 'preparing':
+        return 'info';
+      case 'shipped':
+        return 'primary';
       case 'rejected':
+      case 'cancelled':
         return 'danger';
+      case 'refunded':
+        return 'dark';
       default:
         return 'secondary';
     }
   },
+  // Etiqueta en español de un estado de Order (ej. "shipped" → "Enviado")
+  statusLabel: (status) => ORDER_STATUS_LABELS[status] || status,
 
   // ---------------------------------------------------------------------------
   // Varios
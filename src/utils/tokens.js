@@ -0,0 +1,24 @@
+// src/utils/tokens.js
+// -----------------------------------------------------------------------------
+// Tokens de un solo uso enviados por email (reset de contraseña, verificación).
+// Al usuario le llega el token en claro; en la base solo se guarda su SHA-256.
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+
+/** SHA-256 (hex) de un token recibido por URL. */
+export function hashToken(token) {
+  return crypto
+    .createHash('sha256')
+    .update(String(token || ''))
+    .digest('hex');
+}
+
+/**
+ * Genera un token aleatorio y su hash.
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export function generateToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+}
@@ -0,0 +1,120 @@
+// src/utils/totp.js
+// -----------------------------------------------------------------------------
+// TOTP (RFC 6238) sobre HMAC-SHA1, 6 dígitos y pasos de 30 s: lo que esperan
+// Google Authenticator, Authy, 1Password, etc. Solo usa crypto de Node.
+//
+// - Los secretos viajan en base32 (RFC 4648, sin padding), que es lo que se tipea
+//   o va dentro del QR (otpauth://totp/...).
+// - verifyTotp acepta ±1 paso por desfase de reloj y devuelve el paso usado, para
+//   que quien llama pueda rechazar el mismo código dos veces.
+// -----------------------------------------------------------------------------
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/** @param {Buffer} buf */
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+/** @param {string} str - acepta minúsculas, espacios y padding */
+export function base32Decode(str) {
+  const clean = String(str || '')
+    .toUpperCase()
+    .replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new TypeError('Secreto base32 inválido');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** Secreto nuevo (160 bits, base32) */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** Paso de tiempo actual */
+export function totpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Código de un paso dado (HOTP con contador = paso).
+ * @param {string} secret - base32
+ * @param {number} step
+ * @returns {string} 6 dígitos
+ */
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const mac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = mac[mac.length - 1] & 0xf;
+  const bin = mac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Verifica un código contra el secreto.
+ * @param {string} secret - base32
+ * @param {string} code - lo que tipeó el usuario (se ignoran espacios)
+ * @param {Object} [opts]
+ * @param {number} [opts.window=1] - pasos de tolerancia hacia cada lado
+ * @param {number} [opts.now]
+ * @returns {number|null} paso que coincidió, o null
+ */
+export function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const current = totpStep(now);
+  const received = Buffer.from(clean);
+  for (let delta = -window; delta <= window; delta += 1) {
+    const expected = Buffer.from(totpCode(secret, current + delta));
+    if (crypto.timingSafeEqual(expected, received)) return current + delta;
+  }
+  return null;
+}
+
+/**
+ * URI para el QR de la app autenticadora.
+ * @param {Object} p
+ * @param {string} p.secret
+ * @param {string} p.account - ej. email
+ * @param {string} p.issuer - nombre de la tienda
+ */
+export function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
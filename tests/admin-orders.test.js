@@ -0,0 +1,81 @@
+// tests/admin-orders.test.js
+// Cambio manual de estado desde el panel (POST /admin/orders/:id/status).
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../src/models/Order.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const ORDER_ID = '64b0000000000000000000aa';
+const ADMIN = {
+  id: '64b0000000000000000000ad',
+  name: 'Admin',
+  email: 'admin@demo.test',
+  role: 'admin',
+  twoFactorEnabled: true,
+};
+
+let app;
+let auth;
+before(async () => {
+  app = await startTestApp();
+  auth = await app.signIn(ADMIN, { twoFactorVerified: true });
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+function postStatus(status) {
+  return app.request(`/admin/orders/${ORDER_ID}/status`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Cookie: auth.cookie,
+    },
+    body: new URLSearchParams({ _csrf: auth.csrfToken, status, note: '' }),
+  });
+}
+
+test('transición válida: actualiza, audita y vuelve al detalle con aviso', async () => {
+  mock.method(Order, 'findById', () => fakeQuery({ _id: ORDER_ID, status: 'paid' }));
+  const update = mock.method(Order, 'findOneAndUpdate', () =>
+    fakeQuery({
+      _id: ORDER_ID,
+      status: 'preparing',
+      statusHistory: [{ from: 'paid', to: 'preparing', source: 'admin' }],
+    }),
+  );
+  const audit = mock.method(AuditLog, 'create', async (doc) => doc);
+
+  const res = await postStatus('preparing');
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), `/admin/orders/${ORDER_ID}?done=status`);
+
+  assert.equal(update.mock.callCount(), 1);
+  const [filter, changes] = update.mock.calls[0].arguments;
+  assert.equal(filter.status, 'paid');
+  assert.equal(changes.$set.status, 'preparing');
+
+  assert.equal(audit.mock.callCount(), 1);
+  assert.equal(audit.mock.calls[0].arguments[0].action, 'order.status');
+});
+
+test('transición ilegal: no actualiza y vuelve al detalle con el error', async () => {
+  mock.method(Order, 'findById', () => fakeQuery({ _id: ORDER_ID, status: 'paid' }));
+  const update = mock.method(Order, 'findOneAndUpdate', () => fakeQuery(null));
+  const audit = mock.method(AuditLog, 'create', async (doc) => doc);
+
+  const res = await postStatus('delivered');
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), `/admin/orders/${ORDER_ID}?error=ILLEGAL_TRANSITION`);
+  assert.equal(update.mock.callCount(), 0);
+  assert.equal(audit.mock.callCount(), 0);
+});
+
+test('pedido inexistente: vuelve al listado', async () => {
+  mock.method(Order, 'findById', () => fakeQuery(null));
+  const res = await postStatus('preparing');
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/admin/orders');
+});
@@ -0,0 +1,59 @@
+// tests/admin-shipping.test.js
+// Admin de envíos: el resultado de activar/borrar una regla vuelve al listado como aviso.
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ShippingRule from '../src/models/ShippingRule.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const RULE_ID = '64b0000000000000000000f1';
+const ADMIN = { id: '64b0000000000000000000ad', email: 'admin@demo.test', role: 'admin' };
+
+let app;
+let auth;
+before(async () => {
+  app = await startTestApp();
+  auth = await app.signIn(ADMIN, { twoFactorVerified: true });
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+function post(path) {
+  return app.request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: auth.cookie },
+    body: new URLSearchParams({ _csrf: auth.csrfToken }),
+  });
+}
+
+test('activar una regla inexistente vuelve al listado con el error', async () => {
+  mock.method(ShippingRule, 'findById', () => fakeQuery(null));
+
+  const res = await post(`/admin/shipping/${RULE_ID}/toggle`);
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/admin/shipping?error=NOT_FOUND');
+
+  mock.method(ShippingRule, 'find', () => fakeQuery([]));
+  const page = await app.request('/admin/shipping?error=NOT_FOUND', {
+    headers: { Cookie: auth.cookie },
+  });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /Regla no encontrada\./);
+});
+
+test('desactivar una regla vuelve al listado con el aviso', async () => {
+  const rule = { _id: RULE_ID, active: true, save: async () => rule };
+  mock.method(ShippingRule, 'findById', () => fakeQuery(rule));
+
+  const res = await post(`/admin/shipping/${RULE_ID}/toggle`);
+  assert.equal(res.headers.get('location'), '/admin/shipping?done=deactivated');
+  assert.equal(rule.active, false);
+});
+
+test('borrar una regla vuelve al listado con el aviso', async () => {
+  mock.method(ShippingRule, 'deleteOne', () => fakeQuery({ deletedCount: 1 }));
+
+  const res = await post(`/admin/shipping/${RULE_ID}/delete`);
+  assert.equal(res.headers.get('location'), '/admin/shipping?done=deleted');
+});
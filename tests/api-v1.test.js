@@ -0,0 +1,39 @@
+// tests/api-v1.test.js
+// API JSON v1: el catálogo es público (visitantes sin sesión).
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../src/models/Product.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+test('GET /api/v1/products sin sesión devuelve el listado', async () => {
+  const find = mock.method(Product, 'find', () => fakeQuery([]));
+  const res = await app.request('/api/v1/products');
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.ok, true);
+  assert.deepEqual(body.data, []);
+  assert.equal(find.mock.callCount(), 1);
+});
+
+test('GET /api/v1/session sin sesión devuelve usuario null', async () => {
+  const res = await app.request('/api/v1/session');
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.ok, true);
+  assert.equal(body.data.user, null);
+});
+
+test('GET /api/v1/orders sin sesión responde 401 en JSON', async () => {
+  const res = await app.request('/api/v1/orders');
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).ok, false);
+});
@@ -0,0 +1,106 @@
+// tests/auth-login.test.js
+// Login: al autenticarse se emite una sesión nueva (id y secreto CSRF nuevos), así una
+// cookie de visitante fijada de antemano no queda autenticada. Una cuenta bloqueada no
+// entra ni con la contraseña correcta.
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../src/models/index.js';
+import Cart from '../src/models/Cart.js';
+import RateLimit from '../src/models/RateLimit.js';
+import UserSession from '../src/models/UserSession.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const USER_ID = '64b0000000000000000000u1';
+const EMAIL = 'cliente@demo.test';
+const PASSWORD = 'secreta-123';
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+/** Usuario sin 2FA ni fallos previos; login-guard, registro de sesiones y carrito sin BD */
+function stubLoginDeps(overrides = {}) {
+  const user = {
+    _id: USER_ID,
+    email: EMAIL,
+    role: 'customer',
+    active: true,
+    twoFactorEnabled: false,
+    checkPassword: async (password) => password === PASSWORD,
+    toJSON: () => ({
+      id: USER_ID,
+      email: EMAIL,
+      role: 'customer',
+      active: true,
+      emailVerified: true,
+    }),
+    ...overrides,
+  };
+  mock.method(User, 'findOne', () => fakeQuery(user));
+  mock.method(RateLimit, 'peek', async () => ({ count: 0, resetAt: null }));
+  mock.method(RateLimit, 'clear', () => fakeQuery({ acknowledged: true }));
+  mock.method(UserSession, 'updateOne', () => fakeQuery({ acknowledged: true }));
+  mock.method(Cart, 'findOne', () => fakeQuery(null));
+  mock.method(Cart, 'updateOne', () => fakeQuery({ acknowledged: true }));
+}
+
+const sidCookie = (res) =>
+  res.headers
+    .getSetCookie()
+    .map((c) => c.split(';')[0])
+    .find((c) => c.startsWith('sid='));
+
+test('POST /login emite una sesión nueva y la cookie previa no queda autenticada', async () => {
+  stubLoginDeps();
+  const guest = await app.startSession();
+
+  const res = await app.request('/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: guest.cookie },
+    body: new URLSearchParams({ _csrf: guest.csrfToken, email: EMAIL, password: PASSWORD }),
+  });
+
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/');
+  const cookie = sidCookie(res);
+  assert.ok(cookie, 'el login setea la cookie de la sesión nueva');
+  assert.notEqual(cookie, guest.cookie);
+
+  // La sesión nueva tiene al usuario; la de visitante ya no existe
+  const current = await (
+    await app.request('/api/v1/session', { headers: { Cookie: cookie } })
+  ).json();
+  assert.equal(current.data.user.email, EMAIL);
+  const previous = await (
+    await app.request('/api/v1/session', { headers: { Cookie: guest.cookie } })
+  ).json();
+  assert.equal(previous.data.user, null);
+
+  // El token CSRF de antes del login no vale para la sesión nueva
+  const stale = await app.request('/api/v1/cart', {
+    method: 'DELETE',
+    headers: { 'X-CSRF-Token': guest.csrfToken, Cookie: cookie },
+  });
+  assert.equal(stale.status, 403);
+});
+
+test('POST /login a una cuenta bloqueada responde 429 con Retry-After aun con la contraseña correcta', async () => {
+  stubLoginDeps({ lockedUntil: new Date(Date.now() + 10 * 60 * 1000) });
+  const guest = await app.startSession();
+
+  const res = await app.request('/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: guest.cookie },
+    body: new URLSearchParams({ _csrf: guest.csrfToken, email: EMAIL, password: PASSWORD }),
+  });
+
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  assert.match(await res.text(), /Demasiados intentos fallidos/);
+  assert.equal(sidCookie(res), undefined);
+});
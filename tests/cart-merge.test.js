@@ -0,0 +1,149 @@
+// tests/cart-merge.test.js
+// Login: el carrito de visitante (cookie cart_id o sesión) se une con el guardado del usuario.
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../src/models/index.js';
+import Cart from '../src/models/Cart.js';
+import RateLimit from '../src/models/RateLimit.js';
+import UserSession from '../src/models/UserSession.js';
+import { mergeGuestCart, GUEST_CART_COOKIE } from '../src/services/cart-store.service.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const USER_ID = '64b0000000000000000000u1';
+const GUEST_ID = 'a'.repeat(32);
+const REMERA = '64b000000000000000000001';
+const GORRA = '64b000000000000000000002';
+const TAZA = '64b000000000000000000003';
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+function line(productId, qty, extra = {}) {
+  return {
+    productId,
+    title: `Producto ${productId.slice(-1)}`,
+    price: 1000,
+    qty,
+    stock: 5,
+    ...extra,
+  };
+}
+
+/** Carritos guardados: el del visitante (por guestId) y el del usuario (por userId) */
+function stubSavedCarts({ guest = null, user = null }) {
+  mock.method(Cart, 'findOne', (filter) =>
+    fakeQuery(filter.guestId ? guest && { _id: 'guest-doc', ...guest } : user),
+  );
+  return {
+    save: mock.method(Cart, 'updateOne', () => fakeQuery({ acknowledged: true })),
+    remove: mock.method(Cart, 'deleteOne', () => fakeQuery({ deletedCount: 1 })),
+  };
+}
+
+const fakeRes = () => ({ clearCookie: mock.fn() });
+const qtyOf = (items, productId, variantId) =>
+  items.find((it) => it.productId === productId && (it.variantId || null) === (variantId || null))
+    ?.qty;
+
+test('mergeGuestCart suma cantidades por producto y variante, con tope en el stock', async () => {
+  const { save, remove } = stubSavedCarts({
+    guest: { items: [line(REMERA, 2), line(GORRA, 4), line(TAZA, 1, { variantId: 'v-roja' })] },
+    user: { items: [line(REMERA, 1), line(GORRA, 3), line(TAZA, 1, { variantId: 'v-azul' })] },
+  });
+  const req = { cookies: { [GUEST_CART_COOKIE]: GUEST_ID }, session: {} };
+  const res = fakeRes();
+
+  await mergeGuestCart(req, res, USER_ID);
+
+  const { items } = req.session.cart;
+  assert.equal(qtyOf(items, REMERA), 3);
+  assert.equal(qtyOf(items, GORRA), 5); // 3 + 4, tope de stock 5
+  assert.equal(qtyOf(items, TAZA, 'v-azul'), 1);
+  assert.equal(qtyOf(items, TAZA, 'v-roja'), 1);
+  assert.deepEqual(req.session.cartOwner, { userId: USER_ID });
+
+  // Se guarda como carrito del usuario y el de visitante se descarta
+  assert.deepEqual(save.mock.calls[0].arguments[0], { userId: USER_ID });
+  assert.deepEqual(remove.mock.calls[0].arguments[0], { _id: 'guest-doc' });
+  assert.equal(res.clearCookie.mock.calls[0].arguments[0], GUEST_CART_COOKIE);
+});
+
+test('mergeGuestCart usa el carrito de la sesión si no hay cookie de visitante', async () => {
+  const { remove } = stubSavedCarts({ user: { items: [line(REMERA, 1)] } });
+  const req = { cookies: {}, session: { cart: { items: [line(GORRA, 2)] } } };
+
+  await mergeGuestCart(req, fakeRes(), USER_ID);
+
+  assert.equal(qtyOf(req.session.cart.items, REMERA), 1);
+  assert.equal(qtyOf(req.session.cart.items, GORRA), 2);
+  assert.equal(remove.mock.callCount(), 0);
+});
+
+test('mergeGuestCart conserva el cupón del usuario y, si no tenía, el del visitante', async () => {
+  const coupon = (code) => ({
+    couponId: '64b0000000000000000000c1',
+    code,
+    type: 'percent',
+    value: 10,
+  });
+
+  stubSavedCarts({
+    guest: { items: [line(REMERA, 1)], coupon: coupon('VISITA') },
+    user: { items: [], coupon: coupon('CUENTA') },
+  });
+  const withBoth = { cookies: { [GUEST_CART_COOKIE]: GUEST_ID }, session: {} };
+  await mergeGuestCart(withBoth, fakeRes(), USER_ID);
+  assert.equal(withBoth.session.cart.coupon.code, 'CUENTA');
+
+  mock.restoreAll();
+  stubSavedCarts({ guest: { items: [line(REMERA, 1)], coupon: coupon('VISITA') }, user: null });
+  const guestOnly = { cookies: { [GUEST_CART_COOKIE]: GUEST_ID }, session: {} };
+  await mergeGuestCart(guestOnly, fakeRes(), USER_ID);
+  assert.equal(guestOnly.session.cart.coupon.code, 'VISITA');
+});
+
+test('POST /login une el carrito de la cookie cart_id con el guardado y borra la cookie', async () => {
+  const user = {
+    _id: USER_ID,
+    email: 'cliente@demo.test',
+    role: 'customer',
+    active: true,
+    twoFactorEnabled: false,
+    checkPassword: async () => true,
+    toJSON: () => ({ id: USER_ID, email: 'cliente@demo.test', role: 'customer', active: true }),
+  };
+  mock.method(User, 'findOne', () => fakeQuery(user));
+  mock.method(RateLimit, 'peek', async () => ({ count: 0, resetAt: null }));
+  mock.method(RateLimit, 'clear', () => fakeQuery({ acknowledged: true }));
+  mock.method(UserSession, 'updateOne', () => fakeQuery({ acknowledged: true }));
+  const { save } = stubSavedCarts({
+    guest: { items: [line(REMERA, 2)] },
+    user: { items: [line(REMERA, 1), line(GORRA, 1)] },
+  });
+  const guest = await app.startSession();
+
+  const res = await app.request('/login', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Cookie: `${guest.cookie}; ${GUEST_CART_COOKIE}=${GUEST_ID}`,
+    },
+    body: new URLSearchParams({ _csrf: guest.csrfToken, email: user.email, password: 'x' }),
+  });
+
+  assert.equal(res.status, 302);
+  const [filter, update] = save.mock.calls.at(-1).arguments;
+  assert.deepEqual(filter, { userId: USER_ID });
+  assert.equal(qtyOf(update.$set.items, REMERA), 3);
+  assert.equal(qtyOf(update.$set.items, GORRA), 1);
+  assert.ok(
+    res.headers.getSetCookie().some((c) => c.startsWith(`${GUEST_CART_COOKIE}=;`)),
+    'borra la cookie del carrito de visitante',
+  );
+});
@@ -0,0 +1,76 @@
+// tests/checkout-return.test.js
+// Return URLs de MP: solo el dueño de la orden ve el pedido y vacía su carrito guardado.
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../src/models/Order.js';
+import Cart from '../src/models/Cart.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const ORDER_ID = '64b0000000000000000000aa';
+const OWNER_ID = '64b0000000000000000000u1';
+const OTHER = { id: '64b0000000000000000000u2', email: 'otro@demo.test', role: 'customer' };
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+function stubPaidOrder() {
+  mock.method(Order, 'findById', () =>
+    fakeQuery({
+      _id: ORDER_ID,
+      userId: OWNER_ID,
+      status: 'paid',
+      total: 4321,
+      items: [{ title: 'Remera secreta', qty: 1, price: 4321 }],
+    }),
+  );
+  return mock.method(Cart, 'updateOne', () => fakeQuery({ acknowledged: true }));
+}
+
+test('GET /checkout/success con la orden de otro usuario no la muestra ni vacía su carrito', async () => {
+  const clear = stubPaidOrder();
+  const { cookie } = await app.signIn(OTHER);
+
+  const res = await app.request(`/checkout/success?external_reference=${ORDER_ID}`, {
+    headers: { Cookie: cookie },
+  });
+  const html = await res.text();
+
+  assert.equal(res.status, 404);
+  assert.doesNotMatch(html, /Remera secreta/);
+  assert.doesNotMatch(html, new RegExp(ORDER_ID));
+  assert.equal(clear.mock.callCount(), 0);
+});
+
+test('GET /checkout/success sin sesión tampoco expone la orden', async () => {
+  const clear = stubPaidOrder();
+
+  const res = await app.request(`/checkout/success?external_reference=${ORDER_ID}`);
+
+  assert.equal(res.status, 404);
+  assert.doesNotMatch(await res.text(), /Remera secreta/);
+  assert.equal(clear.mock.callCount(), 0);
+});
+
+test('GET /checkout/success del dueño muestra el pedido y vacía su carrito guardado', async () => {
+  const clear = stubPaidOrder();
+  const { cookie } = await app.signIn({
+    id: OWNER_ID,
+    email: 'duenio@demo.test',
+    role: 'customer',
+  });
+
+  const res = await app.request(`/checkout/success?external_reference=${ORDER_ID}`, {
+    headers: { Cookie: cookie },
+  });
+
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /Remera secreta/);
+  assert.equal(clear.mock.callCount(), 1);
+  assert.deepEqual(clear.mock.calls[0].arguments[0], { userId: OWNER_ID });
+});
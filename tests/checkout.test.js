@@ -0,0 +1,182 @@
+// tests/checkout.test.js
+// Inicio del pago: el carrito guardado se refresca con precios/stock vigentes y, si algo
+// cambió, se corta antes de crear la orden.
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../src/models/Order.js';
+import Cart from '../src/models/Cart.js';
+import Coupon from '../src/models/Coupon.js';
+import Product from '../src/models/Product.js';
+import ShippingRule from '../src/models/ShippingRule.js';
+import { User } from '../src/models/index.js';
+import CartService from '../src/services/cart.service.js';
+import { startCheckout } from '../src/controllers/order.controller.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const PRODUCT_ID = '64b0000000000000000000p1';
+const USER = { id: '64b0000000000000000000u1', email: 'cliente@demo.test', role: 'customer' };
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+/** Línea guardada hace días, con la promo de entonces ($3000 → $2400) */
+const staleLine = {
+  productId: PRODUCT_ID,
+  title: 'Remera',
+  price: 3000,
+  promoPrice: 2400,
+  unitBaseCents: 300000,
+  unitFinalCents: 240000,
+  unitDiscountCents: 60000,
+  qty: 2,
+  stock: 5,
+};
+
+/** La misma línea con el precio vigente (el refresco no cambia nada) */
+const freshLine = {
+  ...staleLine,
+  promoPrice: null,
+  unitFinalCents: 300000,
+  unitDiscountCents: 0,
+};
+
+/** POST /checkout (form) con el carrito guardado dado */
+async function postCheckoutForm(savedCart, fields) {
+  mock.method(Cart, 'findOne', () => fakeQuery({ userId: USER.id, ...savedCart }));
+  mock.method(Cart, 'updateOne', () => fakeQuery({ acknowledged: true }));
+  mock.method(Order, 'findOne', () => fakeQuery(null));
+  const auth = await app.signIn(USER);
+  return app.request('/checkout', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: auth.cookie },
+    body: new URLSearchParams({ _csrf: auth.csrfToken, ...fields }),
+  });
+}
+
+/** Producto vigente: la promo ya terminó */
+function stubCurrentProduct(overrides = {}) {
+  return mock.method(Product, 'find', () =>
+    fakeQuery([
+      { _id: PRODUCT_ID, title: 'Remera', price: 3000, stock: 5, active: true, ...overrides },
+    ]),
+  );
+}
+
+test('startCheckout corta con CART_CHANGED si la promo del carrito ya no está vigente', async () => {
+  stubCurrentProduct();
+  const findOrder = mock.method(Order, 'findOne', () => fakeQuery(null));
+  const create = mock.method(Order, 'create', async () => {
+    throw new Error('no debería crear la orden');
+  });
+  const session = { user: USER };
+  new CartService(session).load({ items: [staleLine] });
+
+  await assert.rejects(startCheckout({ session, userId: USER.id }, { shippingMethod: 'pickup' }), {
+    name: 'CartError',
+    code: 'CART_CHANGED',
+    status: 409,
+  });
+
+  // Solo la consulta de reservas propias; ninguna orden nueva
+  assert.equal(findOrder.mock.callCount(), 1);
+  assert.equal(create.mock.callCount(), 0);
+  // El carrito quedó con el precio vigente para revisarlo
+  assert.equal(session.cart.items[0].unitFinalCents, 300000);
+  assert.equal(session.cart.total, 6000);
+});
+
+test('POST /checkout con precios viejos vuelve al carrito con aviso', async () => {
+  stubCurrentProduct();
+  mock.method(Cart, 'findOne', () => fakeQuery({ userId: USER.id, items: [staleLine] }));
+  mock.method(Cart, 'updateOne', () => fakeQuery({ acknowledged: true }));
+  mock.method(Order, 'findOne', () => fakeQuery(null));
+  const create = mock.method(Order, 'create', async () => {
+    throw new Error('no debería crear la orden');
+  });
+  const auth = await app.signIn(USER);
+
+  const res = await app.request('/checkout', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: auth.cookie },
+    body: new URLSearchParams({ _csrf: auth.csrfToken, shippingMethod: 'pickup' }),
+  });
+
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/cart?notice=cart_changed');
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('POST /api/v1/checkout con precios viejos responde 409 CART_CHANGED', async () => {
+  stubCurrentProduct({ price: 3500 });
+  mock.method(Cart, 'findOne', () => fakeQuery({ userId: USER.id, items: [staleLine] }));
+  mock.method(Cart, 'updateOne', () => fakeQuery({ acknowledged: true }));
+  mock.method(Order, 'findOne', () => fakeQuery(null));
+  const auth = await app.signIn(USER);
+
+  const res = await app.request('/api/v1/checkout', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': auth.csrfToken,
+      Cookie: auth.cookie,
+    },
+    body: JSON.stringify({ shippingMethod: 'pickup' }),
+  });
+
+  assert.equal(res.status, 409);
+  const body = await res.json();
+  assert.equal(body.ok, false);
+  assert.equal(body.error, 'CART_CHANGED');
+});
+
+test('POST /checkout con el cupón vencido vuelve al carrito con el motivo', async () => {
+  stubCurrentProduct();
+  mock.method(Coupon, 'findOne', () =>
+    fakeQuery({
+      _id: '64b0000000000000000000c1',
+      code: 'PROMO',
+      type: 'percent',
+      value: 10,
+      active: true,
+      expiresAt: new Date(Date.now() - 1000),
+    }),
+  );
+
+  const res = await postCheckoutForm(
+    { items: [freshLine], coupon: { couponId: '64b0000000000000000000c1', code: 'PROMO' } },
+    { shippingMethod: 'pickup' },
+  );
+
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/cart?error=EXPIRED');
+});
+
+test('POST /checkout con un envío que ya no se ofrece vuelve al checkout con el motivo', async () => {
+  stubCurrentProduct();
+  mock.method(ShippingRule, 'find', () => fakeQuery([]));
+
+  const res = await postCheckoutForm({ items: [freshLine] }, { shippingMethod: 'teletransporte' });
+
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/checkout?error=METHOD_UNAVAILABLE');
+});
+
+test('GET /checkout?error= muestra el motivo del envío rechazado', async () => {
+  mock.method(Cart, 'findOne', () => fakeQuery({ userId: USER.id, items: [freshLine] }));
+  mock.method(User, 'findById', () => fakeQuery({ name: 'Cliente', addresses: [] }));
+  mock.method(ShippingRule, 'find', () => fakeQuery([]));
+  const auth = await app.signIn(USER);
+
+  const res = await app.request('/checkout?error=METHOD_UNAVAILABLE', {
+    headers: { Cookie: auth.cookie },
+  });
+
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /ya no está disponible para tu dirección/);
+});
@@ -0,0 +1,263 @@
+// tests/coupons.test.js
+// Cupones que dejarían la compra en $0: se rechazan antes de reservar stock o ir a MP.
+// Vigencia y límites de uso (total y por usuario), también al volver a validar en el checkout.
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Cart from '../src/models/Cart.js';
+import Category from '../src/models/Category.js';
+import Coupon from '../src/models/Coupon.js';
+import Order from '../src/models/Order.js';
+import Product from '../src/models/Product.js';
+import CartService from '../src/services/cart.service.js';
+import {
+  toCartCoupon,
+  findApplicableCoupon,
+  claimCouponUse,
+} from '../src/services/coupon.service.js';
+import { createPreference, MpServiceError } from '../src/services/mp.service.js';
+import { startCheckout } from '../src/controllers/order.controller.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const COUPON_ID = '64b0000000000000000000c1';
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+function couponDoc(type, value) {
+  return { _id: COUPON_ID, code: 'PROMO', type, value, active: true, usedCount: 0 };
+}
+
+/** Carrito en sesión con una línea de $3000 y el cupón dado */
+function sessionWithCart(coupon) {
+  const session = {};
+  new CartService(session).load({
+    items: [
+      { productId: '64b0000000000000000000p1', title: 'Remera', price: 3000, qty: 1, stock: 5 },
+    ],
+    coupon: coupon ? toCartCoupon(coupon) : null,
+  });
+  return session;
+}
+
+test('Coupon: un porcentaje de 100 no valida', async () => {
+  await assert.rejects(new Coupon({ code: 'FULL', type: 'percent', value: 100 }).validate(), {
+    name: 'ValidationError',
+    message: /menor a 100/,
+  });
+  await new Coupon({ code: 'HALF', type: 'percent', value: 50 }).validate();
+});
+
+test('carrito: un monto fijo que cubre todo el subtotal no aplica', () => {
+  const { cart } = sessionWithCart(couponDoc('fixed', 5000));
+  assert.equal(cart.coupon.applicable, false);
+  assert.match(cart.coupon.reason, /total/);
+  assert.equal(cart.couponDiscount, 0);
+  assert.equal(cart.total, 3000);
+});
+
+test('carrito: un monto fijo menor al subtotal sigue aplicando', () => {
+  const { cart } = sessionWithCart(couponDoc('fixed', 1000));
+  assert.equal(cart.coupon.applicable, true);
+  assert.equal(cart.total, 2000);
+});
+
+test('startCheckout rechaza el cupón no pagable antes de crear la orden o reservar', async () => {
+  mock.method(Coupon, 'findOne', () => fakeQuery(couponDoc('fixed', 5000)));
+  const findOrder = mock.method(Order, 'findOne', () => fakeQuery(null));
+  // Producto vigente igual al del carrito: el refresco de precios no cambia nada
+  mock.method(Product, 'find', () =>
+    fakeQuery([
+      { _id: '64b0000000000000000000p1', title: 'Remera', price: 3000, stock: 5, active: true },
+    ]),
+  );
+  const session = sessionWithCart(null);
+  session.cart.coupon = toCartCoupon(couponDoc('fixed', 1000)); // aplicado antes, hoy vale más
+  session.user = { id: '64b0000000000000000000u1' };
+
+  await assert.rejects(startCheckout({ session }, { shippingMethod: 'pickup' }), {
+    name: 'CouponError',
+    code: 'NOT_APPLICABLE',
+  });
+  assert.equal(findOrder.mock.callCount(), 0);
+  assert.equal(session.cart.coupon, null);
+});
+
+test('createPreference lanza MpServiceError (no objetos planos)', async () => {
+  await assert.rejects(createPreference({ items: [] }, 'x'), (err) => {
+    assert.ok(err instanceof MpServiceError);
+    assert.ok(err instanceof Error);
+    assert.equal(err.code, 'CART_EMPTY');
+    return true;
+  });
+  const cart = { items: [{ productId: 'p1', title: 'Remera', price: 3000, qty: 1 }] };
+  await assert.rejects(createPreference(cart, 'order1', { discount: 3000 }), {
+    name: 'MpServiceError',
+    code: 'INVALID_DISCOUNT',
+  });
+});
+
+test('POST /cart/coupon con un cupón vencido vuelve al carrito con el motivo', async () => {
+  mock.method(Cart, 'findOne', () => fakeQuery(null));
+  mock.method(Coupon, 'findOne', () =>
+    fakeQuery({ ...couponDoc('percent', 10), expiresAt: new Date(Date.now() - 1000) }),
+  );
+  const guest = await app.startSession();
+
+  const res = await app.request('/cart/coupon', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: guest.cookie },
+    body: new URLSearchParams({ _csrf: guest.csrfToken, code: 'PROMO' }),
+  });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/cart?error=EXPIRED');
+
+  mock.method(Cart, 'findOne', () =>
+    fakeQuery({
+      items: [
+        { productId: '64b0000000000000000000p1', title: 'Remera', price: 3000, qty: 1, stock: 5 },
+      ],
+    }),
+  );
+  mock.method(Cart, 'updateOne', () => fakeQuery({ acknowledged: true }));
+  mock.method(Product, 'find', () =>
+    fakeQuery([
+      { _id: '64b0000000000000000000p1', title: 'Remera', price: 3000, stock: 5, active: true },
+    ]),
+  );
+  const page = await app.request('/cart?error=EXPIRED', { headers: { Cookie: guest.cookie } });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /El cupón está vencido\./);
+});
+
+test('admin: activar un cupón inexistente vuelve al listado con el error', async () => {
+  const admin = await app.signIn(
+    { id: '64b0000000000000000000ad', email: 'admin@demo.test', role: 'admin' },
+    { twoFactorVerified: true },
+  );
+  mock.method(Coupon, 'findById', () => fakeQuery(null));
+
+  const res = await app.request(`/admin/coupons/${COUPON_ID}/toggle`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: admin.cookie },
+    body: new URLSearchParams({ _csrf: admin.csrfToken }),
+  });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/admin/coupons?error=NOT_FOUND');
+
+  mock.method(Coupon, 'find', () => fakeQuery([]));
+  mock.method(Category, 'find', () => fakeQuery([]));
+  const page = await app.request('/admin/coupons?error=NOT_FOUND', {
+    headers: { Cookie: admin.cookie },
+  });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /Cupón no encontrado\./);
+});
+
+test('findApplicableCoupon rechaza cupones fuera de vigencia', async () => {
+  const now = new Date('2026-01-15T12:00:00Z');
+  const at = (ms) => new Date(now.getTime() + ms);
+
+  mock.method(Coupon, 'findOne', () => fakeQuery({ ...couponDoc('percent', 10), startsAt: at(1) }));
+  await assert.rejects(findApplicableCoupon('promo', { now }), { code: 'NOT_STARTED' });
+
+  mock.restoreAll();
+  mock.method(Coupon, 'findOne', () => fakeQuery({ ...couponDoc('percent', 10), expiresAt: now }));
+  await assert.rejects(findApplicableCoupon('promo', { now }), { code: 'EXPIRED' });
+
+  mock.restoreAll();
+  mock.method(Coupon, 'findOne', () =>
+    fakeQuery({ ...couponDoc('percent', 10), startsAt: at(-1), expiresAt: at(1) }),
+  );
+  assert.equal((await findApplicableCoupon('promo', { now }))._id, COUPON_ID);
+});
+
+test('findApplicableCoupon corta al llegar a maxUses', async () => {
+  mock.method(Coupon, 'findOne', () =>
+    fakeQuery({ ...couponDoc('percent', 10), maxUses: 3, usedCount: 3 }),
+  );
+  await assert.rejects(findApplicableCoupon('PROMO'), {
+    name: 'CouponError',
+    code: 'USAGE_LIMIT',
+  });
+
+  mock.restoreAll();
+  mock.method(Coupon, 'findOne', () =>
+    fakeQuery({ ...couponDoc('percent', 10), maxUses: 3, usedCount: 2 }),
+  );
+  assert.equal((await findApplicableCoupon('PROMO'))._id, COUPON_ID);
+});
+
+test('findApplicableCoupon cuenta los usos del usuario sin la orden en curso', async () => {
+  const userId = '64b0000000000000000000u1';
+  mock.method(Coupon, 'findOne', () =>
+    fakeQuery({ ...couponDoc('percent', 10), maxUsesPerUser: 1 }),
+  );
+  const count = mock.method(Order, 'countDocuments', () => fakeQuery(1));
+
+  await assert.rejects(findApplicableCoupon('PROMO', { userId }), { code: 'USER_LIMIT' });
+  const [filter] = count.mock.calls[0].arguments;
+  assert.equal(filter.userId, userId);
+  assert.deepEqual(filter.status, { $ne: 'created' });
+  assert.equal(filter['coupon.claimed'], true);
+
+  count.mock.mockImplementation(() => fakeQuery(0));
+  assert.equal((await findApplicableCoupon('PROMO', { userId }))._id, COUPON_ID);
+});
+
+test('claimCouponUse sin cupo deshace la marca de la orden y lanza USAGE_LIMIT', async () => {
+  const order = { _id: '64b0000000000000000000aa', coupon: { couponId: COUPON_ID } };
+  mock.method(Order, 'findOneAndUpdate', () =>
+    fakeQuery({ ...order, coupon: { couponId: COUPON_ID, claimed: true } }),
+  );
+  mock.method(Coupon, 'updateOne', () => fakeQuery({ modifiedCount: 0 }));
+  const undo = mock.method(Order, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+
+  await assert.rejects(claimCouponUse(order), { code: 'USAGE_LIMIT' });
+  assert.deepEqual(undo.mock.calls[0].arguments, [
+    { _id: order._id },
+    { $set: { 'coupon.claimed': false } },
+  ]);
+});
+
+test('claimCouponUse no suma otro uso si la orden ya lo había reclamado', async () => {
+  mock.method(Order, 'findOneAndUpdate', () => fakeQuery(null));
+  const inc = mock.method(Coupon, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+
+  const result = await claimCouponUse({
+    _id: '64b0000000000000000000aa',
+    coupon: { couponId: COUPON_ID, claimed: true },
+  });
+
+  assert.equal(result, null);
+  assert.equal(inc.mock.callCount(), 0);
+});
+
+test('startCheckout vuelve a validar el cupón y corta si se agotó desde que se aplicó', async () => {
+  mock.method(Coupon, 'findOne', () =>
+    fakeQuery({ ...couponDoc('percent', 10), maxUses: 5, usedCount: 5 }),
+  );
+  const findOrder = mock.method(Order, 'findOne', () => fakeQuery(null));
+  const create = mock.method(Order, 'create', async () => {
+    throw new Error('no debería crear la orden');
+  });
+  mock.method(Product, 'find', () =>
+    fakeQuery([
+      { _id: '64b0000000000000000000p1', title: 'Remera', price: 3000, stock: 5, active: true },
+    ]),
+  );
+  const session = sessionWithCart(couponDoc('percent', 10));
+  session.user = { id: '64b0000000000000000000u1' };
+
+  await assert.rejects(startCheckout({ session }, { shippingMethod: 'pickup' }), {
+    name: 'CouponError',
+    code: 'USAGE_LIMIT',
+  });
+  assert.equal(findOrder.mock.callCount(), 0);
+  assert.equal(create.mock.callCount(), 0);
+});
@@ -0,0 +1,103 @@
+// tests/csrf.test.js
+// CSRF: el token vale por cabecera o en el body; por query solo en requests multipart.
+// POST /login sin credenciales sirve de blanco: si el token pasa, responde 400 (validación);
+// si no, 403 antes de llegar al controlador.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers/app.js';
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+
+function postLogin(path, headers, body) {
+  return app.request(path, { method: 'POST', headers, body });
+}
+
+test('acepta el token en la cabecera X-CSRF-Token', async () => {
+  const { cookie, csrfToken } = await app.startSession();
+  const res = await postLogin(
+    '/login',
+    { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken, Cookie: cookie },
+    JSON.stringify({}),
+  );
+  assert.equal(res.status, 400);
+});
+
+test('acepta el token en el campo _csrf del form y del JSON', async () => {
+  const { cookie, csrfToken } = await app.startSession();
+  const form = await postLogin(
+    '/login',
+    { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: cookie },
+    new URLSearchParams({ _csrf: csrfToken }),
+  );
+  assert.equal(form.status, 400);
+
+  const json = await postLogin(
+    '/login',
+    { 'Content-Type': 'application/json', Cookie: cookie },
+    JSON.stringify({ _csrf: csrfToken }),
+  );
+  assert.equal(json.status, 400);
+});
+
+test('rechaza el token por query en requests que no son multipart', async () => {
+  const { cookie, csrfToken } = await app.startSession();
+  const query = `/login?_csrf=${encodeURIComponent(csrfToken)}`;
+
+  const form = await postLogin(
+    query,
+    { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: cookie },
+    new URLSearchParams({ email: '' }),
+  );
+  assert.equal(form.status, 403);
+
+  const json = await postLogin(
+    query,
+    { 'Content-Type': 'application/json', Accept: 'application/json', Cookie: cookie },
+    JSON.stringify({}),
+  );
+  assert.equal(json.status, 403);
+  assert.equal((await json.json()).error, 'CSRF_MISSING');
+});
+
+test('acepta el token por query en un form multipart', async () => {
+  const { cookie, csrfToken } = await app.startSession();
+  const body = new FormData();
+  body.append('email', '');
+
+  const res = await postLogin(
+    `/login?_csrf=${encodeURIComponent(csrfToken)}`,
+    { Cookie: cookie },
+    body,
+  );
+  assert.equal(res.status, 400);
+});
+
+test('rechaza un token ausente, alterado o de otra sesión', async () => {
+  const { cookie, csrfToken } = await app.startSession();
+  const other = await app.startSession();
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+    Cookie: cookie,
+  };
+
+  const missing = await postLogin('/login', headers, JSON.stringify({}));
+  assert.equal(missing.status, 403);
+  assert.equal((await missing.json()).error, 'CSRF_MISSING');
+
+  const [salt] = csrfToken.split('.');
+  for (const token of [`${salt}.firma-falsa`, other.csrfToken]) {
+    const res = await postLogin(
+      '/login',
+      { ...headers, 'X-CSRF-Token': token },
+      JSON.stringify({}),
+    );
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).error, 'CSRF_INVALID');
+  }
+});
@@ -0,0 +1,73 @@
+// tests/helpers/app.js
+// -----------------------------------------------------------------------------
+// Levanta la app real (src/server/app.js, mismos routers y en el mismo orden) con un
+// store de sesiones en memoria y un puerto libre.
+// signIn() arma una sesión con usuario directamente en el store (sin pasar por /login
+// ni por la BD) y devuelve la cookie y un token CSRF válidos para esa sesión.
+// -----------------------------------------------------------------------------
+
+import { once } from 'node:events';
+import session from 'express-session';
+import { createApp } from '../../src/server/app.js';
+
+/**
+ * @returns {Promise<{ baseUrl: string, request: Function, startSession: Function, signIn: Function, close: Function }>}
+ */
+export async function startTestApp() {
+  const store = new session.MemoryStore();
+  const app = createApp({ sessionStore: store });
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /** fetch sin seguir redirects (para ver los 302 a /login) */
+  const request = (path, init = {}) => fetch(`${baseUrl}${path}`, { redirect: 'manual', ...init });
+
+  /**
+   * Sesión de visitante: GET /api/v1/session la crea (con su secreto CSRF) y devuelve
+   * un token válido para los POST.
+   * @returns {Promise<{ cookie: string, csrfToken: string }>}
+   */
+  async function startSession() {
+    const res = await request('/api/v1/session');
+    const cookie = res.headers.get('set-cookie').split(';')[0];
+    const { data } = await res.json();
+    return { cookie, csrfToken: data.csrfToken };
+  }
+
+  /**
+   * @param {Object} user - se guarda tal cual en req.session.user (id, role, email, ...)
+   * @param {Object} [extra] - otros campos de la sesión (ej. twoFactorVerified: true)
+   * @returns {Promise<{ cookie: string, csrfToken: string }>}
+   */
+  async function signIn(user, extra = {}) {
+    const { cookie, csrfToken } = await startSession();
+
+    // Cookie firmada "s:<sid>.<firma>": el store se indexa por sid
+    const sid = decodeURIComponent(cookie.split('=')[1]).slice(2).split('.')[0];
+    const current = await new Promise((resolve, reject) =>
+      store.get(sid, (err, sess) => (err ? reject(err) : resolve(sess))),
+    );
+    const now = Date.now();
+    const next = {
+      ...current,
+      user: { emailVerified: true, active: true, ...user },
+      // Evita el refresco del usuario y el "visto por última vez" contra la BD
+      user_refreshed_at: now,
+      lastSeenSyncedAt: now,
+      ...extra,
+    };
+    await new Promise((resolve, reject) =>
+      store.set(sid, next, (err) => (err ? reject(err) : resolve())),
+    );
+    return { cookie, csrfToken };
+  }
+
+  const close = () =>
+    new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(resolve);
+    });
+
+  return { baseUrl, request, startSession, signIn, close };
+}
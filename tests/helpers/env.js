@@ -0,0 +1,21 @@
+// tests/helpers/env.js
+// -----------------------------------------------------------------------------
+// Variables mínimas para importar config/env.js en los tests (npm test lo carga con
+// --import antes de cada archivo). Sin BD: los comandos de Mongoose fallan al toque en
+// vez de quedar en buffer, así que cada test stubea los métodos de modelo que usa.
+// -----------------------------------------------------------------------------
+
+import mongoose from 'mongoose';
+
+const defaults = {
+  PORT: '0',
+  NODE_ENV: 'test',
+  MONGO_URI: 'mongodb://127.0.0.1:1/test',
+  SESSION_SECRET: 'test-secret',
+  MP_ACCESS_TOKEN: 'TEST-token',
+  BASE_URL: 'http://localhost:3000',
+  JOBS_ENABLED: 'false',
+};
+for (const [key, value] of Object.entries(defaults)) process.env[key] ??= value;
+
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,29 @@
+// tests/helpers/query.js
+// -----------------------------------------------------------------------------
+// Query de Mongoose falsa para stubear estáticos de modelos (find, findOne, ...) con
+// mock.method: los métodos de encadenado devuelven la misma query y al hacer await
+// (o .exec()) resuelve con `result`.
+// -----------------------------------------------------------------------------
+
+const CHAIN_METHODS = [
+  'select',
+  'sort',
+  'skip',
+  'limit',
+  'populate',
+  'lean',
+  'session',
+  'collation',
+];
+
+/**
+ * @param {*} result - valor con el que resuelve la query
+ */
+export function fakeQuery(result) {
+  const query = {
+    exec: () => Promise.resolve(result),
+    then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected),
+  };
+  for (const name of CHAIN_METHODS) query[name] = () => query;
+  return query;
+}
@@ -0,0 +1,104 @@
+// tests/login-guard.test.js
+// Fuerza bruta en el login: límites por IP / email y bloqueo de la cuenta tras N fallos
+// seguidos (umbrales de config.auth).
+
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../src/models/index.js';
+import RateLimit from '../src/models/RateLimit.js';
+import SecurityEvent from '../src/models/SecurityEvent.js';
+import { config } from '../src/config/env.js';
+import {
+  assertLoginAllowed,
+  assertAccountUnlocked,
+  recordLoginFailure,
+} from '../src/services/login-guard.service.js';
+import { fakeQuery } from './helpers/query.js';
+
+const NOW = new Date('2026-01-15T12:00:00Z');
+const IP = '203.0.113.7';
+const EMAIL = 'cliente@demo.test';
+const USER = { _id: '64b0000000000000000000u1', email: EMAIL };
+
+afterEach(() => mock.restoreAll());
+
+/** Fallos registrados en la ventana vigente para cada clave de RateLimit */
+function stubCounts({ ip = 0, email = 0 }) {
+  const resetAt = new Date(NOW.getTime() + 60 * 1000);
+  mock.method(RateLimit, 'peek', async (key) => ({
+    count: key.startsWith('login:ip:') ? ip : email,
+    resetAt,
+  }));
+}
+
+test('assertLoginAllowed deja pasar hasta el límite por email y corta al alcanzarlo', async () => {
+  const { loginMaxPerEmail } = config.auth;
+
+  stubCounts({ email: loginMaxPerEmail - 1 });
+  await assertLoginAllowed({ ip: IP, email: EMAIL, now: NOW });
+
+  mock.restoreAll();
+  stubCounts({ email: loginMaxPerEmail });
+  await assert.rejects(assertLoginAllowed({ ip: IP, email: EMAIL, now: NOW }), {
+    name: 'LoginGuardError',
+    code: 'RATE_LIMITED',
+    status: 429,
+    retryAfter: 60,
+  });
+});
+
+test('assertLoginAllowed corta por IP aunque el email no tenga fallos', async () => {
+  const { loginMaxPerIp } = config.auth;
+
+  stubCounts({ ip: loginMaxPerIp - 1 });
+  await assertLoginAllowed({ ip: IP, email: EMAIL, now: NOW });
+
+  mock.restoreAll();
+  stubCounts({ ip: loginMaxPerIp });
+  await assert.rejects(assertLoginAllowed({ ip: IP, email: EMAIL, now: NOW }), {
+    code: 'RATE_LIMITED',
+  });
+});
+
+test('recordLoginFailure no bloquea antes del umbral', async () => {
+  const { loginLockThreshold } = config.auth;
+  mock.method(RateLimit, 'hit', async () => ({ count: 1, resetAt: NOW }));
+  mock.method(User, 'findOneAndUpdate', () =>
+    fakeQuery({ failedLoginCount: loginLockThreshold - 1 }),
+  );
+  const lock = mock.method(User, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+
+  const result = await recordLoginFailure({ user: USER, email: EMAIL, ip: IP, now: NOW });
+
+  assert.deepEqual(result, { locked: false });
+  assert.equal(lock.mock.callCount(), 0);
+});
+
+test('recordLoginFailure bloquea la cuenta al llegar al umbral y lo registra', async () => {
+  const { loginLockThreshold, loginLockMs } = config.auth;
+  const hit = mock.method(RateLimit, 'hit', async () => ({ count: 1, resetAt: NOW }));
+  mock.method(User, 'findOneAndUpdate', () => fakeQuery({ failedLoginCount: loginLockThreshold }));
+  const lock = mock.method(User, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+  const event = mock.method(SecurityEvent, 'create', async () => ({}));
+
+  const result = await recordLoginFailure({ user: USER, email: EMAIL, ip: IP, now: NOW });
+
+  assert.deepEqual(result, { locked: true });
+  assert.deepEqual(
+    hit.mock.calls.map((c) => c.arguments[0]),
+    [`login:ip:${IP}`, `login:email:${EMAIL}`],
+  );
+  const [, update] = lock.mock.calls[0].arguments;
+  assert.equal(update.$set.lockedUntil.getTime(), NOW.getTime() + loginLockMs);
+  assert.equal(event.mock.callCount(), 1);
+});
+
+test('assertAccountUnlocked corta mientras dure el bloqueo', () => {
+  const lockedUntil = new Date(NOW.getTime() + 10 * 60 * 1000);
+
+  assert.throws(() => assertAccountUnlocked({ lockedUntil }, NOW), {
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: 600,
+  });
+  assertAccountUnlocked({ lockedUntil }, new Date(lockedUntil.getTime() + 1));
+});
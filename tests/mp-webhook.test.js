@@ -0,0 +1,34 @@
+// tests/mp-webhook.test.js
+// Firma del webhook de MP: además del HMAC se exige que el ts firmado sea reciente.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifyWebhookSignature } from '../src/services/mp.service.js';
+
+const SECRET = 'webhook-secret';
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 0);
+
+/** Header x-signature firmado como lo arma MP */
+function signed(ts, { dataId = '123456', xRequestId = 'req-1' } = {}) {
+  const manifest = `id:${dataId};request-id:${xRequestId};ts:${ts};`;
+  const v1 = crypto.createHmac('sha256', SECRET).update(manifest).digest('hex');
+  return { xSignature: `ts=${ts},v1=${v1}`, xRequestId, dataId, secret: SECRET, now: NOW };
+}
+
+test('acepta una firma válida con ts reciente (en segundos o milisegundos)', () => {
+  assert.equal(verifyWebhookSignature(signed(String(NOW / 1000 - 60))), true);
+  assert.equal(verifyWebhookSignature(signed(String(NOW + 60 * 1000))), true);
+});
+
+test('rechaza una firma válida con ts fuera de la ventana de 5 minutos', () => {
+  assert.equal(verifyWebhookSignature(signed(String(NOW / 1000 - 6 * 60))), false);
+  assert.equal(verifyWebhookSignature(signed(String(NOW + 6 * 60 * 1000))), false);
+});
+
+test('rechaza un ts que no es numérico o una firma alterada', () => {
+  assert.equal(verifyWebhookSignature(signed('ayer')), false);
+
+  const params = signed(String(NOW / 1000));
+  assert.equal(verifyWebhookSignature({ ...params, dataId: '999' }), false);
+});
@@ -0,0 +1,87 @@
+// tests/order-expiry.test.js
+// Barrido de órdenes vencidas (jobs/order-expiry.job.js) sobre órdenes en memoria.
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../src/models/Order.js';
+import Product from '../src/models/Product.js';
+import { sweepStaleOrders } from '../src/jobs/order-expiry.job.js';
+import { fakeQuery } from './helpers/query.js';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const PAST = new Date('2026-03-01T11:00:00Z');
+const FUTURE = new Date('2026-03-02T12:00:00Z');
+
+let orders;
+
+function makeOrder(id, status, expiresAt) {
+  return {
+    _id: id,
+    status,
+    expiresAt,
+    mpPreferenceId: 'pref-1',
+    lastAttemptAt: NOW,
+    items: [{ productId: '64b0000000000000000000a1', qty: 1 }],
+    statusHistory: [],
+    stockReservation: { status: 'reserved' },
+    coupon: null,
+  };
+}
+
+/** Subconjunto de filtros de Mongo que usan el job y stock.service */
+function matches(order, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === 'expiresAt') return order.expiresAt && order.expiresAt <= cond.$lte;
+    if (key === 'lastAttemptAt') return order.lastAttemptAt <= cond.$lte;
+    if (key === 'stockReservation.status') return order.stockReservation.status === cond;
+    if (key === 'coupon.claimed') return order.coupon?.claimed === cond;
+    return String(order[key]) === String(cond);
+  });
+}
+
+beforeEach(() => {
+  orders = [
+    makeOrder('o-created-vencida', 'created', PAST),
+    makeOrder('o-pending-vencida', 'pending', PAST),
+    makeOrder('o-pending-vigente', 'pending', FUTURE),
+    makeOrder('o-paid-vencida', 'paid', PAST),
+  ];
+  mock.method(console, 'log', () => {});
+  mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+    const order = orders.find((o) => matches(o, filter));
+    if (!order) return fakeQuery(null);
+    for (const [path, value] of Object.entries(update.$set || {})) {
+      const [head, tail] = path.split('.');
+      if (tail) order[head][tail] = value;
+      else order[head] = value;
+    }
+    if (update.$push?.statusHistory) order.statusHistory.push(update.$push.statusHistory);
+    return fakeQuery(order);
+  });
+  mock.method(Order, 'find', () => fakeQuery([]));
+  mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const byId = (id) => orders.find((o) => o._id === id);
+
+test('vence las órdenes created y pending con expiresAt cumplido y libera su reserva', async () => {
+  const result = await sweepStaleOrders({ now: NOW });
+  assert.equal(result.expired, 2);
+
+  for (const id of ['o-created-vencida', 'o-pending-vencida']) {
+    const order = byId(id);
+    assert.equal(order.status, 'expired');
+    assert.equal(order.closedReason, 'payment_window_elapsed');
+    assert.equal(order.stockReservation.status, 'released');
+  }
+  assert.equal(byId('o-pending-vencida').statusHistory.at(-1).from, 'pending');
+});
+
+test('no toca pending vigentes ni órdenes pagadas', async () => {
+  await sweepStaleOrders({ now: NOW });
+  assert.equal(byId('o-pending-vigente').status, 'pending');
+  assert.equal(byId('o-pending-vigente').stockReservation.status, 'reserved');
+  assert.equal(byId('o-paid-vencida').status, 'paid');
+});
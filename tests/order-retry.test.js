@@ -0,0 +1,84 @@
+// tests/order-retry.test.js
+// Reintentar pago: las líneas del pedido se suman al carrito sin pisar lo que ya tenía.
+
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../src/models/Product.js';
+import CartService from '../src/services/cart.service.js';
+import { toCartCoupon } from '../src/services/coupon.service.js';
+import { restoreCartFromOrder } from '../src/controllers/cart.controller.js';
+import { fakeQuery } from './helpers/query.js';
+
+const REMERA = '64b000000000000000000001';
+const GORRA = '64b000000000000000000002';
+const TAZA = '64b000000000000000000003';
+
+afterEach(() => mock.restoreAll());
+
+function productDoc(_id, title, price) {
+  return { _id, title, price, stock: 10, reserved: 0, active: true, variants: [] };
+}
+
+function stubProducts() {
+  return mock.method(Product, 'find', () =>
+    fakeQuery([productDoc(REMERA, 'Remera', 3000), productDoc(GORRA, 'Gorra', 1500)]),
+  );
+}
+
+/** Sesión con el carrito dado (sin cartOwner: save() no toca Mongo) */
+function sessionWithCart(items, coupon = null) {
+  const session = {};
+  new CartService(session).load({ items, coupon });
+  return session;
+}
+
+const order = {
+  items: [
+    { productId: REMERA, title: 'Remera', qty: 2 },
+    { productId: GORRA, title: 'Gorra', qty: 1 },
+  ],
+};
+
+const qtyOf = (session, productId) =>
+  session.cart.items.find((it) => it.productId === productId)?.qty || 0;
+
+test('restoreCartFromOrder conserva los productos del carrito y suma los del pedido', async () => {
+  stubProducts();
+  const session = sessionWithCart([
+    { productId: TAZA, title: 'Taza', price: 800, qty: 3, stock: 5 },
+  ]);
+
+  const result = await restoreCartFromOrder({ session }, order);
+
+  assert.deepEqual(result, { complete: true, merged: true });
+  assert.equal(qtyOf(session, TAZA), 3);
+  assert.equal(qtyOf(session, REMERA), 2);
+  assert.equal(qtyOf(session, GORRA), 1);
+});
+
+test('restoreCartFromOrder no duplica unidades de líneas que ya estaban en el carrito', async () => {
+  stubProducts();
+  const session = sessionWithCart([
+    { productId: REMERA, title: 'Remera', price: 3000, qty: 4, stock: 10 },
+  ]);
+
+  const result = await restoreCartFromOrder({ session }, order);
+
+  assert.deepEqual(result, { complete: true, merged: false });
+  assert.equal(qtyOf(session, REMERA), 4);
+  assert.equal(qtyOf(session, GORRA), 1);
+});
+
+test('restoreCartFromOrder respeta el cupón del carrito y pide revisar', async () => {
+  stubProducts();
+  const other = { _id: '64b0000000000000000000c2', code: 'OTRO', type: 'percent', value: 10 };
+  const session = sessionWithCart([], toCartCoupon(other));
+
+  const result = await restoreCartFromOrder(
+    { session },
+    { ...order, coupon: { code: 'PROMO', couponId: '64b0000000000000000000c1' } },
+  );
+
+  assert.equal(result.complete, false);
+  assert.equal(session.cart.coupon.code, 'OTRO');
+});
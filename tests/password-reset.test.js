@@ -0,0 +1,90 @@
+// tests/password-reset.test.js
+// POST /forgot-password: misma respuesta exista o no la cuenta (aunque falle el SMTP) y
+// rate limit por IP y por email.
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import nodemailer from 'nodemailer';
+import { User } from '../src/models/index.js';
+import RateLimit from '../src/models/RateLimit.js';
+import { config } from '../src/config/env.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const USER = { _id: '64b0000000000000000000u1', name: 'Ana', email: 'ana@demo.test' };
+
+let app;
+let guest;
+before(async () => {
+  // Transporte que siempre falla (el mailer lo crea una vez y lo reutiliza)
+  mock.method(nodemailer, 'createTransport', () => ({
+    sendMail: async () => {
+      throw new Error('SMTP caído');
+    },
+  }));
+  app = await startTestApp();
+  guest = await app.startSession();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+/** RateLimit.hit falso: devuelve el count indicado por prefijo de clave */
+function stubHits(counts = {}) {
+  const resetAt = new Date(Date.now() + 60 * 1000);
+  return mock.method(RateLimit, 'hit', async (key) => ({
+    count: counts[key.split(':').slice(0, 2).join(':')] ?? 1,
+    resetAt,
+  }));
+}
+
+function postForgot(email) {
+  return app.request('/forgot-password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: guest.cookie },
+    body: new URLSearchParams({ _csrf: guest.csrfToken, email }),
+  });
+}
+
+test('cuenta existente con el SMTP caído responde igual que un email desconocido', async () => {
+  stubHits();
+  mock.method(console, 'error', () => {});
+  mock.method(User, 'findOne', (filter) => fakeQuery(filter.email === USER.email ? USER : null));
+  const updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const known = await postForgot(USER.email);
+  const unknown = await postForgot('nadie@demo.test');
+
+  assert.equal(known.status, 200);
+  assert.equal(unknown.status, 200);
+  assert.match(await known.text(), /te enviamos un link/);
+  assert.match(await unknown.text(), /te enviamos un link/);
+  assert.equal(updateOne.mock.callCount(), 1); // el token se generó solo para la cuenta real
+});
+
+test('cuenta los pedidos por IP y por email, exista o no la cuenta', async () => {
+  const hit = stubHits();
+  mock.method(User, 'findOne', () => fakeQuery(null));
+
+  const res = await postForgot(' Nadie@Demo.test ');
+  assert.equal(res.status, 200);
+  const keys = hit.mock.calls.map((c) => c.arguments[0]);
+  assert.ok(keys.includes('password-reset:email:nadie@demo.test'));
+  assert.ok(keys.some((k) => k.startsWith('password-reset:ip:')));
+});
+
+test('al pasar el límite por email responde 429 con Retry-After sin buscar la cuenta', async () => {
+  stubHits({ 'password-reset:email': config.auth.passwordResetMaxPerEmail + 1 });
+  const findOne = mock.method(User, 'findOne', () => fakeQuery(USER));
+
+  const res = await postForgot(USER.email);
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  assert.match(await res.text(), /Demasiados pedidos/);
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test('al pasar el límite por IP responde 429', async () => {
+  stubHits({ 'password-reset:ip': config.auth.passwordResetMaxPerIp + 1 });
+  const res = await postForgot('otro@demo.test');
+  assert.equal(res.status, 429);
+});
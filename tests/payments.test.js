@@ -0,0 +1,123 @@
+// tests/payments.test.js
+// Conciliación Pago ↔ Order (reconcilePayment) con el cliente de pagos fake y la orden
+// en memoria (estáticos de Order stubeados).
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../src/models/Order.js';
+import {
+  createFakePaymentClient,
+  setPaymentClient,
+  resetPaymentClient,
+  reconcilePayment,
+} from '../src/services/payment.service.js';
+import { fakeQuery } from './helpers/query.js';
+
+const ORDER_ID = '64b0000000000000000000aa';
+
+let order;
+let payments;
+let statusUpdates;
+
+/** Pago de MP (mismo shape que la API) para la orden de prueba */
+function mpPayment(overrides = {}) {
+  return {
+    id: 1001,
+    status: 'approved',
+    status_detail: 'accredited',
+    external_reference: ORDER_ID,
+    transaction_amount: 1500,
+    currency_id: 'ARS',
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  order = {
+    _id: ORDER_ID,
+    status: 'created',
+    total: 1500,
+    mpPaymentId: null,
+    items: [],
+    statusHistory: [],
+  };
+  payments = createFakePaymentClient();
+  setPaymentClient(payments);
+  statusUpdates = 0;
+
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+  mock.method(Order, 'findById', (id) =>
+    fakeQuery(String(id) === ORDER_ID ? structuredClone(order) : null),
+  );
+  mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+    // commitOrderStock (paid): sin líneas reservadas no hay stock que mover
+    if ('stockReservation.status' in filter) return fakeQuery(null);
+    if (filter.status && filter.status !== order.status) return fakeQuery(null);
+    statusUpdates += 1;
+    Object.assign(order, update.$set);
+    if (update.$push?.statusHistory) order.statusHistory.push(update.$push.statusHistory);
+    return fakeQuery(structuredClone(order));
+  });
+});
+
+afterEach(() => {
+  resetPaymentClient();
+  mock.restoreAll();
+});
+
+test('pago aprobado → la orden pasa a paid con el id del pago', async () => {
+  payments.addPayment(mpPayment());
+
+  const result = await reconcilePayment(1001);
+  assert.equal(result.changed, true);
+  assert.equal(result.reason, 'updated');
+  assert.equal(order.status, 'paid');
+  assert.equal(order.mpPaymentId, '1001');
+  assert.equal(order.statusHistory.at(-1).to, 'paid');
+});
+
+test('monto distinto al total de la orden → no se aplica', async () => {
+  payments.addPayment(mpPayment({ transaction_amount: 1499.99 }));
+
+  const result = await reconcilePayment(1001);
+  assert.equal(result.changed, false);
+  assert.equal(result.verified, false);
+  assert.equal(result.reason, 'amount_mismatch');
+  assert.equal(order.status, 'created');
+  assert.equal(statusUpdates, 0);
+});
+
+test('moneda distinta de ARS → no se aplica', async () => {
+  payments.addPayment(mpPayment({ currency_id: 'USD' }));
+
+  const result = await reconcilePayment(1001);
+  assert.equal(result.reason, 'amount_mismatch');
+  assert.equal(order.status, 'created');
+  assert.equal(statusUpdates, 0);
+});
+
+test('external_reference de otra orden → no se aplica', async () => {
+  payments.addPayment(mpPayment());
+
+  const result = await reconcilePayment(1001, {
+    orderId: '64b0000000000000000000bb',
+    source: 'return_url',
+  });
+  assert.equal(result.changed, false);
+  assert.equal(result.reason, 'external_reference_mismatch');
+  assert.equal(Order.findById.mock.callCount(), 0);
+  assert.equal(order.status, 'created');
+});
+
+test('la misma notificación dos veces → la segunda no escribe', async () => {
+  payments.addPayment(mpPayment());
+
+  const first = await reconcilePayment(1001);
+  const second = await reconcilePayment(1001);
+  assert.equal(first.changed, true);
+  assert.equal(second.changed, false);
+  assert.equal(second.reason, 'already_applied');
+  assert.equal(statusUpdates, 1);
+  assert.equal(order.statusHistory.length, 1);
+});
@@ -0,0 +1,110 @@
+// tests/permissions.test.js
+// requirePermission: cada rol del equipo entra solo a su parte del panel, con 2FA verificado.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PERMISSIONS } from '../src/models/User.js';
+import { requirePermission } from '../src/middlewares/auth.js';
+import { startTestApp } from './helpers/app.js';
+
+// Permisos esperados por rol (la tabla se escribe a mano para no repetir ROLE_PERMISSIONS)
+const EXPECTED = {
+  user: [],
+  admin: PERMISSIONS,
+  catalog_manager: ['products:write', 'categories:write', 'coupons:write', 'reviews:moderate'],
+  fulfillment: ['dashboard:read', 'orders:read', 'orders:update', 'shipping:write'],
+  support: ['orders:read', 'reviews:moderate', 'users:read', 'users:support'],
+};
+
+/** Corre el guard con un request/response mínimos y devuelve qué hizo */
+function runGuard(
+  permission,
+  { role, twoFactorVerified = true, twoFactorEnabled = true, json = false },
+) {
+  const req = {
+    method: 'GET',
+    originalUrl: '/admin/algo',
+    headers: { accept: json ? 'application/json' : 'text/html' },
+    get: () => undefined,
+    user: { id: '64b0000000000000000000u1', role, twoFactorEnabled },
+    session: { twoFactorVerified },
+  };
+  const out = { next: false, status: 200, location: null, body: null };
+  const res = {
+    status(code) {
+      out.status = code;
+      return this;
+    },
+    json(body) {
+      out.body = body;
+    },
+    redirect(url) {
+      out.status = 302;
+      out.location = url;
+    },
+  };
+  requirePermission(permission)(req, res, () => {
+    out.next = true;
+  });
+  return { ...out, session: req.session };
+}
+
+for (const [role, allowed] of Object.entries(EXPECTED)) {
+  test(`requirePermission: ${role} solo pasa con sus permisos`, () => {
+    for (const permission of PERMISSIONS) {
+      const result = runGuard(permission, { role });
+      assert.equal(result.next, allowed.includes(permission), `${role} → ${permission}`);
+      if (!result.next) assert.equal(result.location, '/');
+    }
+  });
+}
+
+test('requirePermission responde 403 forbidden en JSON a un rol sin el permiso', () => {
+  const result = runGuard('users:manage', { role: 'support', json: true });
+
+  assert.equal(result.next, false);
+  assert.equal(result.status, 403);
+  assert.equal(result.body.error, 'forbidden');
+  assert.equal(result.body.permission, 'users:manage');
+});
+
+test('requirePermission exige el 2FA verificado aunque el rol tenga el permiso', () => {
+  const pending = runGuard('orders:read', { role: 'fulfillment', twoFactorVerified: false });
+  assert.equal(pending.next, false);
+  assert.equal(pending.location, '/login/2fa');
+  assert.equal(pending.session.returnTo, '/admin/algo');
+
+  const setup = runGuard('orders:read', {
+    role: 'fulfillment',
+    twoFactorVerified: false,
+    twoFactorEnabled: false,
+  });
+  assert.equal(setup.location, '/account/security');
+
+  const api = runGuard('orders:read', {
+    role: 'fulfillment',
+    twoFactorVerified: false,
+    json: true,
+  });
+  assert.equal(api.status, 403);
+  assert.equal(api.body.error, 'two_factor_required');
+});
+
+test('el panel de productos manda al inicio a soporte y pide login sin sesión', async () => {
+  const app = await startTestApp();
+  try {
+    const { cookie } = await app.signIn(
+      { id: '64b0000000000000000000s1', email: 'soporte@demo.test', role: 'support' },
+      { twoFactorVerified: true },
+    );
+    const staff = await app.request('/admin/products', { headers: { Cookie: cookie } });
+    assert.equal(staff.status, 302);
+    assert.equal(staff.headers.get('location'), '/');
+
+    const guest = await app.request('/admin/products');
+    assert.equal(guest.status, 302);
+    assert.match(guest.headers.get('location'), /^\/login/);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,78 @@
+// tests/reviews.test.js
+// Reseñas: los errores del alta y de la moderación se muestran en la página (sin flash).
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../src/models/Product.js';
+import Review from '../src/models/Review.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const PRODUCT_ID = '64b000000000000000000001';
+const REVIEW_ID = '64b0000000000000000000e1';
+const ADMIN = { id: '64b0000000000000000000ad', email: 'admin@demo.test', role: 'admin' };
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+function post(path, auth, fields = {}) {
+  return app.request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: auth.cookie },
+    body: new URLSearchParams({ _csrf: auth.csrfToken, ...fields }),
+  });
+}
+
+test('POST /products/:id/reviews de un producto que ya no está muestra 404 con el motivo', async () => {
+  mock.method(Product, 'exists', () => fakeQuery(null));
+  mock.method(Product, 'findOne', () => fakeQuery(null));
+  const auth = await app.signIn({ id: '64b0000000000000000000u1', role: 'customer' });
+
+  const res = await post(`/products/${PRODUCT_ID}/reviews`, auth, {
+    rating: '5',
+    title: 'Muy buena',
+    body: 'Llegó bien.',
+  });
+
+  assert.equal(res.status, 404);
+  assert.equal(res.headers.get('location'), null);
+  assert.match(await res.text(), /ya no está disponible/);
+});
+
+test('moderar una reseña inexistente vuelve a la cola con el error', async () => {
+  mock.method(Review, 'findByIdAndUpdate', () => fakeQuery(null));
+  const auth = await app.signIn(ADMIN, { twoFactorVerified: true });
+
+  const res = await post(`/admin/reviews/${REVIEW_ID}/status`, auth, {
+    status: 'approved',
+    tab: 'pending',
+  });
+
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/admin/reviews?error=REVIEW_NOT_FOUND&status=pending');
+});
+
+test('borrar una reseña vuelve a la cola con el aviso y la cola lo muestra', async () => {
+  mock.method(Review, 'findByIdAndDelete', () =>
+    fakeQuery({ _id: REVIEW_ID, productId: PRODUCT_ID }),
+  );
+  mock.method(Review, 'aggregate', async () => []);
+  mock.method(Product, 'updateOne', () => fakeQuery({ acknowledged: true }));
+  const auth = await app.signIn(ADMIN, { twoFactorVerified: true });
+
+  const res = await post(`/admin/reviews/${REVIEW_ID}/delete`, auth);
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/admin/reviews?done=deleted');
+
+  mock.method(Review, 'find', () => fakeQuery([]));
+  mock.method(Review, 'countDocuments', () => fakeQuery(0));
+  const page = await app.request('/admin/reviews?done=deleted', {
+    headers: { Cookie: auth.cookie },
+  });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /Reseña eliminada\./);
+});
@@ -0,0 +1,29 @@
+// tests/routes.public.test.js
+// Rutas públicas montadas en la raíz: no deben quedar detrás del requireAuth de /account.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers/app.js';
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+
+test('POST /webhooks/mp sin sesión llega a postWebhookMp', async () => {
+  const res = await app.request('/webhooks/mp?type=merchant_order&data.id=1', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type: 'merchant_order', data: { id: '1' } }),
+  });
+  assert.equal(res.status, 200);
+  // Respuesta propia del handler para notificaciones que no son de pago
+  assert.deepEqual(await res.json(), { ok: true, ignored: true });
+});
+
+test('las rutas de /account siguen exigiendo sesión', async () => {
+  const res = await app.request('/account/profile');
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/login');
+});
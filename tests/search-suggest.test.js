@@ -0,0 +1,41 @@
+// tests/search-suggest.test.js
+// Autocompletado del buscador: lo usan visitantes sin sesión (public/js/app.js).
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../src/models/Product.js';
+import Category from '../src/models/Category.js';
+import SearchQuery from '../src/models/SearchQuery.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+test('GET /api/search/suggest sin sesión responde JSON', async () => {
+  mock.method(Product, 'find', () => fakeQuery([]));
+  mock.method(Category, 'find', () => fakeQuery([]));
+  mock.method(SearchQuery, 'find', () => fakeQuery([]));
+
+  const res = await app.request('/api/search/suggest?q=remera');
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), {
+    ok: true,
+    q: 'remera',
+    products: [],
+    categories: [],
+    queries: [],
+  });
+});
+
+test('GET /api/search/suggest con consulta corta no toca la BD', async () => {
+  const find = mock.method(Product, 'find', () => fakeQuery([]));
+  const res = await app.request('/api/search/suggest?q=r');
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).ok, true);
+  assert.equal(find.mock.callCount(), 0);
+});
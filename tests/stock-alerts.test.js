@@ -0,0 +1,127 @@
+// tests/stock-alerts.test.js
+// Avisos de reposición: baja pública por token y rate limit del alta.
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import StockSubscription from '../src/models/StockSubscription.js';
+import Product from '../src/models/Product.js';
+import RateLimit from '../src/models/RateLimit.js';
+import Review from '../src/models/Review.js';
+import { User } from '../src/models/index.js';
+import { config } from '../src/config/env.js';
+import { subscribeToStockAlert } from '../src/services/stock-alert.service.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const TOKEN = 'a'.repeat(48);
+const PRODUCT_ID = '64b000000000000000000001';
+
+let app;
+before(async () => {
+  app = await startTestApp();
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+/** RateLimit.hit falso: devuelve el count indicado por prefijo de clave */
+function stubHits(counts) {
+  const resetAt = new Date(Date.now() + 60 * 1000);
+  return mock.method(RateLimit, 'hit', async (key) => ({
+    count: counts[key.split(':').slice(0, 2).join(':')] ?? 1,
+    resetAt,
+  }));
+}
+
+test('GET /stock-alerts/unsubscribe/:token sin sesión muestra la confirmación', async () => {
+  const findOne = mock.method(StockSubscription, 'findOne', () =>
+    fakeQuery({ _id: 'sub1', status: 'pending', token: TOKEN, productId: { title: 'Remera' } }),
+  );
+  const res = await app.request(`/stock-alerts/unsubscribe/${TOKEN}`);
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /Remera/);
+  assert.equal(findOne.mock.callCount(), 1);
+});
+
+test('GET /stock-alerts/unsubscribe/:token con token desconocido responde 404 (no /login)', async () => {
+  mock.method(StockSubscription, 'findOne', () => fakeQuery(null));
+  const res = await app.request(`/stock-alerts/unsubscribe/${TOKEN}`);
+  assert.equal(res.status, 404);
+});
+
+test('subscribeToStockAlert cuenta el intento por IP y por email', async () => {
+  const hit = stubHits({});
+  mock.method(Product, 'findOne', () => fakeQuery({ _id: PRODUCT_ID, stock: 3, reserved: 0 }));
+
+  await assert.rejects(
+    subscribeToStockAlert({ productId: PRODUCT_ID, email: ' Ana@Demo.test ', ip: '203.0.113.7' }),
+    { name: 'StockAlertError', code: 'IN_STOCK' },
+  );
+  const keys = hit.mock.calls.map((c) => c.arguments[0]).sort();
+  assert.deepEqual(keys, ['stock-alert:email:ana@demo.test', 'stock-alert:ip:203.0.113.7']);
+});
+
+test('subscribeToStockAlert corta con 429 al pasar el límite por IP', async () => {
+  stubHits({ 'stock-alert:ip': config.notifications.stockAlertMaxPerIp + 1 });
+  const findOne = mock.method(Product, 'findOne', () => fakeQuery(null));
+
+  await assert.rejects(
+    subscribeToStockAlert({ productId: PRODUCT_ID, email: 'ana@demo.test', ip: '203.0.113.7' }),
+    (err) => {
+      assert.equal(err.name, 'StockAlertError');
+      assert.equal(err.code, 'RATE_LIMITED');
+      assert.equal(err.status, 429);
+      assert.ok(err.retryAfter > 0);
+      return true;
+    },
+  );
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test('subscribeToStockAlert corta con 429 al pasar el límite por email', async () => {
+  stubHits({ 'stock-alert:email': config.notifications.stockAlertMaxPerEmail + 1 });
+  await assert.rejects(
+    subscribeToStockAlert({ productId: PRODUCT_ID, email: 'ana@demo.test', ip: '198.51.100.1' }),
+    { code: 'RATE_LIMITED', status: 429 },
+  );
+});
+
+test('POST /products/:id/stock-alerts con sesión y límite superado muestra el motivo (429)', async () => {
+  stubHits({ 'stock-alert:email': config.notifications.stockAlertMaxPerEmail + 1 });
+  mock.method(Product, 'findOne', () =>
+    fakeQuery({ _id: PRODUCT_ID, title: 'Remera', price: 3000, stock: 0, reserved: 0 }),
+  );
+  mock.method(Review, 'find', () => fakeQuery([]));
+  mock.method(Review, 'findOne', () => fakeQuery(null));
+  mock.method(User, 'findById', () => fakeQuery({ wishlist: [] }));
+  mock.method(StockSubscription, 'exists', () => fakeQuery(null));
+  const auth = await app.signIn({
+    id: '64b0000000000000000000u1',
+    email: 'ana@demo.test',
+    role: 'customer',
+  });
+
+  const res = await app.request(`/products/${PRODUCT_ID}/stock-alerts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: auth.cookie },
+    body: new URLSearchParams({ _csrf: auth.csrfToken }),
+  });
+
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  assert.match(await res.text(), /Demasiados pedidos de aviso/);
+});
+
+test('POST /products/:id/stock-alerts de un producto que ya no está responde 404 (no redirige)', async () => {
+  stubHits({});
+  mock.method(Product, 'findOne', () => fakeQuery(null));
+  const guest = await app.startSession();
+
+  const res = await app.request(`/products/${PRODUCT_ID}/stock-alerts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: guest.cookie },
+    body: new URLSearchParams({ _csrf: guest.csrfToken, email: 'ana@demo.test' }),
+  });
+
+  assert.equal(res.status, 404);
+  assert.match(await res.text(), /ya no está disponible/);
+});
@@ -0,0 +1,94 @@
+// tests/stock.test.js
+// Reposición de stock al cancelar o reembolsar una orden ya pagada (syncStockWithStatus).
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../src/models/Order.js';
+import Product from '../src/models/Product.js';
+import { syncStockWithStatus } from '../src/services/stock.service.js';
+import { fakeQuery } from './helpers/query.js';
+
+const ORDER_ID = '64b0000000000000000000aa';
+const P1 = '64b0000000000000000000a1';
+const P2 = '64b0000000000000000000a2';
+
+let order;
+let productUpdate;
+
+/** ¿La orden en memoria cumple el filtro de los claims de stock.service? */
+function matches(filter) {
+  const res = order.stockReservation.status;
+  if (typeof filter['stockReservation.status'] === 'string') {
+    if (res !== filter['stockReservation.status']) return false;
+  }
+  const nin = filter['statusHistory.to']?.$nin;
+  if (nin && order.statusHistory.some((h) => nin.includes(h.to))) return false;
+  return true;
+}
+
+beforeEach(() => {
+  order = {
+    _id: ORDER_ID,
+    status: 'paid',
+    items: [
+      { productId: P1, qty: 2, title: 'Remera' },
+      { productId: P2, qty: 1, title: 'Gorra' },
+    ],
+    statusHistory: [{ from: 'created', to: 'paid' }],
+    stockReservation: { status: 'committed', shortfall: [] },
+  };
+  mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+    if (!matches(filter)) return fakeQuery(null);
+    for (const [path, value] of Object.entries(update.$set)) {
+      order.stockReservation[path.split('.')[1]] = value;
+    }
+    return fakeQuery(structuredClone(order));
+  });
+  productUpdate = mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => mock.restoreAll());
+
+/** $inc de stock por producto en las llamadas a Product.updateOne */
+function restocked() {
+  return Object.fromEntries(
+    productUpdate.mock.calls.map((c) => [String(c.arguments[0]._id), c.arguments[1].$inc.stock]),
+  );
+}
+
+test('paid → cancelled repone el stock descontado', async () => {
+  const result = await syncStockWithStatus(ORDER_ID, 'cancelled');
+  assert.ok(result);
+  assert.equal(order.stockReservation.status, 'restocked');
+  assert.deepEqual(restocked(), { [P1]: 2, [P2]: 1 });
+});
+
+test('paid → refunded repone el stock y no repone el shortfall', async () => {
+  order.stockReservation.shortfall = [{ productId: P2, variantId: null, qty: 1 }];
+  await syncStockWithStatus(ORDER_ID, 'refunded');
+  assert.deepEqual(restocked(), { [P1]: 2 });
+});
+
+test('reembolso después de enviar: no se repone solo', async () => {
+  order.statusHistory.push({ from: 'preparing', to: 'shipped' });
+  const result = await syncStockWithStatus(ORDER_ID, 'refunded');
+  assert.equal(result, null);
+  assert.equal(order.stockReservation.status, 'committed');
+  assert.equal(productUpdate.mock.callCount(), 0);
+});
+
+test('cancelled → refunded no repone dos veces', async () => {
+  await syncStockWithStatus(ORDER_ID, 'cancelled');
+  await syncStockWithStatus(ORDER_ID, 'refunded');
+  assert.equal(productUpdate.mock.callCount(), 2); // una vez por producto
+});
+
+test('orden con reserva activa (sin pagar) que se cancela: libera, no repone', async () => {
+  order.status = 'created';
+  order.stockReservation.status = 'reserved';
+  await syncStockWithStatus(ORDER_ID, 'cancelled');
+  assert.equal(order.stockReservation.status, 'released');
+  for (const call of productUpdate.mock.calls) {
+    assert.equal(call.arguments[1].$inc?.stock, undefined);
+  }
+});
@@ -0,0 +1,108 @@
+// tests/two-factor.test.js
+// 2FA: códigos TOTP (RFC 6238, ±1 paso, sin reuso) y códigos de recuperación de un solo uso.
+
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../src/models/index.js';
+import { base32Encode, totpCode, totpStep, verifyTotp } from '../src/utils/totp.js';
+import { hashToken } from '../src/utils/tokens.js';
+import { startEnrollment, verifySecondFactor } from '../src/services/two-factor.service.js';
+import { fakeQuery } from './helpers/query.js';
+
+const USER_ID = '64b0000000000000000000u1';
+
+afterEach(() => mock.restoreAll());
+
+test('totpCode coincide con los vectores de RFC 6238 (SHA-1, 6 dígitos)', () => {
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+  assert.equal(totpCode(secret, totpStep(59 * 1000)), '287082');
+  assert.equal(totpCode(secret, totpStep(1111111109 * 1000)), '081804');
+});
+
+test('verifyTotp acepta un paso de tolerancia hacia cada lado y nada más', () => {
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+  const now = 1111111109 * 1000;
+  const step = totpStep(now);
+
+  assert.equal(verifyTotp(secret, totpCode(secret, step - 1), { now }), step - 1);
+  assert.equal(verifyTotp(secret, totpCode(secret, step + 1), { now }), step + 1);
+  assert.equal(verifyTotp(secret, totpCode(secret, step - 2), { now }), null);
+  assert.equal(verifyTotp(secret, 'abc123', { now }), null);
+});
+
+/**
+ * Cuenta con 2FA activo: el secreto cifrado sale de startEnrollment (como en el alta real).
+ * @returns {Promise<{ secret: string, user: Object }>}
+ */
+async function enrolledUser(recoveryCodes = []) {
+  mock.method(User, 'findById', () =>
+    fakeQuery({ _id: USER_ID, email: 'cliente@demo.test', twoFactorEnabled: false }),
+  );
+  const save = mock.method(User, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+  const { secret } = await startEnrollment(USER_ID);
+  const sealed = save.mock.calls[0].arguments[1].$set['twoFactor.pendingSecret'];
+  mock.restoreAll();
+
+  const user = {
+    _id: USER_ID,
+    twoFactorEnabled: true,
+    twoFactor: { secret: sealed, recoveryCodes },
+  };
+  mock.method(User, 'findById', () => fakeQuery(user));
+  return { secret, user };
+}
+
+test('verifySecondFactor acepta el TOTP vigente una sola vez', async () => {
+  const { secret } = await enrolledUser(['h1', 'h2']);
+  const step = totpStep();
+  const code = totpCode(secret, step);
+  const update = mock.method(User, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+
+  assert.deepEqual(await verifySecondFactor(USER_ID, code), {
+    method: 'totp',
+    recoveryCodesLeft: 2,
+  });
+  // Anti-replay: solo actualiza si el paso es posterior al último usado
+  const [filter] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter['twoFactor.lastUsedStep'], { $not: { $gte: step } });
+
+  // El mismo paso otra vez: el update condicional no modifica nada
+  update.mock.mockImplementation(() => fakeQuery({ modifiedCount: 0 }));
+  await assert.rejects(verifySecondFactor(USER_ID, code), { code: 'INVALID_CODE' });
+});
+
+test('verifySecondFactor rechaza un TOTP incorrecto sin tocar la cuenta', async () => {
+  const { secret } = await enrolledUser();
+  const wrong = String((Number(totpCode(secret, totpStep())) + 1) % 1e6).padStart(6, '0');
+  const update = mock.method(User, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+
+  await assert.rejects(verifySecondFactor(USER_ID, wrong), {
+    name: 'TwoFactorError',
+    code: 'INVALID_CODE',
+  });
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('verifySecondFactor consume un código de recuperación (sin importar mayúsculas ni guion)', async () => {
+  const hash = hashToken('a1b2c3d4e5');
+  await enrolledUser([hash, 'otro']);
+  const update = mock.method(User, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+
+  assert.deepEqual(await verifySecondFactor(USER_ID, 'A1B2C-3D4E5'), {
+    method: 'recovery',
+    recoveryCodesLeft: 1,
+  });
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.equal(filter['twoFactor.recoveryCodes'], hash);
+  assert.deepEqual(change, { $pull: { 'twoFactor.recoveryCodes': hash } });
+
+  // Ya usado (o inexistente): el $pull no encuentra el hash
+  update.mock.mockImplementation(() => fakeQuery({ modifiedCount: 0 }));
+  await assert.rejects(verifySecondFactor(USER_ID, 'a1b2c-3d4e5'), { code: 'INVALID_CODE' });
+});
+
+test('verifySecondFactor en una cuenta sin 2FA responde NOT_ENABLED', async () => {
+  mock.method(User, 'findById', () => fakeQuery({ _id: USER_ID, twoFactorEnabled: false }));
+
+  await assert.rejects(verifySecondFactor(USER_ID, '123456'), { code: 'NOT_ENABLED' });
+});
@@ -0,0 +1,68 @@
+// tests/wishlist.test.js
+// Favoritos sin JS: si no se pudo agregar, el motivo llega a la lista como ?error=.
+
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../src/models/Product.js';
+import { User } from '../src/models/index.js';
+import { startTestApp } from './helpers/app.js';
+import { fakeQuery } from './helpers/query.js';
+
+const PRODUCT_ID = '64b000000000000000000001';
+const USER = { id: '64b0000000000000000000u1', email: 'ana@demo.test', role: 'customer' };
+
+let app;
+let auth;
+before(async () => {
+  app = await startTestApp();
+  auth = await app.signIn(USER);
+});
+after(() => app.close());
+afterEach(() => mock.restoreAll());
+
+function addFromForm(returnTo) {
+  return app.request(`/account/wishlist/${PRODUCT_ID}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: auth.cookie },
+    body: new URLSearchParams({ _csrf: auth.csrfToken, returnTo }),
+  });
+}
+
+test('POST /account/wishlist/:id (form) con la lista llena vuelve a la lista con el motivo', async () => {
+  mock.method(Product, 'findOne', () => fakeQuery({ _id: PRODUCT_ID, stock: 3, reserved: 0 }));
+  mock.method(User, 'updateOne', () => fakeQuery({ modifiedCount: 0 }));
+  mock.method(User, 'findById', () => fakeQuery({ wishlist: [] }));
+
+  const res = await addFromForm(`/products/${PRODUCT_ID}`);
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/account/wishlist?error=WISHLIST_FULL');
+
+  const page = await app.request('/account/wishlist?error=WISHLIST_FULL', {
+    headers: { Cookie: auth.cookie },
+  });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /Quitá alguno para agregar otro/);
+});
+
+test('POST /account/wishlist/:id (form) de un producto inactivo informa que no está disponible', async () => {
+  mock.method(Product, 'findOne', () => fakeQuery(null));
+
+  const res = await addFromForm('/');
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/account/wishlist?error=PRODUCT_NOT_FOUND');
+});
+
+test('POST /account/wishlist/:id (AJAX) sigue respondiendo el error en JSON', async () => {
+  mock.method(Product, 'findOne', () => fakeQuery(null));
+
+  const res = await app.request(`/account/wishlist/${PRODUCT_ID}`, {
+    method: 'POST',
+    headers: {
+      'X-Requested-With': 'XMLHttpRequest',
+      'X-CSRF-Token': auth.csrfToken,
+      Cookie: auth.cookie,
+    },
+  });
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).error, 'PRODUCT_NOT_FOUND');
+});